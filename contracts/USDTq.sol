@@ -36,9 +36,14 @@ pragma solidity 0.8.28;
  * FEATURES:
  * - Separated role-based access control for security
  * - Reserve tracking with transparency events
- * - Supply caps (per-transaction + total supply)
+ * - Merkle root of itemized reserve holdings for per-line inclusion proofs
+ * - Supply caps (per-transaction + total supply), changed through a timelock
+ * - Per-minter allowances and optional rolling-window rate limits
  * - Blacklist compliance (OFAC, sanctions, fraud prevention)
+ * - Compliance burns of blacklisted balances, recorded with a case reference
  * - Pausable minting only (transfers and burns always active)
+ * - EIP-2612 permit (gasless approvals signed off-chain)
+ * - EIP-3009 transfers with authorization (gasless transfers signed off-chain)
  * - Full OpenZeppelin v5.x integration
  * - Fixed contract (non-upgradeable)
  * - Gas-optimized for BSC
@@ -46,10 +51,13 @@ pragma solidity 0.8.28;
 
 import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import { ERC20Burnable } from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import { ERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { SafeCast } from "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
 import { Pausable } from "@openzeppelin/contracts/utils/Pausable.sol";
 
-contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
+contract USDTq is ERC20, ERC20Burnable, ERC20Permit, AccessControl, Pausable {
     // ============ Access Control Roles ============
 
     /// @notice Role for administrative functions (supply cap updates)
@@ -67,6 +75,64 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
     /// @notice Role for managing reserve attestations
     bytes32 public constant RESERVE_MANAGER_ROLE = keccak256("RESERVE_MANAGER_ROLE");
 
+    // ============ EIP-3009 Typehashes ============
+
+    /// @notice Typehash of a signed transfer anyone may submit
+    bytes32 public constant TRANSFER_WITH_AUTHORIZATION_TYPEHASH =
+        keccak256(
+            "TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+        );
+
+    /// @notice Typehash of a signed transfer only the payee may submit
+    bytes32 public constant RECEIVE_WITH_AUTHORIZATION_TYPEHASH =
+        keccak256(
+            "ReceiveWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+        );
+
+    /// @notice Typehash of a signed cancellation of an unused authorization
+    bytes32 public constant CANCEL_AUTHORIZATION_TYPEHASH =
+        keccak256("CancelAuthorization(address authorizer,bytes32 nonce)");
+
+    // ============ Supply Cap Timelock ============
+
+    /// @notice Settings changed through the propose/execute timelock
+    enum CapParameter {
+        MaxMintPerTransaction,
+        MaxTotalSupply,
+        CapChangeDelay
+    }
+
+    /// @notice A proposed value and the time from which it can be executed
+    struct PendingCapChange {
+        uint256 value;
+        uint256 executableAt;
+    }
+
+    /// @notice Shortest delay the timelock can be set to
+    uint256 public constant MIN_CAP_CHANGE_DELAY = 1 days;
+
+    /// @notice Longest delay the timelock can be set to
+    uint256 public constant MAX_CAP_CHANGE_DELAY = 30 days;
+
+    // ============ Minter Limits ============
+
+    /// @notice Rolling-window rate limit of a minter (limit 0 = no rate limit)
+    /// @dev inFlight is the amount minted within the window as of updatedAt; it
+    ///      decays linearly by limit per window, so what a minter can mint
+    ///      refills gradually instead of all at once at a window boundary
+    struct MinterRateLimit {
+        uint96 limit;
+        uint32 window;
+        uint96 inFlight;
+        uint32 updatedAt;
+    }
+
+    /// @notice Allowance each constructor minter starts with
+    uint256 public constant INITIAL_MINTER_ALLOWANCE = 10_000_000 * 1e6;
+
+    /// @notice Longest rate limit window
+    uint256 public constant MAX_RATE_LIMIT_WINDOW = 30 days;
+
     // ============ State Variables ============
 
     /// @notice Mapping of blacklisted addresses for compliance
@@ -81,12 +147,33 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
     /// @notice Maximum total supply cap
     uint256 public maxTotalSupply;
 
+    /// @notice Time between proposing a cap change and being able to execute it
+    uint256 public capChangeDelay;
+
+    /// @notice Proposed cap changes waiting for their delay (executableAt is 0 if none)
+    mapping(CapParameter parameter => PendingCapChange change) private _pendingCapChanges;
+
+    /// @notice Amount each minter may still mint; every mint consumes it
+    mapping(address minter => uint256 allowance) private _minterAllowances;
+
+    /// @notice Optional rolling-window rate limit per minter
+    mapping(address minter => MinterRateLimit rateLimit) private _minterRateLimits;
+
     /// @notice Total reserves backing the stablecoin (USDT + USDC equivalent)
     uint256 public totalReserves;
 
     /// @notice Last reserve attestation timestamp
     uint256 public lastReserveUpdate;
 
+    /// @notice Merkle root of the itemized reserve holdings last published
+    /// @dev Zero until the first updateReservesWithRoot call. Later reserve
+    ///      updates without a root leave it unchanged; the ReserveRootUpdated
+    ///      event records the totalReserves each root was published with
+    bytes32 public reserveRoot;
+
+    /// @notice EIP-3009 nonces already used or canceled, per authorizer
+    mapping(address authorizer => mapping(bytes32 nonce => bool used)) private _authorizationStates;
+
     // ============ Events ============
 
     /// @notice Emitted when an address is blacklisted
@@ -107,6 +194,37 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
     /// @notice Emitted when max total supply is updated
     event MaxTotalSupplyUpdated(uint256 oldLimit, uint256 newLimit);
 
+    /// @notice Emitted when a cap change is proposed; it cannot execute before executableAt
+    event CapChangeProposed(
+        CapParameter indexed parameter,
+        uint256 oldValue,
+        uint256 newValue,
+        uint256 executableAt,
+        address indexed proposedBy
+    );
+
+    /// @notice Emitted when a proposed cap change takes effect
+    event CapChangeExecuted(
+        CapParameter indexed parameter,
+        uint256 oldValue,
+        uint256 newValue,
+        address indexed executedBy
+    );
+
+    /// @notice Emitted when a proposed cap change is withdrawn
+    event CapChangeCanceled(CapParameter indexed parameter, uint256 value, address indexed canceledBy);
+
+    /// @notice Emitted when the admin sets a minter's allowance
+    event MinterAllowanceUpdated(
+        address indexed minter,
+        uint256 oldAllowance,
+        uint256 newAllowance,
+        address indexed updatedBy
+    );
+
+    /// @notice Emitted when the admin sets or removes (limit 0) a minter's rate limit
+    event MinterRateLimitUpdated(address indexed minter, uint256 limit, uint256 window, address indexed updatedBy);
+
     /// @notice Emitted when reserves are updated (for transparency)
     /// @dev Ratio is in basis points (10000 = 100%)
     event ReservesUpdated(
@@ -116,12 +234,25 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         address indexed updatedBy
     );
 
+    /// @notice Emitted when a Merkle root of the reserve holdings is published
+    event ReserveRootUpdated(bytes32 indexed reserveRoot, uint256 totalReserves, address indexed updatedBy);
+
     /// @notice Emitted when reserves are added
     event ReservesAdded(uint256 amount, string reserveType, address indexed addedBy);
 
     /// @notice Emitted when reserves are removed
     event ReservesRemoved(uint256 amount, string reason, address indexed removedBy);
 
+    /// @notice Emitted when a blacklisted balance is destroyed for compliance
+    /// @dev caseReference identifies the legal or compliance case (e.g. "OFAC-2026-0142")
+    event ComplianceBurn(address indexed account, uint256 amount, string caseReference, address indexed burnedBy);
+
+    /// @notice Emitted when an EIP-3009 authorization is executed
+    event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce);
+
+    /// @notice Emitted when an unused EIP-3009 authorization is canceled
+    event AuthorizationCanceled(address indexed authorizer, bytes32 indexed nonce);
+
     // ============ Custom Errors ============
 
     error AccountBlacklisted(address account);
@@ -133,6 +264,21 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
     error ZeroAddress();
     error ZeroAmount();
     error SameValue();
+    error AccountNotBlacklisted(address account);
+    error MissingCaseReference();
+    error MissingReserveRoot();
+    error AuthorizationNotYetValid(uint256 validAfter);
+    error AuthorizationExpired(uint256 validBefore);
+    error AuthorizationAlreadyUsed(address authorizer, bytes32 nonce);
+    error InvalidAuthorizationSigner(address signer, address authorizer);
+    error CallerNotPayee(address caller, address payee);
+    error CapChangeAlreadyPending(CapParameter parameter, uint256 value, uint256 executableAt);
+    error NoPendingCapChange(CapParameter parameter);
+    error CapChangeNotReady(CapParameter parameter, uint256 executableAt);
+    error CapChangeDelayOutOfRange(uint256 delay, uint256 minimum, uint256 maximum);
+    error MinterAllowanceExceeded(address minter, uint256 requested, uint256 allowance);
+    error MinterRateLimitExceeded(address minter, uint256 requested, uint256 available);
+    error RateLimitWindowOutOfRange(uint256 window, uint256 minimum, uint256 maximum);
 
     // ============ Constructor ============
 
@@ -148,12 +294,13 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
      *
      *      Gnosis Safe (Master Admin):
      *      • Holds DEFAULT_ADMIN_ROLE (can grant/revoke all roles)
-     *      • Holds ADMIN_ROLE (can update supply caps)
+     *      • Holds ADMIN_ROLE (can propose and execute supply cap changes)
      *      • Receives initial 10M USDTq supply
      *      • Can update any role assignment via multi-sig
      *
      *      Operational Roles (Assigned to Separate Signers):
-     *      • MINTER_ROLE: Supply management (mint/burn)
+     *      • MINTER_ROLE: Supply management (mint/burn), within a per-minter
+     *        allowance set by the admin
      *      • BLACKLISTER_ROLE: Compliance management
      *      • PAUSER_ROLE: Emergency response
      *      • RESERVE_MANAGER_ROLE: Reserve attestations
@@ -167,6 +314,8 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
      *      • Supply: 10,000,000 USDTq minted to Gnosis Safe
      *      • Max per tx: 10M USDTq (adjustable)
      *      • Max total: 1B USDTq (adjustable)
+     *      • Cap change delay: 2 days (adjustable, 1-30 days)
+     *      • Minter allowance: 10M USDTq per initial minter, no rate limit
      *      • Token: "USDTq teamquant.space" (USDTq), 6 decimals
      *      • Collateralization ratio: 10000 basis points = 100%
      */
@@ -176,7 +325,7 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         address[] memory blacklisterSigners,
         address[] memory pauserSigners,
         address[] memory reserveManagerSigners
-    ) ERC20("USDTq teamquant.space", "USDTq") {
+    ) ERC20("USDTq teamquant.space", "USDTq") ERC20Permit("USDTq teamquant.space") {
         if (gnosisSafe == address(0)) revert ZeroAddress();
 
         // Validate array lengths to prevent DoS attacks
@@ -196,6 +345,8 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         for (uint256 i = 0; i < minterLength; ) {
             if (minterSigners[i] == address(0)) revert ZeroAddress();
             _grantRole(MINTER_ROLE, minterSigners[i]);
+            _minterAllowances[minterSigners[i]] = INITIAL_MINTER_ALLOWANCE;
+            emit MinterAllowanceUpdated(minterSigners[i], 0, INITIAL_MINTER_ALLOWANCE, address(this));
             unchecked {
                 ++i;
             }
@@ -231,6 +382,7 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         // ============ Initialize Supply Caps ============
         maxMintPerTransaction = 10_000_000 * 1e6; // 10 million per transaction
         maxTotalSupply = 1_000_000_000 * 1e6; // 1 billion total cap
+        capChangeDelay = 2 days;
 
         // ============ Mint Initial Supply to Gnosis Safe ============
         uint256 initialSupply = 10_000_000 * 1e6; // 10 million USDTq
@@ -259,6 +411,7 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
      *
      * @dev Only works when contract is not paused
      *      Enforces per-transaction and total supply limits
+     *      Consumes the caller's minter allowance and rate limit
      *      Prevents minting to blacklisted addresses
      *      Emits TokensMinted event for transparency
      */
@@ -276,6 +429,8 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
             revert ExceedsMaxTotalSupply(newSupply, maxTotalSupply);
         }
 
+        _useMinterLimits(msg.sender, amount);
+
         _mint(to, amount);
         emit TokensMinted(msg.sender, to, amount);
     }
@@ -300,33 +455,30 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
     // ============ Supply Management ============
 
     /**
-     * @notice Update maximum mint per transaction
+     * @notice Propose a new maximum mint per transaction
      * @param newLimit New maximum mint amount per transaction
      *
      * @dev Only callable by admin (Gnosis Safe)
-     *      Useful for scaling operations as demand grows
-     *      Prevents re-storing the same value to save gas
+     *      Takes effect through executeCapChange once capChangeDelay has passed,
+     *      so holders and integrators see the new limit before it applies
+     *      One pending change per parameter; cancel it to propose another
      */
-    function setMaxMintPerTransaction(uint256 newLimit) external onlyRole(ADMIN_ROLE) {
+    function proposeMaxMintPerTransaction(uint256 newLimit) external onlyRole(ADMIN_ROLE) {
         if (newLimit == 0) revert ZeroAmount();
         if (newLimit == maxMintPerTransaction) revert SameValue();
 
-        uint256 oldLimit = maxMintPerTransaction;
-        maxMintPerTransaction = newLimit;
-
-        emit MaxMintPerTransactionUpdated(oldLimit, newLimit);
+        _proposeCapChange(CapParameter.MaxMintPerTransaction, maxMintPerTransaction, newLimit);
     }
 
     /**
-     * @notice Update maximum total supply cap
+     * @notice Propose a new maximum total supply cap
      * @param newLimit New maximum total supply
      *
      * @dev Only callable by admin (Gnosis Safe)
-     *      Cannot be set below current supply
-     *      Useful for planned supply expansion
-     *      Prevents re-storing the same value to save gas
+     *      Cannot be below current supply, checked again on execution since
+     *      supply can grow during the delay
      */
-    function setMaxTotalSupply(uint256 newLimit) external onlyRole(ADMIN_ROLE) {
+    function proposeMaxTotalSupply(uint256 newLimit) external onlyRole(ADMIN_ROLE) {
         uint256 currentSupply = totalSupply();
 
         if (newLimit < currentSupply) {
@@ -335,10 +487,164 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
 
         if (newLimit == maxTotalSupply) revert SameValue();
 
-        uint256 oldLimit = maxTotalSupply;
-        maxTotalSupply = newLimit;
+        _proposeCapChange(CapParameter.MaxTotalSupply, maxTotalSupply, newLimit);
+    }
+
+    /**
+     * @notice Propose a new delay for supply cap changes
+     * @param newDelay New delay in seconds (MIN_CAP_CHANGE_DELAY to MAX_CAP_CHANGE_DELAY)
+     *
+     * @dev Only callable by admin (Gnosis Safe)
+     *      Goes through the current delay itself, so it cannot be used to
+     *      shorten the warning for a cap change proposed alongside it
+     */
+    function proposeCapChangeDelay(uint256 newDelay) external onlyRole(ADMIN_ROLE) {
+        if (newDelay < MIN_CAP_CHANGE_DELAY || newDelay > MAX_CAP_CHANGE_DELAY) {
+            revert CapChangeDelayOutOfRange(newDelay, MIN_CAP_CHANGE_DELAY, MAX_CAP_CHANGE_DELAY);
+        }
+        if (newDelay == capChangeDelay) revert SameValue();
+
+        _proposeCapChange(CapParameter.CapChangeDelay, capChangeDelay, newDelay);
+    }
+
+    /**
+     * @notice Apply a proposed cap change whose delay has passed
+     * @param parameter Setting to change
+     *
+     * @dev Only callable by admin (Gnosis Safe)
+     *      Emits CapChangeExecuted, plus MaxMintPerTransactionUpdated or
+     *      MaxTotalSupplyUpdated for the supply caps
+     */
+    function executeCapChange(CapParameter parameter) external onlyRole(ADMIN_ROLE) {
+        PendingCapChange memory change = _pendingCapChanges[parameter];
+        if (change.executableAt == 0) revert NoPendingCapChange(parameter);
+        if (block.timestamp < change.executableAt) revert CapChangeNotReady(parameter, change.executableAt);
+
+        delete _pendingCapChanges[parameter];
+
+        uint256 oldValue;
+        if (parameter == CapParameter.MaxMintPerTransaction) {
+            oldValue = maxMintPerTransaction;
+            maxMintPerTransaction = change.value;
+            emit MaxMintPerTransactionUpdated(oldValue, change.value);
+        } else if (parameter == CapParameter.MaxTotalSupply) {
+            uint256 currentSupply = totalSupply();
+            if (change.value < currentSupply) {
+                revert MaxSupplyBelowCurrentSupply(change.value, currentSupply);
+            }
+
+            oldValue = maxTotalSupply;
+            maxTotalSupply = change.value;
+            emit MaxTotalSupplyUpdated(oldValue, change.value);
+        } else {
+            oldValue = capChangeDelay;
+            capChangeDelay = change.value;
+        }
+
+        emit CapChangeExecuted(parameter, oldValue, change.value, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw a proposed cap change
+     * @param parameter Setting whose pending change is canceled
+     *
+     * @dev Only callable by admin (Gnosis Safe)
+     *      Possible at any time before execution, including after the delay
+     */
+    function cancelCapChange(CapParameter parameter) external onlyRole(ADMIN_ROLE) {
+        PendingCapChange memory change = _pendingCapChanges[parameter];
+        if (change.executableAt == 0) revert NoPendingCapChange(parameter);
+
+        delete _pendingCapChanges[parameter];
+
+        emit CapChangeCanceled(parameter, change.value, msg.sender);
+    }
+
+    /**
+     * @notice Get the pending change of a capped setting
+     * @param parameter Setting to look up
+     * @return value Proposed value (0 if none)
+     * @return executableAt Time from which it can be executed (0 if none)
+     */
+    function pendingCapChange(CapParameter parameter) external view returns (uint256 value, uint256 executableAt) {
+        PendingCapChange memory change = _pendingCapChanges[parameter];
+        return (change.value, change.executableAt);
+    }
+
+    // ============ Minter Limits ============
+
+    /**
+     * @notice Set how much a minter may still mint
+     * @param minter Minter address (may be set before MINTER_ROLE is granted)
+     * @param allowance New allowance; replaces the current one
+     *
+     * @dev Only callable by admin (Gnosis Safe)
+     *      Takes effect immediately, so a compromised minter can be cut off
+     *      by setting 0. Minters granted MINTER_ROLE after deployment start
+     *      with no allowance
+     */
+    function setMinterAllowance(address minter, uint256 allowance) external onlyRole(ADMIN_ROLE) {
+        if (minter == address(0)) revert ZeroAddress();
+
+        uint256 oldAllowance = _minterAllowances[minter];
+        if (allowance == oldAllowance) revert SameValue();
+
+        _minterAllowances[minter] = allowance;
+        emit MinterAllowanceUpdated(minter, oldAllowance, allowance, msg.sender);
+    }
+
+    /**
+     * @notice Limit how much a minter may mint within a rolling window
+     * @param minter Minter address
+     * @param limit Most the minter may have in flight, freed linearly over the window; 0 removes the limit
+     * @param window Window length in seconds (up to MAX_RATE_LIMIT_WINDOW; ignored when limit is 0)
+     *
+     * @dev Only callable by admin (Gnosis Safe)
+     *      Amounts minted recently keep counting against the new limit, so
+     *      reconfiguring does not reset the window
+     */
+    function setMinterRateLimit(address minter, uint256 limit, uint256 window) external onlyRole(ADMIN_ROLE) {
+        if (minter == address(0)) revert ZeroAddress();
+
+        if (limit == 0) {
+            delete _minterRateLimits[minter];
+            emit MinterRateLimitUpdated(minter, 0, 0, msg.sender);
+            return;
+        }
+        if (window == 0 || window > MAX_RATE_LIMIT_WINDOW) {
+            revert RateLimitWindowOutOfRange(window, 1, MAX_RATE_LIMIT_WINDOW);
+        }
+
+        (uint256 inFlight, ) = _currentRateLimit(_minterRateLimits[minter]);
+        _minterRateLimits[minter] = MinterRateLimit(
+            SafeCast.toUint96(limit),
+            uint32(window),
+            SafeCast.toUint96(inFlight),
+            uint32(block.timestamp)
+        );
+        emit MinterRateLimitUpdated(minter, limit, window, msg.sender);
+    }
+
+    /**
+     * @notice Get how much a minter may still mint under its allowance
+     * @param minter Minter address
+     * @return uint256 Remaining allowance
+     */
+    function minterAllowance(address minter) external view returns (uint256) {
+        return _minterAllowances[minter];
+    }
 
-        emit MaxTotalSupplyUpdated(oldLimit, newLimit);
+    /**
+     * @notice Get a minter's rate limit and what it can mint right now under it
+     * @param minter Minter address
+     * @return limit Most the minter may have in flight (0 = no rate limit)
+     * @return window Window length in seconds
+     * @return available Amount the rate limit allows now (type(uint256).max without a limit)
+     */
+    function minterRateLimit(address minter) external view returns (uint256 limit, uint256 window, uint256 available) {
+        MinterRateLimit memory rateLimit = _minterRateLimits[minter];
+        (, available) = _currentRateLimit(rateLimit);
+        return (rateLimit.limit, rateLimit.window, available);
     }
 
     // ============ Reserve Management & Transparency ============
@@ -362,6 +668,34 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         emit ReservesUpdated(newReserveAmount, currentSupply, collateralizationRatio, msg.sender);
     }
 
+    /**
+     * @notice Update reserve attestation with a Merkle root of its line items
+     * @param newReserveAmount Total reserves in USD equivalent (6 decimals)
+     * @param newReserveRoot Merkle root of the itemized holdings behind the total
+     *
+     * @dev Only callable by reserve manager
+     *      Leaves are keccak256(keccak256(abi.encode(index, asset, custodian,
+     *      account, amount, usdValue))) with sorted-pair hashing, so holders of
+     *      a line item can check its inclusion proof against reserveRoot
+     *      (off-chain or with OpenZeppelin MerkleProof)
+     */
+    function updateReservesWithRoot(
+        uint256 newReserveAmount,
+        bytes32 newReserveRoot
+    ) external onlyRole(RESERVE_MANAGER_ROLE) {
+        if (newReserveRoot == bytes32(0)) revert MissingReserveRoot();
+
+        totalReserves = newReserveAmount;
+        lastReserveUpdate = block.timestamp;
+        reserveRoot = newReserveRoot;
+
+        uint256 currentSupply = totalSupply();
+        uint256 collateralizationRatio = currentSupply != 0 ? (newReserveAmount * 10000) / currentSupply : 10000;
+
+        emit ReservesUpdated(newReserveAmount, currentSupply, collateralizationRatio, msg.sender);
+        emit ReserveRootUpdated(newReserveRoot, newReserveAmount, msg.sender);
+    }
+
     /**
      * @notice Record reserve addition
      * @param amount Amount of reserves added (6 decimals)
@@ -447,6 +781,45 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         emit UnBlacklisted(account);
     }
 
+    /**
+     * @notice Destroy tokens held by a blacklisted address
+     * @param account Blacklisted address holding the frozen funds
+     * @param amount Amount to destroy (6 decimals)
+     * @param caseReference Legal or compliance case the burn is made under
+     *
+     * @dev Callable by a blacklister or by admin (Gnosis Safe)
+     *      burnFrom needs an allowance a sanctioned holder will never give;
+     *      this path needs none, but only works on blacklisted addresses
+     *      Works while paused, like all burns
+     *      The reserves backing the burned tokens are segregated for the case,
+     *      so totalReserves is reduced by the same amount (never below zero)
+     *      Equal reductions keep a ratio of exactly 100%, but move any other
+     *      ratio further from it: 150 reserves against 100 supply becomes
+     *      100 against 50 (200%) after burning 50
+     *      lastReserveUpdate is not touched: this is not a reserve attestation
+     *      Emits ComplianceBurn and ReservesUpdated
+     */
+    function complianceBurn(address account, uint256 amount, string calldata caseReference) external {
+        if (!hasRole(BLACKLISTER_ROLE, msg.sender) && !hasRole(ADMIN_ROLE, msg.sender)) {
+            revert AccessControlUnauthorizedAccount(msg.sender, BLACKLISTER_ROLE);
+        }
+        if (amount == 0) revert ZeroAmount();
+        if (bytes(caseReference).length == 0) revert MissingCaseReference();
+        if (!_blacklisted[account]) revert AccountNotBlacklisted(account);
+
+        _burn(account, amount);
+
+        uint256 _totalReserves = totalReserves;
+        totalReserves = amount < _totalReserves ? _totalReserves - amount : 0;
+
+        emit ComplianceBurn(account, amount, caseReference, msg.sender);
+
+        uint256 currentSupply = totalSupply();
+        uint256 collateralizationRatio = currentSupply != 0 ? (totalReserves * 10000) / currentSupply : 10000;
+
+        emit ReservesUpdated(totalReserves, currentSupply, collateralizationRatio, msg.sender);
+    }
+
     /**
      * @notice Check if an address is blacklisted
      * @param account Address to check
@@ -472,6 +845,7 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
      *
      * @dev Transfers and burns remain active for user protection
      *      Only authorized pauser can execute
+     *      Takes effect immediately; unlike supply caps it is never timelocked
      *      Emits Paused event from OpenZeppelin Pausable
      */
     function pause() external onlyRole(PAUSER_ROLE) {
@@ -488,6 +862,156 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         _unpause();
     }
 
+    // ============ Permit (EIP-2612) ============
+
+    /**
+     * @notice Approve `spender` with an off-chain signature from `owner`
+     * @param owner Token holder who signed the permit
+     * @param spender Address being approved
+     * @param value Allowance to set (6 decimals)
+     * @param deadline Timestamp after which the signature is rejected
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     *
+     * @dev Anyone can submit the signature; the nonce makes it single-use
+     *      Rejects a blacklisted owner or spender before the signature is
+     *      checked, so the nonce is not consumed and a permit signed before a
+     *      blacklisting can still be used (until its deadline) once lifted
+     *      Signing domain: name "USDTq teamquant.space", version "1"
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public override {
+        if (_blacklisted[owner]) revert AccountBlacklisted(owner);
+        if (_blacklisted[spender]) revert AccountBlacklisted(spender);
+
+        super.permit(owner, spender, value, deadline, v, r, s);
+    }
+
+    // ============ Transfer With Authorization (EIP-3009) ============
+
+    /**
+     * @notice Transfer tokens with a signed authorization from `from`
+     * @param from Payer who signed the authorization
+     * @param to Payee
+     * @param value Amount to transfer (6 decimals)
+     * @param validAfter Timestamp after which the authorization is valid
+     * @param validBefore Timestamp before which the authorization is valid
+     * @param nonce Unique 32-byte nonce chosen by the payer
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     *
+     * @dev Anyone can submit the authorization (a relayer pays the gas)
+     *      The transfer goes through _update, so a blacklisted payer or payee
+     *      reverts with AccountBlacklisted and the nonce stays unused
+     *      Works while paused, like all transfers
+     *      Emits AuthorizationUsed and Transfer
+     */
+    function transferWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _useAuthorization(
+            TRANSFER_WITH_AUTHORIZATION_TYPEHASH,
+            from,
+            to,
+            value,
+            validAfter,
+            validBefore,
+            nonce,
+            v,
+            r,
+            s
+        );
+        _transfer(from, to, value);
+    }
+
+    /**
+     * @notice Receive tokens with a signed authorization from `from`
+     * @dev Same as transferWithAuthorization, but only the payee can submit
+     *      it, so a signature seen in the mempool cannot be front-run into a
+     *      call the payee did not expect (e.g. around a deposit to a contract)
+     *      Reverts with CallerNotPayee if the caller is not `to`
+     */
+    function receiveWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        if (to != msg.sender) revert CallerNotPayee(msg.sender, to);
+
+        _useAuthorization(
+            RECEIVE_WITH_AUTHORIZATION_TYPEHASH,
+            from,
+            to,
+            value,
+            validAfter,
+            validBefore,
+            nonce,
+            v,
+            r,
+            s
+        );
+        _transfer(from, to, value);
+    }
+
+    /**
+     * @notice Cancel an unused authorization
+     * @param authorizer Payer who signed the authorization and the cancellation
+     * @param nonce Nonce of the authorization to cancel
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     *
+     * @dev Moves no tokens, so it is not blacklist-checked
+     *      Emits AuthorizationCanceled
+     */
+    function cancelAuthorization(address authorizer, bytes32 nonce, uint8 v, bytes32 r, bytes32 s) external {
+        if (_authorizationStates[authorizer][nonce]) revert AuthorizationAlreadyUsed(authorizer, nonce);
+
+        _checkAuthorizationSigner(
+            authorizer,
+            keccak256(abi.encode(CANCEL_AUTHORIZATION_TYPEHASH, authorizer, nonce)),
+            v,
+            r,
+            s
+        );
+
+        _authorizationStates[authorizer][nonce] = true;
+        emit AuthorizationCanceled(authorizer, nonce);
+    }
+
+    /**
+     * @notice Check whether an authorization nonce has been used or canceled
+     * @param authorizer Payer who signed the authorization
+     * @param nonce Authorization nonce
+     * @return bool True if the nonce can no longer be used
+     */
+    function authorizationState(address authorizer, bytes32 nonce) external view returns (bool) {
+        return _authorizationStates[authorizer][nonce];
+    }
+
     // ============ View Functions ============
 
     /**
@@ -559,6 +1083,103 @@ contract USDTq is ERC20, ERC20Burnable, AccessControl, Pausable {
         super._update(from, to, amount);
     }
 
+    /**
+     * @notice Record a cap change to be executed after capChangeDelay
+     */
+    function _proposeCapChange(CapParameter parameter, uint256 oldValue, uint256 newValue) private {
+        PendingCapChange memory pending = _pendingCapChanges[parameter];
+        if (pending.executableAt != 0) {
+            revert CapChangeAlreadyPending(parameter, pending.value, pending.executableAt);
+        }
+
+        uint256 executableAt = block.timestamp + capChangeDelay;
+        _pendingCapChanges[parameter] = PendingCapChange(newValue, executableAt);
+
+        emit CapChangeProposed(parameter, oldValue, newValue, executableAt, msg.sender);
+    }
+
+    /**
+     * @notice Consume a minter's allowance and rate limit for a mint
+     */
+    function _useMinterLimits(address minter, uint256 amount) private {
+        uint256 allowance = _minterAllowances[minter];
+        if (amount > allowance) revert MinterAllowanceExceeded(minter, amount, allowance);
+        unchecked {
+            _minterAllowances[minter] = allowance - amount;
+        }
+
+        MinterRateLimit memory rateLimit = _minterRateLimits[minter];
+        if (rateLimit.limit == 0) return;
+
+        (uint256 inFlight, uint256 available) = _currentRateLimit(rateLimit);
+        if (amount > available) revert MinterRateLimitExceeded(minter, amount, available);
+
+        rateLimit.inFlight = uint96(inFlight + amount);
+        rateLimit.updatedAt = uint32(block.timestamp);
+        _minterRateLimits[minter] = rateLimit;
+    }
+
+    /**
+     * @notice Decay a rate limit's in-flight amount to now
+     * @return inFlight Amount still counting against the limit
+     * @return available Amount that can be minted now (type(uint256).max without a limit)
+     */
+    function _currentRateLimit(
+        MinterRateLimit memory rateLimit
+    ) private view returns (uint256 inFlight, uint256 available) {
+        if (rateLimit.limit == 0) return (0, type(uint256).max);
+
+        uint256 decay = (uint256(rateLimit.limit) * (block.timestamp - rateLimit.updatedAt)) / rateLimit.window;
+        inFlight = rateLimit.inFlight > decay ? rateLimit.inFlight - decay : 0;
+        available = rateLimit.limit > inFlight ? rateLimit.limit - inFlight : 0;
+    }
+
+    /**
+     * @notice Validate an EIP-3009 authorization and mark its nonce used
+     * @dev The validity window is exclusive at both ends, as in EIP-3009
+     */
+    function _useAuthorization(
+        bytes32 typehash,
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) private {
+        if (block.timestamp <= validAfter) revert AuthorizationNotYetValid(validAfter);
+        if (block.timestamp >= validBefore) revert AuthorizationExpired(validBefore);
+        if (_authorizationStates[from][nonce]) revert AuthorizationAlreadyUsed(from, nonce);
+
+        _checkAuthorizationSigner(
+            from,
+            keccak256(abi.encode(typehash, from, to, value, validAfter, validBefore, nonce)),
+            v,
+            r,
+            s
+        );
+
+        _authorizationStates[from][nonce] = true;
+        emit AuthorizationUsed(from, nonce);
+    }
+
+    /**
+     * @notice Revert unless `authorizer` signed the EIP-712 struct hash
+     */
+    function _checkAuthorizationSigner(
+        address authorizer,
+        bytes32 structHash,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) private view {
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
+        if (signer != authorizer) revert InvalidAuthorizationSigner(signer, authorizer);
+    }
+
     /**
      * @notice Returns the number of decimals used for token amounts
      * @return uint8 Number of decimals (6 for USDTq)
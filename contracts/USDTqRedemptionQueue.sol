@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title USDTqRedemptionQueue - On-chain redemption requests for USDTq
+ * @author teamquant.space
+ * @notice Holders lock USDTq here with a redemption reference; an operator
+ *         then settles the request (burning the USDTq) or rejects it
+ *         (refunding the holder)
+ * @dev Companion to the non-upgradeable USDTq contract.
+ *
+ * LIFECYCLE:
+ *   requestRedemption ──► Pending ──► settleRedemption ──► Settled (burned)
+ *                                 └─► rejectRedemption ──► Rejected (refunded)
+ *
+ * Settlement burns through USDTq.burnFrom, so the queue must hold
+ * MINTER_ROLE on USDTq. It has no mint path, and minters granted after
+ * deployment start without a mint allowance, so the role only lets it burn
+ * what holders locked here.
+ *
+ * ROLES:
+ * - DEFAULT_ADMIN_ROLE: Gnosis Safe, grants and revokes operators
+ * - OPERATOR_ROLE: settles or rejects pending requests
+ */
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { IUSDTq } from "./interfaces/IUSDTq.sol";
+
+contract USDTqRedemptionQueue is AccessControl {
+    using SafeERC20 for IERC20;
+
+    // ============ Types ============
+
+    /// @notice State of a redemption request
+    enum Status {
+        None,
+        Pending,
+        Settled,
+        Rejected
+    }
+
+    struct Redemption {
+        address holder;
+        uint40 requestedAt;
+        uint40 resolvedAt;
+        Status status;
+        uint256 amount;
+        string redemptionReference;
+    }
+
+    // ============ Role Definitions ============
+
+    /// @notice Role for settling and rejecting redemption requests
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    // ============ Constants ============
+
+    /// @notice Maximum number of operators set in the constructor
+    uint256 public constant MAX_OPERATORS = 10;
+
+    /// @notice Longest redemption, settlement or rejection reference (bytes)
+    uint256 public constant MAX_REFERENCE_LENGTH = 128;
+
+    // ============ State Variables ============
+
+    /// @notice USDTq token locked and burned by the queue
+    IERC20 public immutable USDTQ;
+
+    /// @notice Number of requests so far; ids run from 1 to redemptionCount
+    uint256 public redemptionCount;
+
+    /// @notice USDTq locked in pending requests
+    uint256 public pendingAmount;
+
+    mapping(uint256 => Redemption) private _redemptions;
+
+    // ============ Events ============
+
+    /// @notice Emitted when a holder locks USDTq for redemption
+    event RedemptionRequested(uint256 indexed id, address indexed holder, uint256 amount, string redemptionReference);
+
+    /// @notice Emitted when an operator settles a request and the USDTq is burned
+    event RedemptionSettled(
+        uint256 indexed id,
+        address indexed holder,
+        uint256 amount,
+        string settlementReference,
+        address indexed operator
+    );
+
+    /// @notice Emitted when an operator rejects a request and the holder is refunded
+    event RedemptionRejected(
+        uint256 indexed id,
+        address indexed holder,
+        uint256 amount,
+        string reason,
+        address indexed operator
+    );
+
+    // ============ Custom Errors ============
+
+    error ZeroAddress();
+    error ZeroAmount();
+    error TooManyOperators(uint256 provided, uint256 maximum);
+    error EmptyReference();
+    error ReferenceTooLong(uint256 length, uint256 maximum);
+    error RedemptionNotPending(uint256 id, Status status);
+
+    // ============ Constructor ============
+
+    /**
+     * @notice Initialize the queue for a USDTq deployment
+     * @param usdtqAddress USDTq token
+     * @param gnosisSafe Gnosis Safe receiving DEFAULT_ADMIN_ROLE
+     * @param operators Addresses receiving OPERATOR_ROLE (max 10)
+     *
+     * @dev The queue approves itself for its own balance once, so burnFrom
+     *      can burn settled requests without a new approval each time
+     */
+    constructor(address usdtqAddress, address gnosisSafe, address[] memory operators) {
+        if (usdtqAddress == address(0) || gnosisSafe == address(0)) revert ZeroAddress();
+        if (operators.length > MAX_OPERATORS) {
+            revert TooManyOperators(operators.length, MAX_OPERATORS);
+        }
+
+        USDTQ = IERC20(usdtqAddress);
+        _grantRole(DEFAULT_ADMIN_ROLE, gnosisSafe);
+
+        uint256 operatorLength = operators.length;
+        for (uint256 i = 0; i < operatorLength; ) {
+            if (operators[i] == address(0)) revert ZeroAddress();
+            _grantRole(OPERATOR_ROLE, operators[i]);
+            unchecked {
+                ++i;
+            }
+        }
+
+        IERC20(usdtqAddress).forceApprove(address(this), type(uint256).max);
+    }
+
+    // ============ Requests ============
+
+    /**
+     * @notice Lock USDTq for redemption
+     * @param amount Amount to redeem (6 decimals)
+     * @param redemptionReference Redemption reference, e.g. the customer's payout instruction id
+     * @return id Request id
+     *
+     * @dev Requires a USDTq approval for the queue. Blacklisted holders
+     *      cannot request, because USDTq refuses the transfer
+     */
+    function requestRedemption(uint256 amount, string calldata redemptionReference) external returns (uint256 id) {
+        if (amount == 0) revert ZeroAmount();
+        _checkReference(redemptionReference);
+
+        id = ++redemptionCount;
+        _redemptions[id] = Redemption({
+            holder: msg.sender,
+            requestedAt: uint40(block.timestamp),
+            resolvedAt: 0,
+            status: Status.Pending,
+            amount: amount,
+            redemptionReference: redemptionReference
+        });
+        pendingAmount += amount;
+
+        USDTQ.safeTransferFrom(msg.sender, address(this), amount);
+        emit RedemptionRequested(id, msg.sender, amount, redemptionReference);
+    }
+
+    // ============ Settlement ============
+
+    /**
+     * @notice Settle a pending request and burn its USDTq
+     * @param id Request id
+     * @param settlementReference Off-chain payout reference (e.g. wire or transaction id)
+     *
+     * @dev Only callable by operators
+     *      Emits TokensBurned from USDTq with the queue as burner
+     */
+    function settleRedemption(uint256 id, string calldata settlementReference) external onlyRole(OPERATOR_ROLE) {
+        _checkReference(settlementReference);
+        Redemption storage request = _resolve(id, Status.Settled);
+
+        IUSDTq(address(USDTQ)).burnFrom(address(this), request.amount);
+        emit RedemptionSettled(id, request.holder, request.amount, settlementReference, msg.sender);
+    }
+
+    /**
+     * @notice Reject a pending request and refund the holder
+     * @param id Request id
+     * @param reason Rejection reason recorded on-chain
+     *
+     * @dev Only callable by operators
+     *      Reverts while the holder is blacklisted, because USDTq refuses the
+     *      refund; the request then stays pending until compliance decides
+     */
+    function rejectRedemption(uint256 id, string calldata reason) external onlyRole(OPERATOR_ROLE) {
+        _checkReference(reason);
+        Redemption storage request = _resolve(id, Status.Rejected);
+
+        USDTQ.safeTransfer(request.holder, request.amount);
+        emit RedemptionRejected(id, request.holder, request.amount, reason, msg.sender);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get a redemption request
+     * @param id Request id
+     * @return Redemption Request (status None if the id does not exist)
+     */
+    function redemption(uint256 id) external view returns (Redemption memory) {
+        return _redemptions[id];
+    }
+
+    // ============ Internal ============
+
+    /**
+     * @notice Move a pending request to its final status
+     */
+    function _resolve(uint256 id, Status status) private returns (Redemption storage request) {
+        request = _redemptions[id];
+        if (request.status != Status.Pending) revert RedemptionNotPending(id, request.status);
+
+        request.status = status;
+        request.resolvedAt = uint40(block.timestamp);
+        pendingAmount -= request.amount;
+    }
+
+    function _checkReference(string calldata value) private pure {
+        uint256 length = bytes(value).length;
+        if (length == 0) revert EmptyReference();
+        if (length > MAX_REFERENCE_LENGTH) revert ReferenceTooLong(length, MAX_REFERENCE_LENGTH);
+    }
+}
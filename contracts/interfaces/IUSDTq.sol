@@ -1,13 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.28;
 
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+
 /**
  * @title IUSDTq - Interface for USDTq Stablecoin
  * @author teamquant.space
  * @notice Interface defining the public functions of the USDTq stablecoin contract
  * @dev This interface can be used by external contracts to interact with USDTq
+ *      Includes EIP-2612 permit, nonces and DOMAIN_SEPARATOR from IERC20Permit
  */
-interface IUSDTq {
+interface IUSDTq is IERC20Permit {
+    // ============ Types ============
+
+    /// @notice Settings changed through the propose/execute timelock
+    enum CapParameter {
+        MaxMintPerTransaction,
+        MaxTotalSupply,
+        CapChangeDelay
+    }
+
     // ============ Events ============
 
     /// @notice Emitted when an address is blacklisted
@@ -28,6 +40,37 @@ interface IUSDTq {
     /// @notice Emitted when max total supply is updated
     event MaxTotalSupplyUpdated(uint256 oldLimit, uint256 newLimit);
 
+    /// @notice Emitted when a cap change is proposed
+    event CapChangeProposed(
+        CapParameter indexed parameter,
+        uint256 oldValue,
+        uint256 newValue,
+        uint256 executableAt,
+        address indexed proposedBy
+    );
+
+    /// @notice Emitted when a proposed cap change takes effect
+    event CapChangeExecuted(
+        CapParameter indexed parameter,
+        uint256 oldValue,
+        uint256 newValue,
+        address indexed executedBy
+    );
+
+    /// @notice Emitted when a proposed cap change is withdrawn
+    event CapChangeCanceled(CapParameter indexed parameter, uint256 value, address indexed canceledBy);
+
+    /// @notice Emitted when the admin sets a minter's allowance
+    event MinterAllowanceUpdated(
+        address indexed minter,
+        uint256 oldAllowance,
+        uint256 newAllowance,
+        address indexed updatedBy
+    );
+
+    /// @notice Emitted when the admin sets or removes (limit 0) a minter's rate limit
+    event MinterRateLimitUpdated(address indexed minter, uint256 limit, uint256 window, address indexed updatedBy);
+
     /// @notice Emitted when reserves are updated
     event ReservesUpdated(
         uint256 totalReserves,
@@ -36,12 +79,24 @@ interface IUSDTq {
         address indexed updatedBy
     );
 
+    /// @notice Emitted when a Merkle root of the reserve holdings is published
+    event ReserveRootUpdated(bytes32 indexed reserveRoot, uint256 totalReserves, address indexed updatedBy);
+
     /// @notice Emitted when reserves are added
     event ReservesAdded(uint256 amount, string reserveType, address indexed addedBy);
 
     /// @notice Emitted when reserves are removed
     event ReservesRemoved(uint256 amount, string reason, address indexed removedBy);
 
+    /// @notice Emitted when a blacklisted balance is destroyed for compliance
+    event ComplianceBurn(address indexed account, uint256 amount, string caseReference, address indexed burnedBy);
+
+    /// @notice Emitted when an EIP-3009 authorization is executed
+    event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce);
+
+    /// @notice Emitted when an unused EIP-3009 authorization is canceled
+    event AuthorizationCanceled(address indexed authorizer, bytes32 indexed nonce);
+
     // ============ Custom Errors ============
 
     error AccountBlacklisted(address account);
@@ -53,6 +108,21 @@ interface IUSDTq {
     error ZeroAddress();
     error ZeroAmount();
     error SameValue();
+    error AccountNotBlacklisted(address account);
+    error MissingCaseReference();
+    error MissingReserveRoot();
+    error AuthorizationNotYetValid(uint256 validAfter);
+    error AuthorizationExpired(uint256 validBefore);
+    error AuthorizationAlreadyUsed(address authorizer, bytes32 nonce);
+    error InvalidAuthorizationSigner(address signer, address authorizer);
+    error CallerNotPayee(address caller, address payee);
+    error CapChangeAlreadyPending(CapParameter parameter, uint256 value, uint256 executableAt);
+    error NoPendingCapChange(CapParameter parameter);
+    error CapChangeNotReady(CapParameter parameter, uint256 executableAt);
+    error CapChangeDelayOutOfRange(uint256 delay, uint256 minimum, uint256 maximum);
+    error MinterAllowanceExceeded(address minter, uint256 requested, uint256 allowance);
+    error MinterRateLimitExceeded(address minter, uint256 requested, uint256 available);
+    error RateLimitWindowOutOfRange(uint256 window, uint256 minimum, uint256 maximum);
 
     // ============ Role Constants ============
     // solhint-disable-next-line func-name-mixedcase
@@ -66,12 +136,22 @@ interface IUSDTq {
     // solhint-disable-next-line func-name-mixedcase
     function RESERVE_MANAGER_ROLE() external view returns (bytes32);
 
+    // ============ EIP-3009 Type Hashes ============
+    // solhint-disable-next-line func-name-mixedcase
+    function TRANSFER_WITH_AUTHORIZATION_TYPEHASH() external view returns (bytes32);
+    // solhint-disable-next-line func-name-mixedcase
+    function RECEIVE_WITH_AUTHORIZATION_TYPEHASH() external view returns (bytes32);
+    // solhint-disable-next-line func-name-mixedcase
+    function CANCEL_AUTHORIZATION_TYPEHASH() external view returns (bytes32);
+
     // ============ State Variables ============
 
     function maxMintPerTransaction() external view returns (uint256);
     function maxTotalSupply() external view returns (uint256);
+    function capChangeDelay() external view returns (uint256);
     function totalReserves() external view returns (uint256);
     function lastReserveUpdate() external view returns (uint256);
+    function reserveRoot() external view returns (bytes32);
 
     // ============ Minting Functions ============
 
@@ -92,16 +172,75 @@ interface IUSDTq {
     // ============ Supply Management ============
 
     /**
-     * @notice Update maximum mint per transaction
+     * @notice Propose a new maximum mint per transaction
      * @param newLimit New maximum mint amount per transaction
      */
-    function setMaxMintPerTransaction(uint256 newLimit) external;
+    function proposeMaxMintPerTransaction(uint256 newLimit) external;
 
     /**
-     * @notice Update maximum total supply cap
+     * @notice Propose a new maximum total supply cap
      * @param newLimit New maximum total supply
      */
-    function setMaxTotalSupply(uint256 newLimit) external;
+    function proposeMaxTotalSupply(uint256 newLimit) external;
+
+    /**
+     * @notice Propose a new delay for supply cap changes
+     * @param newDelay New delay in seconds
+     */
+    function proposeCapChangeDelay(uint256 newDelay) external;
+
+    /**
+     * @notice Apply a proposed cap change whose delay has passed
+     * @param parameter Setting to change
+     */
+    function executeCapChange(CapParameter parameter) external;
+
+    /**
+     * @notice Withdraw a proposed cap change
+     * @param parameter Setting whose pending change is canceled
+     */
+    function cancelCapChange(CapParameter parameter) external;
+
+    /**
+     * @notice Get the pending change of a capped setting
+     * @param parameter Setting to look up
+     * @return value Proposed value (0 if none)
+     * @return executableAt Time from which it can be executed (0 if none)
+     */
+    function pendingCapChange(CapParameter parameter) external view returns (uint256 value, uint256 executableAt);
+
+    // ============ Minter Limits ============
+
+    /**
+     * @notice Set how much a minter may still mint
+     * @param minter Minter address
+     * @param allowance New remaining allowance (0 stops the minter)
+     */
+    function setMinterAllowance(address minter, uint256 allowance) external;
+
+    /**
+     * @notice Limit how much a minter may mint within a rolling window
+     * @param minter Minter address
+     * @param limit Most the minter may have in flight, freed linearly over the window; 0 removes the limit
+     * @param window Window length in seconds
+     */
+    function setMinterRateLimit(address minter, uint256 limit, uint256 window) external;
+
+    /**
+     * @notice Get how much a minter may still mint under its allowance
+     * @param minter Minter address
+     * @return uint256 Remaining allowance
+     */
+    function minterAllowance(address minter) external view returns (uint256);
+
+    /**
+     * @notice Get a minter's rate limit and what it can mint right now under it
+     * @param minter Minter address
+     * @return limit Most the minter may have in flight (0 = no rate limit)
+     * @return window Window length in seconds
+     * @return available Amount the rate limit allows now
+     */
+    function minterRateLimit(address minter) external view returns (uint256 limit, uint256 window, uint256 available);
 
     // ============ Reserve Management ============
 
@@ -111,6 +250,13 @@ interface IUSDTq {
      */
     function updateReserves(uint256 newReserveAmount) external;
 
+    /**
+     * @notice Update reserve attestation with a Merkle root of its line items
+     * @param newReserveAmount Total reserves in USD equivalent (6 decimals)
+     * @param newReserveRoot Merkle root of the itemized holdings behind the total
+     */
+    function updateReservesWithRoot(uint256 newReserveAmount, bytes32 newReserveRoot) external;
+
     /**
      * @notice Record reserve addition
      * @param amount Amount of reserves added (6 decimals)
@@ -140,6 +286,14 @@ interface IUSDTq {
      */
     function unBlacklist(address account) external;
 
+    /**
+     * @notice Destroy tokens held by a blacklisted address (blacklister or admin)
+     * @param account Blacklisted address holding the frozen funds
+     * @param amount Amount to destroy (6 decimals)
+     * @param caseReference Legal or compliance case the burn is made under
+     */
+    function complianceBurn(address account, uint256 amount, string calldata caseReference) external;
+
     /**
      * @notice Check if an address is blacklisted
      * @param account Address to check
@@ -166,6 +320,66 @@ interface IUSDTq {
      */
     function unpause() external;
 
+    // ============ Transfer With Authorization (EIP-3009) ============
+
+    /**
+     * @notice Transfer tokens with a signed authorization from `from`
+     * @param from Payer who signed the authorization
+     * @param to Payee
+     * @param value Amount to transfer (6 decimals)
+     * @param validAfter Timestamp after which the authorization is valid
+     * @param validBefore Timestamp before which the authorization is valid
+     * @param nonce Unique 32-byte nonce chosen by the payer
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function transferWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
+    /**
+     * @notice Receive tokens with a signed authorization from `from`
+     * @dev Same as transferWithAuthorization, but only the payee can submit it
+     */
+    function receiveWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
+    /**
+     * @notice Cancel an unused authorization
+     * @param authorizer Payer who signed the authorization and the cancellation
+     * @param nonce Nonce of the authorization to cancel
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function cancelAuthorization(address authorizer, bytes32 nonce, uint8 v, bytes32 r, bytes32 s) external;
+
+    /**
+     * @notice Check whether an authorization nonce has been used or canceled
+     * @param authorizer Payer who signed the authorization
+     * @param nonce Authorization nonce
+     * @return bool True if the nonce can no longer be used
+     */
+    function authorizationState(address authorizer, bytes32 nonce) external view returns (bool);
+
     // ============ View Functions ============
 
     /**
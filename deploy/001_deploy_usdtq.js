@@ -3,10 +3,34 @@
  * @notice Deploys the non-upgradeable USDTq stablecoin contract
  * @dev Uses hardhat-deploy for deterministic deployments
  *
- * IMPORTANT: Update the addresses below before deploying to mainnet!
+ * Constructor arguments come from the network's deployment manifest
+ * (config/manifests/<network>.yaml, or the file named by DEPLOY_MANIFEST).
+ * The manifest is validated before anything is sent, with production rules
+ * on every network flagged `production` in config/networks.yaml. See
+ * utils/manifest.js.
+ *
+ * With `create2Salt` in the manifest the contract is deployed through the
+ * CREATE2 proxy, so the same salt and addresses give the same address on
+ * every chain (`npx hardhat predict-deployment` shows it beforehand).
+ *
+ * IMPORTANT: Review the manifest before deploying to mainnet!
  */
 
-module.exports = async ({ getNamedAccounts, deployments, network }) => {
+const {
+    loadManifest,
+    validateManifest,
+    toConstructorArgs,
+} = require("../utils/manifest");
+const { deployOptions, isProductionNetwork } = require("../utils/networks");
+const {
+    REGISTRY_FILE,
+    getDeployment,
+    hashAbi,
+    hashBytecode,
+    recordDeployment,
+} = require("../utils/registry");
+
+module.exports = async ({ getNamedAccounts, deployments, network, ethers }) => {
     const { deploy, log } = deployments;
     const { deployer } = await getNamedAccounts();
 
@@ -15,58 +39,51 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
     log(`Deployer: ${deployer}`);
 
     // ============================================================
-    // DEPLOYMENT CONFIGURATION - UPDATE BEFORE MAINNET DEPLOYMENT
+    // DEPLOYMENT CONFIGURATION
     // ============================================================
 
-    // For local/testnet: use deployer as placeholder
-    // For mainnet: replace with actual Gnosis Safe address
-    const isMainnet = network.name === "bsc_mainnet";
+    const isProduction = isProductionNetwork(network);
+    const loaded = loadManifest(network.name, {
+        file: process.env.DEPLOY_MANIFEST || undefined,
+    });
 
     let gnosisSafeAddress;
     let minterSigners;
     let blacklisterSigners;
     let pauserSigners;
     let reserveManagerSigners;
-
-    if (isMainnet) {
-        // MAINNET CONFIGURATION
-        // TODO: Replace with actual production addresses
-        gnosisSafeAddress = process.env.GNOSIS_SAFE_ADDRESS;
-        minterSigners = process.env.MINTER_SIGNERS?.split(",") || [];
-        blacklisterSigners = process.env.BLACKLISTER_SIGNERS?.split(",") || [];
-        pauserSigners = process.env.PAUSER_SIGNERS?.split(",") || [];
-        reserveManagerSigners =
-            process.env.RESERVE_MANAGER_SIGNERS?.split(",") || [];
-
-        // Validate mainnet configuration
-        if (!gnosisSafeAddress || gnosisSafeAddress === "") {
-            throw new Error(
-                "GNOSIS_SAFE_ADDRESS must be set for mainnet deployment"
-            );
-        }
-        if (minterSigners.length === 0) {
-            throw new Error(
-                "MINTER_SIGNERS must be set for mainnet deployment"
-            );
-        }
-        if (blacklisterSigners.length === 0) {
-            throw new Error(
-                "BLACKLISTER_SIGNERS must be set for mainnet deployment"
-            );
-        }
-        if (pauserSigners.length === 0) {
-            throw new Error(
-                "PAUSER_SIGNERS must be set for mainnet deployment"
-            );
-        }
-        if (reserveManagerSigners.length === 0) {
+    let create2Salt;
+
+    if (loaded) {
+        log(`Manifest: ${loaded.file}`);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const errors = validateManifest(loaded.manifest, {
+            chainId,
+            deployer,
+            production: isProduction,
+        });
+        if (errors.length > 0) {
             throw new Error(
-                "RESERVE_MANAGER_SIGNERS must be set for mainnet deployment"
+                `Invalid deployment manifest ${loaded.file}:\n  - ${errors.join("\n  - ")}`
             );
         }
+
+        [
+            gnosisSafeAddress,
+            minterSigners,
+            blacklisterSigners,
+            pauserSigners,
+            reserveManagerSigners,
+        ] = toConstructorArgs(loaded.manifest);
+        create2Salt = loaded.manifest.create2Salt;
+    } else if (isProduction) {
+        throw new Error(
+            `No deployment manifest for ${network.name}; create config/manifests/${network.name}.yaml or set DEPLOY_MANIFEST`
+        );
     } else {
         // TESTNET/LOCAL CONFIGURATION
-        // Uses deployer account for all roles (testing only)
+        // Uses test accounts for all roles (testing only)
         const signers = await ethers.getSigners();
 
         gnosisSafeAddress = signers[0]?.address || deployer;
@@ -83,6 +100,9 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
     log(`  Blacklisters: ${blacklisterSigners.join(", ")}`);
     log(`  Pausers: ${pauserSigners.join(", ")}`);
     log(`  Reserve Managers: ${reserveManagerSigners.join(", ")}`);
+    if (create2Salt) {
+        log(`  CREATE2 salt: ${create2Salt}`);
+    }
 
     // ============================================================
     // DEPLOYMENT
@@ -100,7 +120,8 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
         from: deployer,
         args: constructorArgs,
         log: true,
-        waitConfirmations: network.name === "hardhat" ? 1 : 3,
+        deterministicDeployment: create2Salt || false,
+        ...deployOptions(network),
     });
 
     log("----------------------------------------------------");
@@ -138,17 +159,23 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
         );
 
         log("Deployment verification complete!");
+        log(
+            `Run \`npx hardhat audit-deployment --network ${network.name}\` to check every role holder and parameter`
+        );
     }
 
     // ============================================================
     // SAVE DEPLOYMENT ARTIFACTS
     // ============================================================
 
+    const { chainId } = await ethers.provider.getNetwork();
+
     const deploymentArtifact = {
         network: network.name,
-        chainId: network.config.chainId,
+        chainId: Number(chainId),
         contractAddress: usdtqDeployment.address,
         deploymentTx: usdtqDeployment.transactionHash,
+        blockNumber: usdtqDeployment.receipt?.blockNumber ?? null,
         deployer: deployer,
         timestamp: new Date().toISOString(),
         constructorArgs: {
@@ -158,11 +185,30 @@ module.exports = async ({ getNamedAccounts, deployments, network }) => {
             pauserSigners: pauserSigners,
             reserveManagerSigners: reserveManagerSigners,
         },
+        ...(create2Salt && { create2Salt }),
+        abiHash: hashAbi(usdtqDeployment.abi),
+        // Hash the code on-chain: the EIP-712 domain is cached in immutables,
+        // which the artifact's deployedBytecode leaves zeroed
+        bytecodeHash: hashBytecode(
+            await ethers.provider.getCode(usdtqDeployment.address)
+        ),
     };
 
     log("Deployment artifact:");
     log(JSON.stringify(deploymentArtifact, null, 2));
 
+    // Only live networks are recorded; hardhat/localhost deployments are
+    // throwaway and would pollute the registry
+    const recorded = getDeployment(chainId);
+    if (
+        network.live &&
+        (usdtqDeployment.newlyDeployed ||
+            recorded?.contractAddress !== usdtqDeployment.address)
+    ) {
+        recordDeployment(deploymentArtifact);
+        log(`Deployment recorded in ${REGISTRY_FILE}`);
+    }
+
     return usdtqDeployment;
 };
 
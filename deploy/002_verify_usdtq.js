@@ -0,0 +1,57 @@
+/**
+ * @title USDTq Source Verification Script
+ * @notice Verifies the deployed USDTq source on the network's block explorer
+ * @dev Runs after 001_deploy_usdtq.js (tag "verify", included in
+ *      deploy:testnet and deploy:mainnet) with the constructor arguments
+ *      hardhat-deploy recorded, so nothing has to be typed by hand. Retries
+ *      while the explorer is still indexing the new contract and stores the
+ *      outcome as `verification` in deployments/registry.json.
+ *
+ *      Skipped on hardhat/localhost and when SKIP_VERIFY=true. A failed
+ *      verification does not fail the deployment; re-run it later with
+ *      `npx hardhat verify-deployment --network <network>`.
+ */
+
+const { LOCAL_NETWORKS, verifyContract } = require("../utils/verify");
+const { getDeployment, updateDeployment } = require("../utils/registry");
+
+module.exports = async (hre) => {
+    const { deployments, network, ethers } = hre;
+    const { log } = deployments;
+
+    if (process.env.SKIP_VERIFY === "true") {
+        log("Skipping source verification (SKIP_VERIFY=true)");
+        return;
+    }
+    if (LOCAL_NETWORKS.includes(network.name)) {
+        log(`Skipping source verification on ${network.name}`);
+        return;
+    }
+
+    log("----------------------------------------------------");
+    log("Verifying USDTq source...");
+
+    const usdtqDeployment = await deployments.get("USDTq");
+    const verification = await verifyContract(hre, {
+        address: usdtqDeployment.address,
+        constructorArguments: usdtqDeployment.args,
+        log,
+    });
+
+    if (verification.status === "verified") {
+        log(`Source verified after ${verification.attempts} attempt(s)`);
+    } else {
+        log(`WARNING: source verification ${verification.status}`);
+        log(`  ${verification.error || verification.reason}`);
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    if (getDeployment(chainId)?.contractAddress === usdtqDeployment.address) {
+        updateDeployment(chainId, { verification });
+    }
+
+    log("----------------------------------------------------");
+};
+
+module.exports.tags = ["verify"];
+module.exports.dependencies = ["USDTq"];
@@ -0,0 +1,179 @@
+/**
+ * @title Redemption Queue Deployment Script
+ * @notice Deploys USDTqRedemptionQueue next to the USDTq deployment
+ * @dev Operators come from the `redemptionQueue` section of the deployment
+ *      manifest; networks whose manifest has no such section are skipped.
+ *      Without a manifest (hardhat/localhost) the first test account after
+ *      the USDTq role holders (see 001) is the operator. The manifest's
+ *      create2Salt, if any, makes the queue address deterministic as well.
+ *
+ *      The queue burns settled requests through USDTq.burnFrom, so it needs
+ *      MINTER_ROLE. When the deployer can grant it (local networks) this
+ *      script does; otherwise it prints the safe:grant-role command. The
+ *      queue starts without a mint allowance, so the role lets it burn only.
+ */
+
+const { loadManifest, validateManifest } = require("../utils/manifest");
+const { deployOptions, isProductionNetwork } = require("../utils/networks");
+const {
+    REGISTRY_FILE,
+    getDeployment,
+    hashAbi,
+    hashBytecode,
+    recordDeployment,
+} = require("../utils/registry");
+const { ROLES } = require("../utils/usdtq");
+const { LOCAL_NETWORKS, verifyContract } = require("../utils/verify");
+
+const CONTRACT = "USDTqRedemptionQueue";
+
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments, network, ethers } = hre;
+    const { deploy, log } = deployments;
+    const { deployer } = await getNamedAccounts();
+
+    const isProduction = isProductionNetwork(network);
+    const loaded = loadManifest(network.name, {
+        file: process.env.DEPLOY_MANIFEST || undefined,
+    });
+
+    let gnosisSafeAddress;
+    let operators;
+    let create2Salt;
+
+    if (loaded) {
+        if (!loaded.manifest.redemptionQueue) {
+            log(`No redemptionQueue in ${loaded.file}; skipping ${CONTRACT}`);
+            return;
+        }
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const errors = validateManifest(loaded.manifest, {
+            chainId,
+            deployer,
+            production: isProduction,
+        });
+        if (errors.length > 0) {
+            throw new Error(
+                `Invalid deployment manifest ${loaded.file}:\n  - ${errors.join("\n  - ")}`
+            );
+        }
+
+        gnosisSafeAddress = loaded.manifest.gnosisSafe;
+        operators = [...loaded.manifest.redemptionQueue.operators];
+        create2Salt = loaded.manifest.create2Salt;
+    } else if (isProduction) {
+        throw new Error(
+            `No deployment manifest for ${network.name}; create config/manifests/${network.name}.yaml or set DEPLOY_MANIFEST`
+        );
+    } else {
+        // TESTNET/LOCAL CONFIGURATION
+        const signers = await ethers.getSigners();
+        gnosisSafeAddress = signers[0]?.address || deployer;
+        operators = [signers[5]?.address || deployer];
+    }
+
+    const usdtqDeployment = await deployments.get("USDTq");
+
+    log("----------------------------------------------------");
+    log(`Deploying ${CONTRACT} to ${network.name}...`);
+    log(`  USDTq: ${usdtqDeployment.address}`);
+    log(`  Gnosis Safe: ${gnosisSafeAddress}`);
+    log(`  Operators: ${operators.join(", ")}`);
+
+    const constructorArgs = [
+        usdtqDeployment.address,
+        gnosisSafeAddress,
+        operators,
+    ];
+    const queueDeployment = await deploy(CONTRACT, {
+        from: deployer,
+        args: constructorArgs,
+        log: true,
+        deterministicDeployment: create2Salt || false,
+        ...deployOptions(network),
+    });
+    log(`${CONTRACT} deployed at: ${queueDeployment.address}`);
+
+    // ============================================================
+    // MINTER_ROLE FOR SETTLEMENT BURNS
+    // ============================================================
+
+    const usdtq = await ethers.getContractAt(
+        "USDTq",
+        usdtqDeployment.address,
+        await ethers.getSigner(deployer)
+    );
+    if (await usdtq.hasRole(ROLES.MINTER_ROLE, queueDeployment.address)) {
+        log("  Queue already holds MINTER_ROLE");
+    } else if (await usdtq.hasRole(ROLES.DEFAULT_ADMIN_ROLE, deployer)) {
+        await (
+            await usdtq.grantRole(ROLES.MINTER_ROLE, queueDeployment.address)
+        ).wait();
+        log("  Granted MINTER_ROLE to the queue");
+    } else {
+        log("  The Safe must grant MINTER_ROLE to the queue before settling:");
+        log(
+            `    npx hardhat safe:grant-role --network ${network.name} --safe ${gnosisSafeAddress} --role minter --account ${queueDeployment.address}`
+        );
+        log(
+            `  Then set redemptionQueue.address in the manifest so audit-deployment expects it`
+        );
+    }
+
+    // ============================================================
+    // VERIFICATION AND REGISTRY
+    // ============================================================
+
+    let verification;
+    if (
+        !LOCAL_NETWORKS.includes(network.name) &&
+        process.env.SKIP_VERIFY !== "true"
+    ) {
+        verification = await verifyContract(hre, {
+            address: queueDeployment.address,
+            constructorArguments: constructorArgs,
+            log,
+        });
+        log(`  Source verification: ${verification.status}`);
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const recorded = getDeployment(chainId, { contract: CONTRACT });
+    if (
+        network.live &&
+        (queueDeployment.newlyDeployed ||
+            recorded?.contractAddress !== queueDeployment.address)
+    ) {
+        recordDeployment(
+            {
+                network: network.name,
+                chainId: Number(chainId),
+                contractAddress: queueDeployment.address,
+                deploymentTx: queueDeployment.transactionHash,
+                blockNumber: queueDeployment.receipt?.blockNumber ?? null,
+                deployer,
+                timestamp: new Date().toISOString(),
+                constructorArgs: {
+                    usdtq: usdtqDeployment.address,
+                    gnosisSafe: gnosisSafeAddress,
+                    operators,
+                },
+                ...(create2Salt && { create2Salt }),
+                abiHash: hashAbi(queueDeployment.abi),
+                bytecodeHash: hashBytecode(
+                    await ethers.provider.getCode(queueDeployment.address)
+                ),
+                ...(verification && { verification }),
+            },
+            { contract: CONTRACT }
+        );
+        log(`Deployment recorded in ${REGISTRY_FILE}`);
+    }
+    log("----------------------------------------------------");
+
+    return queueDeployment;
+};
+
+module.exports.tags = ["RedemptionQueue"];
+module.exports.dependencies = ["USDTq"];
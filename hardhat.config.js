@@ -2,14 +2,20 @@ require("hardhat-deploy");
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-contract-sizer");
 require("dotenv").config();
+require("./tasks");
+
+const {
+  etherscanConfig,
+  hardhatNetworks,
+  loadNetworks,
+} = require("./utils/networks");
 
 /**
  * @type import('hardhat/config').HardhatUserConfig
  */
 
-// Use a dummy private key for CI/local development when PRIVATE_KEY is not set
-const PRIVATE_KEY = process.env.PRIVATE_KEY || "0000000000000000000000000000000000000000000000000000000000000001";
-const BSCSCAN_API_KEY = process.env.BSCSCAN_API_KEY || "";
+// Deployment networks: RPC, gas, explorer and confirmations per chain
+const NETWORKS = loadNetworks();
 
 const forkEnabled = process.env.FORK_ENABLED === "true";
 
@@ -28,7 +34,7 @@ module.exports = {
     hardhat: {
       initialBaseFeePerGas: 0,
       forking: {
-        url: "https://bsc-dataseed.binance.org/",
+        url: process.env.BSC_RPC_URL || NETWORKS.bsc_mainnet.rpc.url,
         enabled: forkEnabled,
       },
     },
@@ -36,25 +42,9 @@ module.exports = {
       url: "http://127.0.0.1:8545/",
       chainId: 31337,
     },
-    bsc_testnet: {
-      url: "https://data-seed-prebsc-1-s1.binance.org:8545/",
-      chainId: 97,
-      gasPrice: 20000000000,
-      accounts: [PRIVATE_KEY.startsWith("0x") ? PRIVATE_KEY : `0x${PRIVATE_KEY}`],
-    },
-    bsc_mainnet: {
-      url: "https://bsc-dataseed.binance.org/",
-      chainId: 56,
-      gasPrice: 20000000000,
-      accounts: [PRIVATE_KEY.startsWith("0x") ? PRIVATE_KEY : `0x${PRIVATE_KEY}`],
-    },
-  },
-  etherscan: {
-    apiKey: {
-      bscTestnet: BSCSCAN_API_KEY,
-      bsc: BSCSCAN_API_KEY,
-    }
+    ...hardhatNetworks(NETWORKS),
   },
+  etherscan: etherscanConfig(NETWORKS),
   paths: {
     sources: "./contracts",
     tests: "./test",
@@ -0,0 +1,682 @@
+// Type declarations for @teamquant/usdtq-sdk
+
+import type {
+    ContractRunner,
+    ContractTransactionResponse,
+    Interface,
+    InterfaceAbi,
+    Signer,
+} from "ethers";
+
+/** Base units (bigint) or whole USDTq ("1,000.50", 1000.5) */
+export type AmountLike = bigint | string | number;
+
+export declare const DECIMALS: 6;
+export declare const RATIO_BASIS_POINTS: bigint;
+export declare const USDTQ_ABI: InterfaceAbi;
+
+export declare function parseAmount(amount: AmountLike): bigint;
+export declare function formatAmount(amount: bigint): string;
+export declare function formatRatio(basisPoints: bigint): string;
+
+export type RoleName =
+    | "DEFAULT_ADMIN_ROLE"
+    | "ADMIN_ROLE"
+    | "MINTER_ROLE"
+    | "BLACKLISTER_ROLE"
+    | "PAUSER_ROLE"
+    | "RESERVE_MANAGER_ROLE";
+
+export declare const ROLES: Readonly<Record<RoleName, string>>;
+export declare function roleName(hash: string): RoleName | string;
+
+export type CapParameterName =
+    | "MaxMintPerTransaction"
+    | "MaxTotalSupply"
+    | "CapChangeDelay";
+
+/** Enum value, or a name such as "MaxTotalSupply" or "max-total-supply" */
+export type CapParameterLike = CapParameterName | string | number | bigint;
+
+export declare const CAP_PARAMETERS: Readonly<Record<CapParameterName, number>>;
+export declare function capParameter(parameter: CapParameterLike): number;
+export declare function capParameterName(
+    value: number | bigint
+): CapParameterName;
+export declare function formatCapValue(
+    parameter: CapParameterLike,
+    value: bigint
+): string;
+
+export interface PendingCapChange {
+    parameter: CapParameterName;
+    /** Base units, or seconds for CapChangeDelay */
+    value: bigint;
+    executableAt: Date;
+}
+
+export interface MintCapacity {
+    perTxRemaining: bigint;
+    totalRemaining: bigint;
+    /** What the minter can mint now (MinterLimits.mintable) */
+    minterRemaining?: bigint;
+}
+
+export interface MinterRateLimit {
+    /** Most the minter may have in flight, freed linearly over the window */
+    limit: bigint;
+    /** Seconds */
+    window: bigint;
+    /** What the rate limit allows now */
+    available: bigint;
+}
+
+export interface MinterLimits {
+    allowance: bigint;
+    rateLimit: MinterRateLimit | null;
+    /** Lower of the allowance and rateLimit.available */
+    mintable: bigint;
+}
+
+export interface MintChunk {
+    index: number;
+    amount: bigint;
+    hash: string;
+    blockNumber: number;
+}
+
+export interface SplitMintResult {
+    to: string;
+    total: bigint;
+    chunks: MintChunk[];
+}
+
+export interface MintInChunksOptions {
+    /** Confirmations to wait for per chunk (default 1) */
+    confirmations?: number;
+    onChunk?: (chunk: MintChunk, plan: bigint[]) => void | Promise<void>;
+}
+
+export interface CollateralizationRatio {
+    /** Basis points (10000 = 100%) */
+    ratio: bigint;
+    reserves: bigint;
+    supply: bigint;
+    collateralized: boolean;
+}
+
+export interface ReserveHealth {
+    isHealthy: boolean;
+    reserveDeficit: bigint;
+    reserveSurplus: bigint;
+}
+
+export declare class USDTqClient {
+    constructor(address: string, runner?: ContractRunner | null);
+
+    readonly address: string;
+    readonly interface: Interface;
+    readonly contract: import("ethers").Contract;
+
+    connect(runner: ContractRunner | null): USDTqClient;
+
+    // Token
+    balanceOf(account: string): Promise<bigint>;
+    totalSupply(): Promise<bigint>;
+    allowance(owner: string, spender: string): Promise<bigint>;
+    transfer(
+        to: string,
+        amount: AmountLike
+    ): Promise<ContractTransactionResponse>;
+    approve(
+        spender: string,
+        amount: AmountLike
+    ): Promise<ContractTransactionResponse>;
+    transferFrom(
+        from: string,
+        to: string,
+        amount: AmountLike
+    ): Promise<ContractTransactionResponse>;
+    burn(amount: AmountLike): Promise<ContractTransactionResponse>;
+
+    // Permit
+    nonces(owner: string): Promise<bigint>;
+    domainSeparator(): Promise<string>;
+    permitTypedData(
+        owner: string,
+        spender: string,
+        value: AmountLike,
+        options: PermitOptions
+    ): Promise<PermitTypedData>;
+    signPermit(
+        spender: string,
+        value: AmountLike,
+        options: PermitOptions
+    ): Promise<SignedPermit>;
+    permit(permit: SignedPermit): Promise<ContractTransactionResponse>;
+
+    // Authorizations (EIP-3009)
+    authorizationState(authorizer: string, nonce: string): Promise<boolean>;
+    signTransferAuthorization(
+        to: string,
+        value: AmountLike,
+        options: AuthorizationOptions
+    ): Promise<SignedAuthorization>;
+    signReceiveAuthorization(
+        to: string,
+        value: AmountLike,
+        options: AuthorizationOptions
+    ): Promise<SignedAuthorization>;
+    signCancelAuthorization(nonce: string): Promise<SignedCancellation>;
+    transferWithAuthorization(
+        authorization: SignedAuthorization
+    ): Promise<ContractTransactionResponse>;
+    receiveWithAuthorization(
+        authorization: SignedAuthorization
+    ): Promise<ContractTransactionResponse>;
+    cancelAuthorization(
+        cancellation: SignedCancellation
+    ): Promise<ContractTransactionResponse>;
+
+    // Supply
+    mint(to: string, amount: AmountLike): Promise<ContractTransactionResponse>;
+    mintInChunks(
+        to: string,
+        amount: AmountLike,
+        options?: MintInChunksOptions
+    ): Promise<SplitMintResult>;
+    burnFrom(
+        from: string,
+        amount: AmountLike
+    ): Promise<ContractTransactionResponse>;
+    maxMintPerTransaction(): Promise<bigint>;
+    maxTotalSupply(): Promise<bigint>;
+    getRemainingMintCapacity(): Promise<MintCapacity>;
+
+    // Minter limits
+    minterAllowance(minter: string): Promise<bigint>;
+    minterRateLimit(minter: string): Promise<MinterRateLimit | null>;
+    getMinterLimits(minter: string): Promise<MinterLimits>;
+    setMinterAllowance(
+        minter: string,
+        allowance: AmountLike
+    ): Promise<ContractTransactionResponse>;
+    /** @param window Seconds; a limit of 0 removes the rate limit */
+    setMinterRateLimit(
+        minter: string,
+        limit: AmountLike,
+        window: bigint | number
+    ): Promise<ContractTransactionResponse>;
+
+    // Supply cap timelock
+    capChangeDelay(): Promise<bigint>;
+    pendingCapChange(
+        parameter: CapParameterLike
+    ): Promise<PendingCapChange | null>;
+    getPendingCapChanges(): Promise<PendingCapChange[]>;
+    proposeMaxMintPerTransaction(
+        limit: AmountLike
+    ): Promise<ContractTransactionResponse>;
+    proposeMaxTotalSupply(
+        limit: AmountLike
+    ): Promise<ContractTransactionResponse>;
+    /** @param delay Seconds */
+    proposeCapChangeDelay(
+        delay: bigint | number
+    ): Promise<ContractTransactionResponse>;
+    executeCapChange(
+        parameter: CapParameterLike
+    ): Promise<ContractTransactionResponse>;
+    cancelCapChange(
+        parameter: CapParameterLike
+    ): Promise<ContractTransactionResponse>;
+
+    // Reserves
+    totalReserves(): Promise<bigint>;
+    reserveRoot(): Promise<string>;
+    lastReserveUpdate(): Promise<Date>;
+    getCollateralizationRatio(): Promise<CollateralizationRatio>;
+    getReserveHealth(): Promise<ReserveHealth>;
+    updateReserves(amount: AmountLike): Promise<ContractTransactionResponse>;
+    updateReservesWithRoot(
+        amount: AmountLike,
+        root: string
+    ): Promise<ContractTransactionResponse>;
+    addReserves(
+        amount: AmountLike,
+        reserveType: string
+    ): Promise<ContractTransactionResponse>;
+    removeReserves(
+        amount: AmountLike,
+        reason: string
+    ): Promise<ContractTransactionResponse>;
+
+    // Compliance
+    isBlacklisted(account: string): Promise<boolean>;
+    blacklistReason(account: string): Promise<string>;
+    blacklist(
+        account: string,
+        reason: string
+    ): Promise<ContractTransactionResponse>;
+    unBlacklist(account: string): Promise<ContractTransactionResponse>;
+    complianceBurn(
+        account: string,
+        amount: AmountLike,
+        caseReference: string
+    ): Promise<ContractTransactionResponse>;
+
+    // Emergency
+    paused(): Promise<boolean>;
+    pause(): Promise<ContractTransactionResponse>;
+    unpause(): Promise<ContractTransactionResponse>;
+
+    // Roles
+    hasRole(role: string, account: string): Promise<boolean>;
+}
+
+// ============ Split mints ============
+
+/** Split an amount into mints that fit the per-transaction cap and limits */
+export declare function planMint(
+    amount: AmountLike,
+    capacity: MintCapacity
+): bigint[];
+
+/** A chunk of mintInChunks failed after earlier chunks were minted */
+export declare class PartialMintError extends Error {
+    constructor(
+        progress: {
+            to: string;
+            total: bigint;
+            plan: bigint[];
+            chunks: MintChunk[];
+        },
+        cause?: Error
+    );
+    readonly to: string;
+    readonly total: bigint;
+    readonly plan: bigint[];
+    /** Confirmed chunks */
+    readonly chunks: MintChunk[];
+    readonly minted: bigint;
+    readonly remaining: bigint;
+    /** Index of the chunk that failed */
+    readonly failedChunk: number;
+}
+
+// ============ Proof of reserves ============
+
+/** A line of an itemized reserve report */
+export interface ReserveItem {
+    asset: string;
+    /** Whole units of the asset */
+    amount: AmountLike;
+    /** USD value in whole USDTq (default: amount) */
+    usdValue?: AmountLike;
+    custodian?: string;
+    account?: string;
+}
+
+export interface ReserveTree {
+    root: string;
+    leaves: string[];
+    /** proofs[i] proves items[i] */
+    proofs: string[][];
+}
+
+export interface ReserveProof {
+    root: string;
+    /** Position of the item in the report */
+    index: number;
+    item: ReserveItem;
+    proof: string[];
+}
+
+export declare function hashReserveItem(
+    item: ReserveItem,
+    index: number
+): string;
+export declare function buildReserveTree(items: ReserveItem[]): ReserveTree;
+export declare function processReserveProof(
+    leaf: string,
+    proof: string[]
+): string;
+export declare function verifyReserveProof(proof: ReserveProof): boolean;
+
+// ============ Permits (EIP-2612) ============
+
+export declare const PERMIT_NAME: "USDTq teamquant.space";
+export declare const PERMIT_VERSION: "1";
+export declare const PERMIT_TYPES: Readonly<
+    Record<"Permit", { name: string; type: string }[]>
+>;
+
+/** Unix seconds or a Date */
+export type DeadlineLike = bigint | number | Date;
+
+export interface PermitOptions {
+    deadline: DeadlineLike;
+    /** Default: nonces(owner) */
+    nonce?: bigint | number;
+}
+
+export interface PermitParams {
+    chainId: bigint | number;
+    verifyingContract: string;
+    owner: string;
+    spender: string;
+    value: AmountLike;
+    nonce: bigint | number;
+    deadline: DeadlineLike;
+    name?: string;
+    version?: string;
+}
+
+export interface PermitTypedData {
+    domain: {
+        name: string;
+        version: string;
+        chainId: bigint;
+        verifyingContract: string;
+    };
+    types: typeof PERMIT_TYPES;
+    primaryType: "Permit";
+    message: {
+        owner: string;
+        spender: string;
+        value: bigint;
+        nonce: bigint;
+        deadline: bigint;
+    };
+}
+
+export interface SignedPermit {
+    owner: string;
+    spender: string;
+    value: bigint;
+    deadline: bigint;
+    v: number;
+    r: string;
+    s: string;
+    signature: string;
+}
+
+export declare function buildPermitTypedData(
+    params: PermitParams
+): PermitTypedData;
+export declare function hashPermit(typedData: PermitTypedData): string;
+export declare function signPermit(
+    signer: Signer,
+    typedData: PermitTypedData
+): Promise<SignedPermit>;
+export declare function recoverPermitSigner(
+    typedData: PermitTypedData,
+    signature: string
+): string;
+
+// ============ Authorizations (EIP-3009) ============
+
+export type AuthorizationType =
+    | "TransferWithAuthorization"
+    | "ReceiveWithAuthorization"
+    | "CancelAuthorization";
+
+export declare const AUTHORIZATION_TYPES: Readonly<
+    Record<AuthorizationType, Record<string, { name: string; type: string }[]>>
+>;
+
+export interface AuthorizationOptions {
+    validBefore: DeadlineLike;
+    /** Default: 0 */
+    validAfter?: DeadlineLike;
+    /** 32-byte hex (default: random) */
+    nonce?: string;
+}
+
+export interface AuthorizationDomainParams {
+    chainId: bigint | number;
+    verifyingContract: string;
+    name?: string;
+    version?: string;
+}
+
+export interface TransferAuthorizationParams
+    extends AuthorizationDomainParams, AuthorizationOptions {
+    from: string;
+    to: string;
+    value: AmountLike;
+}
+
+export interface CancelAuthorizationParams extends AuthorizationDomainParams {
+    authorizer: string;
+    nonce: string;
+}
+
+export interface AuthorizationTypedData {
+    domain: PermitTypedData["domain"];
+    types: Record<string, { name: string; type: string }[]>;
+    primaryType: AuthorizationType;
+    message: Record<string, string | bigint>;
+}
+
+interface SignatureParts {
+    v: number;
+    r: string;
+    s: string;
+    signature: string;
+}
+
+export interface SignedAuthorization extends SignatureParts {
+    type: "TransferWithAuthorization" | "ReceiveWithAuthorization";
+    from: string;
+    to: string;
+    value: bigint;
+    validAfter: bigint;
+    validBefore: bigint;
+    nonce: string;
+}
+
+export interface SignedCancellation extends SignatureParts {
+    type: "CancelAuthorization";
+    authorizer: string;
+    nonce: string;
+}
+
+export declare function randomNonce(): string;
+export declare function buildTransferAuthorization(
+    params: TransferAuthorizationParams
+): AuthorizationTypedData;
+export declare function buildReceiveAuthorization(
+    params: TransferAuthorizationParams
+): AuthorizationTypedData;
+export declare function buildCancelAuthorization(
+    params: CancelAuthorizationParams
+): AuthorizationTypedData;
+export declare function signAuthorization(
+    signer: Signer,
+    typedData: AuthorizationTypedData
+): Promise<SignedAuthorization | SignedCancellation>;
+export declare function authorizationTypedData(
+    authorization: { type: AuthorizationType } & Record<string, unknown>,
+    domain: AuthorizationDomainParams
+): AuthorizationTypedData;
+export declare function hashAuthorization(
+    typedData: AuthorizationTypedData
+): string;
+export declare function recoverAuthorizationSigner(
+    typedData: AuthorizationTypedData,
+    signature: string
+): string;
+
+// ============ Errors ============
+
+export declare class USDTqError extends Error {
+    /** Solidity error name, e.g. "AccountBlacklisted" */
+    readonly errorName: string;
+    /** Error arguments in ABI order */
+    readonly args: unknown[];
+    constructor(
+        message: string,
+        details?: { errorName?: string; args?: unknown[]; cause?: unknown }
+    );
+}
+
+type USDTqErrorOptions = { cause?: unknown };
+
+export declare class AccountBlacklistedError extends USDTqError {
+    constructor(args: [string], options?: USDTqErrorOptions);
+    readonly account: string;
+}
+export declare class ExceedsMaxMintPerTransactionError extends USDTqError {
+    constructor(args: [bigint, bigint], options?: USDTqErrorOptions);
+    readonly requested: bigint;
+    readonly maximum: bigint;
+}
+export declare class ExceedsMaxTotalSupplyError extends USDTqError {
+    constructor(args: [bigint, bigint], options?: USDTqErrorOptions);
+    readonly newSupply: bigint;
+    readonly maximum: bigint;
+}
+export declare class MaxSupplyBelowCurrentSupplyError extends USDTqError {
+    constructor(args: [bigint, bigint], options?: USDTqErrorOptions);
+    readonly proposed: bigint;
+    readonly current: bigint;
+}
+export declare class InsufficientReservesError extends USDTqError {
+    constructor(args: [bigint, bigint], options?: USDTqErrorOptions);
+    readonly required: bigint;
+    readonly available: bigint;
+}
+export declare class TooManySignersError extends USDTqError {
+    constructor(args: [bigint, bigint], options?: USDTqErrorOptions);
+    readonly provided: bigint;
+    readonly maximum: bigint;
+}
+export declare class ZeroAddressError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class ZeroAmountError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class SameValueError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class AccountNotBlacklistedError extends USDTqError {
+    constructor(args: [string], options?: USDTqErrorOptions);
+    readonly account: string;
+}
+export declare class MissingCaseReferenceError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class MissingReserveRootError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class AuthorizationNotYetValidError extends USDTqError {
+    constructor(args: [bigint], options?: USDTqErrorOptions);
+    readonly validAfter: bigint;
+}
+export declare class AuthorizationExpiredError extends USDTqError {
+    constructor(args: [bigint], options?: USDTqErrorOptions);
+    readonly validBefore: bigint;
+}
+export declare class AuthorizationAlreadyUsedError extends USDTqError {
+    constructor(args: [string, string], options?: USDTqErrorOptions);
+    readonly authorizer: string;
+    readonly nonce: string;
+}
+export declare class InvalidAuthorizationSignerError extends USDTqError {
+    constructor(args: [string, string], options?: USDTqErrorOptions);
+    readonly signer: string;
+    readonly authorizer: string;
+}
+export declare class CallerNotPayeeError extends USDTqError {
+    constructor(args: [string, string], options?: USDTqErrorOptions);
+    readonly caller: string;
+    readonly payee: string;
+}
+export declare class MinterAllowanceExceededError extends USDTqError {
+    constructor(args: [string, bigint, bigint], options?: USDTqErrorOptions);
+    readonly minter: string;
+    readonly requested: bigint;
+    readonly allowance: bigint;
+}
+export declare class MinterRateLimitExceededError extends USDTqError {
+    constructor(args: [string, bigint, bigint], options?: USDTqErrorOptions);
+    readonly minter: string;
+    readonly requested: bigint;
+    readonly available: bigint;
+}
+export declare class RateLimitWindowOutOfRangeError extends USDTqError {
+    constructor(args: [bigint, bigint, bigint], options?: USDTqErrorOptions);
+    readonly window: bigint;
+    readonly minimum: bigint;
+    readonly maximum: bigint;
+}
+export declare class AccessControlUnauthorizedAccountError extends USDTqError {
+    constructor(args: [string, string], options?: USDTqErrorOptions);
+    readonly account: string;
+    readonly neededRole: string;
+}
+export declare class AccessControlBadConfirmationError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class EnforcedPauseError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class ExpectedPauseError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class ERC20InsufficientBalanceError extends USDTqError {
+    constructor(args: [string, bigint, bigint], options?: USDTqErrorOptions);
+    readonly sender: string;
+    readonly balance: bigint;
+    readonly needed: bigint;
+}
+export declare class ERC20InsufficientAllowanceError extends USDTqError {
+    constructor(args: [string, bigint, bigint], options?: USDTqErrorOptions);
+    readonly spender: string;
+    readonly allowance: bigint;
+    readonly needed: bigint;
+}
+export declare class ERC20InvalidApproverError extends USDTqError {
+    constructor(args: [string], options?: USDTqErrorOptions);
+    readonly approver: string;
+}
+export declare class ERC20InvalidReceiverError extends USDTqError {
+    constructor(args: [string], options?: USDTqErrorOptions);
+    readonly receiver: string;
+}
+export declare class ERC20InvalidSenderError extends USDTqError {
+    constructor(args: [string], options?: USDTqErrorOptions);
+    readonly sender: string;
+}
+export declare class ERC20InvalidSpenderError extends USDTqError {
+    constructor(args: [string], options?: USDTqErrorOptions);
+    readonly spender: string;
+}
+export declare class ERC2612ExpiredSignatureError extends USDTqError {
+    constructor(args: [bigint], options?: USDTqErrorOptions);
+    readonly deadline: bigint;
+}
+export declare class ERC2612InvalidSignerError extends USDTqError {
+    constructor(args: [string, string], options?: USDTqErrorOptions);
+    readonly signer: string;
+    readonly owner: string;
+}
+export declare class ECDSAInvalidSignatureError extends USDTqError {
+    constructor(args?: [], options?: USDTqErrorOptions);
+}
+export declare class ECDSAInvalidSignatureLengthError extends USDTqError {
+    constructor(args: [bigint], options?: USDTqErrorOptions);
+    readonly length: bigint;
+}
+export declare class ECDSAInvalidSignatureSError extends USDTqError {
+    constructor(args: [string], options?: USDTqErrorOptions);
+    readonly s: string;
+}
+
+/** Error classes by Solidity error name */
+export declare const ERRORS: Readonly<Record<string, typeof USDTqError>>;
+
+/** Convert a reverted call into its typed error (or return it unchanged) */
+export declare function decodeError(error: unknown): Error;
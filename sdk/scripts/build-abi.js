@@ -0,0 +1,31 @@
+/**
+ * @title SDK ABI Build
+ * @notice Copies the USDTq ABI from the Hardhat artifacts into sdk/abi
+ * @dev Run `npm run sdk:build` from the repository root after changing the
+ *      contract. The copied ABI is committed so the package can be published
+ *      without compiling; test/sdk.test.js fails if it falls out of date.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ARTIFACT = path.join(
+    __dirname,
+    "..",
+    "..",
+    "artifacts",
+    "contracts",
+    "USDTq.sol",
+    "USDTq.json"
+);
+const OUTPUT = path.join(__dirname, "..", "abi", "USDTq.json");
+
+if (!fs.existsSync(ARTIFACT)) {
+    console.error(`${ARTIFACT} not found; run \`npx hardhat compile\` first`);
+    process.exit(1);
+}
+
+const { abi } = JSON.parse(fs.readFileSync(ARTIFACT, "utf8"));
+fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+fs.writeFileSync(OUTPUT, JSON.stringify(abi, null, 2) + "\n");
+console.log(`Wrote ${abi.length} ABI entries to ${OUTPUT}`);
@@ -0,0 +1,63 @@
+/**
+ * @title Amount Helpers
+ * @notice Convert between whole USDTq and 6-decimal base units
+ * @dev bigint values are always base units. Strings and numbers are whole
+ *      USDTq ("1,000.50" is 1000500000n); commas, underscores and spaces are
+ *      ignored.
+ */
+
+const { formatUnits, parseUnits } = require("ethers");
+
+const DECIMALS = 6;
+
+// Collateralization ratios are reported in basis points (10000 = 100%)
+const RATIO_BASIS_POINTS = 10000n;
+
+/**
+ * Convert an amount to base units
+ * @param {bigint|string|number} amount Base units (bigint) or whole USDTq
+ * @returns {bigint}
+ */
+function parseAmount(amount) {
+    if (typeof amount === "bigint") {
+        if (amount < 0n) {
+            throw new RangeError(`Amount must not be negative: ${amount}`);
+        }
+        return amount;
+    }
+
+    const value = parseUnits(
+        amount.toString().replace(/[,_\s]/g, ""),
+        DECIMALS
+    );
+    if (value < 0n) {
+        throw new RangeError(`Amount must not be negative: ${amount}`);
+    }
+    return value;
+}
+
+/**
+ * Format base units as whole USDTq
+ * @param {bigint} amount Base units
+ * @returns {string} e.g. "1000.5"
+ */
+function formatAmount(amount) {
+    return formatUnits(amount, DECIMALS);
+}
+
+/**
+ * Format a ratio in basis points as a percentage
+ * @param {bigint} basisPoints Ratio (10000 = 100%)
+ * @returns {string} e.g. "100.00%"
+ */
+function formatRatio(basisPoints) {
+    return `${formatUnits(basisPoints, 2).replace(/\.(\d)$/, ".$10")}%`;
+}
+
+module.exports = {
+    DECIMALS,
+    RATIO_BASIS_POINTS,
+    parseAmount,
+    formatAmount,
+    formatRatio,
+};
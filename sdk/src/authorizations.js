@@ -0,0 +1,263 @@
+/**
+ * @title EIP-3009 Authorizations
+ * @notice Build and sign transfer, receive and cancel authorizations
+ * @dev The payer signs an EIP-712 message off-chain; the transfer happens
+ *      when someone submits it:
+ *
+ *        TransferWithAuthorization  anyone submits (a relayer pays the gas)
+ *        ReceiveWithAuthorization   only the payee (`to`) submits
+ *        CancelAuthorization        anyone submits; voids an unused nonce
+ *
+ *      Nonces are random 32-byte values chosen by the payer, not a counter,
+ *      so several authorizations can be outstanding at once. The signing
+ *      domain is the token's EIP-712 domain (the same as for permits):
+ *
+ *        const typedData = buildTransferAuthorization({
+ *          chainId: 56,
+ *          verifyingContract: usdtq,
+ *          from: payer.address,
+ *          to: merchant,
+ *          value: "25.00",
+ *          validBefore: Math.floor(Date.now() / 1000) + 600,
+ *        });
+ *        const authorization = await signAuthorization(payer, typedData);
+ *        await client.connect(relayer).transferWithAuthorization(authorization);
+ */
+
+const {
+    Signature,
+    TypedDataEncoder,
+    getAddress,
+    hexlify,
+    isHexString,
+    randomBytes,
+    verifyTypedData,
+} = require("ethers");
+const { parseAmount } = require("./amounts");
+const { PERMIT_NAME, PERMIT_VERSION } = require("./permit");
+
+const TRANSFER_FIELDS = [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validBefore", type: "uint256" },
+    { name: "nonce", type: "bytes32" },
+];
+
+const AUTHORIZATION_TYPES = {
+    TransferWithAuthorization: {
+        TransferWithAuthorization: TRANSFER_FIELDS,
+    },
+    ReceiveWithAuthorization: {
+        ReceiveWithAuthorization: TRANSFER_FIELDS,
+    },
+    CancelAuthorization: {
+        CancelAuthorization: [
+            { name: "authorizer", type: "address" },
+            { name: "nonce", type: "bytes32" },
+        ],
+    },
+};
+
+/**
+ * A random authorization nonce
+ * @returns {string} 32-byte hex string
+ */
+function randomNonce() {
+    return hexlify(randomBytes(32));
+}
+
+function toTimestamp(value) {
+    return value instanceof Date
+        ? BigInt(Math.floor(value.getTime() / 1000))
+        : BigInt(value);
+}
+
+function toNonce(nonce) {
+    if (nonce === undefined) {
+        return randomNonce();
+    }
+    if (!isHexString(nonce, 32)) {
+        throw new TypeError(
+            `Authorization nonce must be a 32-byte hex string: ${nonce}`
+        );
+    }
+    return nonce.toLowerCase();
+}
+
+function buildDomain(params) {
+    return {
+        name: params.name ?? PERMIT_NAME,
+        version: params.version ?? PERMIT_VERSION,
+        chainId: BigInt(params.chainId),
+        verifyingContract: getAddress(params.verifyingContract),
+    };
+}
+
+function buildTransfer(primaryType, params) {
+    if (params.validBefore === undefined || params.validBefore === null) {
+        throw new TypeError("validBefore is required");
+    }
+    return {
+        domain: buildDomain(params),
+        types: AUTHORIZATION_TYPES[primaryType],
+        primaryType,
+        message: {
+            from: getAddress(params.from),
+            to: getAddress(params.to),
+            value: parseAmount(params.value),
+            validAfter: toTimestamp(params.validAfter ?? 0),
+            validBefore: toTimestamp(params.validBefore),
+            nonce: toNonce(params.nonce),
+        },
+    };
+}
+
+/**
+ * Typed data of a TransferWithAuthorization (anyone may submit it)
+ * @param {object} params Authorization parameters
+ * @param {bigint|number} params.chainId Chain the token is deployed on
+ * @param {string} params.verifyingContract USDTq address
+ * @param {string} params.from Payer (signer)
+ * @param {string} params.to Payee
+ * @param {bigint|string|number} params.value Amount (base units or whole USDTq)
+ * @param {bigint|number|Date} params.validBefore Expiry (exclusive)
+ * @param {bigint|number|Date} [params.validAfter] Start (exclusive, default 0)
+ * @param {string} [params.nonce] 32-byte nonce (default: random)
+ * @param {string} [params.name] Domain name (default "USDTq teamquant.space")
+ * @param {string} [params.version] Domain version (default "1")
+ * @returns {{domain: object, types: object, primaryType: string, message: object}}
+ */
+function buildTransferAuthorization(params) {
+    return buildTransfer("TransferWithAuthorization", params);
+}
+
+/**
+ * Typed data of a ReceiveWithAuthorization (only the payee may submit it)
+ * @param {object} params Same parameters as buildTransferAuthorization
+ * @returns {object} Typed data
+ */
+function buildReceiveAuthorization(params) {
+    return buildTransfer("ReceiveWithAuthorization", params);
+}
+
+/**
+ * Typed data of a CancelAuthorization
+ * @param {object} params Cancellation parameters
+ * @param {bigint|number} params.chainId Chain the token is deployed on
+ * @param {string} params.verifyingContract USDTq address
+ * @param {string} params.authorizer Payer of the authorization to cancel
+ * @param {string} params.nonce Nonce of the authorization to cancel
+ * @returns {object} Typed data
+ */
+function buildCancelAuthorization(params) {
+    return {
+        domain: buildDomain(params),
+        types: AUTHORIZATION_TYPES.CancelAuthorization,
+        primaryType: "CancelAuthorization",
+        message: {
+            authorizer: getAddress(params.authorizer),
+            nonce: toNonce(params.nonce),
+        },
+    };
+}
+
+function signerField(typedData) {
+    return typedData.primaryType === "CancelAuthorization"
+        ? typedData.message.authorizer
+        : typedData.message.from;
+}
+
+/**
+ * Sign an authorization with the payer's signer
+ * @param {object} signer ethers Signer of the payer (authorizer)
+ * @param {object} typedData Result of one of the build* functions
+ * @returns {Promise<object>} { type, ...message, v, r, s, signature }, ready
+ *          for the matching USDTqClient call or the relayer
+ */
+async function signAuthorization(signer, typedData) {
+    const expected = signerField(typedData);
+    const signerAddress = await signer.getAddress();
+    if (getAddress(signerAddress) !== expected) {
+        throw new Error(
+            `Authorization signer ${signerAddress} is not the payer ${expected}`
+        );
+    }
+
+    const signature = await signer.signTypedData(
+        typedData.domain,
+        typedData.types,
+        typedData.message
+    );
+    const { v, r, s } = Signature.from(signature);
+    return {
+        type: typedData.primaryType,
+        ...typedData.message,
+        v,
+        r,
+        s,
+        signature,
+    };
+}
+
+/**
+ * Typed data of a signed authorization (the inverse of signAuthorization)
+ * @param {object} authorization Signed authorization (type + message fields)
+ * @param {object} domain Domain parameters ({ chainId, verifyingContract, name?, version? })
+ * @returns {object} Typed data
+ */
+function authorizationTypedData(authorization, domain) {
+    switch (authorization.type) {
+        case "TransferWithAuthorization":
+            return buildTransferAuthorization({ ...domain, ...authorization });
+        case "ReceiveWithAuthorization":
+            return buildReceiveAuthorization({ ...domain, ...authorization });
+        case "CancelAuthorization":
+            return buildCancelAuthorization({ ...domain, ...authorization });
+        default:
+            throw new TypeError(
+                `Unknown authorization type "${authorization.type}". Expected one of: ${Object.keys(AUTHORIZATION_TYPES).join(", ")}`
+            );
+    }
+}
+
+/**
+ * EIP-712 digest of an authorization
+ * @param {object} typedData Result of one of the build* functions
+ * @returns {string}
+ */
+function hashAuthorization(typedData) {
+    return TypedDataEncoder.hash(
+        typedData.domain,
+        typedData.types,
+        typedData.message
+    );
+}
+
+/**
+ * Recover the address that signed an authorization
+ * @param {object} typedData Result of one of the build* functions
+ * @param {string} signature 65-byte signature
+ * @returns {string} Checksummed signer address
+ */
+function recoverAuthorizationSigner(typedData, signature) {
+    return verifyTypedData(
+        typedData.domain,
+        typedData.types,
+        typedData.message,
+        signature
+    );
+}
+
+module.exports = {
+    AUTHORIZATION_TYPES,
+    randomNonce,
+    buildTransferAuthorization,
+    buildReceiveAuthorization,
+    buildCancelAuthorization,
+    signAuthorization,
+    authorizationTypedData,
+    hashAuthorization,
+    recoverAuthorizationSigner,
+};
@@ -0,0 +1,72 @@
+/**
+ * @title Supply Cap Timelock
+ * @notice Identifiers of the settings changed through propose/execute
+ * @dev Values match the CapParameter enum in the contract. maxMintPerTransaction
+ *      and maxTotalSupply are amounts (base units); capChangeDelay is seconds.
+ */
+
+const { formatAmount } = require("./amounts");
+
+const CAP_PARAMETERS = {
+    MaxMintPerTransaction: 0,
+    MaxTotalSupply: 1,
+    CapChangeDelay: 2,
+};
+
+/**
+ * Resolve a cap parameter by name ("MaxTotalSupply", "max-total-supply",
+ * "maxTotalSupply") or enum value
+ * @param {string|number|bigint} parameter Name or enum value
+ * @returns {number} Enum value
+ */
+function capParameter(parameter) {
+    if (typeof parameter === "number" || typeof parameter === "bigint") {
+        const value = Number(parameter);
+        if (Object.values(CAP_PARAMETERS).includes(value)) {
+            return value;
+        }
+    } else {
+        const key = parameter.replace(/[-_\s]/g, "").toLowerCase();
+        const name = Object.keys(CAP_PARAMETERS).find(
+            (candidate) => candidate.toLowerCase() === key
+        );
+        if (name) {
+            return CAP_PARAMETERS[name];
+        }
+    }
+
+    throw new RangeError(
+        `Unknown cap parameter "${parameter}". Expected one of: ${Object.keys(CAP_PARAMETERS).join(", ")}`
+    );
+}
+
+/**
+ * Look up the name of a cap parameter enum value
+ * @param {number|bigint} value Enum value
+ * @returns {string}
+ */
+function capParameterName(value) {
+    const index = capParameter(value);
+    return Object.keys(CAP_PARAMETERS).find(
+        (name) => CAP_PARAMETERS[name] === index
+    );
+}
+
+/**
+ * Format a value of a cap parameter for display
+ * @param {number|bigint} parameter Enum value
+ * @param {bigint} value Amount in base units, or seconds for CapChangeDelay
+ * @returns {string} "15000000.0 USDTq" or "172800s"
+ */
+function formatCapValue(parameter, value) {
+    return capParameter(parameter) === CAP_PARAMETERS.CapChangeDelay
+        ? `${value}s`
+        : `${formatAmount(value)} USDTq`;
+}
+
+module.exports = {
+    CAP_PARAMETERS,
+    capParameter,
+    capParameterName,
+    formatCapValue,
+};
@@ -0,0 +1,606 @@
+/**
+ * @title USDTq Client
+ * @notice Typed wrapper around the USDTq contract
+ * @dev Amount arguments accept base units (bigint) or whole USDTq (string or
+ *      number); amounts returned are always bigint base units (see
+ *      formatAmount). Every call rethrows custom-error reverts as the typed
+ *      errors from ./errors.
+ *
+ *        const { USDTqClient } = require("@teamquant/usdtq-sdk");
+ *        const usdtq = new USDTqClient(address, provider);
+ *        const { isHealthy } = await usdtq.getReserveHealth();
+ *        await usdtq.connect(minterSigner).mint(to, "1,000");
+ */
+
+const { Contract } = require("ethers");
+const USDTQ_ABI = require("../abi/USDTq.json");
+const { RATIO_BASIS_POINTS, parseAmount } = require("./amounts");
+const {
+    buildCancelAuthorization,
+    buildReceiveAuthorization,
+    buildTransferAuthorization,
+    signAuthorization,
+} = require("./authorizations");
+const { CAP_PARAMETERS, capParameter, capParameterName } = require("./caps");
+const { decodeError } = require("./errors");
+const { PartialMintError, planMint } = require("./mints");
+const { buildPermitTypedData, signPermit } = require("./permit");
+
+class USDTqClient {
+    /**
+     * @param {string} address USDTq contract address
+     * @param {object} runner ethers Provider (read-only) or Signer
+     */
+    constructor(address, runner) {
+        this.contract = new Contract(address, USDTQ_ABI, runner);
+    }
+
+    /** @returns {string} Contract address */
+    get address() {
+        return this.contract.target;
+    }
+
+    /** @returns {object} ethers Interface of USDTq */
+    get interface() {
+        return this.contract.interface;
+    }
+
+    /**
+     * Same contract with another provider or signer
+     * @param {object} runner ethers Provider or Signer
+     * @returns {USDTqClient}
+     */
+    connect(runner) {
+        return new USDTqClient(this.address, runner);
+    }
+
+    // ============ Token ============
+
+    async balanceOf(account) {
+        return this._call("balanceOf", [account]);
+    }
+
+    async totalSupply() {
+        return this._call("totalSupply", []);
+    }
+
+    async allowance(owner, spender) {
+        return this._call("allowance", [owner, spender]);
+    }
+
+    async transfer(to, amount) {
+        return this._send("transfer", [to, parseAmount(amount)]);
+    }
+
+    async approve(spender, amount) {
+        return this._send("approve", [spender, parseAmount(amount)]);
+    }
+
+    async transferFrom(from, to, amount) {
+        return this._send("transferFrom", [from, to, parseAmount(amount)]);
+    }
+
+    async burn(amount) {
+        return this._send("burn", [parseAmount(amount)]);
+    }
+
+    // ============ Permit ============
+
+    async nonces(owner) {
+        return this._call("nonces", [owner]);
+    }
+
+    async domainSeparator() {
+        return this._call("DOMAIN_SEPARATOR", []);
+    }
+
+    /**
+     * Permit typed data with the domain and nonce read from the contract
+     * @param {string} owner Token holder who will sign
+     * @param {string} spender Address being approved
+     * @param {bigint|string|number} value Allowance
+     * @param {object} options Options
+     * @param {bigint|number|Date} options.deadline Expiry (unix seconds or Date)
+     * @param {bigint|number} [options.nonce] Nonce (default: nonces(owner))
+     * @returns {Promise<object>} See buildPermitTypedData
+     */
+    async permitTypedData(owner, spender, value, options = {}) {
+        const domain = await this._call("eip712Domain", []);
+        return buildPermitTypedData({
+            name: domain.name,
+            version: domain.version,
+            chainId: domain.chainId,
+            verifyingContract: domain.verifyingContract,
+            owner,
+            spender,
+            value,
+            nonce: options.nonce ?? (await this.nonces(owner)),
+            deadline: options.deadline,
+        });
+    }
+
+    /**
+     * Sign a permit as the connected signer (nothing is sent)
+     * @param {string} spender Address being approved
+     * @param {bigint|string|number} value Allowance
+     * @param {object} options Same options as permitTypedData
+     * @returns {Promise<object>} Signed permit, ready for permit()
+     */
+    async signPermit(spender, value, options = {}) {
+        const signer = this.contract.runner;
+        const typedData = await this.permitTypedData(
+            await signer.getAddress(),
+            spender,
+            value,
+            options
+        );
+        return signPermit(signer, typedData);
+    }
+
+    /**
+     * Submit a signed permit; any account can pay the gas
+     * @param {object} permit Result of signPermit
+     * @returns {Promise<object>} Transaction response
+     */
+    async permit(permit) {
+        return this._send("permit", [
+            permit.owner,
+            permit.spender,
+            permit.value,
+            permit.deadline,
+            permit.v,
+            permit.r,
+            permit.s,
+        ]);
+    }
+
+    // ============ Authorizations (EIP-3009) ============
+
+    async authorizationState(authorizer, nonce) {
+        return this._call("authorizationState", [authorizer, nonce]);
+    }
+
+    /**
+     * Sign a TransferWithAuthorization as the connected signer (nothing is sent)
+     * @param {string} to Payee
+     * @param {bigint|string|number} value Amount
+     * @param {object} options Options
+     * @param {bigint|number|Date} options.validBefore Expiry (exclusive)
+     * @param {bigint|number|Date} [options.validAfter] Start (exclusive, default 0)
+     * @param {string} [options.nonce] 32-byte nonce (default: random)
+     * @returns {Promise<object>} Signed authorization
+     */
+    async signTransferAuthorization(to, value, options = {}) {
+        return this._signAuthorization(buildTransferAuthorization, {
+            to,
+            value,
+            ...options,
+        });
+    }
+
+    /**
+     * Sign a ReceiveWithAuthorization as the connected signer; only `to`
+     * can submit it
+     * @param {string} to Payee
+     * @param {bigint|string|number} value Amount
+     * @param {object} options Same options as signTransferAuthorization
+     * @returns {Promise<object>} Signed authorization
+     */
+    async signReceiveAuthorization(to, value, options = {}) {
+        return this._signAuthorization(buildReceiveAuthorization, {
+            to,
+            value,
+            ...options,
+        });
+    }
+
+    /**
+     * Sign the cancellation of one of the connected signer's authorizations
+     * @param {string} nonce Nonce of the authorization to cancel
+     * @returns {Promise<object>} Signed cancellation
+     */
+    async signCancelAuthorization(nonce) {
+        return this._signAuthorization(buildCancelAuthorization, { nonce });
+    }
+
+    async transferWithAuthorization(authorization) {
+        return this._send(
+            "transferWithAuthorization",
+            transferArgs(authorization)
+        );
+    }
+
+    async receiveWithAuthorization(authorization) {
+        return this._send(
+            "receiveWithAuthorization",
+            transferArgs(authorization)
+        );
+    }
+
+    async cancelAuthorization(cancellation) {
+        return this._send("cancelAuthorization", [
+            cancellation.authorizer,
+            cancellation.nonce,
+            cancellation.v,
+            cancellation.r,
+            cancellation.s,
+        ]);
+    }
+
+    // ============ Supply ============
+
+    async mint(to, amount) {
+        return this._send("mint", [to, parseAmount(amount)]);
+    }
+
+    /**
+     * Mint an amount above maxMintPerTransaction as consecutive mints
+     * @dev Each chunk is confirmed before the next is sent. If one fails,
+     *      the PartialMintError lists the chunks already minted. The total
+     *      must fit the connected minter's allowance and rate limit.
+     * @param {string} to Recipient
+     * @param {bigint|string|number} amount Total to mint
+     * @param {object} [options] Options
+     * @param {number} [options.confirmations] Confirmations per chunk (default 1)
+     * @param {Function} [options.onChunk] Awaited after each confirmed chunk
+     * @returns {Promise<{to: string, total: bigint, chunks: object[]}>}
+     */
+    async mintInChunks(to, amount, options = {}) {
+        const total = parseAmount(amount);
+        const minter = await this.contract.runner.getAddress();
+        const plan = planMint(total, {
+            ...(await this.getRemainingMintCapacity()),
+            minterRemaining: (await this.getMinterLimits(minter)).mintable,
+        });
+        const chunks = [];
+
+        for (const [index, chunk] of plan.entries()) {
+            try {
+                const tx = await this.mint(to, chunk);
+                const receipt = await tx.wait(options.confirmations ?? 1);
+                const done = {
+                    index,
+                    amount: chunk,
+                    hash: receipt.hash,
+                    blockNumber: receipt.blockNumber,
+                };
+                chunks.push(done);
+                if (options.onChunk) {
+                    await options.onChunk(done, plan);
+                }
+            } catch (error) {
+                throw new PartialMintError(
+                    { to, total, plan, chunks },
+                    decodeError(error)
+                );
+            }
+        }
+        return { to, total, chunks };
+    }
+
+    async burnFrom(from, amount) {
+        return this._send("burnFrom", [from, parseAmount(amount)]);
+    }
+
+    async maxMintPerTransaction() {
+        return this._call("maxMintPerTransaction", []);
+    }
+
+    async maxTotalSupply() {
+        return this._call("maxTotalSupply", []);
+    }
+
+    /**
+     * Remaining mint capacity
+     * @returns {Promise<{perTxRemaining: bigint, totalRemaining: bigint}>}
+     */
+    async getRemainingMintCapacity() {
+        const [perTxRemaining, totalRemaining] = await this._call(
+            "getRemainingMintCapacity",
+            []
+        );
+        return { perTxRemaining, totalRemaining };
+    }
+
+    // ============ Minter Limits ============
+
+    /**
+     * Amount a minter may still mint under its allowance
+     * @param {string} minter Minter address
+     * @returns {Promise<bigint>}
+     */
+    async minterAllowance(minter) {
+        return this._call("minterAllowance", [minter]);
+    }
+
+    /**
+     * Rolling-window rate limit of a minter
+     * @param {string} minter Minter address
+     * @returns {Promise<object|null>} { limit, window, available } (window in
+     *          seconds, available = what the limit allows now), or null when
+     *          the minter has no rate limit
+     */
+    async minterRateLimit(minter) {
+        const [limit, window, available] = await this._call("minterRateLimit", [
+            minter,
+        ]);
+        return limit === 0n ? null : { limit, window, available };
+    }
+
+    /**
+     * Allowance and rate limit of a minter, and what it can mint right now
+     * @param {string} minter Minter address
+     * @returns {Promise<{allowance: bigint, rateLimit: object|null,
+     *          mintable: bigint}>} mintable is the lower of the allowance and
+     *          the rate limit's available amount (caps not included)
+     */
+    async getMinterLimits(minter) {
+        const [allowance, rateLimit] = await Promise.all([
+            this.minterAllowance(minter),
+            this.minterRateLimit(minter),
+        ]);
+        const mintable =
+            rateLimit && rateLimit.available < allowance
+                ? rateLimit.available
+                : allowance;
+        return { allowance, rateLimit, mintable };
+    }
+
+    async setMinterAllowance(minter, allowance) {
+        return this._send("setMinterAllowance", [
+            minter,
+            parseAmount(allowance),
+        ]);
+    }
+
+    /**
+     * @param {string} minter Minter address
+     * @param {bigint|string|number} limit Most the minter may mint per
+     *        window; 0 removes the rate limit
+     * @param {bigint|number} window Window in seconds
+     */
+    async setMinterRateLimit(minter, limit, window) {
+        return this._send("setMinterRateLimit", [
+            minter,
+            parseAmount(limit),
+            BigInt(window),
+        ]);
+    }
+
+    // ============ Supply Cap Timelock ============
+
+    /**
+     * Delay between proposing and executing a cap change
+     * @returns {Promise<bigint>} Seconds
+     */
+    async capChangeDelay() {
+        return this._call("capChangeDelay", []);
+    }
+
+    /**
+     * Pending change of one setting
+     * @param {string|number} parameter Cap parameter name or enum value
+     * @returns {Promise<object|null>} { parameter, value, executableAt } or
+     *          null when nothing is pending; executableAt is a Date
+     */
+    async pendingCapChange(parameter) {
+        const index = capParameter(parameter);
+        const [value, executableAt] = await this._call("pendingCapChange", [
+            index,
+        ]);
+        if (executableAt === 0n) {
+            return null;
+        }
+        return {
+            parameter: capParameterName(index),
+            value,
+            executableAt: new Date(Number(executableAt) * 1000),
+        };
+    }
+
+    /**
+     * Pending changes of all timelocked settings
+     * @returns {Promise<object[]>} See pendingCapChange
+     */
+    async getPendingCapChanges() {
+        const changes = await Promise.all(
+            Object.keys(CAP_PARAMETERS).map((name) =>
+                this.pendingCapChange(name)
+            )
+        );
+        return changes.filter(Boolean);
+    }
+
+    async proposeMaxMintPerTransaction(limit) {
+        return this._send("proposeMaxMintPerTransaction", [parseAmount(limit)]);
+    }
+
+    async proposeMaxTotalSupply(limit) {
+        return this._send("proposeMaxTotalSupply", [parseAmount(limit)]);
+    }
+
+    /**
+     * @param {bigint|number} delay New delay in seconds
+     */
+    async proposeCapChangeDelay(delay) {
+        return this._send("proposeCapChangeDelay", [BigInt(delay)]);
+    }
+
+    async executeCapChange(parameter) {
+        return this._send("executeCapChange", [capParameter(parameter)]);
+    }
+
+    async cancelCapChange(parameter) {
+        return this._send("cancelCapChange", [capParameter(parameter)]);
+    }
+
+    // ============ Reserves ============
+
+    async totalReserves() {
+        return this._call("totalReserves", []);
+    }
+
+    /**
+     * Merkle root of the itemized holdings last published (ZeroHash if none)
+     * @returns {Promise<string>}
+     */
+    async reserveRoot() {
+        return this._call("reserveRoot", []);
+    }
+
+    /**
+     * Time of the last reserve attestation
+     * @returns {Promise<Date>}
+     */
+    async lastReserveUpdate() {
+        const timestamp = await this._call("lastReserveUpdate", []);
+        return new Date(Number(timestamp) * 1000);
+    }
+
+    /**
+     * Collateralization ratio
+     * @returns {Promise<{ratio: bigint, reserves: bigint, supply: bigint,
+     *          collateralized: boolean}>} ratio in basis points (10000 = 100%)
+     */
+    async getCollateralizationRatio() {
+        const [ratio, reserves, supply] = await this._call(
+            "getCollateralizationRatio",
+            []
+        );
+        return {
+            ratio,
+            reserves,
+            supply,
+            collateralized: ratio >= RATIO_BASIS_POINTS,
+        };
+    }
+
+    /**
+     * Reserve health
+     * @returns {Promise<{isHealthy: boolean, reserveDeficit: bigint,
+     *          reserveSurplus: bigint}>}
+     */
+    async getReserveHealth() {
+        const [isHealthy, reserveDeficit, reserveSurplus] = await this._call(
+            "getReserveHealth",
+            []
+        );
+        return { isHealthy, reserveDeficit, reserveSurplus };
+    }
+
+    async updateReserves(amount) {
+        return this._send("updateReserves", [parseAmount(amount)]);
+    }
+
+    async updateReservesWithRoot(amount, root) {
+        return this._send("updateReservesWithRoot", [
+            parseAmount(amount),
+            root,
+        ]);
+    }
+
+    async addReserves(amount, reserveType) {
+        return this._send("addReserves", [parseAmount(amount), reserveType]);
+    }
+
+    async removeReserves(amount, reason) {
+        return this._send("removeReserves", [parseAmount(amount), reason]);
+    }
+
+    // ============ Compliance ============
+
+    async isBlacklisted(account) {
+        return this._call("isBlacklisted", [account]);
+    }
+
+    async blacklistReason(account) {
+        return this._call("blacklistReason", [account]);
+    }
+
+    async blacklist(account, reason) {
+        return this._send("blacklist", [account, reason]);
+    }
+
+    async unBlacklist(account) {
+        return this._send("unBlacklist", [account]);
+    }
+
+    async complianceBurn(account, amount, caseReference) {
+        return this._send("complianceBurn", [
+            account,
+            parseAmount(amount),
+            caseReference,
+        ]);
+    }
+
+    // ============ Emergency ============
+
+    async paused() {
+        return this._call("paused", []);
+    }
+
+    async pause() {
+        return this._send("pause", []);
+    }
+
+    async unpause() {
+        return this._send("unpause", []);
+    }
+
+    // ============ Roles ============
+
+    async hasRole(role, account) {
+        return this._call("hasRole", [role, account]);
+    }
+
+    // ============ Internal ============
+
+    async _signAuthorization(build, params) {
+        const signer = this.contract.runner;
+        const address = await signer.getAddress();
+        const domain = await this._call("eip712Domain", []);
+        const typedData = build({
+            name: domain.name,
+            version: domain.version,
+            chainId: domain.chainId,
+            verifyingContract: domain.verifyingContract,
+            from: address,
+            authorizer: address,
+            ...params,
+        });
+        return signAuthorization(signer, typedData);
+    }
+
+    async _call(method, args) {
+        try {
+            return await this.contract[method].staticCall(...args);
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    async _send(method, args) {
+        try {
+            return await this.contract[method](...args);
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+}
+
+// Arguments of transferWithAuthorization / receiveWithAuthorization
+function transferArgs(authorization) {
+    return [
+        authorization.from,
+        authorization.to,
+        authorization.value,
+        authorization.validAfter,
+        authorization.validBefore,
+        authorization.nonce,
+        authorization.v,
+        authorization.r,
+        authorization.s,
+    ];
+}
+
+module.exports = { USDTqClient };
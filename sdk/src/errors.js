@@ -0,0 +1,197 @@
+/**
+ * @title Typed Contract Errors
+ * @notice Turns USDTq custom-error reverts into JavaScript exceptions
+ * @dev One class is generated per custom error in the contract ABI (USDTq's
+ *      own errors and the OpenZeppelin ones it inherits). The class is named
+ *      after the error with an "Error" suffix and exposes the error arguments
+ *      as properties:
+ *
+ *        try {
+ *          await client.mint(to, "20,000,000");
+ *        } catch (error) {
+ *          if (error instanceof ExceedsMaxMintPerTransactionError) {
+ *            console.log(error.requested, error.maximum);
+ *          }
+ *        }
+ */
+
+const { Interface, isHexString } = require("ethers");
+const { formatAmount } = require("./amounts");
+const { capParameterName, formatCapValue } = require("./caps");
+const { roleName } = require("./roles");
+const USDTQ_ABI = require("../abi/USDTq.json");
+
+// Human-readable messages; amounts are formatted with 6 decimals
+const MESSAGES = {
+    AccountBlacklisted: ({ account }) => `Account ${account} is blacklisted`,
+    ExceedsMaxMintPerTransaction: ({ requested, maximum }) =>
+        `Mint of ${formatAmount(requested)} USDTq exceeds the per-transaction limit of ${formatAmount(maximum)} USDTq`,
+    ExceedsMaxTotalSupply: ({ newSupply, maximum }) =>
+        `New supply of ${formatAmount(newSupply)} USDTq exceeds the maximum total supply of ${formatAmount(maximum)} USDTq`,
+    MaxSupplyBelowCurrentSupply: ({ proposed, current }) =>
+        `Proposed maximum supply of ${formatAmount(proposed)} USDTq is below the current supply of ${formatAmount(current)} USDTq`,
+    InsufficientReserves: ({ required, available }) =>
+        `Insufficient reserves: ${formatAmount(required)} USDTq required, ${formatAmount(available)} USDTq available`,
+    TooManySigners: ({ provided, maximum }) =>
+        `${provided} signers provided; at most ${maximum} allowed per role`,
+    ZeroAddress: () => "Address must not be the zero address",
+    ZeroAmount: () => "Amount must be greater than zero",
+    SameValue: () => "New value is the same as the current value",
+    AccountNotBlacklisted: ({ account }) =>
+        `Account ${account} is not blacklisted`,
+    MissingCaseReference: () => "A case reference is required",
+    MissingReserveRoot: () => "A reserve root is required",
+    AuthorizationNotYetValid: ({ validAfter }) =>
+        `Authorization is not valid until after ${formatTimestamp(validAfter)}`,
+    AuthorizationExpired: ({ validBefore }) =>
+        `Authorization expired at ${formatTimestamp(validBefore)}`,
+    AuthorizationAlreadyUsed: ({ authorizer, nonce }) =>
+        `Authorization ${nonce} of ${authorizer} was already used or canceled`,
+    InvalidAuthorizationSigner: ({ signer, authorizer }) =>
+        `Authorization signed by ${signer}, not by the payer ${authorizer}`,
+    CallerNotPayee: ({ caller, payee }) =>
+        `Only the payee ${payee} can submit this authorization, not ${caller}`,
+    CapChangeAlreadyPending: ({ parameter, value, executableAt }) =>
+        `A change of ${capParameterName(parameter)} to ${formatCapValue(parameter, value)} is already pending (executable at ${formatTimestamp(executableAt)}); cancel it first`,
+    NoPendingCapChange: ({ parameter }) =>
+        `No change of ${capParameterName(parameter)} is pending`,
+    CapChangeNotReady: ({ parameter, executableAt }) =>
+        `The change of ${capParameterName(parameter)} cannot be executed before ${formatTimestamp(executableAt)}`,
+    CapChangeDelayOutOfRange: ({ delay, minimum, maximum }) =>
+        `Cap change delay of ${delay}s is outside ${minimum}s to ${maximum}s`,
+    MinterAllowanceExceeded: ({ minter, requested, allowance }) =>
+        `Mint of ${formatAmount(requested)} USDTq exceeds the remaining allowance of ${minter}: ${formatAmount(allowance)} USDTq`,
+    MinterRateLimitExceeded: ({ minter, requested, available }) =>
+        `Mint of ${formatAmount(requested)} USDTq exceeds the rate limit of ${minter}: ${formatAmount(available)} USDTq available now`,
+    RateLimitWindowOutOfRange: ({ window, minimum, maximum }) =>
+        `Rate limit window of ${window}s is outside ${minimum}s to ${maximum}s`,
+    AccessControlUnauthorizedAccount: ({ account, neededRole }) =>
+        `Account ${account} is missing ${roleName(neededRole)}`,
+    EnforcedPause: () => "USDTq is paused",
+    ExpectedPause: () => "USDTq is not paused",
+    ERC20InsufficientBalance: ({ sender, balance, needed }) =>
+        `Insufficient balance for ${sender}: ${formatAmount(balance)} USDTq available, ${formatAmount(needed)} USDTq needed`,
+    ERC20InsufficientAllowance: ({ spender, allowance, needed }) =>
+        `Insufficient allowance for ${spender}: ${formatAmount(allowance)} USDTq approved, ${formatAmount(needed)} USDTq needed`,
+    ERC2612ExpiredSignature: ({ deadline }) =>
+        `Permit expired at ${formatTimestamp(deadline)}`,
+    ERC2612InvalidSigner: ({ signer, owner }) =>
+        `Permit signed by ${signer}, not by the owner ${owner} (wrong nonce, domain or values?)`,
+};
+
+function formatTimestamp(seconds) {
+    return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Base class of all decoded USDTq reverts
+ */
+class USDTqError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {object} details Decoded revert
+     * @param {string} details.errorName Solidity error name
+     * @param {Array} details.args Error arguments in ABI order
+     * @param {Error} [details.cause] Original provider/ethers error
+     */
+    constructor(message, { errorName, args = [], cause } = {}) {
+        super(message, { cause });
+        this.name = "USDTqError";
+        this.errorName = errorName;
+        this.args = args;
+    }
+}
+
+function defineError(fragment) {
+    const fields = fragment.inputs.map((input) => input.name);
+    const className = `${fragment.name}Error`;
+
+    const ErrorClass = class extends USDTqError {
+        constructor(args = [], options = {}) {
+            const values = Object.fromEntries(
+                fields.map((field, i) => [field, args[i]])
+            );
+            const describe = MESSAGES[fragment.name];
+            super(
+                describe ? describe(values) : `${fragment.format()} reverted`,
+                {
+                    ...options,
+                    errorName: fragment.name,
+                    args: [...args],
+                }
+            );
+            this.name = className;
+            Object.assign(this, values);
+        }
+    };
+    Object.defineProperty(ErrorClass, "name", { value: className });
+    return ErrorClass;
+}
+
+const usdtqInterface = new Interface(USDTQ_ABI);
+
+// Error name (without the "Error" suffix) → class
+const ERRORS = {};
+usdtqInterface.forEachError((fragment) => {
+    ERRORS[fragment.name] = defineError(fragment);
+});
+
+// Walk the nested error objects ethers and JSON-RPC providers produce
+function findRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== "object" || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+
+        if (isHexString(current.data) && current.data.length >= 10) {
+            return current.data;
+        }
+        queue.push(current.error, current.info?.error, current.cause);
+    }
+    return null;
+}
+
+/**
+ * Convert a reverted call into the matching typed error
+ * @param {Error} error Error thrown by ethers or the provider
+ * @returns {Error} A USDTqError subclass, or the original error when the
+ *          revert is not a known custom error
+ */
+function decodeError(error) {
+    if (error instanceof USDTqError) {
+        return error;
+    }
+
+    const data = findRevertData(error);
+    if (!data) {
+        return error;
+    }
+
+    let parsed;
+    try {
+        parsed = usdtqInterface.parseError(data);
+    } catch {
+        return error;
+    }
+    if (!parsed || !ERRORS[parsed.name]) {
+        return error;
+    }
+
+    return new ERRORS[parsed.name]([...parsed.args], { cause: error });
+}
+
+module.exports = {
+    USDTqError,
+    ERRORS,
+    decodeError,
+    ...Object.fromEntries(
+        Object.entries(ERRORS).map(([name, ErrorClass]) => [
+            `${name}Error`,
+            ErrorClass,
+        ])
+    ),
+};
@@ -0,0 +1,27 @@
+/**
+ * @title USDTq SDK
+ * @notice Public entry point of @teamquant/usdtq-sdk
+ */
+
+const { USDTqClient } = require("./client");
+const amounts = require("./amounts");
+const authorizations = require("./authorizations");
+const caps = require("./caps");
+const errors = require("./errors");
+const mints = require("./mints");
+const permit = require("./permit");
+const reserves = require("./reserves");
+const roles = require("./roles");
+
+module.exports = {
+    USDTqClient,
+    USDTQ_ABI: require("../abi/USDTq.json"),
+    ...amounts,
+    ...authorizations,
+    ...caps,
+    ...roles,
+    ...errors,
+    ...mints,
+    ...permit,
+    ...reserves,
+};
@@ -0,0 +1,85 @@
+/**
+ * @title Split Mints
+ * @notice Plan an issuance larger than maxMintPerTransaction as several mints
+ * @dev `mint` reverts with ExceedsMaxMintPerTransaction above the per-tx
+ *      cap. planMint fills chunks up to the cap, so 25M with a 10M cap is
+ *      [10M, 10M, 5M], and refuses plans above the maxTotalSupply headroom
+ *      or the minter's own limits before anything is sent:
+ *
+ *        const capacity = await client.getRemainingMintCapacity();
+ *        const chunks = planMint("25,000,000", capacity);
+ *        await client.connect(minter).mintInChunks(to, "25,000,000");
+ */
+
+const { formatAmount, parseAmount } = require("./amounts");
+
+/**
+ * Thrown by mintInChunks when a chunk fails after earlier ones were minted
+ */
+class PartialMintError extends Error {
+    /**
+     * @param {object} progress Mint progress
+     * @param {string} progress.to Recipient
+     * @param {bigint} progress.total Planned total
+     * @param {bigint[]} progress.plan Planned chunk amounts
+     * @param {object[]} progress.chunks Confirmed chunks
+     *        ({ index, amount, hash, blockNumber })
+     * @param {Error} [cause] Error of the failed chunk
+     */
+    constructor(progress, cause) {
+        const minted = progress.chunks.reduce(
+            (sum, chunk) => sum + chunk.amount,
+            0n
+        );
+        const failedChunk = progress.chunks.length;
+        super(
+            `Chunk ${failedChunk + 1}/${progress.plan.length} failed after minting ${formatAmount(minted)} of ${formatAmount(progress.total)} USDTq${cause ? `: ${cause.message}` : ""}`,
+            { cause }
+        );
+        this.name = "PartialMintError";
+        Object.assign(this, progress);
+        this.minted = minted;
+        this.remaining = progress.total - minted;
+        this.failedChunk = failedChunk;
+    }
+}
+
+/**
+ * Split an amount into mints that each fit the per-transaction cap
+ * @param {bigint|string|number} amount Total to mint
+ * @param {object} capacity From getRemainingMintCapacity()
+ * @param {bigint} capacity.perTxRemaining Per-transaction cap
+ * @param {bigint} capacity.totalRemaining maxTotalSupply headroom
+ * @param {bigint} [capacity.minterRemaining] What the minter can mint now
+ *        (getMinterLimits().mintable)
+ * @returns {bigint[]} Chunk amounts in base units
+ */
+function planMint(amount, capacity) {
+    const total = parseAmount(amount);
+    const { perTxRemaining, totalRemaining, minterRemaining } = capacity;
+
+    if (total === 0n) {
+        throw new RangeError("Amount must be greater than zero");
+    }
+    if (total > totalRemaining) {
+        throw new RangeError(
+            `Mint of ${formatAmount(total)} USDTq exceeds the remaining supply of ${formatAmount(totalRemaining)} USDTq`
+        );
+    }
+    if (minterRemaining !== undefined && total > minterRemaining) {
+        throw new RangeError(
+            `Mint of ${formatAmount(total)} USDTq exceeds the ${formatAmount(minterRemaining)} USDTq the minter's allowance and rate limit allow`
+        );
+    }
+    if (perTxRemaining === 0n) {
+        throw new RangeError("maxMintPerTransaction is zero");
+    }
+
+    const chunks = [];
+    for (let left = total; left > 0n; left -= chunks[chunks.length - 1]) {
+        chunks.push(left < perTxRemaining ? left : perTxRemaining);
+    }
+    return chunks;
+}
+
+module.exports = { PartialMintError, planMint };
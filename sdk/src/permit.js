@@ -0,0 +1,156 @@
+/**
+ * @title EIP-2612 Permits
+ * @notice Build and sign permit typed data for gasless approvals
+ * @dev The holder signs an EIP-712 Permit message off-chain and anyone (a
+ *      relayer, or the spender itself) submits it with permit(). The domain
+ *      is name "USDTq teamquant.space", version "1", the chain id and the
+ *      token address; the nonce is the holder's current nonces(owner):
+ *
+ *        const typedData = buildPermitTypedData({
+ *          chainId: 56,
+ *          verifyingContract: usdtq,
+ *          owner: holder.address,
+ *          spender,
+ *          value: "250.00",
+ *          nonce: await client.nonces(holder.address),
+ *          deadline: Math.floor(Date.now() / 1000) + 3600,
+ *        });
+ *        const permit = await signPermit(holder, typedData);
+ *        await client.connect(relayer).permit(permit);
+ *
+ *      USDTqClient.signPermit does the same, reading the domain and nonce
+ *      from the contract.
+ */
+
+const {
+    Signature,
+    TypedDataEncoder,
+    getAddress,
+    verifyTypedData,
+} = require("ethers");
+const { parseAmount } = require("./amounts");
+
+const PERMIT_NAME = "USDTq teamquant.space";
+const PERMIT_VERSION = "1";
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Convert a deadline to a unix timestamp in seconds
+ * @param {bigint|number|Date} deadline Seconds since the epoch, or a Date
+ * @returns {bigint}
+ */
+function toDeadline(deadline) {
+    if (deadline instanceof Date) {
+        return BigInt(Math.floor(deadline.getTime() / 1000));
+    }
+    if (deadline === undefined || deadline === null) {
+        throw new TypeError("A permit deadline is required");
+    }
+    return BigInt(deadline);
+}
+
+/**
+ * EIP-712 typed data of a permit
+ * @param {object} params Permit parameters
+ * @param {bigint|number} params.chainId Chain the token is deployed on
+ * @param {string} params.verifyingContract USDTq address
+ * @param {string} params.owner Token holder signing the permit
+ * @param {string} params.spender Address being approved
+ * @param {bigint|string|number} params.value Allowance (base units or whole USDTq)
+ * @param {bigint|number} params.nonce Current nonces(owner)
+ * @param {bigint|number|Date} params.deadline Expiry (unix seconds or Date)
+ * @param {string} [params.name] Domain name (default "USDTq teamquant.space")
+ * @param {string} [params.version] Domain version (default "1")
+ * @returns {{domain: object, types: object, primaryType: string, message: object}}
+ */
+function buildPermitTypedData(params) {
+    return {
+        domain: {
+            name: params.name ?? PERMIT_NAME,
+            version: params.version ?? PERMIT_VERSION,
+            chainId: BigInt(params.chainId),
+            verifyingContract: getAddress(params.verifyingContract),
+        },
+        types: PERMIT_TYPES,
+        primaryType: "Permit",
+        message: {
+            owner: getAddress(params.owner),
+            spender: getAddress(params.spender),
+            value: parseAmount(params.value),
+            nonce: BigInt(params.nonce),
+            deadline: toDeadline(params.deadline),
+        },
+    };
+}
+
+/**
+ * EIP-712 digest of a permit (what the contract recovers the signer from)
+ * @param {object} typedData Result of buildPermitTypedData
+ * @returns {string}
+ */
+function hashPermit(typedData) {
+    return TypedDataEncoder.hash(
+        typedData.domain,
+        typedData.types,
+        typedData.message
+    );
+}
+
+/**
+ * Sign a permit with the owner's signer
+ * @param {object} signer ethers Signer of the owner
+ * @param {object} typedData Result of buildPermitTypedData
+ * @returns {Promise<object>} { owner, spender, value, deadline, v, r, s, signature },
+ *          ready for USDTqClient.permit
+ */
+async function signPermit(signer, typedData) {
+    const { owner, spender, value, deadline } = typedData.message;
+    const signerAddress = await signer.getAddress();
+    if (getAddress(signerAddress) !== owner) {
+        throw new Error(
+            `Permit owner ${owner} does not match the signer ${signerAddress}`
+        );
+    }
+
+    const signature = await signer.signTypedData(
+        typedData.domain,
+        typedData.types,
+        typedData.message
+    );
+    const { v, r, s } = Signature.from(signature);
+    return { owner, spender, value, deadline, v, r, s, signature };
+}
+
+/**
+ * Recover the address that signed a permit
+ * @param {object} typedData Result of buildPermitTypedData
+ * @param {string} signature 65-byte signature
+ * @returns {string} Checksummed signer address
+ */
+function recoverPermitSigner(typedData, signature) {
+    return verifyTypedData(
+        typedData.domain,
+        typedData.types,
+        typedData.message,
+        signature
+    );
+}
+
+module.exports = {
+    PERMIT_NAME,
+    PERMIT_VERSION,
+    PERMIT_TYPES,
+    buildPermitTypedData,
+    hashPermit,
+    signPermit,
+    recoverPermitSigner,
+};
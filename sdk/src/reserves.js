@@ -0,0 +1,133 @@
+/**
+ * @title Proof-of-Reserves Merkle Tree
+ * @notice Commit to itemized reserve holdings and prove single line items
+ * @dev Each line of a reserve report becomes a leaf:
+ *
+ *        keccak256(keccak256(abi.encode(
+ *          uint256 index, string asset, string custodian, string account,
+ *          uint256 amount, uint256 usdValue)))
+ *
+ *      with amounts in 6-decimal units (usdValue defaults to amount) and
+ *      missing strings encoded as "". Pairs are hashed in sorted order and an
+ *      odd node is carried up unchanged, which matches OpenZeppelin's
+ *      MerkleProof.verify. The reserve manager publishes the root with
+ *      updateReservesWithRoot; a custodian holding its line and proof checks
+ *      inclusion without seeing the other lines:
+ *
+ *        const ok = verifyReserveProof({
+ *          root: await client.reserveRoot(),
+ *          index: 1,
+ *          item: { asset: "USDC", amount: "4,000,000.00", custodian: "B" },
+ *          proof,
+ *        });
+ */
+
+const { AbiCoder, concat, keccak256 } = require("ethers");
+const { parseAmount } = require("./amounts");
+
+const LEAF_TYPES = [
+    "uint256",
+    "string",
+    "string",
+    "string",
+    "uint256",
+    "uint256",
+];
+
+/**
+ * Leaf hash of a reserve line item
+ * @param {object} item Line item ({ asset, amount, usdValue?, custodian?, account? })
+ * @param {number} index Position of the item in the report
+ * @returns {string} bytes32 leaf
+ */
+function hashReserveItem(item, index) {
+    const encoded = AbiCoder.defaultAbiCoder().encode(LEAF_TYPES, [
+        index,
+        item.asset,
+        item.custodian ?? "",
+        item.account ?? "",
+        parseAmount(item.amount),
+        parseAmount(item.usdValue ?? item.amount),
+    ]);
+    return keccak256(keccak256(encoded));
+}
+
+function hashPair(a, b) {
+    return keccak256(
+        a.toLowerCase() < b.toLowerCase() ? concat([a, b]) : concat([b, a])
+    );
+}
+
+/**
+ * Build the tree of a list of reserve line items
+ * @param {object[]} items Line items in report order
+ * @returns {{root: string, leaves: string[], proofs: string[][]}} proofs[i]
+ *          is the inclusion proof of items[i]
+ */
+function buildReserveTree(items) {
+    if (items.length === 0) {
+        throw new RangeError("A reserve tree needs at least one line item");
+    }
+
+    const leaves = items.map(hashReserveItem);
+    const proofs = leaves.map(() => []);
+    // positions[i] is the index of leaf i's ancestor in the current layer
+    let positions = leaves.map((_, i) => i);
+    let layer = leaves;
+
+    while (layer.length > 1) {
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(
+                i + 1 < layer.length
+                    ? hashPair(layer[i], layer[i + 1])
+                    : layer[i]
+            );
+        }
+        positions.forEach((position, leaf) => {
+            const sibling = position ^ 1;
+            if (sibling < layer.length) {
+                proofs[leaf].push(layer[sibling]);
+            }
+        });
+        positions = positions.map((position) => position >> 1);
+        layer = next;
+    }
+
+    return { root: layer[0], leaves, proofs };
+}
+
+/**
+ * Fold a proof into the root it implies
+ * @param {string} leaf Leaf hash
+ * @param {string[]} proof Sibling hashes, leaf to root
+ * @returns {string}
+ */
+function processReserveProof(leaf, proof) {
+    return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf);
+}
+
+/**
+ * Check that a line item is included under a root
+ * @param {object} options Options
+ * @param {string} options.root Published reserve root
+ * @param {number} options.index Position of the item in the report
+ * @param {object} options.item Line item
+ * @param {string[]} options.proof Inclusion proof
+ * @returns {boolean}
+ */
+function verifyReserveProof({ root, index, item, proof }) {
+    return (
+        processReserveProof(
+            hashReserveItem(item, index),
+            proof
+        ).toLowerCase() === root.toLowerCase()
+    );
+}
+
+module.exports = {
+    hashReserveItem,
+    buildReserveTree,
+    processReserveProof,
+    verifyReserveProof,
+};
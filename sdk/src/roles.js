@@ -0,0 +1,29 @@
+/**
+ * @title USDTq Roles
+ * @notice AccessControl role identifiers
+ */
+
+const { ZeroHash, id } = require("ethers");
+
+const ROLES = {
+    DEFAULT_ADMIN_ROLE: ZeroHash,
+    ADMIN_ROLE: id("ADMIN_ROLE"),
+    MINTER_ROLE: id("MINTER_ROLE"),
+    BLACKLISTER_ROLE: id("BLACKLISTER_ROLE"),
+    PAUSER_ROLE: id("PAUSER_ROLE"),
+    RESERVE_MANAGER_ROLE: id("RESERVE_MANAGER_ROLE"),
+};
+
+/**
+ * Look up the role name for a bytes32 hash
+ * @param {string} hash Role hash
+ * @returns {string} Role name, or the hash itself if unknown
+ */
+function roleName(hash) {
+    return (
+        Object.keys(ROLES).find((name) => ROLES[name] === hash.toLowerCase()) ||
+        hash
+    );
+}
+
+module.exports = { ROLES, roleName };
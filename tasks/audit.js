@@ -0,0 +1,190 @@
+/**
+ * @title Deployment Audit Task
+ * @notice Checks a live USDTq deployment against its expected configuration
+ * @dev Expected roles come from the network manifest (or --manifest), falling
+ *      back to the constructor arguments in deployments/registry.json. The
+ *      task fails, and so exits non-zero, on any drift:
+ *
+ *        npx hardhat audit-deployment --network bsc_mainnet
+ *        npx hardhat audit-deployment --network bsc_mainnet --json
+ */
+
+const { task, types } = require("hardhat/config");
+const { loadManifest, validateManifest } = require("../utils/manifest");
+const { getDeployment } = require("../utils/registry");
+const {
+    ROLES,
+    roleName,
+    formatAmount,
+    resolveUsdtqAddress,
+} = require("../utils/usdtq");
+const { DEFAULT_BLOCK_RANGE, auditDeployment } = require("../utils/audit");
+
+/**
+ * Load the expected configuration: manifest first, then the registry
+ */
+async function loadExpected(hre, args, chainId, registered) {
+    const loaded = loadManifest(hre.network.name, {
+        file: args.manifest || process.env.DEPLOY_MANIFEST,
+    });
+    if (loaded) {
+        const errors = validateManifest(loaded.manifest, { chainId });
+        if (errors.length > 0) {
+            throw new Error(
+                `Invalid deployment manifest ${loaded.file}:\n  - ${errors.join("\n  - ")}`
+            );
+        }
+        return { source: loaded.file, expected: loaded.manifest };
+    }
+
+    if (registered) {
+        const { constructorArgs } = registered;
+        return {
+            source: "deployments/registry.json",
+            expected: {
+                gnosisSafe: constructorArgs.gnosisSafe,
+                roles: {
+                    minters: constructorArgs.minterSigners,
+                    blacklisters: constructorArgs.blacklisterSigners,
+                    pausers: constructorArgs.pauserSigners,
+                    reserveManagers: constructorArgs.reserveManagerSigners,
+                },
+            },
+        };
+    }
+
+    throw new Error(
+        `No expected configuration for ${hre.network.name}; pass --manifest`
+    );
+}
+
+task(
+    "audit-deployment",
+    "Audit USDTq roles and parameters against the expected configuration"
+)
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam("manifest", "Manifest with the expected configuration")
+    .addOptionalParam(
+        "deployer",
+        "Deployer address (default: registry/named account)"
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "First block to read role events from (default: deployment block)",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "blockRange",
+        "Blocks per event query",
+        DEFAULT_BLOCK_RANGE,
+        types.int
+    )
+    .addFlag("json", "Print the report as JSON")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { chainId } = await ethers.provider.getNetwork();
+        const registered = getDeployment(chainId);
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+
+        const { source, expected } = await loadExpected(
+            hre,
+            args,
+            chainId,
+            registered
+        );
+        const deployer =
+            args.deployer ||
+            registered?.deployer ||
+            (await hre.getNamedAccounts()).deployer;
+        const fromBlock =
+            args.fromBlock ??
+            (registered?.contractAddress === address
+                ? registered.blockNumber
+                : null) ??
+            0;
+
+        const report = await auditDeployment(usdtq, {
+            expected,
+            deployer,
+            fromBlock,
+            blockRange: args.blockRange,
+        });
+
+        if (args.json) {
+            console.log(
+                JSON.stringify(
+                    {
+                        network: hre.network.name,
+                        chainId: Number(chainId),
+                        contractAddress: address,
+                        expectedFrom: source,
+                        holders: Object.fromEntries(
+                            Object.entries(report.holders).map(
+                                ([role, accounts]) => [roleName(role), accounts]
+                            )
+                        ),
+                        parameters: Object.fromEntries(
+                            Object.entries(report.parameters).map(
+                                ([name, { actual, expected }]) => [
+                                    name,
+                                    {
+                                        actual: formatAmount(actual),
+                                        expected:
+                                            expected === undefined
+                                                ? null
+                                                : formatAmount(expected),
+                                    },
+                                ]
+                            )
+                        ),
+                        issues: report.issues,
+                    },
+                    null,
+                    2
+                )
+            );
+        } else {
+            printReport(hre, { address, source, deployer, report });
+        }
+
+        if (report.issues.length > 0) {
+            throw new Error(
+                `Deployment audit found ${report.issues.length} issue(s)`
+            );
+        }
+        return report;
+    });
+
+function printReport(hre, { address, source, deployer, report }) {
+    console.log("----------------------------------------------------");
+    console.log(`USDTq audit: ${hre.network.name}`);
+    console.log(`  Contract: ${address}`);
+    console.log(`  Expected: ${source}`);
+    console.log(`  Deployer: ${deployer}`);
+    console.log("  Roles:");
+    for (const role of Object.values(ROLES)) {
+        const accounts = report.holders[role] || [];
+        console.log(`    ${roleName(role)} (${accounts.length})`);
+        accounts.forEach((account) => console.log(`      ${account}`));
+    }
+    console.log("  Parameters:");
+    for (const [name, { actual }] of Object.entries(report.parameters)) {
+        console.log(`    ${name}: ${formatAmount(actual)}`);
+    }
+    if (report.issues.length === 0) {
+        console.log("No drift found");
+    } else {
+        console.log(`Drift (${report.issues.length}):`);
+        for (const { check, message } of report.issues) {
+            console.log(`  [${check}] ${message}`);
+        }
+    }
+    console.log("----------------------------------------------------");
+}
+
+module.exports = { loadExpected };
@@ -0,0 +1,218 @@
+/**
+ * @title Compliance Burn Tasks
+ * @notice Destroy frozen balances of blacklisted addresses under a case reference
+ * @dev For a BLACKLISTER_ROLE holder, or the admin Safe:
+ *
+ *        # Check what would be burned
+ *        npx hardhat compliance:burn --network bsc_mainnet \
+ *          --account 0x... --case OFAC-2026-0142 --dry-run
+ *
+ *        # Burn the whole frozen balance from a blacklister key
+ *        npx hardhat compliance:burn --network bsc_mainnet \
+ *          --account 0x... --case OFAC-2026-0142 --signer 0x...
+ *
+ *        # Or prepare it for the Safe
+ *        npx hardhat compliance:burn --network bsc_mainnet \
+ *          --account 0x... --case OFAC-2026-0142 --safe 0xb00D...2a19
+ *
+ *        # Audit trail of past compliance burns
+ *        npx hardhat compliance:history --network bsc_mainnet
+ */
+
+const { task, types } = require("hardhat/config");
+const { decodeError } = require("../sdk/src");
+const { getDeployment } = require("../utils/registry");
+const {
+    formatAmount,
+    parseAmount,
+    resolveUsdtqAddress,
+} = require("../utils/usdtq");
+const { writeSafeBatch } = require("./safe");
+
+const DEFAULT_BLOCK_RANGE = 5000;
+
+/**
+ * Await a staticCall and rethrow a revert with the decoded reason
+ */
+async function preflight(staticCall) {
+    try {
+        await staticCall;
+    } catch (error) {
+        const decoded = decodeError(error);
+        throw new Error(`Preflight failed, nothing sent: ${decoded.message}`, {
+            cause: decoded,
+        });
+    }
+}
+
+task("compliance:burn", "Burn tokens held by a blacklisted address")
+    .addParam("account", "Blacklisted address")
+    .addParam("case", "Case reference recorded in the ComplianceBurn event")
+    .addOptionalParam("amount", "Amount in USDTq (default: the whole balance)")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "signer",
+        "Blacklister address sending the call (default: first account)"
+    )
+    .addOptionalParam(
+        "safe",
+        "Prepare a Safe batch for this Safe instead of sending"
+    )
+    .addOptionalParam("nonce", "Safe nonce (with --safe)", undefined, types.int)
+    .addOptionalParam("out", "Safe batch output file (with --safe)")
+    .addFlag("dryRun", "Check the burn without sending")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+        const account = ethers.getAddress(args.account);
+
+        if (!(await usdtq.isBlacklisted(account))) {
+            throw new Error(
+                `${account} is not blacklisted; blacklist it before a compliance burn`
+            );
+        }
+        const balance = await usdtq.balanceOf(account);
+        const amount =
+            args.amount === undefined ? balance : parseAmount(args.amount);
+        if (amount === 0n) {
+            throw new Error(`${account} holds no USDTq`);
+        }
+        if (amount > balance) {
+            throw new Error(
+                `${account} holds ${formatAmount(balance)} USDTq; cannot burn ${formatAmount(amount)}`
+            );
+        }
+
+        const reserves = await usdtq.totalReserves();
+        const call = {
+            method: "complianceBurn",
+            args: [account, amount, args.case],
+        };
+
+        console.log("----------------------------------------------------");
+        console.log(`Compliance burn under ${args.case}`);
+        console.log(`  Account:   ${account}`);
+        console.log(`  Reason:    ${await usdtq.blacklistReason(account)}`);
+        console.log(`  Balance:   ${formatAmount(balance)} USDTq`);
+        console.log(`  Burn:      ${formatAmount(amount)} USDTq`);
+        console.log(
+            `  Reserves:  ${formatAmount(reserves)} -> ${formatAmount(reserves > amount ? reserves - amount : 0n)} USDTq`
+        );
+
+        if (args.safe) {
+            const safe = ethers.getAddress(args.safe);
+            await preflight(
+                usdtq
+                    .connect(ethers.provider)
+                    .complianceBurn.staticCall(...call.args, { from: safe })
+            );
+            if (args.dryRun) {
+                console.log("Dry run, nothing written");
+                return { account, amount };
+            }
+            const batch = await writeSafeBatch(
+                hre,
+                {
+                    safe,
+                    contract: address,
+                    nonce: args.nonce,
+                    out: args.out,
+                    description: `Compliance burn under ${args.case}`,
+                },
+                [call],
+                `Compliance burn ${args.case}`
+            );
+            return { account, amount, batch };
+        }
+
+        const signer = args.signer
+            ? await ethers.getSigner(args.signer)
+            : (await ethers.getSigners())[0];
+        await preflight(
+            usdtq.connect(signer).complianceBurn.staticCall(...call.args)
+        );
+        if (args.dryRun) {
+            console.log("Dry run, nothing sent");
+            return { account, amount };
+        }
+
+        const tx = await usdtq.connect(signer).complianceBurn(...call.args);
+        const receipt = await tx.wait();
+        console.log(`  Tx:        ${tx.hash} (block ${receipt.blockNumber})`);
+        console.log("----------------------------------------------------");
+        return { account, amount, transactionHash: tx.hash };
+    });
+
+task("compliance:history", "List past compliance burns")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "First block to read events from (default: deployment block)",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "blockRange",
+        "Blocks per event query",
+        DEFAULT_BLOCK_RANGE,
+        types.int
+    )
+    .addFlag("json", "Print JSON instead of a table")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+        const { chainId } = await ethers.provider.getNetwork();
+        const registered = getDeployment(chainId);
+        const fromBlock =
+            args.fromBlock ??
+            (registered?.contractAddress === address
+                ? registered.blockNumber
+                : null) ??
+            0;
+        const toBlock = await ethers.provider.getBlockNumber();
+
+        const burns = [];
+        for (
+            let start = fromBlock;
+            start <= toBlock;
+            start += args.blockRange
+        ) {
+            const end = Math.min(start + args.blockRange - 1, toBlock);
+            const events = await usdtq.queryFilter(
+                usdtq.filters.ComplianceBurn(),
+                start,
+                end
+            );
+            burns.push(
+                ...events.map((event) => ({
+                    account: event.args.account,
+                    amount: formatAmount(event.args.amount),
+                    caseReference: event.args.caseReference,
+                    burnedBy: event.args.burnedBy,
+                    blockNumber: event.blockNumber,
+                    transactionHash: event.transactionHash,
+                }))
+            );
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(burns, null, 2));
+        } else if (burns.length === 0) {
+            console.log("No compliance burns");
+        } else {
+            for (const burn of burns) {
+                console.log(
+                    `${burn.caseReference}: ${burn.amount} USDTq from ${burn.account} by ${burn.burnedBy} (block ${burn.blockNumber}, ${burn.transactionHash})`
+                );
+            }
+        }
+        return burns;
+    });
@@ -0,0 +1,117 @@
+/**
+ * @title Deterministic Deployment Task
+ * @notice Shows where the deploy scripts will put USDTq (and the redemption
+ *         queue) when the manifest sets a CREATE2 salt
+ * @dev Run it against each chain before deploying; matching addresses mean
+ *      the manifests, salt and build agree:
+ *
+ *        npx hardhat predict-deployment --network bsc_mainnet
+ *        npx hardhat predict-deployment --network ethereum
+ */
+
+const { task } = require("hardhat/config");
+const { DETERMINISTIC_DEPLOYER, predictAddress } = require("../utils/create2");
+const {
+    loadManifest,
+    toConstructorArgs,
+    validateManifest,
+} = require("../utils/manifest");
+const { isProductionNetwork } = require("../utils/networks");
+
+task(
+    "predict-deployment",
+    "Predict the CREATE2 addresses of USDTq and the redemption queue"
+)
+    .addOptionalParam(
+        "manifest",
+        "Manifest file (default: DEPLOY_MANIFEST or config/manifests/<network>)"
+    )
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { ethers, network } = hre;
+        const loaded = loadManifest(network.name, {
+            file: args.manifest || process.env.DEPLOY_MANIFEST || undefined,
+        });
+        if (!loaded) {
+            throw new Error(
+                `No deployment manifest for ${network.name}; create config/manifests/${network.name}.yaml or pass --manifest`
+            );
+        }
+
+        const { manifest, file } = loaded;
+        const errors = validateManifest(manifest, {
+            production: isProductionNetwork(network),
+        });
+        if (errors.length > 0) {
+            throw new Error(
+                `Invalid deployment manifest ${file}:\n  - ${errors.join("\n  - ")}`
+            );
+        }
+        if (!manifest.create2Salt) {
+            throw new Error(
+                `${file} has no create2Salt; the deployment will use CREATE and its address depends on the deployer nonce`
+            );
+        }
+
+        const provider = ethers.provider;
+        const isDeployed = async (address) =>
+            (await provider.getCode(address)) !== "0x";
+
+        const usdtq = await predictAddress(
+            hre,
+            "USDTq",
+            toConstructorArgs(manifest),
+            manifest.create2Salt
+        );
+        const result = {
+            network: network.name,
+            chainId: Number((await provider.getNetwork()).chainId),
+            salt: manifest.create2Salt,
+            deployer: DETERMINISTIC_DEPLOYER,
+            deployerAvailable: await isDeployed(DETERMINISTIC_DEPLOYER),
+            contracts: {
+                USDTq: {
+                    ...usdtq,
+                    deployed: await isDeployed(usdtq.address),
+                },
+            },
+        };
+        if (manifest.redemptionQueue) {
+            const queue = await predictAddress(
+                hre,
+                "USDTqRedemptionQueue",
+                [
+                    usdtq.address,
+                    manifest.gnosisSafe,
+                    manifest.redemptionQueue.operators,
+                ],
+                manifest.create2Salt
+            );
+            result.contracts.USDTqRedemptionQueue = {
+                ...queue,
+                deployed: await isDeployed(queue.address),
+            };
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return result;
+        }
+
+        console.log(
+            `CREATE2 deployment on ${result.network} (${result.chainId}), salt ${result.salt}`
+        );
+        for (const [name, { address, deployed }] of Object.entries(
+            result.contracts
+        )) {
+            console.log(
+                `  ${name.padEnd(21)} ${address}${deployed ? "  (already deployed)" : ""}`
+            );
+        }
+        if (!result.deployerAvailable) {
+            console.log(
+                `WARNING: no CREATE2 proxy at ${DETERMINISTIC_DEPLOYER} on this chain; hardhat-deploy will try to deploy it with its presigned transaction, which nodes enforcing EIP-155 reject`
+            );
+        }
+        return result;
+    });
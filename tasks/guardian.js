@@ -0,0 +1,197 @@
+/**
+ * @title Pause Guardian Tasks
+ * @notice Runs the automatic pause responder (see utils/guardian.js) and
+ *         lists its incidents
+ * @dev The guardian key needs PAUSER_ROLE and BNB for one transaction:
+ *
+ *        npx hardhat guardian:start --network bsc_mainnet \
+ *          --signer 0xGuardian --max-mint 5,000,000 \
+ *          --burst-count 5 --burst-window 10m \
+ *          --webhook https://hooks.example.com/usdtq
+ *
+ *      Mints that leave reserves unhealthy and mints by minters outside the
+ *      manifest (or --minters) trigger by default; --max-mint and the burst
+ *      window are enabled by passing them. Incidents are appended to
+ *      data/<network>-incidents.jsonl. The guardian never unpauses.
+ */
+
+const { task, types } = require("hardhat/config");
+const {
+    DEFAULT_POLL_INTERVAL_MS,
+    PauseGuardian,
+    readIncidents,
+} = require("../utils/guardian");
+const { getDeployment } = require("../utils/registry");
+const {
+    ROLES,
+    parseAmount,
+    parseDuration,
+    resolveUsdtqAddress,
+} = require("../utils/usdtq");
+const { loadExpected } = require("./audit");
+const { addSinkParams, buildSinks } = require("./monitor");
+
+function incidentLogPath(hre, args) {
+    return args.incidentLog || `data/${hre.network.name}-incidents.jsonl`;
+}
+
+/**
+ * Known minters: --minters, or the manifest (or registry) minters
+ */
+async function loadMinters(hre, args, chainId, registered) {
+    if (args.minters) {
+        return args.minters.split(",").map((minter) => minter.trim());
+    }
+    const { expected } = await loadExpected(hre, args, chainId, registered);
+    return expected.roles.minters || [];
+}
+
+addSinkParams(
+    task("guardian:start", "Pause minting automatically on suspicious mints")
+        .addOptionalParam(
+            "contract",
+            "USDTq address (default: deployment/registry)"
+        )
+        .addOptionalParam(
+            "signer",
+            "PAUSER_ROLE address that sends pause() (default: first account)"
+        )
+        .addOptionalParam("manifest", "Manifest listing the known minters")
+        .addOptionalParam(
+            "minters",
+            "Comma-separated known minters (instead of the manifest)"
+        )
+        .addOptionalParam(
+            "maxMint",
+            "Pause on a single mint above this many USDTq"
+        )
+        .addOptionalParam(
+            "burstCount",
+            "Pause when more than this many mints fall within --burst-window",
+            undefined,
+            types.int
+        )
+        .addOptionalParam(
+            "burstWindow",
+            "Burst window (seconds, or e.g. 10m, 1h)",
+            "10m"
+        )
+        .addOptionalParam(
+            "fromBlock",
+            "First block to evaluate (default: latest block at startup)",
+            undefined,
+            types.int
+        )
+        .addOptionalParam(
+            "incidentLog",
+            "Incident log (default: data/<network>-incidents.jsonl)"
+        )
+        .addOptionalParam(
+            "pollInterval",
+            "Seconds between checks",
+            DEFAULT_POLL_INTERVAL_MS / 1000,
+            types.int
+        )
+)
+    .addFlag(
+        "skipReserveCheck",
+        "Do not pause on mints with unhealthy reserves"
+    )
+    .addFlag("skipMinterCheck", "Do not pause on mints by unknown minters")
+    .addFlag("dryRun", "Record incidents without pausing")
+    .addFlag("once", "Run a single check and exit")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { chainId } = await ethers.provider.getNetwork();
+        const registered = getDeployment(chainId);
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const signer = args.signer
+            ? await ethers.getSigner(args.signer)
+            : (await ethers.getSigners())[0];
+        const usdtq = await ethers.getContractAt("USDTq", address, signer);
+
+        if (
+            !args.dryRun &&
+            !(await usdtq.hasRole(ROLES.PAUSER_ROLE, signer.address))
+        ) {
+            throw new Error(
+                `${signer.address} does not hold PAUSER_ROLE on ${address}`
+            );
+        }
+
+        const triggers = {
+            reserveHealth: !args.skipReserveCheck,
+        };
+        if (args.maxMint) {
+            triggers.maxMintAmount = parseAmount(args.maxMint);
+        }
+        if (!args.skipMinterCheck) {
+            triggers.minters = await loadMinters(
+                hre,
+                args,
+                chainId,
+                registered
+            );
+        }
+        if (args.burstCount !== undefined) {
+            triggers.burst = {
+                count: args.burstCount,
+                windowSeconds: Number(parseDuration(args.burstWindow)),
+            };
+        }
+
+        const sinks = buildSinks(args);
+        const guardian = new PauseGuardian({
+            usdtq,
+            sinks,
+            triggers,
+            network: hre.network.name,
+            incidentLog: incidentLogPath(hre, args),
+            dryRun: args.dryRun,
+            startBlock: args.fromBlock,
+        });
+
+        try {
+            if (args.once) {
+                return await guardian.check();
+            }
+            const stop = () => guardian.stop();
+            process.once("SIGINT", stop);
+            console.error(
+                `Guarding USDTq ${address} on ${hre.network.name} from ${signer.address}${args.dryRun ? " (dry run)" : ""} every ${args.pollInterval}s`
+            );
+            await guardian.run({ pollIntervalMs: args.pollInterval * 1000 });
+            process.removeListener("SIGINT", stop);
+        } finally {
+            sinks.forEach((sink) => sink.close?.());
+        }
+    });
+
+task("guardian:incidents", "List the incidents recorded by the guardian")
+    .addOptionalParam(
+        "incidentLog",
+        "Incident log (default: data/<network>-incidents.jsonl)"
+    )
+    .addFlag("json", "Print the incidents as JSON")
+    .setAction(async (args, hre) => {
+        const incidents = readIncidents(incidentLogPath(hre, args));
+        if (args.json) {
+            console.log(JSON.stringify(incidents, null, 2));
+            return incidents;
+        }
+
+        if (incidents.length === 0) {
+            console.log("No incidents recorded");
+        }
+        for (const incident of incidents) {
+            console.log(
+                `${incident.detectedAt}  block ${incident.blockNumber}  ${incident.action}${incident.pauseTransaction ? ` (${incident.pauseTransaction})` : ""}${incident.error ? `: ${incident.error}` : ""}`
+            );
+            for (const finding of incident.findings) {
+                console.log(
+                    `  ${finding.trigger}: ${finding.message} [${finding.mint.transactionHash}]`
+                );
+            }
+        }
+        return incidents;
+    });
@@ -0,0 +1,22 @@
+/**
+ * @title USDTq Hardhat Tasks
+ * @notice Registers all custom tasks (loaded from hardhat.config.js)
+ */
+
+require("./safe");
+require("./verify");
+require("./deploy");
+require("./audit");
+require("./indexer");
+require("./reserves");
+require("./monitor");
+require("./issuance");
+require("./mint");
+require("./sanctions");
+require("./compliance");
+require("./usdtq");
+require("./snapshot");
+require("./transparency");
+require("./relayer");
+require("./guardian");
+require("./redemptions");
@@ -0,0 +1,117 @@
+/**
+ * @title Event Indexer Task
+ * @notice Indexes USDTq events into a local SQLite database
+ * @dev Backfills from the deployment block, then exits, or keeps following
+ *      the chain with --watch (Ctrl+C stops after the current range):
+ *
+ *        npx hardhat index-events --network bsc_mainnet
+ *        npx hardhat index-events --network bsc_mainnet --watch
+ *
+ *      The database defaults to data/<network>-events.sqlite.
+ */
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+    DEFAULT_BLOCK_RANGE,
+    DEFAULT_CONFIRMATIONS,
+    DEFAULT_POLL_INTERVAL_MS,
+    EventIndexer,
+    openEventStore,
+} = require("../utils/indexer");
+const { LOCAL_NETWORKS } = require("../utils/verify");
+const { getDeployment } = require("../utils/registry");
+const { resolveUsdtqAddress } = require("../utils/usdtq");
+
+const DEFAULT_DATA_DIR = "data";
+
+task("index-events", "Index USDTq events into a SQLite database")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "db",
+        "SQLite file (default: data/<network>-events.sqlite)"
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "First block on a fresh database (default: deployment block)",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "confirmations",
+        `Blocks behind head to index (default: ${DEFAULT_CONFIRMATIONS}, 0 on local networks)`,
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "blockRange",
+        "Blocks per log query",
+        DEFAULT_BLOCK_RANGE,
+        types.int
+    )
+    .addOptionalParam(
+        "pollInterval",
+        "Seconds between syncs with --watch",
+        DEFAULT_POLL_INTERVAL_MS / 1000,
+        types.int
+    )
+    .addFlag("watch", "Keep following new blocks")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const { abi } = await hre.artifacts.readArtifact("USDTq");
+        const { chainId } = await ethers.provider.getNetwork();
+        const registered = getDeployment(chainId);
+        const deployment = await hre.deployments.getOrNull("USDTq");
+
+        const startBlock =
+            args.fromBlock ??
+            (registered?.contractAddress === address
+                ? registered.blockNumber
+                : null) ??
+            (deployment?.address === address
+                ? deployment.receipt?.blockNumber
+                : null) ??
+            0;
+        const confirmations =
+            args.confirmations ??
+            (LOCAL_NETWORKS.includes(hre.network.name)
+                ? 0
+                : DEFAULT_CONFIRMATIONS);
+        const file =
+            args.db ||
+            path.join(DEFAULT_DATA_DIR, `${hre.network.name}-events.sqlite`);
+
+        const db = openEventStore(file);
+        const indexer = new EventIndexer({
+            provider: ethers.provider,
+            db,
+            address,
+            abi,
+            startBlock,
+            confirmations,
+            blockRange: args.blockRange,
+            log: console.log,
+        });
+
+        console.log(`Indexing USDTq ${address} into ${file}`);
+        try {
+            if (args.watch) {
+                const stop = () => indexer.stop();
+                process.once("SIGINT", stop);
+                await indexer.run({ pollIntervalMs: args.pollInterval * 1000 });
+                process.removeListener("SIGINT", stop);
+            } else {
+                const result = await indexer.sync();
+                console.log(
+                    `Indexed ${result.events} event(s) up to block ${indexer.checkpoint()?.number ?? "-"}`
+                );
+                return result;
+            }
+        } finally {
+            db.close();
+        }
+    });
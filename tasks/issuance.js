@@ -0,0 +1,272 @@
+/**
+ * @title Issuance Queue Tasks
+ * @notice Customer mint/redeem requests with four-eyes approval
+ * @dev The queue lives in data/<network>-issuance.sqlite (see
+ *      utils/issuance.js for the lifecycle):
+ *
+ *        # Operations records the customer request
+ *        npx hardhat issuance:request --network bsc_mainnet --kind mint \
+ *          --account 0x... --amount 250000 --reference WIRE-2026-0412 --operator alice
+ *
+ *        # A second operator reviews and approves it
+ *        npx hardhat issuance:list --network bsc_mainnet --status pending
+ *        npx hardhat issuance:approve --network bsc_mainnet --id 7 --operator bob
+ *
+ *        # Send from a minter key, or prepare a Safe batch and link it later
+ *        npx hardhat issuance:execute --network bsc_mainnet --operator bob
+ *        npx hardhat issuance:execute --network bsc_mainnet --operator bob \
+ *          --safe 0xb00D...2a19
+ *        npx hardhat issuance:link --network bsc_mainnet --tx 0x... --operator bob
+ *
+ *        # Close a submitted request whose tx was dropped or whose Safe
+ *        # batch was rejected
+ *        npx hardhat issuance:fail --network bsc_mainnet --id 7 --operator bob \
+ *          --reason "Safe tx rejected"
+ */
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { IssuanceQueue, openIssuanceStore } = require("../utils/issuance");
+const { formatAmount, resolveUsdtqAddress } = require("../utils/usdtq");
+const { writeSafeBatch } = require("./safe");
+
+const DEFAULT_DATA_DIR = "data";
+
+/**
+ * Declare an issuance:* task with the shared queue parameters
+ */
+function issuanceTask(name, description) {
+    return task(name, description)
+        .addOptionalParam(
+            "contract",
+            "USDTq address (default: deployment/registry)"
+        )
+        .addOptionalParam(
+            "db",
+            "SQLite file (default: data/<network>-issuance.sqlite)"
+        );
+}
+
+/**
+ * Open the queue, run `fn` and close the database
+ */
+async function withQueue(hre, args, fn) {
+    const address = await resolveUsdtqAddress(hre, args.contract);
+    const usdtq = await hre.ethers.getContractAt("USDTq", address);
+    const file =
+        args.db ||
+        path.join(DEFAULT_DATA_DIR, `${hre.network.name}-issuance.sqlite`);
+
+    const db = openIssuanceStore(file);
+    try {
+        return await fn(new IssuanceQueue({ db, usdtq }));
+    } finally {
+        db.close();
+    }
+}
+
+function describe(request) {
+    const amount = `${formatAmount(request.amount)} USDTq`;
+    const detail =
+        request.reason ||
+        request.transactionHash ||
+        request.safeTxHash ||
+        request.approvedBy ||
+        "";
+    return `#${request.id} ${request.status.padEnd(9)} ${request.kind.padEnd(6)} ${amount} ${request.kind === "mint" ? "to" : "from"} ${request.account} [${request.reference}] ${detail}`.trimEnd();
+}
+
+issuanceTask("issuance:request", "Record a customer mint or redeem request")
+    .addParam("kind", "mint or redeem")
+    .addParam("account", "Customer address")
+    .addParam("amount", "Amount in USDTq (e.g. 250000.50)")
+    .addParam("reference", "Payment, wire or ticket reference")
+    .addParam("operator", "Operator recording the request")
+    .setAction(async (args, hre) =>
+        withQueue(hre, args, async (queue) => {
+            const request = await queue.submit({
+                kind: args.kind,
+                account: args.account,
+                amount: args.amount,
+                reference: args.reference,
+                requestedBy: args.operator,
+            });
+            console.log(describe(request));
+            return request;
+        })
+    );
+
+issuanceTask("issuance:list", "List queued requests")
+    .addOptionalParam(
+        "status",
+        "pending, approved, rejected, submitted, completed or failed"
+    )
+    .addFlag("json", "Print JSON instead of a table")
+    .setAction(async (args, hre) =>
+        withQueue(hre, args, async (queue) => {
+            const requests = queue.list({ status: args.status });
+            if (args.json) {
+                console.log(
+                    JSON.stringify(
+                        requests,
+                        (key, value) =>
+                            typeof value === "bigint"
+                                ? value.toString()
+                                : value,
+                        2
+                    )
+                );
+            } else if (requests.length === 0) {
+                console.log("No requests");
+            } else {
+                requests.forEach((request) => console.log(describe(request)));
+            }
+            return requests;
+        })
+    );
+
+issuanceTask("issuance:approve", "Approve a pending request")
+    .addParam("id", "Request id", undefined, types.int)
+    .addParam("operator", "Approving operator (not the requester)")
+    .setAction(async (args, hre) =>
+        withQueue(hre, args, async (queue) => {
+            const request = await queue.approve(args.id, args.operator);
+            console.log(describe(request));
+            return request;
+        })
+    );
+
+issuanceTask("issuance:reject", "Reject a pending or approved request")
+    .addParam("id", "Request id", undefined, types.int)
+    .addParam("operator", "Rejecting operator")
+    .addParam("reason", "Reason recorded with the request")
+    .setAction(async (args, hre) =>
+        withQueue(hre, args, async (queue) => {
+            const request = queue.reject(args.id, args.operator, args.reason);
+            console.log(describe(request));
+            return request;
+        })
+    );
+
+issuanceTask(
+    "issuance:execute",
+    "Send approved requests or prepare a Safe batch"
+)
+    .addParam("operator", "Operator executing")
+    .addOptionalParam(
+        "ids",
+        "Comma-separated request ids (default: all approved)"
+    )
+    .addOptionalParam(
+        "signer",
+        "Minter address sending the calls (default: first account)"
+    )
+    .addOptionalParam(
+        "safe",
+        "Prepare a Safe batch for this Safe instead of sending"
+    )
+    .addOptionalParam("nonce", "Safe nonce (with --safe)", undefined, types.int)
+    .addOptionalParam("out", "Safe batch output file (with --safe)")
+    .setAction(async (args, hre) =>
+        withQueue(hre, args, async (queue) => {
+            const { ethers } = hre;
+            const ids = args.ids
+                ? args.ids.split(",").map((id) => Number(id.trim()))
+                : queue.list({ status: "approved" }).map(({ id }) => id);
+            if (ids.length === 0) {
+                console.log("No approved requests");
+                return [];
+            }
+
+            if (!args.safe) {
+                const signer = args.signer
+                    ? await ethers.getSigner(args.signer)
+                    : (await ethers.getSigners())[0];
+                const requests = await queue.execute(
+                    ids,
+                    signer,
+                    args.operator
+                );
+                requests.forEach((request) => console.log(describe(request)));
+                return requests;
+            }
+
+            const safe = ethers.getAddress(args.safe);
+            const ready = await queue.preflight(ids, safe, args.operator);
+            ids.filter((id) => !ready.some((request) => request.id === id))
+                .map((id) => queue.get(id))
+                .forEach((request) => console.log(describe(request)));
+            if (ready.length === 0) {
+                return [];
+            }
+
+            const batch = await writeSafeBatch(
+                hre,
+                {
+                    safe,
+                    contract: await queue.usdtq.getAddress(),
+                    nonce: args.nonce,
+                    out: args.out,
+                    description: `Issuance requests ${ready.map(({ id }) => `#${id}`).join(", ")}`,
+                },
+                ready.map((request) => ({
+                    method: request.kind === "mint" ? "mint" : "burnFrom",
+                    args: [request.account, request.amount],
+                })),
+                `Issuance requests ${ready.map(({ id }) => `#${id}`).join(", ")}`
+            );
+            queue.markSafeSubmitted(
+                ready.map(({ id }) => id),
+                { safeTxHash: batch.safeTxHash, file: batch.outFile },
+                args.operator
+            );
+            console.log(
+                "After the Safe executes the batch, run issuance:link with its transaction hash."
+            );
+            return ready.map(({ id }) => queue.get(id));
+        })
+    );
+
+issuanceTask(
+    "issuance:link",
+    "Link submitted requests to their mint/burn events"
+)
+    .addParam("tx", "Transaction hash (direct or Safe execution)")
+    .addParam("operator", "Operator linking")
+    .setAction(async (args, hre) =>
+        withQueue(hre, args, async (queue) => {
+            const receipt = await hre.ethers.provider.getTransactionReceipt(
+                args.tx
+            );
+            if (!receipt) {
+                throw new Error(`Transaction ${args.tx} not found`);
+            }
+            const completed = queue.link(receipt, args.operator);
+            if (completed.length === 0) {
+                console.log(
+                    `No submitted request matches a TokensMinted/TokensBurned event in ${args.tx}`
+                );
+            }
+            completed.forEach((request) => console.log(describe(request)));
+            return completed;
+        })
+    );
+
+issuanceTask(
+    "issuance:fail",
+    "Close a submitted request whose transaction or Safe batch will not complete"
+)
+    .addParam("id", "Request id", undefined, types.int)
+    .addParam("operator", "Operator closing the request")
+    .addParam("reason", "Reason recorded with the request")
+    .setAction(async (args, hre) =>
+        withQueue(hre, args, async (queue) => {
+            const request = await queue.fail(
+                args.id,
+                args.operator,
+                args.reason
+            );
+            console.log(describe(request));
+            return request;
+        })
+    );
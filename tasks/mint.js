@@ -0,0 +1,124 @@
+/**
+ * @title Split Mint Task
+ * @notice Issue more than maxMintPerTransaction as several mint calls
+ * @dev The plan fills each mint up to the per-transaction cap and must fit
+ *      the maxTotalSupply headroom from getRemainingMintCapacity() (and,
+ *      when sent from a minter key, that minter's allowance and rate limit):
+ *
+ *        # Show the plan only
+ *        npx hardhat mint:split --network bsc_mainnet --to 0x... \
+ *          --amount 25000000 --dry-run
+ *
+ *        # Send the mints one after another from a minter key
+ *        npx hardhat mint:split --network bsc_mainnet --to 0x... \
+ *          --amount 25000000 --signer 0x...
+ *
+ *        # Or prepare them as one Safe multisend
+ *        npx hardhat mint:split --network bsc_mainnet --to 0x... \
+ *          --amount 25000000 --safe 0xb00D...2a19
+ *
+ *      When a mint fails part-way, the chunks already minted are listed with
+ *      the amount still to issue, so the rest can be re-run with that amount.
+ */
+
+const { task, types } = require("hardhat/config");
+const { PartialMintError, USDTqClient, planMint } = require("../sdk/src");
+const { formatAmount, resolveUsdtqAddress } = require("../utils/usdtq");
+const { writeSafeBatch } = require("./safe");
+
+task("mint:split", "Mint above maxMintPerTransaction as several mints")
+    .addParam("to", "Recipient address")
+    .addParam("amount", "Total amount in USDTq (e.g. 25000000)")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "signer",
+        "Minter address sending the calls (default: first account)"
+    )
+    .addOptionalParam(
+        "confirmations",
+        "Confirmations to wait for per mint",
+        1,
+        types.int
+    )
+    .addOptionalParam(
+        "safe",
+        "Prepare one Safe multisend for this Safe instead of sending"
+    )
+    .addOptionalParam("nonce", "Safe nonce (with --safe)", undefined, types.int)
+    .addOptionalParam("out", "Safe batch output file (with --safe)")
+    .addFlag("dryRun", "Print the plan without sending")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const to = ethers.getAddress(args.to);
+        const client = new USDTqClient(address, ethers.provider);
+
+        const capacity = await client.getRemainingMintCapacity();
+        const plan = planMint(args.amount, capacity);
+        const total = plan.reduce((sum, chunk) => sum + chunk, 0n);
+
+        console.log("----------------------------------------------------");
+        console.log(`Mint ${formatAmount(total)} USDTq to ${to}`);
+        console.log(
+            `  Per-tx cap:       ${formatAmount(capacity.perTxRemaining)} USDTq`
+        );
+        console.log(
+            `  Supply headroom:  ${formatAmount(capacity.totalRemaining)} USDTq`
+        );
+        plan.forEach((chunk, i) => {
+            console.log(
+                `  [${i + 1}/${plan.length}] mint ${formatAmount(chunk)} USDTq`
+            );
+        });
+
+        if (args.dryRun) {
+            console.log("Dry run, nothing sent");
+            return { to, total, plan };
+        }
+
+        if (args.safe) {
+            const batch = await writeSafeBatch(
+                hre,
+                {
+                    safe: args.safe,
+                    contract: address,
+                    nonce: args.nonce,
+                    out: args.out,
+                },
+                plan.map((chunk) => ({ method: "mint", args: [to, chunk] })),
+                `Mint ${formatAmount(total)} USDTq in ${plan.length} parts`
+            );
+            return { to, total, plan, batch };
+        }
+
+        const signer = args.signer
+            ? await ethers.getSigner(args.signer)
+            : (await ethers.getSigners())[0];
+        try {
+            const result = await client
+                .connect(signer)
+                .mintInChunks(to, total, {
+                    confirmations: args.confirmations,
+                    onChunk: (chunk) =>
+                        console.log(
+                            `  [${chunk.index + 1}/${plan.length}] minted in ${chunk.hash} (block ${chunk.blockNumber})`
+                        ),
+                });
+            console.log(`Minted ${formatAmount(total)} USDTq`);
+            console.log("----------------------------------------------------");
+            return { ...result, plan };
+        } catch (error) {
+            if (error instanceof PartialMintError) {
+                console.log(
+                    `  Minted ${formatAmount(error.minted)} USDTq in ${error.chunks.length} of ${plan.length} mints; ${formatAmount(error.remaining)} USDTq not minted`
+                );
+                console.log(
+                    `  Re-run with --amount ${formatAmount(error.remaining)} once the cause is fixed`
+                );
+            }
+            throw error;
+        }
+    });
@@ -0,0 +1,261 @@
+/**
+ * @title Monitor Tasks
+ * @notice Alerts on stale reserve attestations, undercollateralization and
+ *         unexpected role changes
+ * @dev Alerts go to stdout as JSON lines, plus a webhook and/or email when
+ *      configured:
+ *
+ *        npx hardhat monitor:reserves --network bsc_mainnet \
+ *          --webhook https://hooks.example.com/usdtq \
+ *          --email-to ops@teamquant.space
+ *
+ *        npx hardhat monitor:roles --network bsc_mainnet \
+ *          --allowlist config/role-allowlist.yaml --port 8091
+ *
+ *      --once runs a single check (for cron); otherwise the task polls until
+ *      interrupted. The webhook URL may also come from ALERT_WEBHOOK_URL.
+ */
+
+const { task, types } = require("hardhat/config");
+const { emailSink, stdoutSink, webhookSink } = require("../utils/alerts");
+const { expectedRoleHolders } = require("../utils/audit");
+const { readManifest } = require("../utils/manifest");
+const {
+    DEFAULT_BLOCK_RANGE,
+    DEFAULT_MIN_RATIO_BPS,
+    DEFAULT_POLL_INTERVAL_MS,
+    DEFAULT_STALE_AFTER_SECONDS,
+    ReserveMonitor,
+} = require("../utils/monitor");
+const { explorerFor } = require("../utils/networks");
+const { getDeployment } = require("../utils/registry");
+const rolewatch = require("../utils/rolewatch");
+const { resolveRole, resolveUsdtqAddress } = require("../utils/usdtq");
+const { loadExpected } = require("./audit");
+
+/**
+ * Build the configured sinks (stdout is always on)
+ */
+function buildSinks(args) {
+    const sinks = [stdoutSink()];
+
+    const webhook = args.webhook || process.env.ALERT_WEBHOOK_URL;
+    if (webhook) {
+        sinks.push(webhookSink({ url: webhook }));
+    }
+    if (args.emailTo) {
+        sinks.push(
+            emailSink({
+                host: args.smtpHost,
+                port: args.smtpPort,
+                from: args.emailFrom,
+                to: args.emailTo.split(",").map((to) => to.trim()),
+            })
+        );
+    }
+    return sinks;
+}
+
+/**
+ * Add the sink options shared by every monitor task
+ */
+function addSinkParams(definition) {
+    return definition
+        .addOptionalParam(
+            "webhook",
+            "Webhook URL receiving alerts as JSON POSTs"
+        )
+        .addOptionalParam("emailTo", "Comma-separated alert recipients")
+        .addOptionalParam(
+            "emailFrom",
+            "Alert sender address",
+            "usdtq-monitor@localhost"
+        )
+        .addOptionalParam("smtpHost", "SMTP host", "127.0.0.1")
+        .addOptionalParam("smtpPort", "SMTP port", 1025, types.int);
+}
+
+/**
+ * Expected holders per role: the manifest (or registry) roles plus the
+ * entries of --allowlist (role name → addresses)
+ */
+async function loadAllowlist(hre, args, chainId, registered) {
+    const { expected } = await loadExpected(hre, args, chainId, registered);
+    const allowlist = {};
+    for (const [role, accounts] of Object.entries(
+        expectedRoleHolders(expected)
+    )) {
+        allowlist[role] = [...accounts];
+    }
+    if (args.allowlist) {
+        for (const [role, accounts] of Object.entries(
+            readManifest(args.allowlist) || {}
+        )) {
+            const { hash } = resolveRole(role);
+            allowlist[hash] = [...(allowlist[hash] || []), ...accounts];
+        }
+    }
+    return allowlist;
+}
+
+addSinkParams(
+    task(
+        "monitor:reserves",
+        "Alert on stale reserves and undercollateralization"
+    )
+        .addOptionalParam(
+            "contract",
+            "USDTq address (default: deployment/registry)"
+        )
+        .addOptionalParam(
+            "staleAfter",
+            "Hours without an attestation before alerting",
+            DEFAULT_STALE_AFTER_SECONDS / 3600,
+            types.float
+        )
+        .addOptionalParam(
+            "minRatio",
+            "Minimum collateralization ratio in basis points (10000 = 100%)",
+            DEFAULT_MIN_RATIO_BPS,
+            types.int
+        )
+        .addOptionalParam(
+            "pollInterval",
+            "Seconds between checks",
+            DEFAULT_POLL_INTERVAL_MS / 1000,
+            types.int
+        )
+        .addOptionalParam(
+            "blockRange",
+            "Blocks per mint event query",
+            DEFAULT_BLOCK_RANGE,
+            types.int
+        )
+)
+    .addFlag("once", "Run a single check and exit")
+    .setAction(async (args, hre) => {
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await hre.ethers.getContractAt("USDTq", address);
+        const sinks = buildSinks(args);
+
+        const monitor = new ReserveMonitor({
+            usdtq,
+            sinks,
+            network: hre.network.name,
+            staleAfterSeconds: Math.round(args.staleAfter * 3600),
+            minRatioBps: args.minRatio,
+            blockRange: args.blockRange,
+        });
+
+        try {
+            if (args.once) {
+                return await monitor.check();
+            }
+            const stop = () => monitor.stop();
+            process.once("SIGINT", stop);
+            console.error(
+                `Monitoring USDTq ${address} on ${hre.network.name} every ${args.pollInterval}s`
+            );
+            await monitor.run({ pollIntervalMs: args.pollInterval * 1000 });
+            process.removeListener("SIGINT", stop);
+        } finally {
+            sinks.forEach((sink) => sink.close?.());
+        }
+    });
+
+addSinkParams(
+    task(
+        "monitor:roles",
+        "Alert on unexpected role grants and serve role membership over HTTP"
+    )
+        .addOptionalParam(
+            "contract",
+            "USDTq address (default: deployment/registry)"
+        )
+        .addOptionalParam("manifest", "Manifest with the expected role holders")
+        .addOptionalParam(
+            "allowlist",
+            "YAML/JSON file of additional expected holders (role → addresses)"
+        )
+        .addOptionalParam(
+            "fromBlock",
+            "First block to read role events from (default: deployment block)",
+            undefined,
+            types.int
+        )
+        .addOptionalParam(
+            "explorerApi",
+            "Etherscan-compatible API for contract verification (default: the chain's explorer in config/networks.yaml)"
+        )
+        .addOptionalParam(
+            "pollInterval",
+            "Seconds between checks",
+            rolewatch.DEFAULT_POLL_INTERVAL_MS / 1000,
+            types.int
+        )
+        .addOptionalParam(
+            "port",
+            "HTTP API port",
+            rolewatch.DEFAULT_PORT,
+            types.int
+        )
+        .addOptionalParam("host", "HTTP API interface", rolewatch.DEFAULT_HOST)
+)
+    .addFlag("once", "Run a single check and exit (no HTTP API)")
+    .setAction(async (args, hre) => {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const registered = getDeployment(chainId);
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await hre.ethers.getContractAt("USDTq", address);
+        const allowlist = await loadAllowlist(hre, args, chainId, registered);
+
+        const explorer = explorerFor(chainId);
+        const explorerApi = args.explorerApi || explorer?.apiUrl;
+        if (!explorerApi) {
+            console.error(
+                `No explorer API for chain ${chainId}; contract role holders will be reported as unverified`
+            );
+        }
+        const sinks = buildSinks(args);
+        const watcher = new rolewatch.RoleWatcher({
+            usdtq,
+            sinks,
+            allowlist,
+            network: hre.network.name,
+            fromBlock:
+                args.fromBlock ??
+                (registered?.contractAddress === address
+                    ? registered.blockNumber
+                    : null) ??
+                0,
+            verifier:
+                explorerApi &&
+                rolewatch.explorerVerifier({
+                    url: explorerApi,
+                    apiKey: explorer?.apiKey,
+                }),
+        });
+
+        try {
+            if (args.once) {
+                return await watcher.check();
+            }
+            await watcher.check();
+            const { url } = await watcher.listen({
+                port: args.port,
+                host: args.host,
+            });
+            const stop = () => watcher.stop();
+            process.once("SIGINT", stop);
+            console.error(
+                `Watching USDTq ${address} roles on ${hre.network.name} every ${args.pollInterval}s; API at ${url}`
+            );
+            await watcher.run({ pollIntervalMs: args.pollInterval * 1000 });
+            process.removeListener("SIGINT", stop);
+        } finally {
+            await watcher.close();
+            sinks.forEach((sink) => sink.close?.());
+        }
+    });
+
+module.exports = { addSinkParams, buildSinks };
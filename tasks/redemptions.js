@@ -0,0 +1,266 @@
+/**
+ * @title Redemption Queue Tasks
+ * @notice Settlement tool for USDTqRedemptionQueue: list pending requests
+ *         with their SLA position, settle (burn) or reject (refund) them
+ * @dev Operators need OPERATOR_ROLE on the queue, and the queue needs
+ *      MINTER_ROLE on USDTq to burn (see deploy/003):
+ *
+ *        # What is waiting, and what is past the 24h SLA
+ *        npx hardhat redemptions:list --network bsc_mainnet --sla 24h
+ *
+ *        # Settle after the payout went out, or reject and refund
+ *        npx hardhat redemptions:settle --network bsc_mainnet --id 12 \
+ *          --reference WIRE-2026-0412 --signer 0xOperator
+ *        npx hardhat redemptions:reject --network bsc_mainnet --id 13 \
+ *          --reason "KYC incomplete" --signer 0xOperator
+ *
+ *      Holders normally call requestRedemption from their wallet;
+ *      redemptions:request does the same from a local key for testing.
+ */
+
+const { task, types } = require("hardhat/config");
+const { decodeError } = require("../sdk/src");
+const {
+    DEFAULT_SLA_SECONDS,
+    QUEUE_CONTRACT,
+    STATUSES,
+    listRedemptions,
+    resolveQueueAddress,
+    summarizeRedemptions,
+} = require("../utils/redemptions");
+const {
+    formatAmount,
+    parseAmount,
+    parseDuration,
+    resolveUsdtqAddress,
+} = require("../utils/usdtq");
+const { formatDuration } = require("./usdtq");
+
+/**
+ * Declare a redemptions:* task with the shared queue parameter
+ */
+function redemptionTask(name, description) {
+    return task(name, description).addOptionalParam(
+        "queue",
+        "USDTqRedemptionQueue address (default: deployment/registry)"
+    );
+}
+
+async function connectQueue(hre, args) {
+    const { ethers } = hre;
+    const address = await resolveQueueAddress(hre, args.queue);
+    const signer = args.signer
+        ? await ethers.getSigner(args.signer)
+        : (await ethers.getSigners())[0];
+    return {
+        queue: await ethers.getContractAt(QUEUE_CONTRACT, address, signer),
+        signer,
+    };
+}
+
+/**
+ * Describe a revert from the queue, or from USDTq underneath it
+ */
+function describeError(error, queue) {
+    const data = error.data || error.info?.error?.data;
+    if (data) {
+        try {
+            const parsed = queue.interface.parseError(data);
+            if (parsed?.name === "RedemptionNotPending") {
+                const [id, status] = parsed.args;
+                return `Redemption ${id} is ${STATUSES[Number(status)]}, not Pending`;
+            }
+            if (parsed) {
+                return `${parsed.name}(${parsed.args.join(", ")})`;
+            }
+        } catch {
+            // Not a queue error; try the USDTq errors
+        }
+    }
+    return decodeError(error).message;
+}
+
+/**
+ * Preflight a queue call with staticCall, then send it
+ * @returns {Promise<object>} { method, id, sent, transactionHash?, blockNumber? }
+ */
+async function sendQueueCall(hre, args, method, callArgs) {
+    const { queue, signer } = await connectQueue(hre, args);
+    console.log(
+        `${method}(${callArgs.join(", ")}) on ${await queue.getAddress()} from ${signer.address}`
+    );
+
+    try {
+        await queue[method].staticCall(...callArgs);
+    } catch (error) {
+        throw new Error(
+            `Preflight failed, nothing sent: ${describeError(error, queue)}`,
+            { cause: error }
+        );
+    }
+    if (args.dryRun) {
+        console.log("Preflight passed; dry run, nothing sent");
+        return { method, id: args.id, sent: false };
+    }
+
+    const tx = await queue[method](...callArgs);
+    console.log(`  Tx:    ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`  Mined: block ${receipt.blockNumber}`);
+    return {
+        method,
+        id: args.id,
+        sent: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+    };
+}
+
+redemptionTask(
+    "redemptions:list",
+    "List redemption requests with their settlement SLA"
+)
+    .addOptionalParam("status", "pending, settled, rejected or all", "pending")
+    .addOptionalParam(
+        "sla",
+        "Settlement SLA (seconds, or e.g. 24h, 2d)",
+        `${DEFAULT_SLA_SECONDS / 3600}h`
+    )
+    .addOptionalParam(
+        "fromId",
+        "First request id to read",
+        undefined,
+        types.int
+    )
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { queue } = await connectQueue(hre, args);
+        const status =
+            args.status.toLowerCase() === "all"
+                ? undefined
+                : args.status[0].toUpperCase() +
+                  args.status.slice(1).toLowerCase();
+        const slaSeconds = Number(parseDuration(args.sla));
+
+        const redemptions = await listRedemptions(queue, {
+            status,
+            slaSeconds,
+            fromId: args.fromId,
+        });
+        const summary = summarizeRedemptions(redemptions);
+        const result = {
+            queue: await queue.getAddress(),
+            slaSeconds,
+            summary: {
+                ...summary,
+                pendingAmount: formatAmount(summary.pendingAmount),
+            },
+            redemptions: redemptions.map((redemption) => ({
+                ...redemption,
+                amount: formatAmount(redemption.amount),
+            })),
+        };
+
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return result;
+        }
+
+        console.log(
+            `Redemptions on ${result.queue} (SLA ${formatDuration(slaSeconds)})`
+        );
+        if (redemptions.length === 0) {
+            console.log(`  No ${args.status} requests`);
+        }
+        for (const redemption of result.redemptions) {
+            const timing =
+                redemption.status === "Pending"
+                    ? redemption.slaBreached
+                        ? `OVERDUE by ${formatDuration(redemption.elapsedSeconds - slaSeconds)}`
+                        : `due in ${formatDuration(slaSeconds - redemption.elapsedSeconds)}`
+                    : `${redemption.slaBreached ? "missed SLA" : "within SLA"}, took ${formatDuration(redemption.elapsedSeconds)}`;
+            console.log(
+                `  #${redemption.id}  ${redemption.status.padEnd(8)}  ${redemption.amount} USDTq  ${redemption.holder}  ${redemption.reference}  ${timing}`
+            );
+        }
+        console.log(
+            `Pending: ${summary.pending} (${result.summary.pendingAmount} USDTq), ${summary.breached} past SLA`
+        );
+        return result;
+    });
+
+redemptionTask(
+    "redemptions:settle",
+    "Settle a pending redemption and burn its USDTq (OPERATOR_ROLE)"
+)
+    .addParam("id", "Request id", undefined, types.int)
+    .addParam("reference", "Payout reference recorded on-chain")
+    .addOptionalParam(
+        "signer",
+        "Operator address sending the call (default: first account)"
+    )
+    .addFlag("dryRun", "Run the preflight check only")
+    .setAction(async (args, hre) =>
+        sendQueueCall(hre, args, "settleRedemption", [args.id, args.reference])
+    );
+
+redemptionTask(
+    "redemptions:reject",
+    "Reject a pending redemption and refund the holder (OPERATOR_ROLE)"
+)
+    .addParam("id", "Request id", undefined, types.int)
+    .addParam("reason", "Rejection reason recorded on-chain")
+    .addOptionalParam(
+        "signer",
+        "Operator address sending the call (default: first account)"
+    )
+    .addFlag("dryRun", "Run the preflight check only")
+    .setAction(async (args, hre) =>
+        sendQueueCall(hre, args, "rejectRedemption", [args.id, args.reason])
+    );
+
+redemptionTask(
+    "redemptions:request",
+    "Lock USDTq in the queue from a local key (approves the queue first)"
+)
+    .addParam("amount", "Amount in USDTq")
+    .addParam("reference", "Redemption reference")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam("signer", "Holder address (default: first account)")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { queue, signer } = await connectQueue(hre, args);
+        const queueAddress = await queue.getAddress();
+        const usdtq = await ethers.getContractAt(
+            "USDTq",
+            await resolveUsdtqAddress(hre, args.contract),
+            signer
+        );
+        const amount = parseAmount(args.amount);
+
+        if ((await usdtq.allowance(signer.address, queueAddress)) < amount) {
+            await (await usdtq.approve(queueAddress, amount)).wait();
+        }
+        try {
+            await queue.requestRedemption.staticCall(amount, args.reference);
+        } catch (error) {
+            throw new Error(
+                `Preflight failed, nothing sent: ${describeError(error, queue)}`,
+                { cause: error }
+            );
+        }
+
+        const tx = await queue.requestRedemption(amount, args.reference);
+        const receipt = await tx.wait();
+        const [event] = receipt.logs
+            .map((log) => queue.interface.parseLog(log))
+            .filter((parsed) => parsed?.name === "RedemptionRequested");
+        const id = Number(event.args.id);
+        console.log(
+            `Requested redemption #${id} of ${formatAmount(amount)} USDTq in ${tx.hash}`
+        );
+        return { id, transactionHash: tx.hash };
+    });
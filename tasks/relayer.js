@@ -0,0 +1,106 @@
+/**
+ * @title Authorization Relayer Task
+ * @notice Serves the EIP-3009 relayer (see utils/relayer.js)
+ * @dev The signer pays the gas for every relayed authorization and needs no
+ *      USDTq role:
+ *
+ *        npx hardhat relayer:start --network bsc_mainnet \
+ *          --signer 0xRelayer --port 8090
+ *
+ *      Runs until interrupted. Every accepted authorization costs gas, so
+ *      the task refuses a --host other than loopback unless --senders or
+ *      --recipients limits whose authorizations it relays:
+ *
+ *        npx hardhat relayer:start --network bsc_mainnet \
+ *          --signer 0xRelayer --host 0.0.0.0 \
+ *          --recipients 0xMerchant --rate-limit 10 --rate-window 1h
+ */
+
+const { task, types } = require("hardhat/config");
+const {
+    AuthorizationRelayer,
+    DEFAULT_HOST,
+    DEFAULT_MIN_VALUE,
+    DEFAULT_PORT,
+} = require("../utils/relayer");
+const {
+    formatAmount,
+    parseAmount,
+    parseDuration,
+    resolveUsdtqAddress,
+} = require("../utils/usdtq");
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+function addressList(value) {
+    return value
+        ? value.split(",").map((address) => address.trim())
+        : undefined;
+}
+
+task("relayer:start", "Relay signed EIP-3009 authorizations received over HTTP")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam("signer", "Relayer address (default: first signer)")
+    .addOptionalParam("port", "HTTP port", DEFAULT_PORT, types.int)
+    .addOptionalParam("host", "HTTP interface", DEFAULT_HOST)
+    .addOptionalParam(
+        "minValue",
+        "Smallest transfer relayed, in USDTq",
+        formatAmount(DEFAULT_MIN_VALUE)
+    )
+    .addOptionalParam("senders", "Comma-separated payers to relay for")
+    .addOptionalParam(
+        "recipients",
+        "Comma-separated payees transfers may go to"
+    )
+    .addOptionalParam(
+        "rateLimit",
+        "Most authorizations relayed per payer within --rate-window",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "rateWindow",
+        "Rate limit window (seconds, or e.g. 10m, 1h)",
+        "1h"
+    )
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const senders = addressList(args.senders);
+        const recipients = addressList(args.recipients);
+        if (!LOOPBACK_HOSTS.includes(args.host) && !senders && !recipients) {
+            throw new Error(
+                `Refusing to relay on ${args.host} for anyone; pass --senders or --recipients`
+            );
+        }
+
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const signer = args.signer
+            ? await ethers.getSigner(args.signer)
+            : (await ethers.getSigners())[0];
+        const usdtq = await ethers.getContractAt("USDTq", address, signer);
+
+        const relayer = new AuthorizationRelayer({
+            usdtq,
+            minValue: parseAmount(args.minValue),
+            senders,
+            recipients,
+            rateLimit: args.rateLimit && {
+                count: args.rateLimit,
+                windowSeconds: Number(parseDuration(args.rateWindow)),
+            },
+        });
+        const { url } = await relayer.listen({
+            port: args.port,
+            host: args.host,
+        });
+        console.error(
+            `Relaying USDTq ${address} authorizations on ${hre.network.name} from ${signer.address} at ${url}`
+        );
+
+        await new Promise((resolve) => process.once("SIGINT", resolve));
+        await relayer.close();
+    });
@@ -0,0 +1,415 @@
+/**
+ * @title Reserve Attestation Tasks
+ * @notice Publish signed reserve attestations and trace them on-chain
+ * @dev For the RESERVE_MANAGER_ROLE holder:
+ *
+ *        # Sign the report and call updateReserves with its total
+ *        npx hardhat reserves:attest --network bsc_mainnet \
+ *          --report reports/2026-03-31.json
+ *
+ *        # Or prepare the call as a Safe batch and link it once executed
+ *        npx hardhat reserves:attest --network bsc_mainnet \
+ *          --report reports/2026-03-31.json --safe 0xb00D...2a19
+ *        npx hardhat reserves:link --network bsc_mainnet \
+ *          --attestation attestations/bsc_mainnet/2026-03-31-1a2b3c4d.json \
+ *          --tx 0x...
+ *
+ *        # Auditors: check an attestation, or find the one behind a tx
+ *        npx hardhat reserves:verify --network bsc_mainnet --tx 0x...
+ *
+ *        # Publish the Merkle root of the balances with the total, then
+ *        # hand each custodian the inclusion proof of its line
+ *        npx hardhat reserves:attest --network bsc_mainnet \
+ *          --report reports/2026-03-31.json --method root
+ *        npx hardhat reserves:proofs --network bsc_mainnet \
+ *          --attestation attestations/bsc_mainnet/2026-03-31-1a2b3c4d.json
+ *        npx hardhat reserves:verify-proof --network bsc_mainnet \
+ *          --proof 2026-03-31-1a2b3c4d.proofs/1-USDC.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+    ATTESTATION_DIR,
+    attestationFile,
+    createAttestation,
+    findAttestation,
+    linkEvent,
+    reserveProofs,
+    verifyAttestation,
+    writeAttestation,
+} = require("../utils/attestation");
+const { verifyReserveProof } = require("../sdk/src");
+const { DEFAULT_BLOCK_RANGE } = require("../utils/audit");
+const { getDeployment } = require("../utils/registry");
+const { formatAmount, resolveUsdtqAddress } = require("../utils/usdtq");
+const { writeSafeBatch } = require("./safe");
+
+/**
+ * Reserve call that brings on-chain reserves to the attested total
+ * @dev "update" sets the total with updateReserves. "delta" records the
+ *      difference with addReserves/removeReserves and puts the report hash
+ *      in the on-chain reserveType/reason string. "root" sets the total and
+ *      publishes the Merkle root of the balances with updateReservesWithRoot.
+ */
+function reserveCall(method, attestation, currentReserves) {
+    const total = BigInt(attestation.totalReserves);
+    if (method === "update") {
+        return { method: "updateReserves", args: [total] };
+    }
+    if (method === "root") {
+        return {
+            method: "updateReservesWithRoot",
+            args: [total, attestation.reserveRoot],
+        };
+    }
+    if (method !== "delta") {
+        throw new Error(
+            `Unknown --method ${method}; use update, delta or root`
+        );
+    }
+
+    const label = `attestation ${attestation.reportHash}`;
+    if (total > currentReserves) {
+        return {
+            method: "addReserves",
+            args: [total - currentReserves, label],
+        };
+    }
+    if (total < currentReserves) {
+        return {
+            method: "removeReserves",
+            args: [currentReserves - total, label],
+        };
+    }
+    throw new Error(
+        `On-chain reserves already equal ${formatAmount(total)} USDTq; use --method update to re-attest`
+    );
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+task("reserves:attest", "Sign a reserve report and submit the reserve update")
+    .addParam("report", "Reserve report JSON file")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "method",
+        "update (updateReserves), delta (add/removeReserves) or root (updateReservesWithRoot)",
+        "update"
+    )
+    .addOptionalParam(
+        "signer",
+        "Address of the signing account (default: first account)"
+    )
+    .addOptionalParam(
+        "safe",
+        "Prepare a Safe batch for this Safe instead of sending"
+    )
+    .addOptionalParam("nonce", "Safe nonce (with --safe)", undefined, types.int)
+    .addOptionalParam("out", "Attestation output file")
+    .addFlag("dryRun", "Write the signed attestation without submitting")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+        const signer = args.signer
+            ? await ethers.getSigner(args.signer)
+            : (await ethers.getSigners())[0];
+        const { chainId } = await ethers.provider.getNetwork();
+
+        const attestation = await createAttestation({
+            report: readJson(args.report),
+            signer,
+            chainId,
+            contract: address,
+        });
+        const call = reserveCall(
+            args.method,
+            attestation,
+            await usdtq.totalReserves()
+        );
+        attestation.call = {
+            method: call.method,
+            args: call.args.map((arg) => arg.toString()),
+        };
+        const file = args.out || attestationFile(hre.network.name, attestation);
+
+        console.log("----------------------------------------------------");
+        console.log(`Reserve attestation ${attestation.reportHash}`);
+        console.log(`  As of:    ${attestation.report.asOf}`);
+        console.log(`  Total:    ${attestation.totalReservesFormatted} USDTq`);
+        console.log(`  Root:     ${attestation.reserveRoot}`);
+        console.log(`  Signer:   ${attestation.signer}`);
+        console.log(`  Call:     ${call.method}(${call.args.join(", ")})`);
+
+        if (args.dryRun) {
+            writeAttestation(file, attestation);
+            console.log(`  File:     ${file} (dry run, nothing submitted)`);
+            return { file, attestation };
+        }
+
+        if (args.safe) {
+            const batch = await writeSafeBatch(
+                hre,
+                {
+                    safe: args.safe,
+                    contract: address,
+                    nonce: args.nonce,
+                    description: `Reserve attestation ${attestation.reportHash}`,
+                },
+                [call],
+                `Reserve attestation ${attestation.report.asOf.slice(0, 10)}`
+            );
+            attestation.safeBatch = {
+                file: batch.outFile,
+                safe: ethers.getAddress(args.safe),
+                nonce: Number(batch.nonce),
+                safeTxHash: batch.safeTxHash,
+            };
+            writeAttestation(file, attestation);
+            console.log(`  File:     ${file}`);
+            console.log(
+                "After the Safe executes the batch, run reserves:link with its transaction hash."
+            );
+            return { file, attestation };
+        }
+
+        // Write before sending so a signed attestation exists even if the
+        // process dies while waiting for the receipt
+        writeAttestation(file, attestation);
+        const tx = await usdtq.connect(signer)[call.method](...call.args);
+        console.log(`  Tx:       ${tx.hash}`);
+        const receipt = await tx.wait();
+
+        const event = linkEvent(attestation, receipt, usdtq.interface);
+        writeAttestation(file, attestation);
+        console.log(
+            `  Event:    ReservesUpdated in block ${event.blockNumber} (log ${event.logIndex}), ratio ${event.collateralizationRatio} bps`
+        );
+        console.log(`  File:     ${file}`);
+        console.log("----------------------------------------------------");
+        return { file, attestation };
+    });
+
+task("reserves:link", "Link an attestation to the transaction that applied it")
+    .addParam("attestation", "Attestation file")
+    .addParam("tx", "Reserve call transaction hash")
+    .setAction(async (args, hre) => {
+        const attestation = readJson(args.attestation);
+        const receipt = await hre.ethers.provider.getTransactionReceipt(
+            args.tx
+        );
+        if (!receipt) {
+            throw new Error(`Transaction ${args.tx} not found`);
+        }
+        const { interface: iface } = await hre.ethers.getContractAt(
+            "USDTq",
+            attestation.contract
+        );
+
+        const event = linkEvent(attestation, receipt, iface);
+        writeAttestation(args.attestation, attestation);
+        console.log(
+            `Linked ${attestation.reportHash} to ReservesUpdated in ${event.transactionHash} (log ${event.logIndex})`
+        );
+        return attestation;
+    });
+
+task(
+    "reserves:verify",
+    "Verify an attestation and the on-chain event it is linked to"
+)
+    .addOptionalParam("attestation", "Attestation file")
+    .addOptionalParam("tx", "Find the attestation for this reserve transaction")
+    .addOptionalParam(
+        "dir",
+        "Attestation directory (default: attestations/<network>)"
+    )
+    .setAction(async (args, hre) => {
+        let file = args.attestation;
+        let attestation;
+        if (file) {
+            attestation = readJson(file);
+        } else if (args.tx) {
+            const dir =
+                args.dir || path.join(ATTESTATION_DIR, hre.network.name);
+            const found = findAttestation(dir, args.tx);
+            if (!found) {
+                throw new Error(`No attestation in ${dir} links to ${args.tx}`);
+            }
+            ({ file, attestation } = found);
+        } else {
+            throw new Error("Pass --attestation or --tx");
+        }
+
+        const errors = verifyAttestation(attestation);
+
+        if (attestation.event) {
+            const receipt = await hre.ethers.provider.getTransactionReceipt(
+                attestation.event.transactionHash
+            );
+            if (!receipt) {
+                errors.push(
+                    `linked transaction ${attestation.event.transactionHash} not found`
+                );
+            } else {
+                const { interface: iface } = await hre.ethers.getContractAt(
+                    "USDTq",
+                    attestation.contract
+                );
+                try {
+                    const onChain = linkEvent(
+                        { ...attestation },
+                        receipt,
+                        iface
+                    );
+                    if (onChain.logIndex !== attestation.event.logIndex) {
+                        errors.push(
+                            `linked log index ${attestation.event.logIndex} differs from on-chain ${onChain.logIndex}`
+                        );
+                    }
+                } catch (error) {
+                    errors.push(error.message);
+                }
+            }
+        } else {
+            errors.push("attestation is not linked to a ReservesUpdated event");
+        }
+
+        console.log(`Attestation: ${file}`);
+        console.log(`  Report hash: ${attestation.reportHash}`);
+        console.log(
+            `  Total:       ${attestation.totalReservesFormatted} USDTq`
+        );
+        console.log(`  Signer:      ${attestation.signer}`);
+        if (attestation.event) {
+            console.log(
+                `  Event:       ${attestation.event.transactionHash} (log ${attestation.event.logIndex})`
+            );
+        }
+        if (errors.length > 0) {
+            throw new Error(
+                `Attestation verification failed:\n  - ${errors.join("\n  - ")}`
+            );
+        }
+        console.log("Attestation verified");
+        return attestation;
+    });
+
+task("reserves:proofs", "Write an inclusion proof for every reserve balance")
+    .addParam("attestation", "Attestation file")
+    .addOptionalParam(
+        "out",
+        "Output directory (default: <attestation>.proofs next to the file)"
+    )
+    .setAction(async (args) => {
+        const attestation = readJson(args.attestation);
+        const dir =
+            args.out || args.attestation.replace(/\.json$/, "") + ".proofs";
+        const proofs = reserveProofs(attestation);
+
+        fs.mkdirSync(dir, { recursive: true });
+        const files = proofs.map((proof) => {
+            const asset = proof.item.asset.replace(/[^A-Za-z0-9_-]/g, "_");
+            const file = path.join(dir, `${proof.index}-${asset}.json`);
+            fs.writeFileSync(file, JSON.stringify(proof, null, 2) + "\n");
+            return file;
+        });
+
+        console.log(`Reserve root ${proofs[0].root}`);
+        console.log(`  ${files.length} proofs written to ${dir}`);
+        return { root: proofs[0].root, dir, files };
+    });
+
+task(
+    "reserves:verify-proof",
+    "Check a reserve balance proof and that its root was published on-chain"
+)
+    .addParam("proof", "Proof file from reserves:proofs")
+    .addOptionalParam(
+        "fromBlock",
+        "First block to search for the root (default: deployment block)",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "blockRange",
+        "Blocks per event query",
+        DEFAULT_BLOCK_RANGE,
+        types.int
+    )
+    .addFlag("offline", "Only check the proof against its root")
+    .setAction(async (args, hre) => {
+        const proof = readJson(args.proof);
+        const { item } = proof;
+
+        console.log(
+            `Line ${proof.index}: ${item.amount} ${item.asset}${item.custodian ? ` at ${item.custodian}` : ""}`
+        );
+        if (!verifyReserveProof(proof)) {
+            throw new Error(
+                `Proof does not include line ${proof.index} under root ${proof.root}`
+            );
+        }
+        console.log(`  Included under root ${proof.root}`);
+        if (args.offline) {
+            return { included: true, published: null };
+        }
+
+        // A later attestation may have replaced the root, so look for the
+        // event that published it rather than the current reserveRoot
+        const { ethers } = hre;
+        const usdtq = await ethers.getContractAt("USDTq", proof.contract);
+        const { chainId } = await ethers.provider.getNetwork();
+        if (Number(chainId) !== proof.chainId) {
+            throw new Error(
+                `Proof is for chain ${proof.chainId}, connected to ${chainId}`
+            );
+        }
+        const registered = getDeployment(chainId);
+        const fromBlock =
+            args.fromBlock ??
+            (registered?.contractAddress === proof.contract
+                ? registered.blockNumber
+                : null) ??
+            0;
+        const toBlock = await ethers.provider.getBlockNumber();
+
+        let published;
+        for (
+            let start = fromBlock;
+            start <= toBlock && !published;
+            start += args.blockRange
+        ) {
+            [published] = await usdtq.queryFilter(
+                usdtq.filters.ReserveRootUpdated(proof.root),
+                start,
+                Math.min(start + args.blockRange - 1, toBlock)
+            );
+        }
+        if (!published) {
+            throw new Error(
+                `Root ${proof.root} was never published by ${proof.contract}`
+            );
+        }
+
+        const current = (await usdtq.reserveRoot()) === proof.root;
+        console.log(
+            `  Published in block ${published.blockNumber} (${published.transactionHash}) with ${formatAmount(published.args.totalReserves)} USDTq${current ? "" : "; a later root has replaced it"}`
+        );
+        return {
+            included: true,
+            published: {
+                transactionHash: published.transactionHash,
+                blockNumber: published.blockNumber,
+                totalReserves: published.args.totalReserves,
+                current,
+            },
+        };
+    });
@@ -0,0 +1,446 @@
+/**
+ * @title Gnosis Safe Batch Tasks
+ * @notice Prepare Safe Transaction Builder batches for privileged USDTq calls
+ * @dev Every task writes a batch file that can be loaded in the Safe
+ *      Transaction Builder and prints the Safe tx hash signers must see on
+ *      their devices before confirming.
+ *
+ *      Examples:
+ *        npx hardhat safe:grant-role --network bsc_mainnet \
+ *          --safe 0xb00D...2a19 --role minter --account 0x1234...
+ *        npx hardhat safe:batch --network bsc_mainnet \
+ *          --safe 0xb00D...2a19 --file ops/rotate-minters.json
+ *
+ *      Batch plan files passed to safe:batch look like:
+ *        {
+ *          "name": "Rotate minter",
+ *          "description": "Ticket OPS-123",
+ *          "calls": [
+ *            { "method": "grantRole", "args": ["MINTER_ROLE", "0x..."] },
+ *            { "method": "revokeRole", "args": ["MINTER_ROLE", "0x..."] }
+ *          ]
+ *        }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { encodeCall, prepareSafeBatch, OPERATION } = require("../utils/safe");
+const {
+    PRIVILEGED_CALLS,
+    ROLES,
+    normalizeCallArgs,
+    resolveUsdtqAddress,
+} = require("../utils/usdtq");
+
+const DEFAULT_OUTPUT_DIR = "safe-batches";
+
+/**
+ * Encode the calls, write the batch file and print what signers must check
+ */
+async function writeSafeBatch(hre, taskArgs, calls, defaultName) {
+    const { ethers } = hre;
+    const usdtqAddress = await resolveUsdtqAddress(hre, taskArgs.contract);
+    const safeAddress = ethers.getAddress(taskArgs.safe);
+    const { abi } = await hre.artifacts.readArtifact("USDTq");
+    const iface = new ethers.Interface(abi);
+
+    const transactions = calls.map(({ method, args }) =>
+        encodeCall(iface, usdtqAddress, method, normalizeCallArgs(method, args))
+    );
+
+    const prepared = await prepareSafeBatch({
+        provider: ethers.provider,
+        safeAddress,
+        transactions,
+        nonce: taskArgs.nonce,
+        safeVersion: taskArgs.safeVersion,
+        name: taskArgs.name || defaultName,
+        description: taskArgs.description || "",
+    });
+
+    await warnMissingRoles(hre, usdtqAddress, safeAddress, calls);
+
+    const outFile =
+        taskArgs.out ||
+        path.join(
+            DEFAULT_OUTPUT_DIR,
+            `${hre.network.name}-${prepared.nonce}-${slugify(prepared.batch.meta.name)}.json`
+        );
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(prepared.batch, null, 2) + "\n");
+
+    console.log("----------------------------------------------------");
+    console.log(`Safe batch: ${prepared.batch.meta.name}`);
+    console.log(`  Network:     ${hre.network.name} (${prepared.chainId})`);
+    console.log(`  Safe:        ${safeAddress} (v${prepared.safeVersion})`);
+    console.log(`  USDTq:       ${usdtqAddress}`);
+    console.log(`  Nonce:       ${prepared.nonce}`);
+    calls.forEach(({ method, args }, i) => {
+        console.log(`  [${i}] ${method}(${args.join(", ")})`);
+    });
+    console.log(
+        `  Operation:   ${prepared.safeTx.operation === OPERATION.DELEGATE_CALL ? "DELEGATECALL (MultiSendCallOnly)" : "CALL"}`
+    );
+    console.log(`  Safe tx to:  ${prepared.safeTx.to}`);
+    console.log(`  Safe tx hash: ${prepared.safeTxHash}`);
+    console.log(`  Batch file:  ${outFile}`);
+    console.log("----------------------------------------------------");
+    console.log(
+        "Signers: confirm the Safe tx hash on your device matches the one above."
+    );
+
+    return { ...prepared, outFile };
+}
+
+/**
+ * Warn (but do not fail) when the Safe lacks the role a call needs
+ * @dev The Safe only holds DEFAULT_ADMIN_ROLE and ADMIN_ROLE after
+ *      deployment; operational calls from the Safe revert unless it granted
+ *      itself the role first (possibly earlier in the same batch).
+ */
+async function warnMissingRoles(hre, usdtqAddress, safeAddress, calls) {
+    if ((await hre.ethers.provider.getCode(usdtqAddress)) === "0x") {
+        console.warn(`WARNING: no contract code at ${usdtqAddress}`);
+        return;
+    }
+
+    const usdtq = await hre.ethers.getContractAt("USDTq", usdtqAddress);
+    const required = new Map(
+        calls.map(({ method }) => {
+            const role = PRIVILEGED_CALLS[method].role;
+            const roles = Array.isArray(role) ? role : [role];
+            return [roles.join(" or "), roles];
+        })
+    );
+
+    for (const [label, roles] of required) {
+        let held = false;
+        for (const role of roles) {
+            held = held || (await usdtq.hasRole(ROLES[role], safeAddress));
+        }
+        if (!held) {
+            console.warn(
+                `WARNING: Safe ${safeAddress} does not hold ${label}; calls requiring it will revert`
+            );
+        }
+    }
+}
+
+function slugify(name) {
+    return name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+}
+
+/**
+ * Declare a safe:* task with the shared Safe parameters
+ */
+function safeTask(name, description) {
+    return task(name, description)
+        .addParam("safe", "Gnosis Safe address that executes the batch")
+        .addOptionalParam("contract", "USDTq address (defaults to deployment)")
+        .addOptionalParam(
+            "nonce",
+            "Safe nonce to use (read from the Safe if omitted)",
+            undefined,
+            types.int
+        )
+        .addOptionalParam(
+            "safeVersion",
+            "Safe contract version (read from the Safe if omitted)"
+        )
+        .addOptionalParam("name", "Batch name shown in the Safe UI")
+        .addOptionalParam("description", "Batch description for signers")
+        .addOptionalParam("out", "Output file for the batch JSON");
+}
+
+safeTask("safe:mint", "Prepare a Safe batch minting USDTq")
+    .addParam("to", "Recipient address")
+    .addParam("amount", "Amount in USDTq (e.g. 1000000.50)")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "mint", args: [args.to, args.amount] }],
+            `Mint ${args.amount} USDTq`
+        )
+    );
+
+safeTask("safe:burn-from", "Prepare a Safe batch burning USDTq from a holder")
+    .addParam("from", "Holder address (must have approved the Safe)")
+    .addParam("amount", "Amount in USDTq")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "burnFrom", args: [args.from, args.amount] }],
+            `Burn ${args.amount} USDTq`
+        )
+    );
+
+safeTask(
+    "safe:propose-max-mint",
+    "Prepare a Safe batch proposing a new per-tx cap (timelocked)"
+)
+    .addParam("limit", "New maxMintPerTransaction in USDTq")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "proposeMaxMintPerTransaction", args: [args.limit] }],
+            `Propose max mint per tx ${args.limit}`
+        )
+    );
+
+safeTask(
+    "safe:propose-max-supply",
+    "Prepare a Safe batch proposing a new supply cap (timelocked)"
+)
+    .addParam("limit", "New maxTotalSupply in USDTq")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "proposeMaxTotalSupply", args: [args.limit] }],
+            `Propose max total supply ${args.limit}`
+        )
+    );
+
+safeTask(
+    "safe:propose-cap-delay",
+    "Prepare a Safe batch proposing a new cap change delay (timelocked)"
+)
+    .addParam("delay", "New delay (seconds, or e.g. 48h, 3d)")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "proposeCapChangeDelay", args: [args.delay] }],
+            `Propose cap change delay ${args.delay}`
+        )
+    );
+
+safeTask(
+    "safe:execute-cap-change",
+    "Prepare a Safe batch applying a proposed cap change after its delay"
+)
+    .addParam(
+        "parameter",
+        "MaxMintPerTransaction, MaxTotalSupply or CapChangeDelay"
+    )
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "executeCapChange", args: [args.parameter] }],
+            `Execute ${args.parameter} change`
+        )
+    );
+
+safeTask(
+    "safe:cancel-cap-change",
+    "Prepare a Safe batch withdrawing a proposed cap change"
+)
+    .addParam(
+        "parameter",
+        "MaxMintPerTransaction, MaxTotalSupply or CapChangeDelay"
+    )
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "cancelCapChange", args: [args.parameter] }],
+            `Cancel ${args.parameter} change`
+        )
+    );
+
+safeTask(
+    "safe:set-minter-allowance",
+    "Prepare a Safe batch setting how much a minter may still mint"
+)
+    .addParam("minter", "Minter address")
+    .addParam("amount", "New allowance in USDTq (0 stops the minter)")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [
+                {
+                    method: "setMinterAllowance",
+                    args: [args.minter, args.amount],
+                },
+            ],
+            `Set minter allowance of ${args.minter} to ${args.amount}`
+        )
+    );
+
+safeTask(
+    "safe:set-minter-rate-limit",
+    "Prepare a Safe batch limiting what a minter may mint per rolling window"
+)
+    .addParam("minter", "Minter address")
+    .addParam(
+        "limit",
+        "Most the minter may mint per window in USDTq (0 removes the limit)"
+    )
+    .addOptionalParam(
+        "window",
+        "Window (seconds, or e.g. 1h, 1d); required unless --limit is 0",
+        "0"
+    )
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [
+                {
+                    method: "setMinterRateLimit",
+                    args: [args.minter, args.limit, args.window],
+                },
+            ],
+            args.limit === "0"
+                ? `Remove minter rate limit of ${args.minter}`
+                : `Limit ${args.minter} to ${args.limit} per ${args.window}`
+        )
+    );
+
+safeTask("safe:blacklist", "Prepare a Safe batch blacklisting an address")
+    .addParam("account", "Address to blacklist")
+    .addParam("reason", "Blacklist reason recorded on-chain")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "blacklist", args: [args.account, args.reason] }],
+            `Blacklist ${args.account}`
+        )
+    );
+
+safeTask("safe:unblacklist", "Prepare a Safe batch removing a blacklist entry")
+    .addParam("account", "Address to unblacklist")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "unBlacklist", args: [args.account] }],
+            `Unblacklist ${args.account}`
+        )
+    );
+
+safeTask("safe:grant-role", "Prepare a Safe batch granting a role")
+    .addParam("role", "Role name (e.g. minter, PAUSER_ROLE) or hash")
+    .addParam("account", "Address receiving the role")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "grantRole", args: [args.role, args.account] }],
+            `Grant ${args.role} to ${args.account}`
+        )
+    );
+
+safeTask("safe:revoke-role", "Prepare a Safe batch revoking a role")
+    .addParam("role", "Role name (e.g. minter, PAUSER_ROLE) or hash")
+    .addParam("account", "Address losing the role")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "revokeRole", args: [args.role, args.account] }],
+            `Revoke ${args.role} from ${args.account}`
+        )
+    );
+
+safeTask("safe:pause", "Prepare a Safe batch pausing minting").setAction(
+    async (args, hre) =>
+        writeSafeBatch(hre, args, [{ method: "pause", args: [] }], "Pause")
+);
+
+safeTask("safe:unpause", "Prepare a Safe batch unpausing minting").setAction(
+    async (args, hre) =>
+        writeSafeBatch(hre, args, [{ method: "unpause", args: [] }], "Unpause")
+);
+
+safeTask("safe:update-reserves", "Prepare a Safe batch attesting reserves")
+    .addParam("amount", "Total reserves in USDTq")
+    .addOptionalParam(
+        "root",
+        "Merkle root of the reserve holdings (calls updateReservesWithRoot)"
+    )
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [
+                args.root
+                    ? {
+                          method: "updateReservesWithRoot",
+                          args: [args.amount, args.root],
+                      }
+                    : { method: "updateReserves", args: [args.amount] },
+            ],
+            `Update reserves ${args.amount}`
+        )
+    );
+
+safeTask("safe:add-reserves", "Prepare a Safe batch recording added reserves")
+    .addParam("amount", "Reserves added in USDTq")
+    .addParam("reserveType", "Reserve type (e.g. USDT, USDC, Mixed)")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [
+                {
+                    method: "addReserves",
+                    args: [args.amount, args.reserveType],
+                },
+            ],
+            `Add reserves ${args.amount}`
+        )
+    );
+
+safeTask(
+    "safe:remove-reserves",
+    "Prepare a Safe batch recording removed reserves"
+)
+    .addParam("amount", "Reserves removed in USDTq")
+    .addParam("reason", "Reason for removal")
+    .setAction(async (args, hre) =>
+        writeSafeBatch(
+            hre,
+            args,
+            [{ method: "removeReserves", args: [args.amount, args.reason] }],
+            `Remove reserves ${args.amount}`
+        )
+    );
+
+safeTask("safe:batch", "Prepare a Safe batch from a JSON plan of USDTq calls")
+    .addParam(
+        "file",
+        "Plan file: { name, description, calls: [{ method, args }] }"
+    )
+    .setAction(async (args, hre) => {
+        const plan = JSON.parse(fs.readFileSync(args.file, "utf8"));
+        if (!Array.isArray(plan.calls) || plan.calls.length === 0) {
+            throw new Error(`${args.file} has no calls`);
+        }
+
+        return writeSafeBatch(
+            hre,
+            {
+                ...args,
+                name: args.name || plan.name,
+                description: args.description || plan.description,
+            },
+            plan.calls.map(({ method, args: callArgs = [] }) => ({
+                method,
+                args: callArgs,
+            })),
+            path.basename(args.file, ".json")
+        );
+    });
+
+module.exports = { writeSafeBatch };
@@ -0,0 +1,192 @@
+/**
+ * @title Sanctions Sync Task
+ * @notice Brings the USDTq blacklist in line with a sanctions or denylist file
+ * @dev For the BLACKLISTER_ROLE holder:
+ *
+ *        # Show what would change (no transactions)
+ *        npx hardhat sanctions:sync --network bsc_mainnet --file SDN.XML --dry-run
+ *
+ *        # Download the current OFAC SDN list and send the calls
+ *        npx hardhat sanctions:sync --network bsc_mainnet --url default \
+ *          --signer 0x...
+ *
+ *        # Internal denylist as a Safe batch
+ *        npx hardhat sanctions:sync --network bsc_mainnet \
+ *          --file denylist.csv --list Denylist --safe 0xb00D...2a19
+ */
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+    DEFAULT_BLOCK_RANGE,
+    OFAC_SDN_URL,
+    diffSanctions,
+    parseSanctionsList,
+    readSanctionsList,
+    sanctionsListFormat,
+} = require("../utils/sanctions");
+const { getDeployment } = require("../utils/registry");
+const { resolveUsdtqAddress } = require("../utils/usdtq");
+const { writeSafeBatch } = require("./safe");
+
+/**
+ * Read the list from --file or --url
+ * @returns {Promise<{source: string, format: string, entries: object[]}>}
+ */
+async function loadList(args) {
+    if (Boolean(args.file) === Boolean(args.url)) {
+        throw new Error("Pass either --file or --url");
+    }
+
+    if (args.file) {
+        const format = sanctionsListFormat(args.file, args.format);
+        return {
+            source: args.file,
+            format,
+            entries: readSanctionsList(args.file, format),
+        };
+    }
+
+    const url = args.url === "default" ? OFAC_SDN_URL : args.url;
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Downloading ${url} failed: HTTP ${response.status}`);
+    }
+    const format = args.format || "ofac";
+    return {
+        source: url,
+        format,
+        entries: parseSanctionsList(await response.text(), format),
+    };
+}
+
+task(
+    "sanctions:sync",
+    "Blacklist/unblacklist addresses to match a sanctions list"
+)
+    .addOptionalParam("file", "Local list file (.csv or OFAC SDN .xml)")
+    .addOptionalParam(
+        "url",
+        'List URL to download ("default" for the OFAC SDN list)'
+    )
+    .addOptionalParam(
+        "format",
+        "csv or ofac (default: from the file extension)"
+    )
+    .addOptionalParam(
+        "list",
+        'List name prefixed to on-chain reasons (default: "OFAC SDN" or the file name)'
+    )
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "First block to read Blacklisted events from (default: deployment block)",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "blockRange",
+        "Blocks per event query",
+        DEFAULT_BLOCK_RANGE,
+        types.int
+    )
+    .addOptionalParam(
+        "signer",
+        "Blacklister address sending the calls (default: first account)"
+    )
+    .addOptionalParam(
+        "safe",
+        "Prepare a Safe batch for this Safe instead of sending"
+    )
+    .addOptionalParam("nonce", "Safe nonce (with --safe)", undefined, types.int)
+    .addOptionalParam("out", "Safe batch output file (with --safe)")
+    .addFlag("dryRun", "Print the changes without sending")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+        const { chainId } = await ethers.provider.getNetwork();
+        const registered = getDeployment(chainId);
+
+        const { source, format, entries } = await loadList(args);
+        const list =
+            args.list ||
+            (format === "ofac"
+                ? "OFAC SDN"
+                : path.basename(source, path.extname(source)));
+        const fromBlock =
+            args.fromBlock ??
+            (registered?.contractAddress === address
+                ? registered.blockNumber
+                : null) ??
+            0;
+
+        const diff = await diffSanctions(usdtq, entries, {
+            list,
+            fromBlock,
+            blockRange: args.blockRange,
+        });
+        const calls = [
+            ...diff.blacklist.map(({ address: account, reason }) => ({
+                method: "blacklist",
+                args: [account, reason],
+            })),
+            ...diff.unBlacklist.map(({ address: account }) => ({
+                method: "unBlacklist",
+                args: [account],
+            })),
+        ];
+
+        console.log("----------------------------------------------------");
+        console.log(`Sanctions sync: ${list}`);
+        console.log(`  Source:        ${source} (${format})`);
+        console.log(`  List entries:  ${entries.length}`);
+        console.log(`  Already done:  ${diff.unchanged}`);
+        diff.blacklist.forEach(({ address: account, reason }) =>
+            console.log(`  + blacklist   ${account} "${reason}"`)
+        );
+        diff.unBlacklist.forEach(({ address: account, reason }) =>
+            console.log(`  - unBlacklist ${account} (was "${reason}")`)
+        );
+
+        if (calls.length === 0) {
+            console.log("Blacklist already matches the list");
+            return { ...diff, transactions: [] };
+        }
+        if (args.dryRun) {
+            console.log(`Dry run, ${calls.length} call(s) not sent`);
+            return { ...diff, transactions: [] };
+        }
+
+        if (args.safe) {
+            const batch = await writeSafeBatch(
+                hre,
+                {
+                    safe: args.safe,
+                    contract: address,
+                    nonce: args.nonce,
+                    out: args.out,
+                    description: `Sync with ${source}`,
+                },
+                calls,
+                `Sanctions sync: ${list}`
+            );
+            return { ...diff, transactions: [], batch };
+        }
+
+        const signer = args.signer
+            ? await ethers.getSigner(args.signer)
+            : (await ethers.getSigners())[0];
+        const transactions = [];
+        for (const call of calls) {
+            const tx = await usdtq.connect(signer)[call.method](...call.args);
+            await tx.wait();
+            console.log(`  ${call.method}(${call.args[0]}): ${tx.hash}`);
+            transactions.push(tx.hash);
+        }
+        console.log("----------------------------------------------------");
+        return { ...diff, transactions };
+    });
@@ -0,0 +1,109 @@
+/**
+ * @title Transparency Report Task
+ * @notice Monthly supply-versus-reserves reports from the event database
+ * @dev Run index-events first, then:
+ *
+ *        npx hardhat transparency:report --network bsc_mainnet
+ *        npx hardhat transparency:report --network bsc_mainnet --month 2026-03
+ *
+ *      Writes <YYYY-MM>.md per month plus monthly.csv and series.csv to
+ *      transparency/<network>/. The Markdown uses plain GitHub tables, so it
+ *      renders as HTML or converts to PDF (e.g. with pandoc) unchanged.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { getEvents, openEventStore } = require("../utils/indexer");
+const {
+    DEFAULT_TOP,
+    REPORT_EVENTS,
+    buildMonthlyReports,
+    writeReports,
+} = require("../utils/transparency");
+
+const DEFAULT_DATA_DIR = "data";
+const DEFAULT_REPORT_DIR = "transparency";
+
+task("transparency:report", "Write monthly supply and reserve reports")
+    .addOptionalParam(
+        "db",
+        "Event database from index-events (default: data/<network>-events.sqlite)"
+    )
+    .addOptionalParam(
+        "month",
+        "Only write the Markdown report for this month (YYYY-MM)"
+    )
+    .addOptionalParam(
+        "top",
+        "Largest mints and burns to list",
+        DEFAULT_TOP,
+        types.int
+    )
+    .addOptionalParam(
+        "out",
+        "Output directory (default: transparency/<network>)"
+    )
+    .setAction(async (args, hre) => {
+        if (args.month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(args.month)) {
+            throw new Error(`--month must be YYYY-MM, got ${args.month}`);
+        }
+
+        const file =
+            args.db ||
+            path.join(DEFAULT_DATA_DIR, `${hre.network.name}-events.sqlite`);
+        if (!fs.existsSync(file)) {
+            throw new Error(
+                `No event database at ${file}; run index-events first`
+            );
+        }
+
+        const db = openEventStore(file);
+        let result, meta;
+        try {
+            meta = Object.fromEntries(
+                db
+                    .prepare("SELECT key, value FROM meta")
+                    .all()
+                    .map((row) => [row.key, row.value])
+            );
+            result = buildMonthlyReports(
+                getEvents(db, { event: REPORT_EVENTS }),
+                { top: args.top, through: args.month }
+            );
+        } finally {
+            db.close();
+        }
+
+        if (result.months.length === 0) {
+            throw new Error(`${file} holds no supply or reserve events`);
+        }
+        if (
+            args.month &&
+            !result.months.some((report) => report.month === args.month)
+        ) {
+            throw new Error(
+                `${args.month} is before the first indexed event (${result.months[0].month})`
+            );
+        }
+
+        const dir = args.out || path.join(DEFAULT_REPORT_DIR, hre.network.name);
+        const files = writeReports(
+            dir,
+            result,
+            {
+                network: hre.network.name,
+                chainId: meta.chain_id,
+                contract: meta.contract,
+                throughBlock: meta.checkpoint_block,
+            },
+            { months: args.month ? [args.month] : undefined }
+        );
+
+        const last = result.months[result.months.length - 1];
+        console.log(
+            `Reports for ${result.months[0].month} to ${last.month} (events through block ${meta.checkpoint_block})`
+        );
+        files.forEach((written) => console.log(`  ${written}`));
+        return { files, months: result.months };
+    });
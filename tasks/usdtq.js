@@ -0,0 +1,576 @@
+/**
+ * @title USDTq Operations Tasks
+ * @notice Day-to-day contract operations from the command line
+ * @dev Amounts are whole USDTq ("1,000,000.50"), roles are names ("minter",
+ *      "MINTER_ROLE") and the contract comes from the deployment record
+ *      unless --contract is given. Every write is first run as a staticCall
+ *      from the sending account; a revert is reported with its decoded
+ *      custom error and nothing is sent. --dry-run stops after that check.
+ *
+ *        npx hardhat usdtq:status --network bsc_mainnet
+ *        npx hardhat usdtq:mint --network bsc_mainnet --to 0x... --amount 250000
+ *        npx hardhat usdtq:blacklist --network bsc_mainnet --account 0x... \
+ *          --reason "OFAC sanctions" --dry-run
+ *        npx hardhat usdtq:roles:list --network bsc_mainnet
+ *        npx hardhat usdtq:caps:pending --network bsc_mainnet
+ *        npx hardhat usdtq:minters:list --network bsc_mainnet
+ *
+ *      Calls held by the Safe (caps, minter limits, roles) can be sent here
+ *      only from an account holding the role; for the Safe itself use the
+ *      safe:* tasks.
+ */
+
+const { task, types } = require("hardhat/config");
+const {
+    USDTqClient,
+    capParameterName,
+    decodeError,
+    formatCapValue,
+    formatRatio,
+} = require("../sdk/src");
+const { DEFAULT_BLOCK_RANGE, collectRoleHolders } = require("../utils/audit");
+const { getDeployment } = require("../utils/registry");
+const {
+    PRIVILEGED_CALLS,
+    ROLES,
+    formatAmount,
+    normalizeCallArgs,
+    resolveUsdtqAddress,
+    roleName,
+} = require("../utils/usdtq");
+
+/**
+ * Declare a usdtq:* write task with the shared parameters
+ */
+function writeTask(name, description) {
+    return task(name, description)
+        .addOptionalParam(
+            "contract",
+            "USDTq address (default: deployment/registry)"
+        )
+        .addOptionalParam(
+            "signer",
+            "Address of the sending account (default: first account)"
+        )
+        .addFlag("dryRun", "Run the preflight check only");
+}
+
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return days > 0
+        ? `${days}d ${hours}h`
+        : hours > 0
+          ? `${hours}h ${minutes}m`
+          : `${minutes}m`;
+}
+
+function describeArg(value, kind) {
+    switch (kind) {
+        case "amount":
+            return `${formatAmount(value)} USDTq`;
+        case "seconds":
+            return `${value}s`;
+        case "capParameter":
+            return capParameterName(value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Preflight a privileged call with staticCall, then send it
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} args Task arguments (contract, signer, dryRun)
+ * @param {string} method USDTq function
+ * @param {Array} rawArgs Human-readable arguments
+ * @returns {Promise<object>} { method, args, sent, transactionHash?, blockNumber? }
+ */
+async function sendCall(hre, args, method, rawArgs) {
+    const { ethers } = hre;
+    const address = await resolveUsdtqAddress(hre, args.contract);
+    const signer = args.signer
+        ? await ethers.getSigner(args.signer)
+        : (await ethers.getSigners())[0];
+    const usdtq = await ethers.getContractAt("USDTq", address, signer);
+    const callArgs = normalizeCallArgs(method, rawArgs);
+
+    const kinds = PRIVILEGED_CALLS[method].args;
+    const label = `${method}(${callArgs.map((value, i) => describeArg(value, kinds[i])).join(", ")})`;
+    console.log(`${label} on ${address} from ${signer.address}`);
+
+    try {
+        await usdtq[method].staticCall(...callArgs);
+    } catch (error) {
+        const decoded = decodeError(error);
+        throw new Error(`Preflight failed, nothing sent: ${decoded.message}`, {
+            cause: decoded,
+        });
+    }
+
+    if (args.dryRun) {
+        console.log("Preflight passed; dry run, nothing sent");
+        return { method, args: callArgs, sent: false };
+    }
+
+    const tx = await usdtq[method](...callArgs);
+    console.log(`  Tx:    ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(
+        `  Mined: block ${receipt.blockNumber}, gas ${receipt.gasUsed}`
+    );
+    return {
+        method,
+        args: callArgs,
+        sent: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+    };
+}
+
+/**
+ * Current role holders, replayed from the deployment block (or --from-block)
+ */
+async function roleHolders(hre, args, usdtq) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const registered = getDeployment(chainId);
+    const address = await usdtq.getAddress();
+    const fromBlock =
+        args.fromBlock ??
+        (registered?.contractAddress === address
+            ? registered.blockNumber
+            : null) ??
+        0;
+    return collectRoleHolders(usdtq, {
+        fromBlock,
+        blockRange: args.blockRange,
+    });
+}
+
+task("usdtq:status", "Show supply, caps, reserves and pause state")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+
+        const [ratio, reserves, supply] =
+            await usdtq.getCollateralizationRatio();
+        const [isHealthy, deficit, surplus] = await usdtq.getReserveHealth();
+        const [, totalRemaining] = await usdtq.getRemainingMintCapacity();
+        const lastUpdate = await usdtq.lastReserveUpdate();
+
+        const status = {
+            network: hre.network.name,
+            contract: address,
+            name: await usdtq.name(),
+            symbol: await usdtq.symbol(),
+            paused: await usdtq.paused(),
+            totalSupply: formatAmount(supply),
+            maxTotalSupply: formatAmount(await usdtq.maxTotalSupply()),
+            maxMintPerTransaction: formatAmount(
+                await usdtq.maxMintPerTransaction()
+            ),
+            mintHeadroom: formatAmount(totalRemaining),
+            capChangeDelay: Number(await usdtq.capChangeDelay()),
+            pendingCapChanges: (
+                await new USDTqClient(
+                    address,
+                    ethers.provider
+                ).getPendingCapChanges()
+            ).map(({ parameter }) => parameter),
+            totalReserves: formatAmount(reserves),
+            collateralization: formatRatio(ratio),
+            healthy: isHealthy,
+            reserveDeficit: formatAmount(deficit),
+            reserveSurplus: formatAmount(surplus),
+            lastReserveUpdate: new Date(
+                Number(lastUpdate) * 1000
+            ).toISOString(),
+        };
+
+        if (args.json) {
+            console.log(JSON.stringify(status, null, 2));
+            return status;
+        }
+
+        console.log("----------------------------------------------------");
+        console.log(`${status.name} (${status.symbol}) on ${status.network}`);
+        console.log(`  Contract:        ${status.contract}`);
+        console.log(`  Paused:          ${status.paused ? "YES" : "no"}`);
+        console.log(`  Total supply:    ${status.totalSupply} USDTq`);
+        console.log(`  Max supply:      ${status.maxTotalSupply} USDTq`);
+        console.log(`  Max per mint:    ${status.maxMintPerTransaction} USDTq`);
+        console.log(`  Mint headroom:   ${status.mintHeadroom} USDTq`);
+        console.log(
+            `  Cap changes:     ${status.pendingCapChanges.length > 0 ? `PENDING ${status.pendingCapChanges.join(", ")}` : "none pending"} (delay ${formatDuration(status.capChangeDelay)})`
+        );
+        console.log(`  Reserves:        ${status.totalReserves} USDTq`);
+        console.log(
+            `  Collateral:      ${status.collateralization} (${isHealthy ? `surplus ${status.reserveSurplus}` : `DEFICIT ${status.reserveDeficit}`} USDTq)`
+        );
+        console.log(`  Last attestation: ${status.lastReserveUpdate}`);
+        console.log("----------------------------------------------------");
+        return status;
+    });
+
+writeTask("usdtq:mint", "Mint USDTq (MINTER_ROLE)")
+    .addParam("to", "Recipient address")
+    .addParam("amount", "Amount in USDTq (e.g. 1000000.50)")
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "mint", [args.to, args.amount])
+    );
+
+writeTask("usdtq:burn", "Burn USDTq from a holder's allowance (MINTER_ROLE)")
+    .addParam("from", "Holder address (must have approved the signer)")
+    .addParam("amount", "Amount in USDTq")
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "burnFrom", [args.from, args.amount])
+    );
+
+writeTask("usdtq:blacklist", "Blacklist an address (BLACKLISTER_ROLE)")
+    .addParam("account", "Address to blacklist")
+    .addParam("reason", "Reason stored on-chain")
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "blacklist", [args.account, args.reason])
+    );
+
+writeTask("usdtq:unblacklist", "Remove an address from the blacklist")
+    .addParam("account", "Address to unblacklist")
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "unBlacklist", [args.account])
+    );
+
+writeTask("usdtq:pause", "Pause minting (PAUSER_ROLE)").setAction(
+    async (args, hre) => sendCall(hre, args, "pause", [])
+);
+
+writeTask("usdtq:unpause", "Unpause minting (PAUSER_ROLE)").setAction(
+    async (args, hre) => sendCall(hre, args, "unpause", [])
+);
+
+writeTask(
+    "usdtq:caps:propose",
+    "Propose supply cap changes; they apply after the timelock (ADMIN_ROLE)"
+)
+    .addOptionalParam("maxMint", "New maxMintPerTransaction in USDTq")
+    .addOptionalParam("maxSupply", "New maxTotalSupply in USDTq")
+    .addOptionalParam(
+        "delay",
+        "New cap change delay (seconds, or e.g. 48h, 3d)"
+    )
+    .setAction(async (args, hre) => {
+        if (
+            args.maxMint === undefined &&
+            args.maxSupply === undefined &&
+            args.delay === undefined
+        ) {
+            throw new Error("Pass --max-mint, --max-supply and/or --delay");
+        }
+
+        const results = [];
+        if (args.maxSupply !== undefined) {
+            results.push(
+                await sendCall(hre, args, "proposeMaxTotalSupply", [
+                    args.maxSupply,
+                ])
+            );
+        }
+        if (args.maxMint !== undefined) {
+            results.push(
+                await sendCall(hre, args, "proposeMaxMintPerTransaction", [
+                    args.maxMint,
+                ])
+            );
+        }
+        if (args.delay !== undefined) {
+            results.push(
+                await sendCall(hre, args, "proposeCapChangeDelay", [args.delay])
+            );
+        }
+        return results;
+    });
+
+writeTask(
+    "usdtq:caps:execute",
+    "Apply a proposed cap change whose delay has passed (ADMIN_ROLE)"
+)
+    .addParam(
+        "parameter",
+        "MaxMintPerTransaction, MaxTotalSupply or CapChangeDelay"
+    )
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "executeCapChange", [args.parameter])
+    );
+
+writeTask("usdtq:caps:cancel", "Withdraw a proposed cap change (ADMIN_ROLE)")
+    .addParam(
+        "parameter",
+        "MaxMintPerTransaction, MaxTotalSupply or CapChangeDelay"
+    )
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "cancelCapChange", [args.parameter])
+    );
+
+task("usdtq:caps:pending", "Show proposed cap changes and when they apply")
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const client = new USDTqClient(address, ethers.provider);
+        const { timestamp } = await ethers.provider.getBlock("latest");
+
+        const current = {
+            MaxMintPerTransaction: await client.maxMintPerTransaction(),
+            MaxTotalSupply: await client.maxTotalSupply(),
+            CapChangeDelay: await client.capChangeDelay(),
+        };
+        const pending = (await client.getPendingCapChanges()).map(
+            ({ parameter, value, executableAt }) => {
+                const remaining = executableAt.getTime() / 1000 - timestamp;
+                return {
+                    parameter,
+                    current: formatCapValue(parameter, current[parameter]),
+                    proposed: formatCapValue(parameter, value),
+                    executableAt: executableAt.toISOString(),
+                    ready: remaining <= 0,
+                    secondsRemaining: Math.max(remaining, 0),
+                };
+            }
+        );
+        const result = {
+            network: hre.network.name,
+            contract: address,
+            capChangeDelay: Number(current.CapChangeDelay),
+            pending,
+        };
+
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return result;
+        }
+
+        console.log(
+            `Cap change delay on ${address}: ${formatDuration(result.capChangeDelay)}`
+        );
+        if (pending.length === 0) {
+            console.log("No pending cap changes");
+        }
+        for (const change of pending) {
+            console.log(
+                `  ${change.parameter}: ${change.current} -> ${change.proposed}, ${change.ready ? "ready to execute" : `executable at ${change.executableAt} (in ${formatDuration(change.secondsRemaining)})`}`
+            );
+        }
+        return result;
+    });
+
+task(
+    "usdtq:minters:list",
+    "Show each minter's allowance, rate limit and what it can mint now"
+)
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "minter",
+        "Only this address (default: every MINTER_ROLE holder)"
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "First block to read role events from (default: deployment block)",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "blockRange",
+        "Blocks per event query",
+        DEFAULT_BLOCK_RANGE,
+        types.int
+    )
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+        const client = new USDTqClient(address, ethers.provider);
+
+        const minters = args.minter
+            ? [ethers.getAddress(args.minter)]
+            : (await roleHolders(hre, args, usdtq))[ROLES.MINTER_ROLE] || [];
+        const result = [];
+        for (const minter of minters) {
+            const { allowance, rateLimit, mintable } =
+                await client.getMinterLimits(minter);
+            result.push({
+                minter,
+                hasRole: await client.hasRole(ROLES.MINTER_ROLE, minter),
+                allowance: formatAmount(allowance),
+                rateLimit: rateLimit && {
+                    limit: formatAmount(rateLimit.limit),
+                    windowSeconds: Number(rateLimit.window),
+                    available: formatAmount(rateLimit.available),
+                },
+                mintable: formatAmount(mintable),
+            });
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return result;
+        }
+
+        if (result.length === 0) {
+            console.log(`No minters on ${address}`);
+        }
+        for (const entry of result) {
+            console.log(
+                `${entry.minter}${entry.hasRole ? "" : " (no MINTER_ROLE)"}`
+            );
+            console.log(`  Allowance:  ${entry.allowance} USDTq`);
+            console.log(
+                `  Rate limit: ${entry.rateLimit ? `${entry.rateLimit.limit} USDTq per ${formatDuration(entry.rateLimit.windowSeconds)}, ${entry.rateLimit.available} USDTq available` : "none"}`
+            );
+            console.log(`  Mintable:   ${entry.mintable} USDTq`);
+        }
+        return result;
+    });
+
+writeTask(
+    "usdtq:minters:allowance",
+    "Set how much a minter may still mint (ADMIN_ROLE)"
+)
+    .addParam("minter", "Minter address")
+    .addParam("amount", "New allowance in USDTq (0 stops the minter)")
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "setMinterAllowance", [args.minter, args.amount])
+    );
+
+writeTask(
+    "usdtq:minters:rate-limit",
+    "Limit what a minter may mint per rolling window (ADMIN_ROLE)"
+)
+    .addParam("minter", "Minter address")
+    .addParam(
+        "limit",
+        "Most the minter may mint per window in USDTq (0 removes the limit)"
+    )
+    .addOptionalParam(
+        "window",
+        "Window (seconds, or e.g. 1h, 1d); required unless --limit is 0",
+        "0"
+    )
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "setMinterRateLimit", [
+            args.minter,
+            args.limit,
+            args.window,
+        ])
+    );
+
+writeTask("usdtq:reserves:update", "Set total reserves (RESERVE_MANAGER_ROLE)")
+    .addParam("amount", "Total reserves in USDTq")
+    .addOptionalParam(
+        "root",
+        "Merkle root of the reserve holdings (calls updateReservesWithRoot)"
+    )
+    .setAction(async (args, hre) =>
+        args.root
+            ? sendCall(hre, args, "updateReservesWithRoot", [
+                  args.amount,
+                  args.root,
+              ])
+            : sendCall(hre, args, "updateReserves", [args.amount])
+    );
+
+writeTask("usdtq:reserves:add", "Record added reserves (RESERVE_MANAGER_ROLE)")
+    .addParam("amount", "Amount in USDTq")
+    .addParam("type", 'Reserve type (e.g. "USDT", "USDC")')
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "addReserves", [args.amount, args.type])
+    );
+
+writeTask(
+    "usdtq:reserves:remove",
+    "Record removed reserves (RESERVE_MANAGER_ROLE)"
+)
+    .addParam("amount", "Amount in USDTq")
+    .addParam("reason", "Reason stored on-chain")
+    .setAction(async (args, hre) =>
+        sendCall(hre, args, "removeReserves", [args.amount, args.reason])
+    );
+
+task(
+    "usdtq:roles:list",
+    "List role holders from RoleGranted/RoleRevoked events"
+)
+    .addOptionalParam(
+        "contract",
+        "USDTq address (default: deployment/registry)"
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "First block to read role events from (default: deployment block)",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "blockRange",
+        "Blocks per event query",
+        DEFAULT_BLOCK_RANGE,
+        types.int
+    )
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = await resolveUsdtqAddress(hre, args.contract);
+        const usdtq = await ethers.getContractAt("USDTq", address);
+
+        const holders = await roleHolders(hre, args, usdtq);
+        const roles = Object.fromEntries(
+            Object.keys(ROLES).map((name) => [name, holders[ROLES[name]] || []])
+        );
+
+        if (args.json) {
+            console.log(JSON.stringify(roles, null, 2));
+        } else {
+            for (const [name, accounts] of Object.entries(roles)) {
+                console.log(`${name} (${accounts.length})`);
+                accounts.forEach((account) => console.log(`  ${account}`));
+            }
+        }
+        return roles;
+    });
+
+writeTask("usdtq:roles:grant", "Grant a role (role admin only)")
+    .addParam("role", "Role name (e.g. minter, MINTER_ROLE) or hash")
+    .addParam("account", "Address receiving the role")
+    .setAction(async (args, hre) => {
+        const result = await sendCall(hre, args, "grantRole", [
+            args.role,
+            args.account,
+        ]);
+        return { ...result, role: roleName(result.args[0]) };
+    });
+
+writeTask("usdtq:roles:revoke", "Revoke a role (role admin only)")
+    .addParam("role", "Role name (e.g. minter, MINTER_ROLE) or hash")
+    .addParam("account", "Address losing the role")
+    .setAction(async (args, hre) => {
+        const result = await sendCall(hre, args, "revokeRole", [
+            args.role,
+            args.account,
+        ]);
+        return { ...result, role: roleName(result.args[0]) };
+    });
+
+module.exports = { formatDuration };
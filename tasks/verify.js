@@ -0,0 +1,60 @@
+/**
+ * @title Source Verification Task
+ * @notice Re-runs explorer verification for the recorded USDTq deployment
+ * @dev Uses the constructor arguments stored in deployments/registry.json, so
+ *      a verification that failed during deployment can be retried without
+ *      retyping them:
+ *
+ *        npx hardhat verify-deployment --network bsc_mainnet
+ */
+
+const { task, types } = require("hardhat/config");
+const {
+    DEFAULT_ATTEMPTS,
+    DEFAULT_RETRY_DELAY_MS,
+    toConstructorArguments,
+    verifyContract,
+} = require("../utils/verify");
+const { getDeployment, updateDeployment } = require("../utils/registry");
+
+task(
+    "verify-deployment",
+    "Verify the recorded USDTq deployment on the explorer"
+)
+    .addOptionalParam(
+        "attempts",
+        "Maximum verification attempts",
+        DEFAULT_ATTEMPTS,
+        types.int
+    )
+    .addOptionalParam(
+        "retryDelay",
+        "Seconds to wait between attempts",
+        DEFAULT_RETRY_DELAY_MS / 1000,
+        types.int
+    )
+    .setAction(async (args, hre) => {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const deployment = getDeployment(chainId);
+        if (!deployment) {
+            throw new Error(
+                `No USDTq deployment registered for ${hre.network.name} (${chainId})`
+            );
+        }
+
+        const verification = await verifyContract(hre, {
+            address: deployment.contractAddress,
+            constructorArguments: toConstructorArguments(
+                deployment.constructorArgs
+            ),
+            attempts: args.attempts,
+            retryDelayMs: args.retryDelay * 1000,
+        });
+
+        updateDeployment(chainId, { verification });
+        console.log(`Verification ${verification.status}`);
+        if (verification.status !== "verified") {
+            throw new Error(verification.error || verification.reason);
+        }
+        return verification;
+    });
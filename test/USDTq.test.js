@@ -16,6 +16,13 @@ describe("USDTq (Non-Upgradeable)", function () {
     const INITIAL_SUPPLY = ethers.parseUnits("10000000", DECIMALS); // 10M
     const MAX_TOTAL_SUPPLY = ethers.parseUnits("1000000000", DECIMALS); // 1B
     const MAX_MINT_PER_TX = ethers.parseUnits("10000000", DECIMALS); // 10M
+    const CAP_CHANGE_DELAY = 2 * 24 * 60 * 60; // 2 days
+    const INITIAL_MINTER_ALLOWANCE = ethers.parseUnits("10000000", DECIMALS); // 10M
+
+    // CapParameter enum values
+    const MAX_MINT_PER_TRANSACTION = 0;
+    const MAX_TOTAL_SUPPLY_PARAMETER = 1;
+    const CAP_CHANGE_DELAY_PARAMETER = 2;
 
     // Role hashes
     const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
@@ -29,6 +36,18 @@ describe("USDTq (Non-Upgradeable)", function () {
         ethers.toUtf8Bytes("RESERVE_MANAGER_ROLE")
     );
 
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine", []);
+    }
+
+    // Propose a cap change, wait out the delay and execute it
+    async function changeCap(propose, parameter, value) {
+        await usdtq.connect(gnosisSafe)[propose](value);
+        await increaseTime(CAP_CHANGE_DELAY);
+        await usdtq.connect(gnosisSafe).executeCapChange(parameter);
+    }
+
     beforeEach(async function () {
         [
             owner,
@@ -242,7 +261,9 @@ describe("USDTq (Non-Upgradeable)", function () {
 
         it("Should not allow non-admins to set supply caps", async function () {
             await expect(
-                usdtq.connect(minter).setMaxTotalSupply(MAX_TOTAL_SUPPLY + 1n)
+                usdtq
+                    .connect(minter)
+                    .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY + 1n)
             ).to.be.reverted;
         });
 
@@ -315,9 +336,11 @@ describe("USDTq (Non-Upgradeable)", function () {
 
         it("Should fail to mint above maxTotalSupply", async function () {
             // First, increase maxMintPerTransaction to test total supply limit
-            await usdtq
-                .connect(gnosisSafe)
-                .setMaxMintPerTransaction(MAX_TOTAL_SUPPLY);
+            await changeCap(
+                "proposeMaxMintPerTransaction",
+                MAX_MINT_PER_TRANSACTION,
+                MAX_TOTAL_SUPPLY
+            );
 
             const remainingCapacity = MAX_TOTAL_SUPPLY - INITIAL_SUPPLY;
             const excessAmount = remainingCapacity + 1n;
@@ -353,6 +376,234 @@ describe("USDTq (Non-Upgradeable)", function () {
         });
     });
 
+    describe("Minter Limits", function () {
+        const WINDOW = 24 * 60 * 60; // 1 day
+        const LIMIT = ethers.parseUnits("1000000", DECIMALS); // 1M per day
+
+        it("Should give the initial minters the initial allowance", async function () {
+            expect(await usdtq.minterAllowance(minter.address)).to.equal(
+                INITIAL_MINTER_ALLOWANCE
+            );
+            await expect(usdtq.deploymentTransaction())
+                .to.emit(usdtq, "MinterAllowanceUpdated")
+                .withArgs(
+                    minter.address,
+                    0,
+                    INITIAL_MINTER_ALLOWANCE,
+                    await usdtq.getAddress()
+                );
+        });
+
+        it("Should consume the allowance on each mint", async function () {
+            const amount = ethers.parseUnits("1000", DECIMALS);
+            await usdtq.connect(minter).mint(user1.address, amount);
+            expect(await usdtq.minterAllowance(minter.address)).to.equal(
+                INITIAL_MINTER_ALLOWANCE - amount
+            );
+        });
+
+        it("Should fail to mint above the remaining allowance", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterAllowance(minter.address, 1000);
+
+            await expect(usdtq.connect(minter).mint(user1.address, 1001))
+                .to.be.revertedWithCustomError(usdtq, "MinterAllowanceExceeded")
+                .withArgs(minter.address, 1001, 1000);
+            await usdtq.connect(minter).mint(user1.address, 1000);
+            await expect(
+                usdtq.connect(minter).mint(user1.address, 1)
+            ).to.be.revertedWithCustomError(usdtq, "MinterAllowanceExceeded");
+        });
+
+        it("Should give newly granted minters no allowance", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .grantRole(MINTER_ROLE, user1.address);
+            expect(await usdtq.minterAllowance(user1.address)).to.equal(0);
+            await expect(
+                usdtq.connect(user1).mint(user2.address, 1)
+            ).to.be.revertedWithCustomError(usdtq, "MinterAllowanceExceeded");
+        });
+
+        it("Should allow admin to set an allowance", async function () {
+            const allowance = ethers.parseUnits("500000", DECIMALS);
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterAllowance(minter.address, allowance)
+            )
+                .to.emit(usdtq, "MinterAllowanceUpdated")
+                .withArgs(
+                    minter.address,
+                    INITIAL_MINTER_ALLOWANCE,
+                    allowance,
+                    gnosisSafe.address
+                );
+            expect(await usdtq.minterAllowance(minter.address)).to.equal(
+                allowance
+            );
+        });
+
+        it("Should reject invalid allowance updates", async function () {
+            await expect(
+                usdtq
+                    .connect(minter)
+                    .setMinterAllowance(minter.address, MAX_TOTAL_SUPPLY)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterAllowance(ethers.ZeroAddress, 1)
+            ).to.be.revertedWithCustomError(usdtq, "ZeroAddress");
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterAllowance(
+                        minter.address,
+                        INITIAL_MINTER_ALLOWANCE
+                    )
+            ).to.be.revertedWithCustomError(usdtq, "SameValue");
+        });
+
+        it("Should start without a rate limit", async function () {
+            const [limit, window, available] = await usdtq.minterRateLimit(
+                minter.address
+            );
+            expect(limit).to.equal(0);
+            expect(window).to.equal(0);
+            expect(available).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should allow admin to set a rate limit", async function () {
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterRateLimit(minter.address, LIMIT, WINDOW)
+            )
+                .to.emit(usdtq, "MinterRateLimitUpdated")
+                .withArgs(minter.address, LIMIT, WINDOW, gnosisSafe.address);
+            expect(await usdtq.minterRateLimit(minter.address)).to.deep.equal([
+                LIMIT,
+                BigInt(WINDOW),
+                LIMIT,
+            ]);
+        });
+
+        it("Should fail to mint above the rate limit within the window", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterRateLimit(minter.address, LIMIT, WINDOW);
+
+            await usdtq.connect(minter).mint(user1.address, LIMIT);
+            // Each second frees LIMIT / WINDOW (about 11.57 USDTq)
+            const amount = ethers.parseUnits("1000", DECIMALS);
+            await expect(
+                usdtq.connect(minter).mint(user1.address, amount)
+            ).to.be.revertedWithCustomError(usdtq, "MinterRateLimitExceeded");
+        });
+
+        it("Should free capacity as the window rolls", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterRateLimit(minter.address, LIMIT, WINDOW);
+            await usdtq.connect(minter).mint(user1.address, LIMIT);
+
+            // A quarter of the window frees a quarter of the limit
+            await increaseTime(WINDOW / 4);
+            const [, , available] = await usdtq.minterRateLimit(minter.address);
+            expect(available).to.equal(LIMIT / 4n);
+            await expect(
+                usdtq.connect(minter).mint(user1.address, LIMIT / 2n)
+            ).to.be.revertedWithCustomError(usdtq, "MinterRateLimitExceeded");
+
+            await increaseTime(WINDOW);
+            await expect(usdtq.connect(minter).mint(user1.address, LIMIT)).to
+                .not.be.reverted;
+        });
+
+        it("Should keep recent mints counting when the limit changes", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterRateLimit(minter.address, LIMIT, WINDOW);
+            await usdtq.connect(minter).mint(user1.address, LIMIT / 2n);
+
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterRateLimit(minter.address, LIMIT, WINDOW * 2);
+            const [, , available] = await usdtq.minterRateLimit(minter.address);
+            expect(available).to.be.closeTo(LIMIT / 2n, LIMIT / 1000n);
+        });
+
+        it("Should check both the allowance and the rate limit", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterRateLimit(minter.address, LIMIT, WINDOW);
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterAllowance(minter.address, LIMIT * 2n);
+
+            await expect(
+                usdtq.connect(minter).mint(user1.address, LIMIT + 1n)
+            ).to.be.revertedWithCustomError(usdtq, "MinterRateLimitExceeded");
+            // The failed mint did not consume the allowance
+            expect(await usdtq.minterAllowance(minter.address)).to.equal(
+                LIMIT * 2n
+            );
+        });
+
+        it("Should allow admin to remove a rate limit", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterRateLimit(minter.address, LIMIT, WINDOW);
+            await usdtq.connect(minter).mint(user1.address, LIMIT);
+
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterRateLimit(minter.address, 0, 0)
+            )
+                .to.emit(usdtq, "MinterRateLimitUpdated")
+                .withArgs(minter.address, 0, 0, gnosisSafe.address);
+            await expect(usdtq.connect(minter).mint(user1.address, LIMIT)).to
+                .not.be.reverted;
+        });
+
+        it("Should reject invalid rate limits", async function () {
+            await expect(
+                usdtq
+                    .connect(minter)
+                    .setMinterRateLimit(minter.address, LIMIT, WINDOW)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterRateLimit(ethers.ZeroAddress, LIMIT, WINDOW)
+            ).to.be.revertedWithCustomError(usdtq, "ZeroAddress");
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterRateLimit(minter.address, LIMIT, 0)
+            )
+                .to.be.revertedWithCustomError(
+                    usdtq,
+                    "RateLimitWindowOutOfRange"
+                )
+                .withArgs(0, 1, 30 * WINDOW);
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .setMinterRateLimit(minter.address, LIMIT, 30 * WINDOW + 1)
+            ).to.be.revertedWithCustomError(usdtq, "RateLimitWindowOutOfRange");
+        });
+    });
+
     describe("Burning", function () {
         beforeEach(async function () {
             // Transfer some tokens to user1
@@ -516,6 +767,167 @@ describe("USDTq (Non-Upgradeable)", function () {
         });
     });
 
+    describe("Compliance Burn", function () {
+        const amount = ethers.parseUnits("1000", DECIMALS);
+
+        beforeEach(async function () {
+            await usdtq.connect(gnosisSafe).transfer(user1.address, amount);
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "OFAC sanctions");
+        });
+
+        it("Should let a blacklister burn frozen funds without an allowance", async function () {
+            await usdtq
+                .connect(blacklister)
+                .complianceBurn(user1.address, amount, "OFAC-2026-0142");
+
+            expect(await usdtq.balanceOf(user1.address)).to.equal(0);
+            expect(await usdtq.totalSupply()).to.equal(INITIAL_SUPPLY - amount);
+        });
+
+        it("Should let the admin burn frozen funds", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .complianceBurn(user1.address, amount / 2n, "OFAC-2026-0142");
+
+            expect(await usdtq.balanceOf(user1.address)).to.equal(amount / 2n);
+        });
+
+        it("Should emit ComplianceBurn with the case reference", async function () {
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(user1.address, amount, "OFAC-2026-0142")
+            )
+                .to.emit(usdtq, "ComplianceBurn")
+                .withArgs(
+                    user1.address,
+                    amount,
+                    "OFAC-2026-0142",
+                    blacklister.address
+                )
+                .and.to.emit(usdtq, "Transfer")
+                .withArgs(user1.address, ethers.ZeroAddress, amount);
+        });
+
+        it("Should reduce reserves by the burned amount", async function () {
+            const reserves = await usdtq.totalReserves();
+            const lastUpdate = await usdtq.lastReserveUpdate();
+
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(user1.address, amount, "OFAC-2026-0142")
+            )
+                .to.emit(usdtq, "ReservesUpdated")
+                .withArgs(
+                    reserves - amount,
+                    INITIAL_SUPPLY - amount,
+                    10000,
+                    blacklister.address
+                );
+
+            expect(await usdtq.totalReserves()).to.equal(reserves - amount);
+            expect(await usdtq.lastReserveUpdate()).to.equal(lastUpdate);
+        });
+
+        it("Should move a ratio other than 100% further from it", async function () {
+            // user1 holds half the supply, reserves are 150% of supply
+            const half = INITIAL_SUPPLY / 2n;
+            await usdtq.connect(blacklister).unBlacklist(user1.address);
+            await usdtq
+                .connect(gnosisSafe)
+                .transfer(user1.address, half - amount);
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "OFAC sanctions");
+            await usdtq
+                .connect(reserveManager)
+                .updateReserves((INITIAL_SUPPLY * 3n) / 2n);
+
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(user1.address, half, "OFAC-2026-0142")
+            )
+                .to.emit(usdtq, "ReservesUpdated")
+                .withArgs(INITIAL_SUPPLY, half, 20000, blacklister.address);
+
+            const [ratio] = await usdtq.getCollateralizationRatio();
+            expect(ratio).to.equal(20000);
+        });
+
+        it("Should not reduce reserves below zero", async function () {
+            await usdtq.connect(reserveManager).updateReserves(100);
+
+            await usdtq
+                .connect(blacklister)
+                .complianceBurn(user1.address, amount, "OFAC-2026-0142");
+            expect(await usdtq.totalReserves()).to.equal(0);
+        });
+
+        it("Should work while paused", async function () {
+            await usdtq.connect(pauser).pause();
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(user1.address, amount, "OFAC-2026-0142")
+            ).to.not.be.reverted;
+        });
+
+        it("Should revert for addresses that are not blacklisted", async function () {
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(user2.address, 1, "OFAC-2026-0142")
+            )
+                .to.be.revertedWithCustomError(usdtq, "AccountNotBlacklisted")
+                .withArgs(user2.address);
+        });
+
+        it("Should revert without a case reference", async function () {
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(user1.address, amount, "")
+            ).to.be.revertedWithCustomError(usdtq, "MissingCaseReference");
+        });
+
+        it("Should revert for a zero amount", async function () {
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(user1.address, 0, "OFAC-2026-0142")
+            ).to.be.revertedWithCustomError(usdtq, "ZeroAmount");
+        });
+
+        it("Should revert above the frozen balance", async function () {
+            await expect(
+                usdtq
+                    .connect(blacklister)
+                    .complianceBurn(
+                        user1.address,
+                        amount + 1n,
+                        "OFAC-2026-0142"
+                    )
+            ).to.be.revertedWithCustomError(usdtq, "ERC20InsufficientBalance");
+        });
+
+        it("Should not allow other roles to burn frozen funds", async function () {
+            await expect(
+                usdtq
+                    .connect(minter)
+                    .complianceBurn(user1.address, amount, "OFAC-2026-0142")
+            )
+                .to.be.revertedWithCustomError(
+                    usdtq,
+                    "AccessControlUnauthorizedAccount"
+                )
+                .withArgs(minter.address, BLACKLISTER_ROLE);
+        });
+    });
+
     describe("Pausing", function () {
         it("Should allow pauser to pause", async function () {
             await usdtq.connect(pauser).pause();
@@ -581,69 +993,348 @@ describe("USDTq (Non-Upgradeable)", function () {
     });
 
     describe("Supply Management", function () {
-        it("Should allow admin to update maxMintPerTransaction", async function () {
+        it("Should start with a two-day cap change delay", async function () {
+            expect(await usdtq.capChangeDelay()).to.equal(CAP_CHANGE_DELAY);
+        });
+
+        it("Should allow admin to update maxMintPerTransaction after the delay", async function () {
             const newLimit = ethers.parseUnits("5000000", DECIMALS);
-            await usdtq.connect(gnosisSafe).setMaxMintPerTransaction(newLimit);
+            await changeCap(
+                "proposeMaxMintPerTransaction",
+                MAX_MINT_PER_TRANSACTION,
+                newLimit
+            );
             expect(await usdtq.maxMintPerTransaction()).to.equal(newLimit);
         });
 
-        it("Should emit MaxMintPerTransactionUpdated event", async function () {
+        it("Should emit MaxMintPerTransactionUpdated on execution", async function () {
             const newLimit = ethers.parseUnits("5000000", DECIMALS);
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxMintPerTransaction(newLimit);
+            await increaseTime(CAP_CHANGE_DELAY);
+
             await expect(
-                usdtq.connect(gnosisSafe).setMaxMintPerTransaction(newLimit)
+                usdtq
+                    .connect(gnosisSafe)
+                    .executeCapChange(MAX_MINT_PER_TRANSACTION)
             )
                 .to.emit(usdtq, "MaxMintPerTransactionUpdated")
-                .withArgs(MAX_MINT_PER_TX, newLimit);
+                .withArgs(MAX_MINT_PER_TX, newLimit)
+                .and.to.emit(usdtq, "CapChangeExecuted")
+                .withArgs(
+                    MAX_MINT_PER_TRANSACTION,
+                    MAX_MINT_PER_TX,
+                    newLimit,
+                    gnosisSafe.address
+                );
         });
 
-        it("Should allow admin to update maxTotalSupply", async function () {
+        it("Should allow admin to update maxTotalSupply after the delay", async function () {
             const newLimit = ethers.parseUnits("2000000000", DECIMALS);
-            await usdtq.connect(gnosisSafe).setMaxTotalSupply(newLimit);
+            await changeCap(
+                "proposeMaxTotalSupply",
+                MAX_TOTAL_SUPPLY_PARAMETER,
+                newLimit
+            );
             expect(await usdtq.maxTotalSupply()).to.equal(newLimit);
         });
 
-        it("Should emit MaxTotalSupplyUpdated event", async function () {
+        it("Should emit MaxTotalSupplyUpdated on execution", async function () {
             const newLimit = ethers.parseUnits("2000000000", DECIMALS);
-            await expect(usdtq.connect(gnosisSafe).setMaxTotalSupply(newLimit))
+            await usdtq.connect(gnosisSafe).proposeMaxTotalSupply(newLimit);
+            await increaseTime(CAP_CHANGE_DELAY);
+
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .executeCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            )
                 .to.emit(usdtq, "MaxTotalSupplyUpdated")
                 .withArgs(MAX_TOTAL_SUPPLY, newLimit);
         });
 
-        it("Should not allow setting maxTotalSupply below current supply", async function () {
-            const belowCurrentSupply = INITIAL_SUPPLY - 1n;
-            await expect(
-                usdtq.connect(gnosisSafe).setMaxTotalSupply(belowCurrentSupply)
-            ).to.be.revertedWithCustomError(
-                usdtq,
-                "MaxSupplyBelowCurrentSupply"
+        it("Should emit CapChangeProposed with the execution time", async function () {
+            const newLimit = ethers.parseUnits("2000000000", DECIMALS);
+            const tx = await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(newLimit);
+            const { timestamp } = await ethers.provider.getBlock(
+                tx.blockNumber
             );
-        });
 
-        it("Should allow setting maxTotalSupply equal to current supply", async function () {
-            await expect(
-                usdtq.connect(gnosisSafe).setMaxTotalSupply(INITIAL_SUPPLY)
-            ).to.not.be.reverted;
+            await expect(tx)
+                .to.emit(usdtq, "CapChangeProposed")
+                .withArgs(
+                    MAX_TOTAL_SUPPLY_PARAMETER,
+                    MAX_TOTAL_SUPPLY,
+                    newLimit,
+                    timestamp + CAP_CHANGE_DELAY,
+                    gnosisSafe.address
+                );
+            expect(
+                await usdtq.pendingCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.deep.equal([newLimit, BigInt(timestamp + CAP_CHANGE_DELAY)]);
         });
 
-        it("Should not allow setting same maxMintPerTransaction", async function () {
-            await expect(
-                usdtq
-                    .connect(gnosisSafe)
-                    .setMaxMintPerTransaction(MAX_MINT_PER_TX)
-            ).to.be.revertedWithCustomError(usdtq, "SameValue");
+        it("Should leave the caps unchanged until the change is executed", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxMintPerTransaction(
+                    ethers.parseUnits("20000000", DECIMALS)
+                );
+            await increaseTime(CAP_CHANGE_DELAY);
+
+            expect(await usdtq.maxMintPerTransaction()).to.equal(
+                MAX_MINT_PER_TX
+            );
+            await expect(
+                usdtq.connect(minter).mint(user1.address, MAX_MINT_PER_TX + 1n)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "ExceedsMaxMintPerTransaction"
+            );
         });
 
-        it("Should not allow setting same maxTotalSupply", async function () {
+        it("Should not execute before the delay has passed", async function () {
+            const tx = await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY * 2n);
+            const { timestamp } = await ethers.provider.getBlock(
+                tx.blockNumber
+            );
+            await increaseTime(CAP_CHANGE_DELAY - 10);
+
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .executeCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            )
+                .to.be.revertedWithCustomError(usdtq, "CapChangeNotReady")
+                .withArgs(
+                    MAX_TOTAL_SUPPLY_PARAMETER,
+                    timestamp + CAP_CHANGE_DELAY
+                );
+
+            await increaseTime(10);
             await expect(
-                usdtq.connect(gnosisSafe).setMaxTotalSupply(MAX_TOTAL_SUPPLY)
+                usdtq
+                    .connect(gnosisSafe)
+                    .executeCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.not.be.reverted;
+        });
+
+        it("Should not execute a change that was never proposed", async function () {
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .executeCapChange(MAX_MINT_PER_TRANSACTION)
+            )
+                .to.be.revertedWithCustomError(usdtq, "NoPendingCapChange")
+                .withArgs(MAX_MINT_PER_TRANSACTION);
+        });
+
+        it("Should not allow a second proposal while one is pending", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY * 2n);
+
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY * 3n)
+            ).to.be.revertedWithCustomError(usdtq, "CapChangeAlreadyPending");
+        });
+
+        it("Should allow admin to cancel a pending change", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY * 2n);
+
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .cancelCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            )
+                .to.emit(usdtq, "CapChangeCanceled")
+                .withArgs(
+                    MAX_TOTAL_SUPPLY_PARAMETER,
+                    MAX_TOTAL_SUPPLY * 2n,
+                    gnosisSafe.address
+                );
+
+            await increaseTime(CAP_CHANGE_DELAY);
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .executeCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.be.revertedWithCustomError(usdtq, "NoPendingCapChange");
+            expect(
+                await usdtq.pendingCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.deep.equal([0n, 0n]);
+        });
+
+        it("Should not cancel a change that was never proposed", async function () {
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .cancelCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.be.revertedWithCustomError(usdtq, "NoPendingCapChange");
+        });
+
+        it("Should not allow non-admins to execute or cancel changes", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY * 2n);
+            await increaseTime(CAP_CHANGE_DELAY);
+
+            await expect(
+                usdtq
+                    .connect(user1)
+                    .executeCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(
+                usdtq.connect(user1).cancelCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "AccessControlUnauthorizedAccount"
+            );
+        });
+
+        it("Should not allow proposing maxTotalSupply below current supply", async function () {
+            const belowCurrentSupply = INITIAL_SUPPLY - 1n;
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .proposeMaxTotalSupply(belowCurrentSupply)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "MaxSupplyBelowCurrentSupply"
+            );
+        });
+
+        it("Should recheck maxTotalSupply against supply minted during the delay", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(INITIAL_SUPPLY);
+            await usdtq
+                .connect(minter)
+                .mint(user1.address, ethers.parseUnits("1", DECIMALS));
+            await increaseTime(CAP_CHANGE_DELAY);
+
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .executeCapChange(MAX_TOTAL_SUPPLY_PARAMETER)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "MaxSupplyBelowCurrentSupply"
+            );
+        });
+
+        it("Should allow setting maxTotalSupply equal to current supply", async function () {
+            await changeCap(
+                "proposeMaxTotalSupply",
+                MAX_TOTAL_SUPPLY_PARAMETER,
+                INITIAL_SUPPLY
+            );
+            expect(await usdtq.maxTotalSupply()).to.equal(INITIAL_SUPPLY);
+        });
+
+        it("Should not allow proposing the same maxMintPerTransaction", async function () {
+            await expect(
+                usdtq
+                    .connect(gnosisSafe)
+                    .proposeMaxMintPerTransaction(MAX_MINT_PER_TX)
             ).to.be.revertedWithCustomError(usdtq, "SameValue");
         });
 
-        it("Should not allow setting zero maxMintPerTransaction", async function () {
+        it("Should not allow proposing the same maxTotalSupply", async function () {
             await expect(
-                usdtq.connect(gnosisSafe).setMaxMintPerTransaction(0)
+                usdtq
+                    .connect(gnosisSafe)
+                    .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY)
+            ).to.be.revertedWithCustomError(usdtq, "SameValue");
+        });
+
+        it("Should not allow proposing zero maxMintPerTransaction", async function () {
+            await expect(
+                usdtq.connect(gnosisSafe).proposeMaxMintPerTransaction(0)
             ).to.be.revertedWithCustomError(usdtq, "ZeroAmount");
         });
+
+        it("Should change the delay through the timelock", async function () {
+            const newDelay = 7 * 24 * 60 * 60;
+            await changeCap(
+                "proposeCapChangeDelay",
+                CAP_CHANGE_DELAY_PARAMETER,
+                newDelay
+            );
+            expect(await usdtq.capChangeDelay()).to.equal(newDelay);
+
+            const tx = await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY * 2n);
+            const { timestamp } = await ethers.provider.getBlock(
+                tx.blockNumber
+            );
+            const [, executableAt] = await usdtq.pendingCapChange(
+                MAX_TOTAL_SUPPLY_PARAMETER
+            );
+            expect(executableAt).to.equal(timestamp + newDelay);
+        });
+
+        it("Should keep the current delay for changes proposed before a delay change", async function () {
+            const tx = await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(MAX_TOTAL_SUPPLY * 2n);
+            const { timestamp } = await ethers.provider.getBlock(
+                tx.blockNumber
+            );
+            await changeCap(
+                "proposeCapChangeDelay",
+                CAP_CHANGE_DELAY_PARAMETER,
+                7 * 24 * 60 * 60
+            );
+
+            const [, executableAt] = await usdtq.pendingCapChange(
+                MAX_TOTAL_SUPPLY_PARAMETER
+            );
+            expect(executableAt).to.equal(timestamp + CAP_CHANGE_DELAY);
+        });
+
+        it("Should reject delays outside the allowed range", async function () {
+            const min = await usdtq.MIN_CAP_CHANGE_DELAY();
+            const max = await usdtq.MAX_CAP_CHANGE_DELAY();
+
+            await expect(
+                usdtq.connect(gnosisSafe).proposeCapChangeDelay(min - 1n)
+            )
+                .to.be.revertedWithCustomError(
+                    usdtq,
+                    "CapChangeDelayOutOfRange"
+                )
+                .withArgs(min - 1n, min, max);
+            await expect(
+                usdtq.connect(gnosisSafe).proposeCapChangeDelay(max + 1n)
+            ).to.be.revertedWithCustomError(usdtq, "CapChangeDelayOutOfRange");
+        });
+
+        it("Should keep pause instant while a cap change is pending", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxMintPerTransaction(
+                    ethers.parseUnits("20000000", DECIMALS)
+                );
+
+            await usdtq.connect(pauser).pause();
+            await expect(
+                usdtq.connect(minter).mint(user1.address, 1000)
+            ).to.be.revertedWithCustomError(usdtq, "EnforcedPause");
+        });
     });
 
     describe("Reserve Management", function () {
@@ -748,6 +1439,62 @@ describe("USDTq (Non-Upgradeable)", function () {
                 .removeReserves(INITIAL_SUPPLY, "Complete withdrawal");
             expect(await usdtq.totalReserves()).to.equal(0);
         });
+
+        it("Should publish a reserve root with the total", async function () {
+            const newReserves = ethers.parseUnits("15000000", DECIMALS);
+            const root = ethers.id("reserve holdings");
+            await expect(
+                usdtq
+                    .connect(reserveManager)
+                    .updateReservesWithRoot(newReserves, root)
+            )
+                .to.emit(usdtq, "ReservesUpdated")
+                .withArgs(
+                    newReserves,
+                    INITIAL_SUPPLY,
+                    15000n,
+                    reserveManager.address
+                )
+                .and.to.emit(usdtq, "ReserveRootUpdated")
+                .withArgs(root, newReserves, reserveManager.address);
+
+            expect(await usdtq.totalReserves()).to.equal(newReserves);
+            expect(await usdtq.reserveRoot()).to.equal(root);
+        });
+
+        it("Should not allow publishing an empty reserve root", async function () {
+            await expect(
+                usdtq
+                    .connect(reserveManager)
+                    .updateReservesWithRoot(INITIAL_SUPPLY, ethers.ZeroHash)
+            ).to.be.revertedWithCustomError(usdtq, "MissingReserveRoot");
+        });
+
+        it("Should not allow non-reserve-managers to publish a reserve root", async function () {
+            await expect(
+                usdtq
+                    .connect(user1)
+                    .updateReservesWithRoot(
+                        INITIAL_SUPPLY,
+                        ethers.id("reserve holdings")
+                    )
+            )
+                .to.be.revertedWithCustomError(
+                    usdtq,
+                    "AccessControlUnauthorizedAccount"
+                )
+                .withArgs(user1.address, RESERVE_MANAGER_ROLE);
+        });
+
+        it("Should keep the reserve root on later reserve updates", async function () {
+            const root = ethers.id("reserve holdings");
+            await usdtq
+                .connect(reserveManager)
+                .updateReservesWithRoot(INITIAL_SUPPLY, root);
+            await usdtq.connect(reserveManager).addReserves(1000, "USDC");
+
+            expect(await usdtq.reserveRoot()).to.equal(root);
+        });
     });
 
     describe("View Functions", function () {
@@ -899,6 +1646,447 @@ describe("USDTq (Non-Upgradeable)", function () {
         });
     });
 
+    describe("Permit", function () {
+        const amount = ethers.parseUnits("250", DECIMALS);
+        let deadline;
+
+        async function signPermit(holder, spender, value, options = {}) {
+            const domain = {
+                name: "USDTq teamquant.space",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await usdtq.getAddress(),
+            };
+            const types = {
+                Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" },
+                ],
+            };
+            const message = {
+                owner: options.owner ?? holder.address,
+                spender,
+                value,
+                nonce: options.nonce ?? (await usdtq.nonces(holder.address)),
+                deadline: options.deadline ?? deadline,
+            };
+            return ethers.Signature.from(
+                await holder.signTypedData(domain, types, message)
+            );
+        }
+
+        function submit(holder, spender, value, signature, options = {}) {
+            return usdtq
+                .connect(user2)
+                .permit(
+                    holder.address,
+                    spender,
+                    value,
+                    options.deadline ?? deadline,
+                    signature.v,
+                    signature.r,
+                    signature.s
+                );
+        }
+
+        beforeEach(async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            deadline = BigInt(timestamp) + 3600n;
+            await usdtq
+                .connect(gnosisSafe)
+                .transfer(user1.address, ethers.parseUnits("1000", DECIMALS));
+        });
+
+        it("Should expose the EIP-712 domain", async function () {
+            const domain = await usdtq.eip712Domain();
+            expect(domain.name).to.equal("USDTq teamquant.space");
+            expect(domain.version).to.equal("1");
+            expect(domain.chainId).to.equal(
+                (await ethers.provider.getNetwork()).chainId
+            );
+            expect(domain.verifyingContract).to.equal(await usdtq.getAddress());
+            expect(await usdtq.DOMAIN_SEPARATOR()).to.equal(
+                ethers.TypedDataEncoder.hashDomain({
+                    name: domain.name,
+                    version: domain.version,
+                    chainId: domain.chainId,
+                    verifyingContract: domain.verifyingContract,
+                })
+            );
+        });
+
+        it("Should set an allowance from a relayed signature", async function () {
+            const signature = await signPermit(
+                user1,
+                reserveManager.address,
+                amount
+            );
+
+            await expect(
+                submit(user1, reserveManager.address, amount, signature)
+            )
+                .to.emit(usdtq, "Approval")
+                .withArgs(user1.address, reserveManager.address, amount);
+            expect(
+                await usdtq.allowance(user1.address, reserveManager.address)
+            ).to.equal(amount);
+            expect(await usdtq.nonces(user1.address)).to.equal(1);
+
+            await usdtq
+                .connect(reserveManager)
+                .transferFrom(user1.address, user2.address, amount);
+            expect(await usdtq.balanceOf(user2.address)).to.equal(amount);
+        });
+
+        it("Should reject an expired permit", async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            const expired = BigInt(timestamp);
+            const signature = await signPermit(user1, user2.address, amount, {
+                deadline: expired,
+            });
+
+            await expect(
+                submit(user1, user2.address, amount, signature, {
+                    deadline: expired,
+                })
+            )
+                .to.be.revertedWithCustomError(usdtq, "ERC2612ExpiredSignature")
+                .withArgs(expired);
+        });
+
+        it("Should reject a replayed permit", async function () {
+            const signature = await signPermit(user1, user2.address, amount);
+            await submit(user1, user2.address, amount, signature);
+
+            await expect(
+                submit(user1, user2.address, amount, signature)
+            ).to.be.revertedWithCustomError(usdtq, "ERC2612InvalidSigner");
+            expect(await usdtq.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Should reject a permit with altered values", async function () {
+            const signature = await signPermit(user1, user2.address, amount);
+
+            await expect(
+                submit(user1, user2.address, amount + 1n, signature)
+            ).to.be.revertedWithCustomError(usdtq, "ERC2612InvalidSigner");
+            await expect(
+                submit(user1, reserveManager.address, amount, signature)
+            ).to.be.revertedWithCustomError(usdtq, "ERC2612InvalidSigner");
+        });
+
+        it("Should reject a permit signed by another account", async function () {
+            const signature = await signPermit(user2, user2.address, amount, {
+                owner: user1.address,
+            });
+
+            await expect(submit(user1, user2.address, amount, signature))
+                .to.be.revertedWithCustomError(usdtq, "ERC2612InvalidSigner")
+                .withArgs(user2.address, user1.address);
+        });
+
+        it("Should reject a permit from a blacklisted owner", async function () {
+            const signature = await signPermit(user1, user2.address, amount);
+            await usdtq.connect(blacklister).blacklist(user1.address, "Fraud");
+
+            await expect(submit(user1, user2.address, amount, signature))
+                .to.be.revertedWithCustomError(usdtq, "AccountBlacklisted")
+                .withArgs(user1.address);
+            expect(await usdtq.nonces(user1.address)).to.equal(0);
+        });
+
+        it("Should reject a permit for a blacklisted spender", async function () {
+            const signature = await signPermit(user1, user2.address, amount);
+            await usdtq.connect(blacklister).blacklist(user2.address, "Fraud");
+
+            await expect(submit(user1, user2.address, amount, signature))
+                .to.be.revertedWithCustomError(usdtq, "AccountBlacklisted")
+                .withArgs(user2.address);
+        });
+
+        it("Should accept a permit once the owner is unblacklisted", async function () {
+            const signature = await signPermit(user1, user2.address, amount);
+            await usdtq.connect(blacklister).blacklist(user1.address, "Review");
+            await expect(
+                submit(user1, user2.address, amount, signature)
+            ).to.be.revertedWithCustomError(usdtq, "AccountBlacklisted");
+
+            await usdtq.connect(blacklister).unBlacklist(user1.address);
+            await submit(user1, user2.address, amount, signature);
+            expect(
+                await usdtq.allowance(user1.address, user2.address)
+            ).to.equal(amount);
+        });
+    });
+
+    describe("Transfer With Authorization", function () {
+        const amount = ethers.parseUnits("25", DECIMALS);
+        const transferFields = [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "validAfter", type: "uint256" },
+            { name: "validBefore", type: "uint256" },
+            { name: "nonce", type: "bytes32" },
+        ];
+        let domain, validBefore;
+
+        async function signTransfer(payer, to, value, options = {}) {
+            const primaryType = options.type ?? "TransferWithAuthorization";
+            const message = {
+                from: payer.address,
+                to,
+                value,
+                validAfter: options.validAfter ?? 0n,
+                validBefore: options.validBefore ?? validBefore,
+                nonce: options.nonce ?? ethers.hexlify(ethers.randomBytes(32)),
+            };
+            const signature = ethers.Signature.from(
+                await payer.signTypedData(
+                    domain,
+                    { [primaryType]: transferFields },
+                    message
+                )
+            );
+            return [
+                message.from,
+                message.to,
+                message.value,
+                message.validAfter,
+                message.validBefore,
+                message.nonce,
+                signature.v,
+                signature.r,
+                signature.s,
+            ];
+        }
+
+        async function signCancel(authorizer, nonce) {
+            const signature = ethers.Signature.from(
+                await authorizer.signTypedData(
+                    domain,
+                    {
+                        CancelAuthorization: [
+                            { name: "authorizer", type: "address" },
+                            { name: "nonce", type: "bytes32" },
+                        ],
+                    },
+                    { authorizer: authorizer.address, nonce }
+                )
+            );
+            return [
+                authorizer.address,
+                nonce,
+                signature.v,
+                signature.r,
+                signature.s,
+            ];
+        }
+
+        beforeEach(async function () {
+            domain = {
+                name: "USDTq teamquant.space",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await usdtq.getAddress(),
+            };
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            validBefore = BigInt(timestamp) + 3600n;
+            await usdtq
+                .connect(gnosisSafe)
+                .transfer(user1.address, ethers.parseUnits("1000", DECIMALS));
+        });
+
+        it("Should expose the EIP-3009 typehashes", async function () {
+            expect(await usdtq.TRANSFER_WITH_AUTHORIZATION_TYPEHASH()).to.equal(
+                ethers.id(
+                    "TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+                )
+            );
+            expect(await usdtq.RECEIVE_WITH_AUTHORIZATION_TYPEHASH()).to.equal(
+                ethers.id(
+                    "ReceiveWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+                )
+            );
+            expect(await usdtq.CANCEL_AUTHORIZATION_TYPEHASH()).to.equal(
+                ethers.id(
+                    "CancelAuthorization(address authorizer,bytes32 nonce)"
+                )
+            );
+        });
+
+        it("Should transfer with a relayed authorization", async function () {
+            const args = await signTransfer(user1, user2.address, amount);
+            const nonce = args[5];
+
+            await expect(
+                usdtq.connect(reserveManager).transferWithAuthorization(...args)
+            )
+                .to.emit(usdtq, "AuthorizationUsed")
+                .withArgs(user1.address, nonce)
+                .and.to.emit(usdtq, "Transfer")
+                .withArgs(user1.address, user2.address, amount);
+
+            expect(await usdtq.balanceOf(user2.address)).to.equal(amount);
+            expect(await usdtq.authorizationState(user1.address, nonce)).to.be
+                .true;
+        });
+
+        it("Should reject a replayed authorization", async function () {
+            const args = await signTransfer(user1, user2.address, amount);
+            await usdtq.connect(user2).transferWithAuthorization(...args);
+
+            await expect(
+                usdtq.connect(user2).transferWithAuthorization(...args)
+            )
+                .to.be.revertedWithCustomError(
+                    usdtq,
+                    "AuthorizationAlreadyUsed"
+                )
+                .withArgs(user1.address, args[5]);
+        });
+
+        it("Should enforce the validity window", async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+
+            const early = await signTransfer(user1, user2.address, amount, {
+                validAfter: BigInt(timestamp) + 600n,
+            });
+            await expect(usdtq.transferWithAuthorization(...early))
+                .to.be.revertedWithCustomError(
+                    usdtq,
+                    "AuthorizationNotYetValid"
+                )
+                .withArgs(BigInt(timestamp) + 600n);
+
+            const expired = await signTransfer(user1, user2.address, amount, {
+                validBefore: BigInt(timestamp) + 1n,
+            });
+            await expect(usdtq.transferWithAuthorization(...expired))
+                .to.be.revertedWithCustomError(usdtq, "AuthorizationExpired")
+                .withArgs(BigInt(timestamp) + 1n);
+        });
+
+        it("Should reject altered or foreign signatures", async function () {
+            const args = await signTransfer(user1, user2.address, amount);
+            const altered = [...args];
+            altered[2] = amount + 1n;
+            await expect(
+                usdtq.transferWithAuthorization(...altered)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "InvalidAuthorizationSigner"
+            );
+
+            const foreign = await signTransfer(user2, user2.address, amount);
+            foreign[0] = user1.address;
+            await expect(
+                usdtq.transferWithAuthorization(...foreign)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "InvalidAuthorizationSigner"
+            );
+        });
+
+        it("Should not accept a transfer signature as a receive", async function () {
+            const args = await signTransfer(user1, user2.address, amount);
+            await expect(
+                usdtq.connect(user2).receiveWithAuthorization(...args)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "InvalidAuthorizationSigner"
+            );
+        });
+
+        it("Should only let the payee submit a receive authorization", async function () {
+            const args = await signTransfer(user1, user2.address, amount, {
+                type: "ReceiveWithAuthorization",
+            });
+
+            await expect(
+                usdtq.connect(reserveManager).receiveWithAuthorization(...args)
+            )
+                .to.be.revertedWithCustomError(usdtq, "CallerNotPayee")
+                .withArgs(reserveManager.address, user2.address);
+
+            await expect(
+                usdtq.connect(user2).receiveWithAuthorization(...args)
+            ).to.changeTokenBalances(usdtq, [user1, user2], [-amount, amount]);
+        });
+
+        it("Should cancel an unused authorization", async function () {
+            const args = await signTransfer(user1, user2.address, amount);
+            const nonce = args[5];
+
+            await expect(
+                usdtq
+                    .connect(reserveManager)
+                    .cancelAuthorization(...(await signCancel(user1, nonce)))
+            )
+                .to.emit(usdtq, "AuthorizationCanceled")
+                .withArgs(user1.address, nonce);
+
+            await expect(usdtq.transferWithAuthorization(...args))
+                .to.be.revertedWithCustomError(
+                    usdtq,
+                    "AuthorizationAlreadyUsed"
+                )
+                .withArgs(user1.address, nonce);
+            await expect(
+                usdtq.cancelAuthorization(...(await signCancel(user1, nonce)))
+            ).to.be.revertedWithCustomError(usdtq, "AuthorizationAlreadyUsed");
+        });
+
+        it("Should reject a cancellation signed by another account", async function () {
+            const nonce = ethers.hexlify(ethers.randomBytes(32));
+            const args = await signCancel(user2, nonce);
+            args[0] = user1.address;
+
+            await expect(
+                usdtq.cancelAuthorization(...args)
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "InvalidAuthorizationSigner"
+            );
+        });
+
+        it("Should apply the blacklist to payer and payee", async function () {
+            const toBlacklisted = await signTransfer(
+                user1,
+                user2.address,
+                amount
+            );
+            await usdtq.connect(blacklister).blacklist(user2.address, "Fraud");
+            await expect(usdtq.transferWithAuthorization(...toBlacklisted))
+                .to.be.revertedWithCustomError(usdtq, "AccountBlacklisted")
+                .withArgs(user2.address);
+            expect(
+                await usdtq.authorizationState(user1.address, toBlacklisted[5])
+            ).to.be.false;
+
+            const fromBlacklisted = await signTransfer(
+                user1,
+                reserveManager.address,
+                amount
+            );
+            await usdtq.connect(blacklister).blacklist(user1.address, "Fraud");
+            await expect(usdtq.transferWithAuthorization(...fromBlacklisted))
+                .to.be.revertedWithCustomError(usdtq, "AccountBlacklisted")
+                .withArgs(user1.address);
+        });
+
+        it("Should keep working while minting is paused", async function () {
+            await usdtq.connect(pauser).pause();
+            const args = await signTransfer(user1, user2.address, amount);
+
+            await usdtq.transferWithAuthorization(...args);
+            expect(await usdtq.balanceOf(user2.address)).to.equal(amount);
+        });
+    });
+
     describe("Interface Support", function () {
         it("Should support AccessControl interface", async function () {
             // IAccessControl interface ID
@@ -920,6 +2108,9 @@ describe("USDTq (Non-Upgradeable)", function () {
             await usdtq
                 .connect(gnosisSafe)
                 .grantRole(MINTER_ROLE, user1.address);
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterAllowance(user1.address, 1000);
 
             // Both should be able to mint
             await expect(usdtq.connect(minter).mint(user2.address, 1000)).to.not
@@ -942,7 +2133,14 @@ describe("USDTq (Non-Upgradeable)", function () {
         it("Should handle mint at exactly max per transaction multiple times", async function () {
             // Need to increase max total supply first
             const newMaxSupply = MAX_MINT_PER_TX * 10n + INITIAL_SUPPLY;
-            await usdtq.connect(gnosisSafe).setMaxTotalSupply(newMaxSupply);
+            await changeCap(
+                "proposeMaxTotalSupply",
+                MAX_TOTAL_SUPPLY_PARAMETER,
+                newMaxSupply
+            );
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterAllowance(minter.address, MAX_MINT_PER_TX * 2n);
 
             await usdtq.connect(minter).mint(user1.address, MAX_MINT_PER_TX);
             await usdtq.connect(minter).mint(user1.address, MAX_MINT_PER_TX);
@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("USDTqRedemptionQueue", function () {
+    let usdtq, queue, queueAddress;
+    let gnosisSafe, minter, blacklister, operator, user1, user2;
+
+    const DECIMALS = 6;
+    const AMOUNT = ethers.parseUnits("250000", DECIMALS);
+
+    // Status enum values
+    const PENDING = 1;
+    const SETTLED = 2;
+    const REJECTED = 3;
+
+    const OPERATOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("OPERATOR_ROLE"));
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+
+    async function request(
+        holder = user1,
+        amount = AMOUNT,
+        reference = "PAYOUT-1"
+    ) {
+        await usdtq.connect(holder).approve(queueAddress, amount);
+        return queue.connect(holder).requestRedemption(amount, reference);
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, blacklister, operator, user1, user2] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [],
+            []
+        );
+        await usdtq.waitForDeployment();
+
+        const Queue = await ethers.getContractFactory("USDTqRedemptionQueue");
+        queue = await Queue.deploy(
+            await usdtq.getAddress(),
+            gnosisSafe.address,
+            [operator.address]
+        );
+        await queue.waitForDeployment();
+        queueAddress = await queue.getAddress();
+
+        await usdtq.connect(gnosisSafe).grantRole(MINTER_ROLE, queueAddress);
+        await usdtq.connect(gnosisSafe).transfer(user1.address, AMOUNT * 4n);
+    });
+
+    describe("Deployment", function () {
+        it("Should set the token, admin and operators", async function () {
+            expect(await queue.USDTQ()).to.equal(await usdtq.getAddress());
+            expect(
+                await queue.hasRole(
+                    await queue.DEFAULT_ADMIN_ROLE(),
+                    gnosisSafe.address
+                )
+            ).to.be.true;
+            expect(await queue.hasRole(OPERATOR_ROLE, operator.address)).to.be
+                .true;
+            expect(await queue.redemptionCount()).to.equal(0);
+        });
+
+        it("Should reject invalid constructor arguments", async function () {
+            const Queue = await ethers.getContractFactory(
+                "USDTqRedemptionQueue"
+            );
+            await expect(
+                Queue.deploy(ethers.ZeroAddress, gnosisSafe.address, [])
+            ).to.be.revertedWithCustomError(queue, "ZeroAddress");
+            await expect(
+                Queue.deploy(await usdtq.getAddress(), gnosisSafe.address, [
+                    ethers.ZeroAddress,
+                ])
+            ).to.be.revertedWithCustomError(queue, "ZeroAddress");
+
+            const signers = await ethers.getSigners();
+            await expect(
+                Queue.deploy(
+                    await usdtq.getAddress(),
+                    gnosisSafe.address,
+                    signers.slice(0, 11).map((signer) => signer.address)
+                )
+            )
+                .to.be.revertedWithCustomError(queue, "TooManyOperators")
+                .withArgs(11, 10);
+        });
+
+        it("Should not be able to mint with MINTER_ROLE", async function () {
+            expect(await usdtq.minterAllowance(queueAddress)).to.equal(0);
+        });
+    });
+
+    describe("Requests", function () {
+        it("Should lock USDTq and record the request", async function () {
+            await expect(request())
+                .to.emit(queue, "RedemptionRequested")
+                .withArgs(1, user1.address, AMOUNT, "PAYOUT-1");
+
+            expect(await usdtq.balanceOf(queueAddress)).to.equal(AMOUNT);
+            expect(await queue.redemptionCount()).to.equal(1);
+            expect(await queue.pendingAmount()).to.equal(AMOUNT);
+
+            const stored = await queue.redemption(1);
+            expect(stored.holder).to.equal(user1.address);
+            expect(stored.amount).to.equal(AMOUNT);
+            expect(stored.status).to.equal(PENDING);
+            expect(stored.redemptionReference).to.equal("PAYOUT-1");
+            expect(stored.requestedAt).to.be.greaterThan(0);
+            expect(stored.resolvedAt).to.equal(0);
+        });
+
+        it("Should number requests from one", async function () {
+            await request();
+            await request(user1, AMOUNT, "PAYOUT-2");
+            expect((await queue.redemption(2)).redemptionReference).to.equal(
+                "PAYOUT-2"
+            );
+            expect((await queue.redemption(3)).status).to.equal(0);
+        });
+
+        it("Should reject invalid requests", async function () {
+            await expect(
+                queue.connect(user1).requestRedemption(0, "PAYOUT-1")
+            ).to.be.revertedWithCustomError(queue, "ZeroAmount");
+            await expect(
+                queue.connect(user1).requestRedemption(AMOUNT, "")
+            ).to.be.revertedWithCustomError(queue, "EmptyReference");
+            await expect(
+                queue.connect(user1).requestRedemption(AMOUNT, "x".repeat(129))
+            )
+                .to.be.revertedWithCustomError(queue, "ReferenceTooLong")
+                .withArgs(129, 128);
+            await expect(
+                queue.connect(user1).requestRedemption(AMOUNT, "PAYOUT-1")
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "ERC20InsufficientAllowance"
+            );
+        });
+
+        it("Should refuse requests from blacklisted holders", async function () {
+            await usdtq.connect(user1).approve(queueAddress, AMOUNT);
+            await usdtq.connect(blacklister).blacklist(user1.address, "Test");
+            await expect(
+                queue.connect(user1).requestRedemption(AMOUNT, "PAYOUT-1")
+            ).to.be.revertedWithCustomError(usdtq, "AccountBlacklisted");
+        });
+    });
+
+    describe("Settlement", function () {
+        beforeEach(async function () {
+            await request();
+        });
+
+        it("Should burn the locked USDTq and emit the settlement", async function () {
+            const supplyBefore = await usdtq.totalSupply();
+
+            await expect(
+                queue.connect(operator).settleRedemption(1, "WIRE-2026-0412")
+            )
+                .to.emit(queue, "RedemptionSettled")
+                .withArgs(
+                    1,
+                    user1.address,
+                    AMOUNT,
+                    "WIRE-2026-0412",
+                    operator.address
+                )
+                .and.to.emit(usdtq, "TokensBurned")
+                .withArgs(queueAddress, queueAddress, AMOUNT);
+
+            expect(await usdtq.totalSupply()).to.equal(supplyBefore - AMOUNT);
+            expect(await usdtq.balanceOf(queueAddress)).to.equal(0);
+            expect(await queue.pendingAmount()).to.equal(0);
+            const stored = await queue.redemption(1);
+            expect(stored.status).to.equal(SETTLED);
+            expect(stored.resolvedAt).to.be.greaterThanOrEqual(
+                stored.requestedAt
+            );
+        });
+
+        it("Should refund the holder on rejection", async function () {
+            const balanceBefore = await usdtq.balanceOf(user1.address);
+
+            await expect(
+                queue.connect(operator).rejectRedemption(1, "KYC incomplete")
+            )
+                .to.emit(queue, "RedemptionRejected")
+                .withArgs(
+                    1,
+                    user1.address,
+                    AMOUNT,
+                    "KYC incomplete",
+                    operator.address
+                );
+
+            expect(await usdtq.balanceOf(user1.address)).to.equal(
+                balanceBefore + AMOUNT
+            );
+            expect((await queue.redemption(1)).status).to.equal(REJECTED);
+        });
+
+        it("Should resolve each request only once", async function () {
+            await queue.connect(operator).settleRedemption(1, "WIRE-1");
+
+            await expect(queue.connect(operator).rejectRedemption(1, "Late"))
+                .to.be.revertedWithCustomError(queue, "RedemptionNotPending")
+                .withArgs(1, SETTLED);
+            await expect(queue.connect(operator).settleRedemption(2, "WIRE-2"))
+                .to.be.revertedWithCustomError(queue, "RedemptionNotPending")
+                .withArgs(2, 0);
+        });
+
+        it("Should only let operators settle or reject", async function () {
+            await expect(
+                queue.connect(user2).settleRedemption(1, "WIRE-1")
+            ).to.be.revertedWithCustomError(
+                queue,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(
+                queue.connect(user1).rejectRedemption(1, "Mine")
+            ).to.be.revertedWithCustomError(
+                queue,
+                "AccessControlUnauthorizedAccount"
+            );
+        });
+
+        it("Should require a settlement reference", async function () {
+            await expect(
+                queue.connect(operator).settleRedemption(1, "")
+            ).to.be.revertedWithCustomError(queue, "EmptyReference");
+        });
+
+        it("Should keep the request pending without MINTER_ROLE", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .revokeRole(MINTER_ROLE, queueAddress);
+
+            await expect(
+                queue.connect(operator).settleRedemption(1, "WIRE-1")
+            ).to.be.revertedWithCustomError(
+                usdtq,
+                "AccessControlUnauthorizedAccount"
+            );
+            expect((await queue.redemption(1)).status).to.equal(PENDING);
+        });
+
+        it("Should not refund a holder blacklisted after the request", async function () {
+            await usdtq.connect(blacklister).blacklist(user1.address, "OFAC");
+
+            await expect(
+                queue.connect(operator).rejectRedemption(1, "Sanctioned")
+            ).to.be.revertedWithCustomError(usdtq, "AccountBlacklisted");
+            expect(await queue.pendingAmount()).to.equal(AMOUNT);
+        });
+    });
+});
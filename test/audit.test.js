@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { ROLES } = require("../utils/usdtq");
+const { auditDeployment, collectRoleHolders } = require("../utils/audit");
+
+describe("Deployment audit", function () {
+    let usdtq;
+    let deployer, gnosisSafe, minter, blacklister, pauser, reserveManager;
+    let user1;
+    let manifest, manifestDir, manifestFile;
+
+    beforeEach(async function () {
+        [
+            deployer,
+            gnosisSafe,
+            minter,
+            blacklister,
+            pauser,
+            reserveManager,
+            user1,
+        ] = await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [pauser.address],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+
+        manifest = {
+            chainId: 31337,
+            gnosisSafe: gnosisSafe.address,
+            roles: {
+                minters: [minter.address],
+                blacklisters: [blacklister.address],
+                pausers: [pauser.address],
+                reserveManagers: [reserveManager.address],
+            },
+        };
+        manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-audit-"));
+        manifestFile = path.join(manifestDir, "hardhat.json");
+        writeManifest();
+    });
+
+    afterEach(function () {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+    });
+
+    function writeManifest() {
+        fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+    }
+
+    async function audit(options = {}) {
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            return {
+                report: await hre.run("audit-deployment", {
+                    contract: await usdtq.getAddress(),
+                    manifest: manifestFile,
+                    deployer: deployer.address,
+                    ...options,
+                }),
+            };
+        } catch (error) {
+            return { error };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    async function issues() {
+        const report = await auditDeployment(usdtq, {
+            expected: manifest,
+            deployer: deployer.address,
+        });
+        return report.issues.map(({ message }) => message);
+    }
+
+    it("Should pass a deployment that matches the manifest", async function () {
+        const { report, error } = await audit();
+
+        expect(error).to.be.undefined;
+        expect(report.issues).to.be.empty;
+        expect(report.holders[ROLES.MINTER_ROLE]).to.deep.equal([
+            minter.address,
+        ]);
+    });
+
+    it("Should rebuild holders from grants and revokes across block ranges", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(ROLES.MINTER_ROLE, user1.address);
+        await usdtq
+            .connect(gnosisSafe)
+            .revokeRole(ROLES.MINTER_ROLE, minter.address);
+
+        const { blockNumber } = await usdtq.deploymentTransaction().wait();
+        const holders = await collectRoleHolders(usdtq, {
+            fromBlock: blockNumber,
+            blockRange: 1,
+        });
+        expect(holders[ROLES.MINTER_ROLE]).to.deep.equal([user1.address]);
+        expect(holders[ROLES.DEFAULT_ADMIN_ROLE]).to.deep.equal([
+            gnosisSafe.address,
+        ]);
+    });
+
+    it("Should report unexpected and missing role holders", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(ROLES.PAUSER_ROLE, user1.address);
+        await usdtq
+            .connect(gnosisSafe)
+            .revokeRole(ROLES.BLACKLISTER_ROLE, blacklister.address);
+
+        expect(await issues()).to.have.members([
+            `PAUSER_ROLE: unexpected holder ${user1.address}`,
+            `BLACKLISTER_ROLE: missing holder ${blacklister.address}`,
+        ]);
+    });
+
+    it("Should report the deployer holding a role", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(ROLES.RESERVE_MANAGER_ROLE, deployer.address);
+
+        expect(await issues()).to.include(
+            `Deployer ${deployer.address} holds RESERVE_MANAGER_ROLE`
+        );
+    });
+
+    it("Should report DEFAULT_ADMIN_ROLE held by anyone but the Safe", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(ROLES.DEFAULT_ADMIN_ROLE, user1.address);
+
+        expect(await issues()).to.deep.equal([
+            `DEFAULT_ADMIN_ROLE is held by [${gnosisSafe.address}, ${user1.address}]; expected only the Safe ${gnosisSafe.address}`,
+        ]);
+    });
+
+    it("Should expect the redemption queue as a minter", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(ROLES.MINTER_ROLE, user1.address);
+        expect(await issues()).to.deep.equal([
+            `MINTER_ROLE: unexpected holder ${user1.address}`,
+        ]);
+
+        manifest.redemptionQueue = {
+            operators: [pauser.address],
+            address: user1.address,
+        };
+        expect(await issues()).to.be.empty;
+    });
+
+    it("Should report parameter drift against the manifest", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .proposeMaxMintPerTransaction(ethers.parseUnits("5000000", 6));
+        await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+        await usdtq.connect(gnosisSafe).executeCapChange(0); // MaxMintPerTransaction
+        await usdtq
+            .connect(reserveManager)
+            .updateReserves(ethers.parseUnits("9000000", 6));
+
+        // Unset parameters are not compared against the constructor values
+        expect(await issues()).to.be.empty;
+
+        manifest.parameters = {
+            maxMintPerTransaction: "10,000,000",
+            totalReserves: "10,000,000",
+        };
+        expect(await issues()).to.deep.equal([
+            "maxMintPerTransaction is 5000000.0; expected 10000000.0",
+            "totalReserves is 9000000.0; expected 10000000.0",
+        ]);
+
+        manifest.parameters = {
+            maxMintPerTransaction: "5,000,000",
+            totalReserves: "9,000,000",
+        };
+        expect(await issues()).to.be.empty;
+    });
+
+    it("Should fail the task on drift", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(ROLES.MINTER_ROLE, deployer.address);
+
+        const { error } = await audit({ json: true });
+        expect(error?.message).to.contain("Deployment audit found 2 issue(s)");
+    });
+});
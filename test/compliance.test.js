@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+describe("Compliance burn tasks", function () {
+    let usdtq;
+    let gnosisSafe, blacklister, user1, user2;
+    let outDir;
+
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    async function run(name, args) {
+        const originalLog = console.log;
+        const originalWarn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return await hre.run(name, {
+                contract: await usdtq.getAddress(),
+                ...args,
+            });
+        } finally {
+            console.log = originalLog;
+            console.warn = originalWarn;
+        }
+    }
+
+    async function runError(name, args) {
+        try {
+            await run(name, args);
+        } catch (error) {
+            return error;
+        }
+        return undefined;
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, , blacklister, , , user1, user2] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [],
+            [blacklister.address],
+            [],
+            []
+        );
+        await usdtq.waitForDeployment();
+
+        await usdtq
+            .connect(gnosisSafe)
+            .transfer(user1.address, usdtqAmount("5000"));
+        await usdtq
+            .connect(blacklister)
+            .blacklist(user1.address, "OFAC sanctions");
+
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-compliance-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("Should burn the whole frozen balance by default", async function () {
+        const result = await run("compliance:burn", {
+            account: user1.address,
+            case: "OFAC-2026-0142",
+            signer: blacklister.address,
+        });
+
+        expect(result.amount).to.equal(usdtqAmount("5000"));
+        expect(await usdtq.balanceOf(user1.address)).to.equal(0n);
+        expect(await usdtq.totalReserves()).to.equal(usdtqAmount("9995000"));
+    });
+
+    it("Should leave the balance untouched on a dry run", async function () {
+        await run("compliance:burn", {
+            account: user1.address,
+            case: "OFAC-2026-0142",
+            amount: "1,000",
+            signer: blacklister.address,
+            dryRun: true,
+        });
+
+        expect(await usdtq.balanceOf(user1.address)).to.equal(
+            usdtqAmount("5000")
+        );
+    });
+
+    it("Should refuse addresses that are not blacklisted", async function () {
+        const error = await runError("compliance:burn", {
+            account: user2.address,
+            case: "OFAC-2026-0142",
+            signer: blacklister.address,
+        });
+        expect(error?.message).to.contain("is not blacklisted");
+    });
+
+    it("Should refuse amounts above the frozen balance", async function () {
+        const error = await runError("compliance:burn", {
+            account: user1.address,
+            case: "OFAC-2026-0142",
+            amount: "5000.01",
+            signer: blacklister.address,
+        });
+        expect(error?.message).to.contain("holds 5000.0 USDTq");
+    });
+
+    it("Should decode a failed preflight", async function () {
+        const error = await runError("compliance:burn", {
+            account: user1.address,
+            case: "OFAC-2026-0142",
+            signer: user2.address,
+        });
+        expect(error?.message).to.equal(
+            `Preflight failed, nothing sent: Account ${user2.address} is missing BLACKLISTER_ROLE`
+        );
+        expect(await usdtq.balanceOf(user1.address)).to.equal(
+            usdtqAmount("5000")
+        );
+    });
+
+    it("Should prepare a Safe batch the admin can execute", async function () {
+        const out = path.join(outDir, "burn.json");
+        await run("compliance:burn", {
+            account: user1.address,
+            case: "COURT-17",
+            amount: "2000",
+            safe: gnosisSafe.address,
+            nonce: 0,
+            out,
+        });
+
+        const [transaction] = JSON.parse(
+            fs.readFileSync(out, "utf8")
+        ).transactions;
+        await gnosisSafe.sendTransaction({
+            to: transaction.to,
+            data: transaction.data,
+        });
+
+        expect(await usdtq.balanceOf(user1.address)).to.equal(
+            usdtqAmount("3000")
+        );
+    });
+
+    it("Should list past burns with their case references", async function () {
+        await run("compliance:burn", {
+            account: user1.address,
+            case: "OFAC-2026-0142",
+            amount: "1000",
+            signer: blacklister.address,
+        });
+
+        const burns = await run("compliance:history", {});
+        expect(burns).to.have.lengthOf(1);
+        expect(burns[0]).to.include({
+            account: user1.address,
+            amount: "1000.0",
+            caseReference: "OFAC-2026-0142",
+            burnedBy: blacklister.address,
+        });
+    });
+});
@@ -3,6 +3,7 @@ pragma solidity 0.8.28;
 
 import "forge-std/Test.sol";
 import "../../contracts/USDTq.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title USDTq Fuzz Tests
@@ -222,6 +223,53 @@ contract USDTqFuzzTest is Test {
         usdtq.removeReserves(amount, "Test");
     }
 
+    /**
+     * @notice Fuzz test: Publishing a reserve root sets it with the total
+     */
+    function testFuzz_ReserveRootUpdates(uint256 newReserves, bytes32 root) public {
+        vm.assume(newReserves <= type(uint256).max / 10000);
+        vm.assume(root != bytes32(0));
+
+        vm.prank(reserveManager);
+        usdtq.updateReservesWithRoot(newReserves, root);
+
+        assertEq(usdtq.totalReserves(), newReserves);
+        assertEq(usdtq.reserveRoot(), root);
+    }
+
+    /**
+     * @notice Fuzz test: Line items of a published reserve tree verify with MerkleProof
+     * @dev Three leaves built like sdk/src/reserves.js: sorted pairs, odd node carried up
+     */
+    function testFuzz_ReserveRootProof(uint256 usdt, uint256 usdc, uint256 tbill) public {
+        bytes32 leaf0 = _reserveLeaf(0, "USDT", usdt);
+        bytes32 leaf1 = _reserveLeaf(1, "USDC", usdc);
+        bytes32 leaf2 = _reserveLeaf(2, "T-BILL", tbill);
+        bytes32 node01 = _hashPair(leaf0, leaf1);
+        bytes32 root = _hashPair(node01, leaf2);
+
+        vm.prank(reserveManager);
+        usdtq.updateReservesWithRoot(INITIAL_SUPPLY, root);
+
+        bytes32[] memory proof = new bytes32[](2);
+        proof[0] = leaf0;
+        proof[1] = leaf2;
+        assertTrue(MerkleProof.verify(proof, usdtq.reserveRoot(), leaf1));
+
+        bytes32[] memory carried = new bytes32[](1);
+        carried[0] = node01;
+        assertTrue(MerkleProof.verify(carried, usdtq.reserveRoot(), leaf2));
+    }
+
+    function _reserveLeaf(uint256 index, string memory asset, uint256 amount) internal pure returns (bytes32) {
+        string memory none = "";
+        return keccak256(bytes.concat(keccak256(abi.encode(index, asset, none, none, amount, amount))));
+    }
+
+    function _hashPair(bytes32 a, bytes32 b) internal pure returns (bytes32) {
+        return a < b ? keccak256(abi.encodePacked(a, b)) : keccak256(abi.encodePacked(b, a));
+    }
+
     // ============ Blacklist Fuzz Tests ============
 
     /**
@@ -248,10 +296,168 @@ contract USDTqFuzzTest is Test {
         usdtq.transfer(user2, 1);
     }
 
+    /**
+     * @notice Fuzz test: Compliance burn destroys frozen funds without an allowance
+     */
+    function testFuzz_ComplianceBurn(uint256 balance, uint256 amount) public {
+        vm.assume(balance > 0 && balance <= INITIAL_SUPPLY);
+        vm.assume(amount > 0 && amount <= balance);
+
+        vm.prank(gnosisSafe);
+        usdtq.transfer(user1, balance);
+
+        vm.prank(blacklister);
+        usdtq.blacklist(user1, "Test");
+
+        uint256 supplyBefore = usdtq.totalSupply();
+        uint256 reservesBefore = usdtq.totalReserves();
+
+        vm.prank(blacklister);
+        usdtq.complianceBurn(user1, amount, "CASE-1");
+
+        assertEq(usdtq.balanceOf(user1), balance - amount);
+        assertEq(usdtq.totalSupply(), supplyBefore - amount);
+        assertEq(usdtq.totalReserves(), reservesBefore - amount);
+    }
+
+    /**
+     * @notice Fuzz test: Compliance burn only applies to blacklisted addresses
+     */
+    function testFuzz_ComplianceBurnRequiresBlacklist(address target) public {
+        vm.assume(target != address(0));
+
+        vm.prank(blacklister);
+        vm.expectRevert(
+            abi.encodeWithSelector(USDTq.AccountNotBlacklisted.selector, target)
+        );
+        usdtq.complianceBurn(target, 1, "CASE-1");
+    }
+
+    // ============ Permit Fuzz Tests ============
+
+    bytes32 constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    function _signPermit(uint256 ownerKey, address spender, uint256 value, uint256 deadline)
+        internal
+        view
+        returns (uint8 v, bytes32 r, bytes32 s)
+    {
+        address owner = vm.addr(ownerKey);
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, owner, spender, value, usdtq.nonces(owner), deadline)
+        );
+        return vm.sign(ownerKey, keccak256(abi.encodePacked("\x19\x01", usdtq.DOMAIN_SEPARATOR(), structHash)));
+    }
+
+    /**
+     * @notice Fuzz test: A signed permit sets the allowance once
+     */
+    function testFuzz_Permit(uint256 ownerKey, uint256 value, uint256 ttl) public {
+        ownerKey = bound(ownerKey, 1, 2 ** 128);
+        ttl = bound(ttl, 0, 365 days);
+        address owner = vm.addr(ownerKey);
+        uint256 deadline = block.timestamp + ttl;
+
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(ownerKey, user2, value, deadline);
+        usdtq.permit(owner, user2, value, deadline, v, r, s);
+
+        assertEq(usdtq.allowance(owner, user2), value);
+        assertEq(usdtq.nonces(owner), 1);
+
+        // The same signature cannot be used twice
+        vm.expectRevert();
+        usdtq.permit(owner, user2, value, deadline, v, r, s);
+    }
+
+    /**
+     * @notice Fuzz test: Permits involving a blacklisted account are rejected
+     */
+    function testFuzz_PermitBlacklisted(uint256 ownerKey, uint256 value, bool blacklistOwner) public {
+        ownerKey = bound(ownerKey, 1, 2 ** 128);
+        address owner = vm.addr(ownerKey);
+        address blocked = blacklistOwner ? owner : user2;
+        uint256 deadline = block.timestamp + 1 hours;
+
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(ownerKey, user2, value, deadline);
+
+        vm.prank(blacklister);
+        usdtq.blacklist(blocked, "Test");
+
+        vm.expectRevert(
+            abi.encodeWithSelector(USDTq.AccountBlacklisted.selector, blocked)
+        );
+        usdtq.permit(owner, user2, value, deadline, v, r, s);
+        assertEq(usdtq.nonces(owner), 0);
+    }
+
+    // ============ Transfer With Authorization Fuzz Tests ============
+
+    function _signTransferAuthorization(
+        uint256 payerKey,
+        address to,
+        uint256 value,
+        uint256 validBefore,
+        bytes32 nonce
+    ) internal view returns (uint8 v, bytes32 r, bytes32 s) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                usdtq.TRANSFER_WITH_AUTHORIZATION_TYPEHASH(),
+                vm.addr(payerKey),
+                to,
+                value,
+                0,
+                validBefore,
+                nonce
+            )
+        );
+        return vm.sign(payerKey, keccak256(abi.encodePacked("\x19\x01", usdtq.DOMAIN_SEPARATOR(), structHash)));
+    }
+
+    /**
+     * @notice Fuzz test: An authorization moves exactly its value, once
+     */
+    function testFuzz_TransferWithAuthorization(uint256 payerKey, uint256 value, bytes32 nonce) public {
+        payerKey = bound(payerKey, 1, 2 ** 128);
+        value = bound(value, 0, INITIAL_SUPPLY);
+        address payer = vm.addr(payerKey);
+        vm.assume(payer != user2 && payer != gnosisSafe);
+
+        vm.prank(gnosisSafe);
+        usdtq.transfer(payer, value);
+
+        uint256 validBefore = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signTransferAuthorization(payerKey, user2, value, validBefore, nonce);
+
+        vm.prank(user1);
+        usdtq.transferWithAuthorization(payer, user2, value, 0, validBefore, nonce, v, r, s);
+
+        assertEq(usdtq.balanceOf(payer), 0);
+        assertEq(usdtq.balanceOf(user2), value);
+        assertTrue(usdtq.authorizationState(payer, nonce));
+
+        vm.expectRevert(abi.encodeWithSelector(USDTq.AuthorizationAlreadyUsed.selector, payer, nonce));
+        usdtq.transferWithAuthorization(payer, user2, value, 0, validBefore, nonce, v, r, s);
+    }
+
+    /**
+     * @notice Fuzz test: Authorizations past validBefore are rejected
+     */
+    function testFuzz_TransferWithAuthorizationExpired(uint256 payerKey, uint256 elapsed) public {
+        payerKey = bound(payerKey, 1, 2 ** 128);
+        elapsed = bound(elapsed, 0, 365 days);
+        uint256 validBefore = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signTransferAuthorization(payerKey, user2, 1, validBefore, bytes32(0));
+
+        vm.warp(validBefore + elapsed);
+        vm.expectRevert(abi.encodeWithSelector(USDTq.AuthorizationExpired.selector, validBefore));
+        usdtq.transferWithAuthorization(vm.addr(payerKey), user2, 1, 0, validBefore, bytes32(0), v, r, s);
+    }
+
     // ============ Supply Cap Fuzz Tests ============
 
     /**
-     * @notice Fuzz test: maxTotalSupply cannot be set below current supply
+     * @notice Fuzz test: maxTotalSupply cannot be proposed below current supply
      */
     function testFuzz_MaxSupplyCannotBeBelowCurrent(uint256 newMax) public {
         vm.assume(newMax < INITIAL_SUPPLY);
@@ -264,7 +470,101 @@ contract USDTqFuzzTest is Test {
                 INITIAL_SUPPLY
             )
         );
-        usdtq.setMaxTotalSupply(newMax);
+        usdtq.proposeMaxTotalSupply(newMax);
+    }
+
+    /**
+     * @notice Fuzz test: a cap change applies only once the delay has passed
+     */
+    function testFuzz_CapChangeRespectsDelay(uint256 newLimit, uint256 elapsed) public {
+        newLimit = bound(newLimit, 1, type(uint128).max);
+        vm.assume(newLimit != MAX_MINT_PER_TX);
+        uint256 delay = usdtq.capChangeDelay();
+        elapsed = bound(elapsed, 0, 2 * delay);
+
+        vm.prank(gnosisSafe);
+        usdtq.proposeMaxMintPerTransaction(newLimit);
+        uint256 executableAt = block.timestamp + delay;
+
+        vm.warp(block.timestamp + elapsed);
+        vm.prank(gnosisSafe);
+        if (elapsed < delay) {
+            vm.expectRevert(
+                abi.encodeWithSelector(
+                    USDTq.CapChangeNotReady.selector,
+                    USDTq.CapParameter.MaxMintPerTransaction,
+                    executableAt
+                )
+            );
+            usdtq.executeCapChange(USDTq.CapParameter.MaxMintPerTransaction);
+            assertEq(usdtq.maxMintPerTransaction(), MAX_MINT_PER_TX);
+        } else {
+            usdtq.executeCapChange(USDTq.CapParameter.MaxMintPerTransaction);
+            assertEq(usdtq.maxMintPerTransaction(), newLimit);
+        }
+    }
+
+    // ============ Minter Limit Fuzz Tests ============
+
+    /**
+     * @notice Fuzz test: a minter can never mint more than its allowance
+     */
+    function testFuzz_MintConsumesAllowance(uint256 allowance, uint256 amount) public {
+        allowance = bound(allowance, 1, MAX_MINT_PER_TX);
+        amount = bound(amount, 1, MAX_MINT_PER_TX);
+        vm.assume(allowance != usdtq.INITIAL_MINTER_ALLOWANCE());
+
+        vm.prank(gnosisSafe);
+        usdtq.setMinterAllowance(minter, allowance);
+
+        vm.prank(minter);
+        if (amount > allowance) {
+            vm.expectRevert(
+                abi.encodeWithSelector(
+                    USDTq.MinterAllowanceExceeded.selector,
+                    minter,
+                    amount,
+                    allowance
+                )
+            );
+            usdtq.mint(user1, amount);
+            assertEq(usdtq.minterAllowance(minter), allowance);
+        } else {
+            usdtq.mint(user1, amount);
+            assertEq(usdtq.minterAllowance(minter), allowance - amount);
+        }
+    }
+
+    /**
+     * @notice Fuzz test: the rate limit frees capacity linearly over its window
+     */
+    function testFuzz_RateLimitDecays(uint256 limit, uint256 window, uint256 elapsed) public {
+        limit = bound(limit, 1, MAX_MINT_PER_TX - 1);
+        window = bound(window, 1, usdtq.MAX_RATE_LIMIT_WINDOW());
+        elapsed = bound(elapsed, 0, 2 * window);
+
+        vm.startPrank(gnosisSafe);
+        usdtq.setMinterAllowance(minter, MAX_TOTAL_SUPPLY);
+        usdtq.setMinterRateLimit(minter, limit, window);
+        vm.stopPrank();
+        vm.prank(minter);
+        usdtq.mint(user1, limit);
+
+        vm.warp(block.timestamp + elapsed);
+        uint256 freed = elapsed >= window ? limit : (limit * elapsed) / window;
+        (, , uint256 available) = usdtq.minterRateLimit(minter);
+        assertEq(available, freed);
+
+        vm.prank(minter);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                USDTq.MinterRateLimitExceeded.selector,
+                minter,
+                freed + 1,
+                freed
+            )
+        );
+        usdtq.mint(user1, freed + 1);
     }
 
     // ============ Collateralization Ratio Tests ============
@@ -24,6 +24,16 @@ contract USDTqHandler is Test {
     uint256 public ghost_mintedSum;
     uint256 public ghost_burnedSum;
 
+    // Allowance last set by the Safe and what was minted since
+    uint256 public ghost_allowanceSet;
+    uint256 public ghost_mintedSinceAllowanceSet;
+
+    // Rate limit last set by the Safe and the mints since
+    uint256 public ghost_rateLimit;
+    uint256 public ghost_rateLimitWindow;
+    uint256[] public ghost_rateLimitedMintTimes;
+    uint256[] public ghost_rateLimitedMintAmounts;
+
     modifier useActor(uint256 actorIndexSeed) {
         currentActor = actors[bound(actorIndexSeed, 0, actors.length - 1)];
         vm.startPrank(currentActor);
@@ -56,6 +66,12 @@ contract USDTqHandler is Test {
             usdtq.transfer(actors[i], 1_000_000 * 10 ** 6);
         }
         vm.stopPrank();
+
+        ghost_allowanceSet = usdtq.minterAllowance(minter);
+    }
+
+    function rateLimitedMintCount() external view returns (uint256) {
+        return ghost_rateLimitedMintTimes.length;
     }
 
     function mint(uint256 actorSeed, uint256 amount) external {
@@ -73,10 +89,47 @@ contract USDTqHandler is Test {
             return;
         }
 
+        // Mints above the allowance or the rate limit are still sent; they
+        // must revert, and the invariants catch any that do not
         vm.prank(minter);
-        usdtq.mint(to, amount);
+        try usdtq.mint(to, amount) {
+            ghost_mintedSum += amount;
+            ghost_mintedSinceAllowanceSet += amount;
+            if (ghost_rateLimit != 0) {
+                ghost_rateLimitedMintTimes.push(block.timestamp);
+                ghost_rateLimitedMintAmounts.push(amount);
+            }
+        } catch {}
+    }
+
+    function setMinterAllowance(uint256 allowance) external {
+        allowance = bound(allowance, 0, usdtq.maxTotalSupply());
+        if (allowance == usdtq.minterAllowance(minter)) return;
+
+        vm.prank(gnosisSafe);
+        usdtq.setMinterAllowance(minter, allowance);
+
+        ghost_allowanceSet = allowance;
+        ghost_mintedSinceAllowanceSet = 0;
+    }
+
+    function setMinterRateLimit(uint256 limit, uint256 window, uint256 elapsed) external {
+        limit = bound(limit, 0, 2 * usdtq.maxMintPerTransaction());
+        window = bound(window, 1, usdtq.MAX_RATE_LIMIT_WINDOW());
+
+        vm.prank(gnosisSafe);
+        usdtq.setMinterRateLimit(minter, limit, window);
 
-        ghost_mintedSum += amount;
+        ghost_rateLimit = limit;
+        ghost_rateLimitWindow = limit == 0 ? 0 : window;
+        delete ghost_rateLimitedMintTimes;
+        delete ghost_rateLimitedMintAmounts;
+
+        warp(elapsed);
+    }
+
+    function warp(uint256 elapsed) public {
+        vm.warp(block.timestamp + bound(elapsed, 0, 2 days));
     }
 
     function burn(uint256 actorSeed, uint256 amount) external {
@@ -200,6 +253,43 @@ contract USDTqInvariantTest is StdInvariant, Test {
         assertEq(usdtq.totalSupply(), expectedSupply);
     }
 
+    /**
+     * @notice Invariant: No minter mints more than the allowance the Safe set
+     */
+    function invariant_mintsStayWithinMinterAllowance() public view {
+        uint256 allowanceSet = handler.ghost_allowanceSet();
+        uint256 minted = handler.ghost_mintedSinceAllowanceSet();
+        assertLe(minted, allowanceSet);
+        assertEq(usdtq.minterAllowance(minter), allowanceSet - minted);
+    }
+
+    /**
+     * @notice Invariant: No minter mints faster than its rate limit
+     * @dev At most limit is in flight and it frees up linearly over the
+     *      window, so mints i..j may total at most
+     *      limit + limit * (t_j - t_i) / window. Multiplied by the window:
+     *      (window * minted_j - limit * t_j) - (window * mintedBefore_i - limit * t_i)
+     *      <= limit * window, checked against the smallest start term so far.
+     */
+    function invariant_mintsStayWithinRateLimit() public view {
+        (uint256 limit, uint256 window, ) = usdtq.minterRateLimit(minter);
+        assertEq(limit, handler.ghost_rateLimit());
+        if (limit == 0) return;
+        assertEq(window, handler.ghost_rateLimitWindow());
+
+        uint256 minted;
+        int256 smallestStart = type(int256).max;
+        for (uint256 i = 0; i < handler.rateLimitedMintCount(); i++) {
+            uint256 time = handler.ghost_rateLimitedMintTimes(i);
+            int256 start = int256(window * minted) - int256(limit * time);
+            if (start < smallestStart) smallestStart = start;
+
+            minted += handler.ghost_rateLimitedMintAmounts(i);
+            int256 end = int256(window * minted) - int256(limit * time);
+            assertLe(end - smallestStart, int256(limit * window));
+        }
+    }
+
     /**
      * @notice Invariant: Gnosis Safe always has admin roles
      */
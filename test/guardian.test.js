@@ -0,0 +1,365 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { stdoutSink } = require("../utils/alerts");
+const { PauseGuardian, readIncidents } = require("../utils/guardian");
+
+describe("Pause guardian", function () {
+    let usdtq;
+    let gnosisSafe, minter, pauser, reserveManager, user1, user2;
+    let lines, stream, logDir, incidentLog;
+
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    function guardian(triggers, options = {}) {
+        return new PauseGuardian({
+            usdtq: usdtq.connect(pauser),
+            sinks: [stdoutSink({ stream })],
+            network: "hardhat",
+            incidentLog,
+            triggers,
+            log: () => {},
+            ...options,
+        });
+    }
+
+    async function started(triggers, options) {
+        const responder = guardian(triggers, options);
+        expect(await responder.check()).to.be.null;
+        return responder;
+    }
+
+    function mint(amount, from = minter) {
+        return usdtq.connect(from).mint(user1.address, usdtqAmount(amount));
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, , pauser, reserveManager, user1, user2] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [],
+            [pauser.address],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+        // 1M USDTq of headroom above the 10M initial supply
+        await usdtq
+            .connect(reserveManager)
+            .updateReserves(usdtqAmount("11000000"));
+
+        lines = [];
+        stream = { write: (line) => lines.push(JSON.parse(line)) };
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-guardian-"));
+        incidentLog = path.join(logDir, "incidents.jsonl");
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    it("Should require at least one trigger", function () {
+        expect(() => guardian({})).to.throw("at least one trigger");
+    });
+
+    it("Should stay quiet while mints are normal", async function () {
+        const responder = await started({
+            maxMintAmount: usdtqAmount("100000"),
+            reserveHealth: true,
+            minters: [minter.address],
+            burst: { count: 3, windowSeconds: 600 },
+        });
+
+        await mint("100000");
+        await mint("50000");
+        expect(await responder.check()).to.be.null;
+        expect(await usdtq.paused()).to.be.false;
+        expect(lines).to.be.empty;
+        expect(readIncidents(incidentLog)).to.be.empty;
+    });
+
+    it("Should pause on a mint above the threshold and record the incident", async function () {
+        const responder = await started({
+            maxMintAmount: usdtqAmount("100000"),
+        });
+
+        const tx = await mint("100000.000001");
+        const incident = await responder.check();
+
+        expect(await usdtq.paused()).to.be.true;
+        expect(incident.action).to.equal("paused");
+        expect(incident.pauseTransaction).to.match(/^0x[0-9a-f]{64}$/);
+        expect(incident.findings).to.have.length(1);
+        expect(incident.findings[0]).to.deep.include({
+            trigger: "mint.large",
+            threshold: usdtqAmount("100000").toString(),
+            mint: {
+                transactionHash: tx.hash,
+                blockNumber: (await tx.wait()).blockNumber,
+                minter: minter.address,
+                to: user1.address,
+                amount: "100000000001",
+            },
+        });
+
+        expect(readIncidents(incidentLog)).to.deep.equal([incident]);
+        expect(lines).to.have.length(1);
+        expect(lines[0]).to.include({
+            type: "guardian.paused",
+            severity: "critical",
+            message: "Paused minting after mint.large",
+            contract: await usdtq.getAddress(),
+        });
+        expect(lines[0].details).to.deep.equal(incident);
+    });
+
+    it("Should pause on a mint that leaves reserves unhealthy", async function () {
+        const responder = await started({ reserveHealth: true });
+
+        await mint("999999");
+        expect(await responder.check()).to.be.null;
+
+        await mint("2");
+        const incident = await responder.check();
+        expect(incident.action).to.equal("paused");
+        expect(incident.findings[0]).to.include({
+            trigger: "mint.reserves_unhealthy",
+            reserveDeficit: usdtqAmount("1").toString(),
+        });
+    });
+
+    it("Should pause on a mint by an unknown minter", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(await usdtq.MINTER_ROLE(), user2.address);
+        await usdtq
+            .connect(gnosisSafe)
+            .setMinterAllowance(user2.address, usdtqAmount("10000000"));
+        const responder = await started({
+            minters: [minter.address.toLowerCase()],
+        });
+
+        await mint("10");
+        expect(await responder.check()).to.be.null;
+
+        await mint("10", user2);
+        const incident = await responder.check();
+        expect(
+            incident.findings.map((finding) => finding.trigger)
+        ).to.deep.equal(["mint.unknown_minter"]);
+        expect(incident.findings[0].mint.minter).to.equal(user2.address);
+    });
+
+    it("Should pause on a burst of mints within the window", async function () {
+        const responder = await started({
+            burst: { count: 2, windowSeconds: 600 },
+        });
+
+        await mint("1");
+        await network.provider.send("evm_increaseTime", [601]);
+        await mint("1");
+        await mint("1");
+        expect(await responder.check()).to.be.null;
+
+        const third = await mint("1");
+        const incident = await responder.check();
+        expect(incident.findings).to.have.length(1);
+        expect(incident.findings[0]).to.include({
+            trigger: "mint.burst",
+            limit: 2,
+            windowSeconds: 600,
+        });
+        expect(incident.findings[0].transactions).to.have.length(3);
+        expect(incident.findings[0].mint.transactionHash).to.equal(third.hash);
+    });
+
+    it("Should report every trigger a mint fires in one incident", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(await usdtq.MINTER_ROLE(), user2.address);
+        await usdtq
+            .connect(gnosisSafe)
+            .setMinterAllowance(user2.address, usdtqAmount("10000000"));
+        const responder = await started({
+            maxMintAmount: usdtqAmount("1000"),
+            reserveHealth: true,
+            minters: [minter.address],
+        });
+
+        await mint("1000001", user2);
+        const incident = await responder.check();
+        expect(
+            incident.findings.map((finding) => finding.trigger)
+        ).to.deep.equal([
+            "mint.large",
+            "mint.reserves_unhealthy",
+            "mint.unknown_minter",
+        ]);
+        expect(lines[0].message).to.equal(
+            "Paused minting after mint.large, mint.reserves_unhealthy, mint.unknown_minter"
+        );
+    });
+
+    it("Should only record the incident when already paused or in dry-run mode", async function () {
+        const responder = await started({
+            maxMintAmount: usdtqAmount("10"),
+        });
+        await mint("11");
+        await usdtq.connect(pauser).pause();
+        expect((await responder.check()).action).to.equal("already_paused");
+
+        await usdtq.connect(pauser).unpause();
+        const dryRun = await started(
+            { maxMintAmount: usdtqAmount("10") },
+            { dryRun: true }
+        );
+        await mint("11");
+        expect((await dryRun.check()).action).to.equal("dry_run");
+        expect(await usdtq.paused()).to.be.false;
+        expect(
+            readIncidents(incidentLog).map((incident) => incident.action)
+        ).to.deep.equal(["already_paused", "dry_run"]);
+    });
+
+    it("Should record a failed pause with the decoded error", async function () {
+        const responder = await started(
+            { maxMintAmount: usdtqAmount("10") },
+            { usdtq: usdtq.connect(user1) }
+        );
+        await mint("11");
+
+        const incident = await responder.check();
+        expect(incident.action).to.equal("pause_failed");
+        expect(incident.error).to.contain("PAUSER_ROLE");
+        expect(lines[0].message).to.match(/^Failed to pause minting/);
+        expect(await usdtq.paused()).to.be.false;
+    });
+
+    it("Should evaluate the mints again after a failed historical call", async function () {
+        const responder = await started({
+            burst: { count: 1, windowSeconds: 600 },
+        });
+        const provider = responder.provider;
+        let historicalCalls = 0;
+        responder.provider = {
+            getNetwork: () => provider.getNetwork(),
+            getBlock: (tag) => {
+                if (tag !== "latest" && ++historicalCalls === 2) {
+                    throw new Error("missing trie node");
+                }
+                return provider.getBlock(tag);
+            },
+        };
+
+        await mint("1");
+        await mint("1");
+        let error;
+        try {
+            await responder.check();
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.equal("missing trie node");
+        expect(await usdtq.paused()).to.be.false;
+
+        const incident = await responder.check();
+        expect(incident.action).to.equal("paused");
+        expect(incident.findings[0].trigger).to.equal("mint.burst");
+        expect(incident.findings[0].transactions).to.have.length(2);
+    });
+
+    it("Should retry a failed pause until the contract is paused", async function () {
+        const responder = await started(
+            { maxMintAmount: usdtqAmount("10") },
+            { usdtq: usdtq.connect(user1) }
+        );
+        await mint("11");
+        const failed = await responder.check();
+        expect(failed.action).to.equal("pause_failed");
+
+        expect(await responder.check()).to.equal(failed);
+        expect(readIncidents(incidentLog)).to.have.length(1);
+        expect(lines).to.have.length(1);
+
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(await usdtq.PAUSER_ROLE(), user1.address);
+        const incident = await responder.check();
+        expect(incident).to.include({
+            action: "paused",
+            unresolvedSince: failed.detectedAt,
+        });
+        expect(incident.findings).to.deep.equal(failed.findings);
+        expect(await usdtq.paused()).to.be.true;
+        expect(readIncidents(incidentLog)).to.deep.equal([failed, incident]);
+        expect(lines[1].message).to.equal("Paused minting after mint.large");
+
+        expect(await responder.check()).to.be.null;
+    });
+
+    describe("Tasks", function () {
+        let output;
+
+        // Captures stdout, where the task prints alerts and listings
+        async function run(name, args) {
+            const originalWrite = process.stdout.write;
+            const originalError = console.error;
+            output = [];
+            process.stdout.write = (line) => output.push(line);
+            console.error = () => {};
+            try {
+                return await hre.run(name, args);
+            } finally {
+                process.stdout.write = originalWrite;
+                console.error = originalError;
+            }
+        }
+
+        it("Should pause from the task and list the incident", async function () {
+            const tx = await mint("10");
+            const args = {
+                contract: await usdtq.getAddress(),
+                signer: pauser.address,
+                minters: gnosisSafe.address,
+                fromBlock: (await tx.wait()).blockNumber,
+                incidentLog,
+                once: true,
+            };
+
+            const incident = await run("guardian:start", args);
+            expect(incident.action).to.equal("paused");
+            expect(incident.findings[0].trigger).to.equal(
+                "mint.unknown_minter"
+            );
+            expect(await usdtq.paused()).to.be.true;
+            expect(JSON.parse(output[0]).details).to.deep.equal(incident);
+
+            const incidents = await run("guardian:incidents", {
+                incidentLog,
+            });
+            expect(incidents).to.deep.equal([incident]);
+        });
+
+        it("Should refuse a signer without PAUSER_ROLE", async function () {
+            let error;
+            try {
+                await run("guardian:start", {
+                    contract: await usdtq.getAddress(),
+                    signer: user1.address,
+                    minters: minter.address,
+                    incidentLog,
+                    once: true,
+                });
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.contain("does not hold PAUSER_ROLE");
+        });
+    });
+});
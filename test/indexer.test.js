@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { EventIndexer, getEvents, openEventStore } = require("../utils/indexer");
+
+describe("Event indexer", function () {
+    let usdtq, abi, deployBlock;
+    let gnosisSafe, minter, blacklister, reserveManager, user1;
+    let dbDir, dbFile, db;
+
+    function indexer(options = {}) {
+        return new EventIndexer({
+            provider: ethers.provider,
+            db,
+            address: usdtq.target,
+            abi,
+            startBlock: deployBlock,
+            confirmations: 0,
+            blockRange: 3,
+            ...options,
+        });
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, blacklister, , reserveManager, user1] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+        deployBlock = (await usdtq.deploymentTransaction().wait()).blockNumber;
+        ({ abi } = await hre.artifacts.readArtifact("USDTq"));
+
+        dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-indexer-"));
+        dbFile = path.join(dbDir, "events.sqlite");
+        db = openEventStore(dbFile);
+    });
+
+    afterEach(function () {
+        db.close();
+        fs.rmSync(dbDir, { recursive: true, force: true });
+    });
+
+    it("Should backfill decoded events from the deployment block in ranges", async function () {
+        await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+        await usdtq.connect(blacklister).blacklist(user1.address, "OFAC");
+        await usdtq
+            .connect(reserveManager)
+            .addReserves(5_000_000n, "US Treasury Bills");
+
+        const result = await indexer().sync();
+
+        expect(result.fromBlock).to.equal(deployBlock);
+        expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        const minted = getEvents(db, { event: "TokensMinted" });
+        expect(minted.map((e) => e.args)).to.deep.equal([
+            {
+                minter: ethers.ZeroAddress,
+                to: gnosisSafe.address,
+                amount: "10000000000000",
+            },
+            {
+                minter: minter.address,
+                to: user1.address,
+                amount: "1000000",
+            },
+        ]);
+        expect(minted[1].blockNumber).to.equal(deployBlock + 1);
+        expect(minted[1].timestamp).to.be.a("number");
+
+        expect(getEvents(db, { event: "Blacklisted" })[0].args).to.deep.equal({
+            account: user1.address,
+            reason: "OFAC",
+        });
+        expect(
+            getEvents(db, { event: ["ReservesAdded", "ReservesUpdated"] })
+        ).to.have.lengthOf(3);
+        expect(getEvents(db, { event: "RoleGranted" })).to.have.lengthOf(5);
+    });
+
+    it("Should only index blocks past the confirmation depth", async function () {
+        await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+
+        const confirming = indexer({ confirmations: 3 });
+        await confirming.sync();
+        expect(getEvents(db, { event: "TokensMinted" })).to.have.lengthOf(0);
+
+        await network.provider.send("hardhat_mine", ["0x3"]);
+        await confirming.sync();
+        expect(getEvents(db, { event: "TokensMinted" })).to.have.lengthOf(2);
+    });
+
+    it("Should resume from the checkpoint without duplicates", async function () {
+        await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+        await indexer().sync();
+        const checkpoint = indexer().checkpoint();
+        db.close();
+
+        await usdtq.connect(minter).mint(user1.address, 2_000_000n);
+
+        db = openEventStore(dbFile);
+        const resumed = await indexer().sync();
+
+        expect(resumed.fromBlock).to.equal(checkpoint.number + 1);
+        expect(resumed.events).to.equal(2); // Transfer + TokensMinted
+        expect(
+            getEvents(db, { event: "TokensMinted" }).map((e) => e.args.amount)
+        ).to.deep.equal(["10000000000000", "1000000", "2000000"]);
+    });
+
+    it("Should roll back events from reorged blocks", async function () {
+        const snapshot = await network.provider.send("evm_snapshot");
+        await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+        await usdtq.connect(minter).mint(user1.address, 2_000_000n);
+        await indexer().sync();
+
+        // Replace the two blocks with a different history
+        await network.provider.send("evm_revert", [snapshot]);
+        await network.provider.send("hardhat_mine", ["0x1"]);
+        await usdtq.connect(minter).mint(user1.address, 3_000_000n);
+
+        const result = await indexer().sync();
+
+        expect(result.reorg.rollbackTo).to.equal(deployBlock);
+        expect(result.reorg.removed).to.equal(4);
+        expect(
+            getEvents(db, { event: "TokensMinted" }).map((e) => e.args.amount)
+        ).to.deep.equal(["10000000000000", "3000000"]);
+    });
+
+    it("Should refuse a database built for another contract", async function () {
+        await indexer().sync();
+
+        let error;
+        try {
+            await indexer({ address: user1.address }).sync();
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.contain(
+            "Event database was built for contract"
+        );
+    });
+
+    it("Should keep running after a failed sync", async function () {
+        await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+
+        const logs = [];
+        const instance = indexer({ log: (line) => logs.push(line) });
+        const sync = instance.sync.bind(instance);
+        let calls = 0;
+        instance.sync = async () => {
+            calls += 1;
+            if (calls === 1) {
+                throw new Error("header not found");
+            }
+            const result = await sync();
+            instance.stop();
+            return result;
+        };
+        await instance.run({ pollIntervalMs: 0 });
+
+        expect(calls).to.equal(2);
+        expect(logs).to.include("Sync failed: header not found");
+        expect(getEvents(db, { event: "TokensMinted" })).to.have.lengthOf(2);
+    });
+
+    it("Should index through the task", async function () {
+        await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+        db.close();
+
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            await hre.run("index-events", {
+                contract: await usdtq.getAddress(),
+                db: dbFile,
+                fromBlock: deployBlock,
+            });
+        } finally {
+            console.log = originalLog;
+        }
+
+        db = openEventStore(dbFile);
+        expect(getEvents(db, { event: "TokensMinted" })).to.have.lengthOf(2);
+    });
+});
@@ -0,0 +1,383 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { IssuanceQueue, openIssuanceStore } = require("../utils/issuance");
+
+describe("Issuance queue", function () {
+    let usdtq;
+    let gnosisSafe, minter, blacklister, user1, user2;
+    let dataDir, dbFile, db, queue;
+
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    async function run(name, args) {
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            return await hre.run(name, {
+                contract: await usdtq.getAddress(),
+                db: dbFile,
+                ...args,
+            });
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    async function expectRejection(promise, message) {
+        let error;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.contain(message);
+    }
+
+    function request(kind, account, amount, requestedBy = "alice") {
+        return queue.submit({
+            kind,
+            account,
+            amount,
+            reference: `REF-${amount}`,
+            requestedBy,
+        });
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, blacklister, , , user1, user2] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [],
+            []
+        );
+        await usdtq.waitForDeployment();
+
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-issuance-"));
+        dbFile = path.join(dataDir, "issuance.sqlite");
+        db = openIssuanceStore(dbFile);
+        queue = new IssuanceQueue({ db, usdtq });
+    });
+
+    afterEach(function () {
+        db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe("Checks", function () {
+        it("Should queue a valid mint request as pending", async function () {
+            const stored = await request("mint", user1.address, "250,000");
+
+            expect(stored.status).to.equal("pending");
+            expect(stored.amount).to.equal(usdtqAmount("250000"));
+            expect(queue.history(stored.id)).to.have.lengthOf(1);
+        });
+
+        it("Should reject requests for blacklisted accounts", async function () {
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "Sanctioned");
+
+            const stored = await request("mint", user1.address, "100");
+            expect(stored.status).to.equal("rejected");
+            expect(stored.reason).to.contain("is blacklisted");
+        });
+
+        it("Should reject mints above the per-transaction cap", async function () {
+            const stored = await request("mint", user1.address, "10000001");
+            expect(stored.reason).to.contain(
+                "exceeds the per-transaction cap of 10000000.0"
+            );
+        });
+
+        it("Should count approved mints against the remaining supply", async function () {
+            // 10M minted at deployment, so 5M remains
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(usdtqAmount("15000000"));
+            await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+            await usdtq.connect(gnosisSafe).executeCapChange(1); // MaxTotalSupply
+
+            const first = await request("mint", user1.address, "3000000");
+            await queue.approve(first.id, "bob");
+
+            const second = await request("mint", user2.address, "3000000");
+            expect(second.status).to.equal("rejected");
+            expect(second.reason).to.contain("3000000.0 already approved");
+        });
+
+        it("Should reject redeems above the holder's balance", async function () {
+            const stored = await request("redeem", user1.address, "1");
+            expect(stored.reason).to.contain("exceeds the balance of 0.0");
+        });
+
+        it("Should require a reference", async function () {
+            await expectRejection(
+                queue.submit({
+                    kind: "mint",
+                    account: user1.address,
+                    amount: "1",
+                    requestedBy: "alice",
+                }),
+                "A reference is required"
+            );
+        });
+    });
+
+    describe("Approval", function () {
+        it("Should not let the requester approve their own request", async function () {
+            const stored = await request("mint", user1.address, "100");
+            await expectRejection(
+                queue.approve(stored.id, "alice"),
+                "a different operator must approve it"
+            );
+        });
+
+        it("Should re-check the request on approval", async function () {
+            const stored = await request("mint", user1.address, "100");
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "Sanctioned");
+
+            await expectRejection(
+                queue.approve(stored.id, "bob"),
+                "no longer passes its checks"
+            );
+            expect(queue.get(stored.id).status).to.equal("pending");
+        });
+
+        it("Should record rejections with the reason", async function () {
+            const stored = await request("mint", user1.address, "100");
+            const rejected = queue.reject(stored.id, "bob", "KYC incomplete");
+
+            expect(rejected.status).to.equal("rejected");
+            expect(rejected.reason).to.equal("KYC incomplete");
+            await expectRejection(
+                queue.approve(stored.id, "bob"),
+                "is rejected; expected pending"
+            );
+        });
+    });
+
+    describe("Execution", function () {
+        it("Should mint and link the TokensMinted event", async function () {
+            const stored = await request("mint", user1.address, "100");
+            await queue.approve(stored.id, "bob");
+
+            const [done] = await queue.execute([stored.id], minter, "bob");
+
+            expect(done.status).to.equal("completed");
+            expect(await usdtq.balanceOf(user1.address)).to.equal(
+                usdtqAmount("100")
+            );
+
+            const receipt = await ethers.provider.getTransactionReceipt(
+                done.transactionHash
+            );
+            const log = receipt.logs.find(
+                (entry) => entry.index === done.logIndex
+            );
+            const event = usdtq.interface.parseLog(log);
+            expect(event.name).to.equal("TokensMinted");
+            expect(event.args.to).to.equal(user1.address);
+            expect(done.blockNumber).to.equal(receipt.blockNumber);
+            expect(
+                queue.history(stored.id).map(({ status }) => status)
+            ).to.deep.equal(["pending", "approved", "submitted", "completed"]);
+        });
+
+        it("Should burn redeemed tokens with the holder's allowance", async function () {
+            await usdtq.connect(minter).mint(user1.address, usdtqAmount("500"));
+            const stored = await request("redeem", user1.address, "200");
+            await queue.approve(stored.id, "bob");
+
+            // Without an allowance to the minter the preflight fails
+            const [failed] = await queue.execute([stored.id], minter, "bob");
+            expect(failed.status).to.equal("failed");
+            expect(failed.reason).to.contain("has approved 0.0 USDTq");
+
+            const retry = await request("redeem", user1.address, "200");
+            await queue.approve(retry.id, "bob");
+            await usdtq
+                .connect(user1)
+                .approve(minter.address, usdtqAmount("200"));
+
+            const [done] = await queue.execute([retry.id], minter, "bob");
+            expect(done.status).to.equal("completed");
+            expect(await usdtq.balanceOf(user1.address)).to.equal(
+                usdtqAmount("300")
+            );
+        });
+
+        it("Should mark reverting requests failed with the custom error", async function () {
+            const stored = await request("mint", user1.address, "100");
+            await queue.approve(stored.id, "bob");
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "Sanctioned");
+
+            const [failed] = await queue.execute([stored.id], minter, "bob");
+            expect(failed.status).to.equal("failed");
+            expect(failed.reason).to.equal(
+                `Account ${user1.address} is blacklisted`
+            );
+        });
+
+        it("Should keep sending after a request reverts", async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterAllowance(minter.address, usdtqAmount("150"));
+            const ids = [];
+            for (const amount of ["100", "100", "40"]) {
+                const stored = await request("mint", user1.address, amount);
+                await queue.approve(stored.id, "bob");
+                ids.push(stored.id);
+            }
+
+            // Each call passes the preflight alone; the second exceeds the
+            // allowance the first one left
+            const results = await queue.execute(ids, minter, "bob");
+            expect(results.map(({ status }) => status)).to.deep.equal([
+                "completed",
+                "failed",
+                "completed",
+            ]);
+            expect(results[1].reason).to.equal(
+                `Mint of 100.0 USDTq exceeds the remaining allowance of ${minter.address}: 50.0 USDTq`
+            );
+            expect(await usdtq.balanceOf(user1.address)).to.equal(
+                usdtqAmount("140")
+            );
+        });
+
+        it("Should fail stale submitted requests and free their headroom", async function () {
+            // 10M minted at deployment, so 5M remains
+            await usdtq
+                .connect(gnosisSafe)
+                .proposeMaxTotalSupply(usdtqAmount("15000000"));
+            await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+            await usdtq.connect(gnosisSafe).executeCapChange(1); // MaxTotalSupply
+
+            const stale = await request("mint", user1.address, "5000000");
+            await queue.approve(stale.id, "bob");
+            queue.markSafeSubmitted(
+                [stale.id],
+                { safeTxHash: ethers.ZeroHash, file: "batch.json" },
+                "bob"
+            );
+            const blocked = await request("mint", user2.address, "1");
+            expect(blocked.status).to.equal("rejected");
+
+            const failed = await queue.fail(
+                stale.id,
+                "bob",
+                "Safe tx rejected"
+            );
+            expect(failed).to.include({
+                status: "failed",
+                reason: "Safe tx rejected",
+            });
+            const retry = await request("mint", user2.address, "1");
+            expect(retry.status).to.equal("pending");
+            await expectRejection(
+                queue.fail(stale.id, "bob", "again"),
+                `Request ${stale.id} is failed; expected submitted`
+            );
+        });
+
+        it("Should refuse to fail a request whose transaction succeeded", async function () {
+            const stored = await request("mint", user1.address, "100");
+            await queue.approve(stored.id, "bob");
+            queue.markSafeSubmitted(
+                [stored.id],
+                { safeTxHash: ethers.ZeroHash, file: "batch.json" },
+                "bob"
+            );
+            const tx = await usdtq
+                .connect(minter)
+                .mint(user1.address, usdtqAmount("100"));
+            // As left by execute() when the receipt could not be fetched
+            db.prepare(
+                "UPDATE issuance_requests SET transaction_hash = ? WHERE id = ?"
+            ).run(tx.hash, stored.id);
+
+            await expectRejection(
+                queue.fail(stored.id, "bob", "Dropped"),
+                `Transaction ${tx.hash} of request ${stored.id} succeeded; run issuance:link instead`
+            );
+            queue.link(await tx.wait(), "bob");
+            expect(queue.get(stored.id).status).to.equal("completed");
+        });
+    });
+
+    describe("Tasks", function () {
+        it("Should run the request, approve and execute workflow", async function () {
+            const { id } = await run("issuance:request", {
+                kind: "mint",
+                account: user1.address,
+                amount: "1,000",
+                reference: "WIRE-1",
+                operator: "alice",
+            });
+            await run("issuance:approve", { id, operator: "bob" });
+
+            const [done] = await run("issuance:execute", {
+                operator: "bob",
+                signer: minter.address,
+            });
+            expect(done.status).to.equal("completed");
+
+            const listed = await run("issuance:list", { status: "completed" });
+            expect(listed.map((entry) => entry.id)).to.deep.equal([id]);
+        });
+
+        it("Should prepare a Safe batch and link the executed calls", async function () {
+            await usdtq.connect(minter).mint(user2.address, usdtqAmount("50"));
+            await usdtq
+                .connect(user2)
+                .approve(minter.address, usdtqAmount("50"));
+
+            const mint = await request("mint", user1.address, "75");
+            const redeem = await request("redeem", user2.address, "50");
+            await queue.approve(mint.id, "bob");
+            await queue.approve(redeem.id, "bob");
+
+            // The minter stands in for a Safe holding MINTER_ROLE
+            const out = path.join(dataDir, "batch.json");
+            const submitted = await run("issuance:execute", {
+                operator: "bob",
+                safe: minter.address,
+                nonce: 4,
+                out,
+            });
+            expect(submitted.map(({ status }) => status)).to.deep.equal([
+                "submitted",
+                "submitted",
+            ]);
+
+            const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+            expect(batch.transactions).to.have.lengthOf(2);
+            for (const transaction of batch.transactions) {
+                const tx = await minter.sendTransaction({
+                    to: transaction.to,
+                    data: transaction.data,
+                });
+                await run("issuance:link", { tx: tx.hash, operator: "bob" });
+            }
+
+            expect(queue.get(mint.id).status).to.equal("completed");
+            expect(queue.get(redeem.id).status).to.equal("completed");
+            expect(queue.get(redeem.id).safeTxHash).to.equal(
+                submitted[1].safeTxHash
+            );
+        });
+    });
+});
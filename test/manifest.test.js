@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, deployments } = hre;
+const {
+    loadManifest,
+    validateManifest,
+    toConstructorArgs,
+} = require("../utils/manifest");
+const deployUSDTq = require("../deploy/001_deploy_usdtq");
+
+describe("Deployment manifest", function () {
+    let deployer, gnosisSafe, minter, blacklister, pauser, reserveManager;
+    let manifest;
+    let manifestDir;
+
+    beforeEach(async function () {
+        [deployer, gnosisSafe, minter, blacklister, pauser, reserveManager] =
+            await ethers.getSigners();
+
+        manifest = {
+            network: "hardhat",
+            chainId: 31337,
+            production: true,
+            gnosisSafe: gnosisSafe.address,
+            roles: {
+                minters: [minter.address],
+                blacklisters: [blacklister.address],
+                pausers: [pauser.address],
+                reserveManagers: [reserveManager.address],
+            },
+        };
+
+        manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-manifest-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+        delete process.env.DEPLOY_MANIFEST;
+    });
+
+    describe("Validation", function () {
+        it("Should accept a valid manifest", async function () {
+            expect(
+                validateManifest(manifest, {
+                    chainId: 31337n,
+                    deployer: deployer.address,
+                })
+            ).to.be.empty;
+        });
+
+        it("Should reject unknown and missing keys", async function () {
+            delete manifest.roles.pausers;
+            manifest.owner = gnosisSafe.address;
+
+            const errors = validateManifest(manifest);
+            expect(errors.join("\n")).to.contain("pausers");
+            expect(errors.join("\n")).to.contain("additional properties");
+        });
+
+        it("Should reject malformed addresses", async function () {
+            manifest.roles.minters = ["0x1234"];
+            expect(validateManifest(manifest).join("\n")).to.contain(
+                "/roles/minters/0"
+            );
+        });
+
+        it("Should reject addresses without a checksum", async function () {
+            manifest.gnosisSafe = gnosisSafe.address.toLowerCase();
+            expect(validateManifest(manifest)).to.deep.equal([
+                `gnosisSafe is not checksummed (expected ${gnosisSafe.address})`,
+            ]);
+        });
+
+        it("Should reject addresses with a wrong checksum", async function () {
+            // Flip the case of the first letter in the address
+            const index = minter.address.slice(2).search(/[a-fA-F]/) + 2;
+            const char = minter.address[index];
+            const flipped =
+                minter.address.slice(0, index) +
+                (char === char.toUpperCase()
+                    ? char.toLowerCase()
+                    : char.toUpperCase()) +
+                minter.address.slice(index + 1);
+            manifest.roles.minters = [flipped];
+
+            expect(validateManifest(manifest)).to.deep.equal([
+                `roles.minters[0] has an invalid checksum (${flipped})`,
+            ]);
+        });
+
+        it("Should reject the zero address", async function () {
+            manifest.roles.pausers = [ethers.ZeroAddress];
+            expect(validateManifest(manifest)).to.deep.equal([
+                "roles.pausers[0] is the zero address",
+            ]);
+        });
+
+        it("Should reject signers shared across roles", async function () {
+            manifest.roles.pausers = [minter.address];
+            expect(validateManifest(manifest)).to.deep.equal([
+                `roles.pausers[0] duplicates roles.minters[0] (${minter.address}); each signer must hold a single role`,
+            ]);
+        });
+
+        it("Should reject the Safe as a role signer", async function () {
+            manifest.roles.reserveManagers.push(gnosisSafe.address);
+            expect(validateManifest(manifest).join("\n")).to.contain(
+                "duplicates gnosisSafe"
+            );
+        });
+
+        it("Should enforce the 10-signer constructor limit", async function () {
+            const signers = await ethers.getSigners();
+            manifest.roles.minters = signers
+                .slice(6, 17)
+                .map((signer) => signer.address);
+
+            expect(validateManifest(manifest).join("\n")).to.contain(
+                "/roles/minters must NOT have more than 10 items"
+            );
+        });
+
+        it("Should accept expected parameters as whole USDTq", async function () {
+            manifest.parameters = { maxTotalSupply: "1,000,000,000" };
+            expect(validateManifest(manifest)).to.be.empty;
+
+            manifest.parameters = { totalReserves: "1e6" };
+            expect(validateManifest(manifest).join("\n")).to.contain(
+                "/parameters/totalReserves must match pattern"
+            );
+        });
+
+        it("Should reject a chainId mismatch", async function () {
+            expect(validateManifest(manifest, { chainId: 56 })).to.deep.equal([
+                "chainId 31337 does not match network chainId 56",
+            ]);
+        });
+
+        it("Should reject the deployer holding a production role", async function () {
+            manifest.roles.minters = [deployer.address];
+            expect(
+                validateManifest(manifest, { deployer: deployer.address })
+            ).to.deep.equal([
+                `roles.minters[0] is the deployer (${deployer.address}); the deployer key must not hold a production role`,
+            ]);
+        });
+
+        it("Should allow the deployer outside production", async function () {
+            manifest.production = false;
+            manifest.roles.minters = [deployer.address];
+            expect(validateManifest(manifest, { deployer: deployer.address }))
+                .to.be.empty;
+        });
+
+        it("Should require every role for production", async function () {
+            manifest.roles.blacklisters = [];
+            expect(validateManifest(manifest)).to.deep.equal([
+                "roles.blacklisters must not be empty for production deployment",
+            ]);
+        });
+        it("Should validate the redemption queue section", async function () {
+            const [, , , , , , operator] = await ethers.getSigners();
+            manifest.redemptionQueue = { operators: [operator.address] };
+            expect(validateManifest(manifest)).to.be.empty;
+
+            manifest.redemptionQueue.operators.push(minter.address);
+            manifest.redemptionQueue.address = ethers.ZeroAddress;
+            expect(validateManifest(manifest)).to.deep.equal([
+                "redemptionQueue.address is the zero address",
+                `redemptionQueue.operators[1] duplicates roles.minters[0] (${minter.address}); each signer must hold a single role`,
+            ]);
+
+            manifest.redemptionQueue = { operators: [] };
+            expect(validateManifest(manifest)).to.deep.equal([
+                "redemptionQueue.operators must not be empty for production deployment",
+            ]);
+        });
+    });
+
+    describe("Loading", function () {
+        it("Should load YAML manifests by network name", async function () {
+            fs.writeFileSync(
+                path.join(manifestDir, "bsc_testnet.yaml"),
+                [
+                    "chainId: 97",
+                    `gnosisSafe: "${gnosisSafe.address}"`,
+                    "roles:",
+                    `  minters: ["${minter.address}"]`,
+                    "  blacklisters: []",
+                    "  pausers: []",
+                    "  reserveManagers: []",
+                ].join("\n")
+            );
+
+            const loaded = loadManifest("bsc_testnet", { dir: manifestDir });
+            expect(loaded.manifest.chainId).to.equal(97);
+            expect(toConstructorArgs(loaded.manifest)).to.deep.equal([
+                gnosisSafe.address,
+                [minter.address],
+                [],
+                [],
+                [],
+            ]);
+        });
+
+        it("Should return null when no manifest exists", async function () {
+            expect(loadManifest("bsc_testnet", { dir: manifestDir })).to.be
+                .null;
+        });
+    });
+
+    describe("Deploy script", function () {
+        it("Should deploy with the roles from the manifest", async function () {
+            const file = path.join(manifestDir, "hardhat.json");
+            fs.writeFileSync(file, JSON.stringify(manifest));
+            process.env.DEPLOY_MANIFEST = file;
+
+            await deployments.fixture(["USDTq"]);
+            const usdtq = await ethers.getContractAt(
+                "USDTq",
+                (await deployments.get("USDTq")).address
+            );
+
+            expect(await usdtq.balanceOf(gnosisSafe.address)).to.equal(
+                ethers.parseUnits("10000000", 6)
+            );
+            expect(
+                await usdtq.hasRole(await usdtq.MINTER_ROLE(), minter.address)
+            ).to.be.true;
+        });
+
+        it("Should refuse to deploy an invalid manifest", async function () {
+            manifest.roles.pausers = [minter.address];
+            const file = path.join(manifestDir, "hardhat.json");
+            fs.writeFileSync(file, JSON.stringify(manifest));
+            process.env.DEPLOY_MANIFEST = file;
+
+            let error;
+            try {
+                await deployUSDTq(hre);
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.contain("Invalid deployment manifest");
+        });
+    });
+});
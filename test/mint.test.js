@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+describe("Split mint task", function () {
+    let usdtq;
+    let gnosisSafe, minter, user1;
+    let outDir;
+
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    async function run(args) {
+        const originalLog = console.log;
+        const originalWarn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return await hre.run("mint:split", {
+                contract: await usdtq.getAddress(),
+                to: user1.address,
+                ...args,
+            });
+        } finally {
+            console.log = originalLog;
+            console.warn = originalWarn;
+        }
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, , , , user1] = await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [],
+            [],
+            []
+        );
+        await usdtq.waitForDeployment();
+        await usdtq
+            .connect(gnosisSafe)
+            .setMinterAllowance(minter.address, usdtqAmount("100000000"));
+
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-mint-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("Should plan without sending on a dry run", async function () {
+        const result = await run({ amount: "25,000,000", dryRun: true });
+
+        expect(result.plan).to.deep.equal([
+            usdtqAmount("10000000"),
+            usdtqAmount("10000000"),
+            usdtqAmount("5000000"),
+        ]);
+        expect(await usdtq.balanceOf(user1.address)).to.equal(0n);
+    });
+
+    it("Should send the mints in sequence", async function () {
+        const result = await run({
+            amount: "25,000,000",
+            signer: minter.address,
+        });
+
+        expect(result.chunks).to.have.lengthOf(3);
+        expect(await usdtq.balanceOf(user1.address)).to.equal(
+            usdtqAmount("25000000")
+        );
+    });
+
+    it("Should respect the maxTotalSupply headroom", async function () {
+        // 10M minted at deployment, so 15M remains
+        await usdtq
+            .connect(gnosisSafe)
+            .proposeMaxTotalSupply(usdtqAmount("25000000"));
+        await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+        await usdtq.connect(gnosisSafe).executeCapChange(1); // MaxTotalSupply
+
+        let error;
+        try {
+            await run({ amount: "20,000,000", signer: minter.address });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.contain(
+            "exceeds the remaining supply of 15000000.0 USDTq"
+        );
+        expect(await usdtq.balanceOf(user1.address)).to.equal(0n);
+    });
+
+    it("Should prepare the mints as one Safe multisend", async function () {
+        const out = path.join(outDir, "mint.json");
+        const result = await run({
+            amount: "25,000,000",
+            safe: gnosisSafe.address,
+            nonce: 2,
+            out,
+        });
+
+        const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+        expect(batch.transactions).to.have.lengthOf(3);
+        expect(
+            usdtq.interface.decodeFunctionData(
+                "mint",
+                batch.transactions[2].data
+            )
+        ).to.deep.equal([user1.address, usdtqAmount("5000000")]);
+        expect(result.batch.safeTx.operation).to.equal(1);
+    });
+});
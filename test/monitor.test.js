@@ -0,0 +1,315 @@
+const { expect } = require("chai");
+const http = require("http");
+const { SMTPServer } = require("smtp-server");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { emailSink, stdoutSink, webhookSink } = require("../utils/alerts");
+const { ReserveMonitor } = require("../utils/monitor");
+
+describe("Reserve monitor", function () {
+    let usdtq;
+    let gnosisSafe, minter, reserveManager, user1;
+    let lines, stream;
+
+    const DAY = 24 * 60 * 60;
+
+    function monitor(options = {}) {
+        return new ReserveMonitor({
+            usdtq,
+            sinks: [stdoutSink({ stream })],
+            network: "hardhat",
+            log: () => {},
+            ...options,
+        });
+    }
+
+    async function timeTravel(seconds) {
+        await network.provider.send("evm_increaseTime", [seconds]);
+        await network.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, , , reserveManager, user1] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [],
+            [],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+
+        lines = [];
+        stream = { write: (line) => lines.push(JSON.parse(line)) };
+    });
+
+    describe("Checks", function () {
+        it("Should stay quiet while reserves are fresh and covered", async function () {
+            expect(await monitor().check()).to.be.empty;
+            expect(lines).to.be.empty;
+        });
+
+        it("Should alert once when attestations go stale and resolve on update", async function () {
+            const watcher = monitor({ staleAfterSeconds: DAY });
+
+            await timeTravel(DAY - 60);
+            expect(await watcher.check()).to.be.empty;
+
+            await timeTravel(120);
+            const [alert] = await watcher.check();
+            expect(alert.type).to.equal("reserves.stale");
+            expect(alert.severity).to.equal("warning");
+            expect(alert.details.ageSeconds).to.be.greaterThan(DAY);
+            expect(alert.contract).to.equal(await usdtq.getAddress());
+
+            await timeTravel(DAY);
+            expect(await watcher.check()).to.be.empty;
+
+            await usdtq
+                .connect(reserveManager)
+                .updateReserves(10_000_000_000_000n);
+            const [resolved] = await watcher.check();
+            expect(resolved.type).to.equal("reserves.stale.resolved");
+            expect(lines.map((line) => line.type)).to.deep.equal([
+                "reserves.stale",
+                "reserves.stale.resolved",
+            ]);
+        });
+
+        it("Should alert when the ratio drops below the threshold", async function () {
+            const watcher = monitor({ minRatioBps: 9900 });
+
+            await usdtq
+                .connect(reserveManager)
+                .updateReserves(9_950_000_000_000n);
+            expect(await watcher.check()).to.be.empty;
+
+            await usdtq
+                .connect(reserveManager)
+                .updateReserves(9_800_000_000_000n);
+            const [alert] = await watcher.check();
+            expect(alert.type).to.equal("reserves.ratio_low");
+            expect(alert.severity).to.equal("critical");
+            expect(alert.message).to.equal(
+                "Collateralization ratio 98.00% is below 99.00%"
+            );
+        });
+
+        it("Should alert when a mint pushes supply above reserves", async function () {
+            const watcher = monitor({ minRatioBps: 0 });
+            await watcher.check();
+
+            await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+            const tx = await usdtq
+                .connect(minter)
+                .mint(user1.address, 2_000_000n);
+
+            const alerts = await watcher.check();
+            expect(alerts).to.have.lengthOf(2);
+            expect(alerts[1].type).to.equal("supply.above_reserves");
+            expect(alerts[1].details.transactionHash).to.equal(tx.hash);
+            expect(alerts[1].details.reserveDeficit).to.equal("3000000");
+
+            // Already reported mints are not reported again
+            expect(await watcher.check()).to.be.empty;
+        });
+
+        it("Should rescan the mint range after a failed check", async function () {
+            const watcher = monitor({ minRatioBps: 0, blockRange: 1 });
+            await watcher.check();
+
+            const queryFilter = usdtq.queryFilter.bind(usdtq);
+            const ranges = [];
+            usdtq.queryFilter = (filter, fromBlock, toBlock) => {
+                ranges.push([fromBlock, toBlock]);
+                return queryFilter(filter, fromBlock, toBlock);
+            };
+            const provider = watcher.provider;
+            let failures = 1;
+            watcher.provider = {
+                getNetwork: () => provider.getNetwork(),
+                getBlock: async (tag) => {
+                    if (tag !== "latest" && failures-- > 0) {
+                        throw new Error("missing trie node");
+                    }
+                    return provider.getBlock(tag);
+                },
+            };
+
+            await usdtq.connect(minter).mint(user1.address, 1_000_000n);
+            await usdtq.connect(minter).mint(user1.address, 2_000_000n);
+
+            let error;
+            try {
+                await watcher.check();
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.equal("missing trie node");
+            expect(lines).to.be.empty;
+
+            const alerts = await watcher.check();
+            expect(alerts.map(({ type }) => type)).to.deep.equal([
+                "supply.above_reserves",
+                "supply.above_reserves",
+            ]);
+            // One block per query, and the failed range was queried again
+            expect(ranges.every(([from, to]) => from === to)).to.be.true;
+            expect(ranges.slice(2)).to.deep.equal(ranges.slice(0, 2));
+        });
+    });
+
+    describe("Sinks", function () {
+        let webhookServer, webhookUrl, posts, webhookStatus;
+        let smtpServer, smtpPort, emails;
+
+        before(async function () {
+            webhookServer = http.createServer((req, res) => {
+                let body = "";
+                req.on("data", (chunk) => (body += chunk));
+                req.on("end", () => {
+                    posts.push(JSON.parse(body));
+                    res.statusCode = webhookStatus;
+                    res.end();
+                });
+            });
+            await new Promise((resolve) =>
+                webhookServer.listen(0, "127.0.0.1", resolve)
+            );
+            webhookUrl = `http://127.0.0.1:${webhookServer.address().port}/alerts`;
+
+            smtpServer = new SMTPServer({
+                authOptional: true,
+                disabledCommands: ["STARTTLS"],
+                logger: false,
+                onData(stream, session, callback) {
+                    let data = "";
+                    stream.on("data", (chunk) => (data += chunk));
+                    stream.on("end", () => {
+                        emails.push({
+                            to: session.envelope.rcptTo.map((r) => r.address),
+                            data,
+                        });
+                        callback();
+                    });
+                },
+            });
+            await new Promise((resolve) =>
+                smtpServer.listen(0, "127.0.0.1", resolve)
+            );
+            smtpPort = smtpServer.server.address().port;
+        });
+
+        after(async function () {
+            await new Promise((resolve) => webhookServer.close(resolve));
+            await new Promise((resolve) => smtpServer.close(resolve));
+        });
+
+        beforeEach(function () {
+            posts = [];
+            emails = [];
+            webhookStatus = 200;
+        });
+
+        it("Should deliver alerts to webhook and email", async function () {
+            const email = emailSink({
+                port: smtpPort,
+                from: "monitor@localhost",
+                to: ["ops@localhost"],
+            });
+            const watcher = monitor({
+                staleAfterSeconds: 60,
+                sinks: [
+                    stdoutSink({ stream }),
+                    webhookSink({ url: webhookUrl }),
+                    email,
+                ],
+            });
+
+            await timeTravel(120);
+            await watcher.check();
+            email.close();
+
+            expect(lines).to.have.lengthOf(1);
+            expect(posts).to.deep.equal(lines);
+            expect(emails).to.have.lengthOf(1);
+            expect(emails[0].to).to.deep.equal(["ops@localhost"]);
+            expect(emails[0].data).to.contain(
+                "Subject: [USDTq warning] Reserves not attested"
+            );
+        });
+
+        it("Should keep delivering when one sink fails", async function () {
+            webhookStatus = 500;
+            const failures = [];
+            const watcher = monitor({
+                staleAfterSeconds: 60,
+                sinks: [
+                    webhookSink({ url: webhookUrl }),
+                    stdoutSink({ stream }),
+                ],
+                log: (message) => failures.push(message),
+            });
+
+            await timeTravel(120);
+            await watcher.check();
+
+            expect(lines).to.have.lengthOf(1);
+            expect(failures).to.deep.equal([
+                `Alert sink webhook failed: Webhook ${webhookUrl} responded 500`,
+            ]);
+        });
+        it("Should raise a condition again until a sink delivers it", async function () {
+            webhookStatus = 500;
+            const failures = [];
+            const watcher = monitor({
+                staleAfterSeconds: 60,
+                sinks: [webhookSink({ url: webhookUrl })],
+                log: (message) => failures.push(message),
+            });
+
+            await timeTravel(120);
+            await watcher.check();
+            const retried = await watcher.check();
+            expect(retried.map((alert) => alert.type)).to.deep.equal([
+                "reserves.stale",
+            ]);
+            expect(failures).to.have.lengthOf(2);
+
+            posts = [];
+            webhookStatus = 200;
+            await watcher.check();
+            expect(await watcher.check()).to.be.empty;
+            expect(posts.map((alert) => alert.type)).to.deep.equal([
+                "reserves.stale",
+            ]);
+        });
+    });
+
+    describe("Task", function () {
+        it("Should run a single check with --once", async function () {
+            await timeTravel(2 * DAY);
+
+            const originalWrite = process.stdout.write;
+            const output = [];
+            process.stdout.write = (line) => output.push(line);
+            let alerts;
+            try {
+                alerts = await hre.run("monitor:reserves", {
+                    contract: await usdtq.getAddress(),
+                    once: true,
+                });
+            } finally {
+                process.stdout.write = originalWrite;
+            }
+
+            expect(alerts.map((alert) => alert.type)).to.deep.equal([
+                "reserves.stale",
+            ]);
+            expect(JSON.parse(output[0]).type).to.equal("reserves.stale");
+        });
+    });
+});
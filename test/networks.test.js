@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, deployments, network } = hre;
+const {
+    etherscanConfig,
+    explorerFor,
+    hardhatNetworks,
+    loadNetworks,
+    validateNetworks,
+} = require("../utils/networks");
+const { DETERMINISTIC_DEPLOYER } = require("../utils/create2");
+const deployUSDTq = require("../deploy/001_deploy_usdtq");
+
+describe("Deployment networks", function () {
+    let table;
+
+    beforeEach(function () {
+        table = {
+            legacy_chain: {
+                chainId: 56,
+                production: true,
+                rpc: { url: "https://rpc.legacy.example", env: "LEGACY_RPC" },
+                gas: { type: "legacy", gasPriceGwei: 3 },
+                confirmations: 5,
+                explorer: {
+                    name: "LegacyScan",
+                    apiUrl: "https://api.legacy.example/api",
+                    browserUrl: "https://legacy.example",
+                    apiKeyEnv: "LEGACY_KEY",
+                },
+            },
+            eip1559_chain: {
+                chainId: 8453,
+                rpc: { url: "https://rpc.eip1559.example" },
+                accountEnv: "EIP1559_PRIVATE_KEY",
+                gas: { type: "eip1559", maxPriorityFeePerGasGwei: 0.5 },
+            },
+        };
+    });
+
+    describe("Table", function () {
+        it("Should load the repository table", function () {
+            const networks = loadNetworks();
+            expect(networks.bsc_mainnet).to.include({
+                chainId: 56,
+                production: true,
+            });
+            expect(networks.bsc_testnet.production).to.be.undefined;
+        });
+
+        it("Should reject malformed entries", function () {
+            table.legacy_chain.gas = { type: "legacy" };
+            table.eip1559_chain.chainId = 56;
+            expect(validateNetworks(table)).to.deep.equal([
+                "legacy_chain.gas.gasPriceGwei is required for legacy gas",
+                "eip1559_chain.chainId 56 duplicates legacy_chain",
+            ]);
+
+            table.hardhat = table.eip1559_chain;
+            table.legacy_chain.gas.type = "dynamic";
+            expect(validateNetworks(table).join("\n")).to.contain(
+                "/legacy_chain/gas/type must be equal to one of the allowed values"
+            );
+        });
+
+        it("Should refuse to load an invalid table", function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-nets-"));
+            const file = path.join(dir, "networks.yaml");
+            fs.writeFileSync(file, "mainnet:\n  chainId: 1\n");
+            try {
+                expect(() => loadNetworks(file)).to.throw(
+                    "must have required property 'rpc'"
+                );
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("Hardhat config", function () {
+        it("Should build legacy and EIP-1559 networks from the environment", function () {
+            const networks = hardhatNetworks(table, {
+                LEGACY_RPC: "https://private.legacy.example",
+                PRIVATE_KEY: "ab".repeat(32),
+                EIP1559_PRIVATE_KEY: `0x${"cd".repeat(32)}`,
+            });
+
+            expect(networks.legacy_chain).to.deep.equal({
+                url: "https://private.legacy.example",
+                chainId: 56,
+                accounts: [`0x${"ab".repeat(32)}`],
+                gasPrice: 3_000_000_000,
+                production: true,
+                confirmations: 5,
+                feeCaps: {},
+            });
+            expect(networks.eip1559_chain).to.deep.equal({
+                url: "https://rpc.eip1559.example",
+                chainId: 8453,
+                accounts: [`0x${"cd".repeat(32)}`],
+                gasPrice: "auto",
+                production: false,
+                confirmations: 1,
+                feeCaps: { maxPriorityFeePerGas: "500000000" },
+            });
+        });
+
+        it("Should use per-explorer keys unless an Etherscan V2 key is set", function () {
+            const perExplorer = etherscanConfig(table, { LEGACY_KEY: "k1" });
+            expect(perExplorer).to.deep.equal({
+                apiKey: { legacy_chain: "k1" },
+                customChains: [
+                    {
+                        network: "legacy_chain",
+                        chainId: 56,
+                        urls: {
+                            apiURL: "https://api.legacy.example/api",
+                            browserURL: "https://legacy.example",
+                        },
+                    },
+                ],
+            });
+
+            const env = { LEGACY_KEY: "k1", ETHERSCAN_API_KEY: "v2" };
+            expect(etherscanConfig(table, env).apiKey).to.equal("v2");
+            expect(explorerFor(56, { table, env })).to.deep.equal({
+                name: "LegacyScan",
+                apiUrl: "https://api.etherscan.io/v2/api?chainid=56",
+                apiKey: "v2",
+            });
+            expect(
+                explorerFor(56, { table, env: { LEGACY_KEY: "k1" } })
+            ).to.deep.equal({
+                name: "LegacyScan",
+                apiUrl: "https://api.legacy.example/api",
+                apiKey: "k1",
+            });
+            expect(explorerFor(8453, { table, env })).to.be.null;
+        });
+    });
+
+    describe("Deploy scripts", function () {
+        let manifest, manifestDir, manifestFile;
+
+        beforeEach(async function () {
+            const [, gnosisSafe, minter, blacklister, pauser, reserveManager] =
+                await ethers.getSigners();
+            manifest = {
+                chainId: 31337,
+                gnosisSafe: gnosisSafe.address,
+                roles: {
+                    minters: [minter.address],
+                    blacklisters: [blacklister.address],
+                    pausers: [pauser.address],
+                    reserveManagers: [reserveManager.address],
+                },
+            };
+            manifestDir = fs.mkdtempSync(
+                path.join(os.tmpdir(), "usdtq-networks-")
+            );
+            manifestFile = path.join(manifestDir, "hardhat.json");
+            process.env.DEPLOY_MANIFEST = manifestFile;
+        });
+
+        afterEach(function () {
+            fs.rmSync(manifestDir, { recursive: true, force: true });
+            delete process.env.DEPLOY_MANIFEST;
+            delete network.config.production;
+        });
+
+        function writeManifest() {
+            fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+        }
+
+        it("Should apply production validation on networks flagged production", async function () {
+            delete manifest.chainId;
+            manifest.roles.pausers = [];
+            writeManifest();
+            network.config.production = true;
+
+            let error;
+            try {
+                await deployUSDTq(hre);
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.contain(
+                "chainId is required for production deployment"
+            );
+            expect(error?.message).to.contain(
+                "roles.pausers must not be empty for production deployment"
+            );
+        });
+
+        it("Should deploy to the predicted CREATE2 address", async function () {
+            manifest.create2Salt = ethers.id("usdtq-v1");
+            manifest.redemptionQueue = {
+                operators: [(await ethers.getSigners())[6].address],
+            };
+            writeManifest();
+
+            const originalLog = console.log;
+            console.log = () => {};
+            let predicted;
+            try {
+                predicted = await hre.run("predict-deployment", {});
+            } finally {
+                console.log = originalLog;
+            }
+            expect(predicted.deployer).to.equal(DETERMINISTIC_DEPLOYER);
+            expect(predicted.contracts.USDTq.deployed).to.be.false;
+
+            await deployments.fixture(["USDTq", "RedemptionQueue"]);
+            expect((await deployments.get("USDTq")).address).to.equal(
+                predicted.contracts.USDTq.address
+            );
+            expect(
+                (await deployments.get("USDTqRedemptionQueue")).address
+            ).to.equal(predicted.contracts.USDTqRedemptionQueue.address);
+        });
+
+        it("Should refuse to predict without a salt", async function () {
+            writeManifest();
+            let error;
+            try {
+                await hre.run("predict-deployment", {});
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.contain("has no create2Salt");
+        });
+    });
+});
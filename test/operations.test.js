@@ -0,0 +1,312 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { USDTqError } = require("../sdk/src");
+const { ROLES } = require("../utils/usdtq");
+
+describe("Operations tasks", function () {
+    let usdtq;
+    let gnosisSafe, minter, blacklister, pauser, reserveManager, user1;
+
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    async function run(name, args = {}) {
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            return await hre.run(name, {
+                contract: await usdtq.getAddress(),
+                ...args,
+            });
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    async function runError(name, args) {
+        try {
+            await run(name, args);
+        } catch (error) {
+            return error;
+        }
+        return undefined;
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, blacklister, pauser, reserveManager, user1] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [pauser.address],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+    });
+
+    it("Should report the contract status", async function () {
+        const status = await run("usdtq:status", { json: true });
+
+        expect(status.totalSupply).to.equal("10000000.0");
+        expect(status.totalReserves).to.equal("10000000.0");
+        expect(status.collateralization).to.equal("100.00%");
+        expect(status.paused).to.be.false;
+        expect(status.healthy).to.be.true;
+    });
+
+    it("Should mint human-readable amounts", async function () {
+        const result = await run("usdtq:mint", {
+            to: user1.address,
+            amount: "1,000.5",
+            signer: minter.address,
+        });
+
+        expect(result.sent).to.be.true;
+        expect(result.args).to.deep.equal([
+            user1.address,
+            usdtqAmount("1000.5"),
+        ]);
+        expect(await usdtq.balanceOf(user1.address)).to.equal(
+            usdtqAmount("1000.5")
+        );
+    });
+
+    it("Should stop on a decoded revert without sending", async function () {
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const error = await runError("usdtq:mint", {
+            to: user1.address,
+            amount: "10,000,001",
+            signer: minter.address,
+        });
+
+        expect(error?.message).to.equal(
+            "Preflight failed, nothing sent: Mint of 10000001.0 USDTq exceeds the per-transaction limit of 10000000.0 USDTq"
+        );
+        expect(error.cause).to.be.instanceOf(USDTqError);
+        expect(error.cause.errorName).to.equal("ExceedsMaxMintPerTransaction");
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should report a missing role from the preflight", async function () {
+        const error = await runError("usdtq:pause", {
+            signer: user1.address,
+        });
+
+        expect(error?.message).to.contain(
+            `Account ${user1.address} is missing PAUSER_ROLE`
+        );
+        expect(await usdtq.paused()).to.be.false;
+    });
+
+    it("Should not send on a dry run", async function () {
+        const result = await run("usdtq:blacklist", {
+            account: user1.address,
+            reason: "OFAC sanctions",
+            signer: blacklister.address,
+            dryRun: true,
+        });
+
+        expect(result.sent).to.be.false;
+        expect(await usdtq.isBlacklisted(user1.address)).to.be.false;
+    });
+
+    it("Should blacklist, unblacklist, pause and unpause", async function () {
+        await run("usdtq:blacklist", {
+            account: user1.address,
+            reason: "OFAC sanctions",
+            signer: blacklister.address,
+        });
+        expect(await usdtq.blacklistReason(user1.address)).to.equal(
+            "OFAC sanctions"
+        );
+        await run("usdtq:unblacklist", {
+            account: user1.address,
+            signer: blacklister.address,
+        });
+        expect(await usdtq.isBlacklisted(user1.address)).to.be.false;
+
+        await run("usdtq:pause", { signer: pauser.address });
+        expect(await usdtq.paused()).to.be.true;
+        await run("usdtq:unpause", { signer: pauser.address });
+        expect(await usdtq.paused()).to.be.false;
+    });
+
+    it("Should burn from an approved holder", async function () {
+        await usdtq
+            .connect(gnosisSafe)
+            .approve(minter.address, usdtqAmount("250"));
+        await run("usdtq:burn", {
+            from: gnosisSafe.address,
+            amount: "250",
+            signer: minter.address,
+        });
+
+        expect(await usdtq.totalSupply()).to.equal(usdtqAmount("9999750"));
+    });
+
+    it("Should propose cap changes and apply them after the delay", async function () {
+        const results = await run("usdtq:caps:propose", {
+            maxSupply: "2,000,000,000",
+            maxMint: "20,000,000",
+            signer: gnosisSafe.address,
+        });
+        expect(results).to.have.lengthOf(2);
+        expect(await usdtq.maxTotalSupply()).to.equal(
+            usdtqAmount("1000000000")
+        );
+
+        const pending = await run("usdtq:caps:pending", { json: true });
+        expect(pending.capChangeDelay).to.equal(2 * 86400);
+        expect(pending.pending).to.have.lengthOf(2);
+        expect(pending.pending[1]).to.include({
+            parameter: "MaxTotalSupply",
+            current: "1000000000.0 USDTq",
+            proposed: "2000000000.0 USDTq",
+            ready: false,
+        });
+        expect(
+            (await run("usdtq:status", { json: true })).pendingCapChanges
+        ).to.deep.equal(["MaxMintPerTransaction", "MaxTotalSupply"]);
+
+        const error = await runError("usdtq:caps:execute", {
+            parameter: "MaxTotalSupply",
+            signer: gnosisSafe.address,
+        });
+        expect(error?.message).to.contain(
+            "Preflight failed, nothing sent: The change of MaxTotalSupply cannot be executed before"
+        );
+
+        await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+        await ethers.provider.send("evm_mine");
+        expect(
+            (await run("usdtq:caps:pending", { json: true })).pending[0].ready
+        ).to.be.true;
+
+        await run("usdtq:caps:execute", {
+            parameter: "max-total-supply",
+            signer: gnosisSafe.address,
+        });
+        await run("usdtq:caps:cancel", {
+            parameter: "MaxMintPerTransaction",
+            signer: gnosisSafe.address,
+        });
+
+        expect(await usdtq.maxTotalSupply()).to.equal(
+            usdtqAmount("2000000000")
+        );
+        expect(await usdtq.maxMintPerTransaction()).to.equal(
+            usdtqAmount("10000000")
+        );
+        expect(
+            (await run("usdtq:caps:pending", { json: true })).pending
+        ).to.deep.equal([]);
+    });
+
+    it("Should require at least one cap", async function () {
+        const error = await runError("usdtq:caps:propose", {
+            signer: gnosisSafe.address,
+        });
+        expect(error?.message).to.contain(
+            "--max-mint, --max-supply and/or --delay"
+        );
+    });
+
+    it("Should set, add and remove reserves", async function () {
+        await run("usdtq:reserves:update", {
+            amount: "12,000,000",
+            signer: reserveManager.address,
+        });
+        await run("usdtq:reserves:add", {
+            amount: "1,000",
+            type: "USDT",
+            signer: reserveManager.address,
+        });
+        await run("usdtq:reserves:remove", {
+            amount: "500,000",
+            reason: "Redemptions",
+            signer: reserveManager.address,
+        });
+
+        expect(await usdtq.totalReserves()).to.equal(usdtqAmount("11501000"));
+    });
+
+    it("Should publish a reserve root with the total", async function () {
+        const root = ethers.id("reserve holdings");
+        const result = await run("usdtq:reserves:update", {
+            amount: "12,000,000",
+            root,
+            signer: reserveManager.address,
+        });
+
+        expect(result.method).to.equal("updateReservesWithRoot");
+        expect(await usdtq.reserveRoot()).to.equal(root);
+    });
+
+    it("Should grant, list and revoke roles", async function () {
+        const granted = await run("usdtq:roles:grant", {
+            role: "minter",
+            account: user1.address,
+            signer: gnosisSafe.address,
+        });
+        expect(granted.role).to.equal("MINTER_ROLE");
+
+        let roles = await run("usdtq:roles:list", { fromBlock: 0 });
+        expect(roles.MINTER_ROLE).to.have.members([
+            minter.address,
+            user1.address,
+        ]);
+        expect(roles.PAUSER_ROLE).to.deep.equal([pauser.address]);
+
+        await run("usdtq:roles:revoke", {
+            role: "MINTER_ROLE",
+            account: user1.address,
+            signer: gnosisSafe.address,
+        });
+        roles = await run("usdtq:roles:list", { fromBlock: 0 });
+        expect(roles.MINTER_ROLE).to.deep.equal([minter.address]);
+        expect(await usdtq.hasRole(ROLES.MINTER_ROLE, user1.address)).to.be
+            .false;
+    });
+
+    it("Should set and list minter allowances and rate limits", async function () {
+        await run("usdtq:minters:allowance", {
+            minter: minter.address,
+            amount: "2,000,000",
+            signer: gnosisSafe.address,
+        });
+        const limited = await run("usdtq:minters:rate-limit", {
+            minter: minter.address,
+            limit: "500,000",
+            window: "1d",
+            signer: gnosisSafe.address,
+        });
+        expect(limited.method).to.equal("setMinterRateLimit");
+
+        const [entry] = await run("usdtq:minters:list", {
+            fromBlock: 0,
+            json: true,
+        });
+        expect(entry).to.deep.equal({
+            minter: minter.address,
+            hasRole: true,
+            allowance: "2000000.0",
+            rateLimit: {
+                limit: "500000.0",
+                windowSeconds: 86400,
+                available: "500000.0",
+            },
+            mintable: "500000.0",
+        });
+
+        const error = await runError("usdtq:mint", {
+            to: user1.address,
+            amount: "500,001",
+            signer: minter.address,
+        });
+        expect(error?.message).to.contain("Preflight failed, nothing sent");
+        expect(error.cause.errorName).to.equal("MinterRateLimitExceeded");
+    });
+});
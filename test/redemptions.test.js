@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, deployments, network } = hre;
+const {
+    listRedemptions,
+    summarizeRedemptions,
+} = require("../utils/redemptions");
+
+describe("Redemption settlement", function () {
+    let usdtq, queue, queueAddress;
+    let gnosisSafe, operator, user1, user2;
+
+    const DAY = 24 * 60 * 60;
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    async function request(holder, amount, reference) {
+        await usdtq.connect(holder).approve(queueAddress, usdtqAmount(amount));
+        await queue
+            .connect(holder)
+            .requestRedemption(usdtqAmount(amount), reference);
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, operator, user1, user2] = await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(gnosisSafe.address, [], [], [], []);
+        await usdtq.waitForDeployment();
+
+        const Queue = await ethers.getContractFactory("USDTqRedemptionQueue");
+        queue = await Queue.deploy(
+            await usdtq.getAddress(),
+            gnosisSafe.address,
+            [operator.address]
+        );
+        await queue.waitForDeployment();
+        queueAddress = await queue.getAddress();
+
+        await usdtq
+            .connect(gnosisSafe)
+            .grantRole(await usdtq.MINTER_ROLE(), queueAddress);
+        for (const holder of [user1, user2]) {
+            await usdtq
+                .connect(gnosisSafe)
+                .transfer(holder.address, usdtqAmount("1000000"));
+        }
+    });
+
+    it("Should track pending and resolved requests against the SLA", async function () {
+        await request(user1, "1000", "PAYOUT-1");
+        await network.provider.send("evm_increaseTime", [DAY + 60]);
+        await request(user2, "2500", "PAYOUT-2");
+        await request(user1, "500", "PAYOUT-3");
+        await network.provider.send("evm_increaseTime", [3600]);
+        await queue.connect(operator).settleRedemption(3, "WIRE-3");
+
+        const all = await listRedemptions(queue);
+        expect(all.map(({ status }) => status)).to.deep.equal([
+            "Pending",
+            "Pending",
+            "Settled",
+        ]);
+        expect(all[0]).to.include({
+            id: 1,
+            holder: user1.address,
+            amount: usdtqAmount("1000"),
+            reference: "PAYOUT-1",
+            resolvedAt: null,
+            slaBreached: true,
+        });
+        expect(all[0].dueAt).to.equal(all[0].requestedAt + DAY);
+        expect(all[1].slaBreached).to.be.false;
+        expect(all[2].resolvedAt).to.be.greaterThan(all[2].requestedAt);
+        expect(all[2].elapsedSeconds).to.equal(
+            all[2].resolvedAt - all[2].requestedAt
+        );
+
+        expect(summarizeRedemptions(all)).to.deep.equal({
+            pending: 2,
+            pendingAmount: usdtqAmount("3500"),
+            breached: 1,
+            oldestPending: 1,
+            resolved: 1,
+            resolvedWithinSla: 1,
+            slowestResolvedSeconds: all[2].elapsedSeconds,
+        });
+
+        const pending = await listRedemptions(queue, {
+            status: "Pending",
+            slaSeconds: 60,
+            fromId: 2,
+        });
+        expect(pending.map(({ id }) => id)).to.deep.equal([2]);
+        expect(pending[0].slaBreached).to.be.true;
+    });
+
+    it("Should reject an unknown status filter", async function () {
+        let error;
+        try {
+            await listRedemptions(queue, { status: "Done" });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.equal(
+            'Unknown redemption status "Done" (expected Pending, Settled, Rejected)'
+        );
+    });
+
+    describe("Tasks", function () {
+        let output;
+
+        // Captures console output from the task
+        async function run(name, args) {
+            const originalLog = console.log;
+            output = [];
+            console.log = (...line) => output.push(line.join(" "));
+            try {
+                return await hre.run(name, { queue: queueAddress, ...args });
+            } finally {
+                console.log = originalLog;
+            }
+        }
+
+        async function runError(name, args) {
+            try {
+                await run(name, args);
+            } catch (error) {
+                return error;
+            }
+            return undefined;
+        }
+
+        it("Should request, list and settle a redemption", async function () {
+            const requested = await run("redemptions:request", {
+                amount: "1500.5",
+                reference: "PAYOUT-7",
+                contract: await usdtq.getAddress(),
+                signer: user1.address,
+            });
+            expect(requested.id).to.equal(1);
+            expect(await usdtq.balanceOf(queueAddress)).to.equal(
+                usdtqAmount("1500.5")
+            );
+
+            const listed = await run("redemptions:list", { sla: "1h" });
+            expect(listed.slaSeconds).to.equal(3600);
+            expect(listed.summary).to.include({
+                pending: 1,
+                pendingAmount: "1500.5",
+                breached: 0,
+            });
+            expect(listed.redemptions[0]).to.include({
+                id: 1,
+                amount: "1500.5",
+                reference: "PAYOUT-7",
+            });
+            expect(output.join("\n")).to.contain("#1  Pending");
+
+            const settled = await run("redemptions:settle", {
+                id: 1,
+                reference: "WIRE-7",
+                signer: operator.address,
+            });
+            expect(settled).to.include({
+                method: "settleRedemption",
+                id: 1,
+                sent: true,
+            });
+            expect(await usdtq.balanceOf(queueAddress)).to.equal(0);
+
+            const remaining = await run("redemptions:list", {});
+            expect(remaining.redemptions).to.be.empty;
+            expect(output.join("\n")).to.contain("No pending requests");
+        });
+
+        it("Should reject with a refund and honour dry runs", async function () {
+            await request(user1, "100", "PAYOUT-1");
+            const dryRun = await run("redemptions:reject", {
+                id: 1,
+                reason: "KYC incomplete",
+                signer: operator.address,
+                dryRun: true,
+            });
+            expect(dryRun.sent).to.be.false;
+            expect((await queue.redemption(1)).status).to.equal(1);
+
+            await run("redemptions:reject", {
+                id: 1,
+                reason: "KYC incomplete",
+                signer: operator.address,
+            });
+            const rejected = await run("redemptions:list", {
+                status: "rejected",
+            });
+            expect(rejected.redemptions.map(({ id }) => id)).to.deep.equal([1]);
+        });
+
+        it("Should stop at the preflight with a readable error", async function () {
+            await request(user1, "100", "PAYOUT-1");
+            await queue.connect(operator).settleRedemption(1, "WIRE-1");
+
+            const notPending = await runError("redemptions:reject", {
+                id: 1,
+                reason: "Late",
+                signer: operator.address,
+            });
+            expect(notPending?.message).to.equal(
+                "Preflight failed, nothing sent: Redemption 1 is Settled, not Pending"
+            );
+
+            await request(user1, "100", "PAYOUT-2");
+            const notOperator = await runError("redemptions:settle", {
+                id: 2,
+                reference: "WIRE-2",
+                signer: user1.address,
+            });
+            expect(notOperator?.message).to.match(
+                /^Preflight failed, nothing sent: AccessControlUnauthorizedAccount/
+            );
+        });
+    });
+
+    describe("Deploy script", function () {
+        it("Should deploy the queue and grant it MINTER_ROLE locally", async function () {
+            await deployments.fixture(["RedemptionQueue"]);
+            const deployed = await ethers.getContractAt(
+                "USDTqRedemptionQueue",
+                (await deployments.get("USDTqRedemptionQueue")).address
+            );
+            const token = await ethers.getContractAt(
+                "USDTq",
+                (await deployments.get("USDTq")).address
+            );
+
+            expect(await deployed.USDTQ()).to.equal(await token.getAddress());
+            // Without a manifest the sixth account is the operator
+            const signers = await ethers.getSigners();
+            expect(
+                await deployed.hasRole(
+                    await deployed.OPERATOR_ROLE(),
+                    signers[5].address
+                )
+            ).to.be.true;
+            expect(
+                await token.hasRole(
+                    await token.MINTER_ROLE(),
+                    await deployed.getAddress()
+                )
+            ).to.be.true;
+            expect(
+                await token.minterAllowance(await deployed.getAddress())
+            ).to.equal(0);
+        });
+    });
+});
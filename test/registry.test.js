@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, artifacts } = require("hardhat");
+const {
+    getAddress,
+    getDeployment,
+    hashAbi,
+    hashBytecode,
+    readRegistry,
+    recordDeployment,
+} = require("../utils/registry");
+
+describe("Deployment registry", function () {
+    let registryDir, file;
+
+    const entry = (contractAddress, overrides = {}) => ({
+        network: "bsc_mainnet",
+        chainId: 56,
+        contractAddress,
+        deploymentTx: ethers.ZeroHash,
+        blockNumber: 1,
+        deployer: ethers.ZeroAddress,
+        timestamp: "2026-01-19T00:00:00.000Z",
+        constructorArgs: {},
+        abiHash: ethers.ZeroHash,
+        bytecodeHash: ethers.ZeroHash,
+        ...overrides,
+    });
+
+    const first = "0xD5Eb307D86EBAc71D743023A622982fF7acA62aE";
+    const second = "0xb00D4aC55748Ed6cb404c38027a46d2Ab1b22a19";
+
+    beforeEach(function () {
+        registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-registry-"));
+        file = path.join(registryDir, "registry.json");
+    });
+
+    afterEach(function () {
+        fs.rmSync(registryDir, { recursive: true, force: true });
+    });
+
+    it("Should record deployments keyed by chainId", async function () {
+        recordDeployment(entry(first.toLowerCase()), { file });
+
+        const registry = readRegistry(file);
+        expect(registry.version).to.equal(1);
+        expect(registry.chains["56"].USDTq.contractAddress).to.equal(first);
+        expect(registry.chains["56"].USDTq.history).to.be.empty;
+    });
+
+    it("Should resolve addresses by chainId or network name", async function () {
+        recordDeployment(entry(first), { file });
+
+        expect(getAddress(56, { file })).to.equal(first);
+        expect(getAddress(56n, { file })).to.equal(first);
+        expect(getAddress("bsc_mainnet", { file })).to.equal(first);
+        expect(getDeployment("bsc_testnet", { file })).to.be.null;
+        expect(() => getAddress(97, { file })).to.throw(
+            "No USDTq deployment registered for 97"
+        );
+    });
+
+    it("Should keep superseded deployments in history", async function () {
+        recordDeployment(entry(first), { file });
+        recordDeployment(entry(second, { blockNumber: 2 }), { file });
+
+        const deployment = getDeployment(56, { file });
+        expect(deployment.contractAddress).to.equal(second);
+        expect(deployment.history).to.have.lengthOf(1);
+        expect(deployment.history[0].contractAddress).to.equal(first);
+        expect(deployment.history[0]).to.not.have.property("history");
+    });
+
+    it("Should not duplicate history when re-recording an address", async function () {
+        recordDeployment(entry(first), { file });
+        recordDeployment(entry(second), { file });
+        recordDeployment(entry(second, { blockNumber: 3 }), { file });
+
+        const deployment = getDeployment(56, { file });
+        expect(deployment.blockNumber).to.equal(3);
+        expect(deployment.history).to.have.lengthOf(1);
+    });
+
+    it("Should reject unknown registry versions", async function () {
+        fs.writeFileSync(file, JSON.stringify({ version: 2, chains: {} }));
+        expect(() => readRegistry(file)).to.throw(
+            "Unsupported registry version 2"
+        );
+    });
+
+    it("Should hash the runtime bytecode as deployed on-chain", async function () {
+        const [, gnosisSafe, minter, blacklister, pauser, reserveManager] =
+            await ethers.getSigners();
+        const USDTq = await ethers.getContractFactory("USDTq");
+        const usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [pauser.address],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+
+        const artifact = await artifacts.readArtifact("USDTq");
+        const onChain = await ethers.provider.getCode(await usdtq.getAddress());
+        expect(hashBytecode(onChain)).to.equal(ethers.keccak256(onChain));
+
+        // Outside the immutables (the cached EIP-712 domain) the deployed
+        // code is the compiled runtime bytecode
+        const buildInfo = await artifacts.getBuildInfo(
+            "contracts/USDTq.sol:USDTq"
+        );
+        const { immutableReferences } =
+            buildInfo.output.contracts["contracts/USDTq.sol"].USDTq.evm
+                .deployedBytecode;
+        const code = ethers.getBytes(onChain);
+        for (const references of Object.values(immutableReferences)) {
+            for (const { start, length } of references) {
+                code.fill(0, start, start + length);
+            }
+        }
+        expect(ethers.hexlify(code)).to.equal(artifact.deployedBytecode);
+        expect(hashAbi(artifact.abi)).to.equal(
+            ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(artifact.abi)))
+        );
+    });
+});
@@ -0,0 +1,413 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+    JsonRpcServer,
+} = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { ethers } = hre;
+const { USDTqClient, buildTransferAuthorization } = require("../sdk");
+const { AuthorizationRelayer } = require("../utils/relayer");
+
+describe("Authorization relayer", function () {
+    let usdtq, server, provider, relayer, url;
+    let gnosisSafe, blacklister, relayerSigner, payer, merchant;
+    let payerClient, validBefore;
+
+    // JSON body as a wallet would POST it (bigints as decimal strings)
+    function toBody(authorization) {
+        return JSON.parse(
+            JSON.stringify(authorization, (key, value) =>
+                typeof value === "bigint" ? value.toString() : value
+            )
+        );
+    }
+
+    async function post(body) {
+        const response = await fetch(`${url}/authorizations`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: typeof body === "string" ? body : JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function startRelayer(options = {}) {
+        relayer = new AuthorizationRelayer({
+            usdtq: usdtq.connect(
+                await provider.getSigner(relayerSigner.address)
+            ),
+            log: () => {},
+            ...options,
+        });
+        ({ url } = await relayer.listen({ port: 0 }));
+    }
+
+    async function get(path) {
+        const response = await fetch(`${url}${path}`);
+        return { status: response.status, body: await response.json() };
+    }
+
+    before(async function () {
+        // Serve the in-process Hardhat network like `npx hardhat node`
+        server = new JsonRpcServer({
+            hostname: "127.0.0.1",
+            port: 0,
+            provider: hre.network.provider,
+        });
+        const { port } = await server.listen();
+        provider = new ethers.JsonRpcProvider(
+            `http://127.0.0.1:${port}`,
+            undefined,
+            { staticNetwork: true }
+        );
+    });
+
+    after(async function () {
+        provider.destroy();
+        await server.close();
+    });
+
+    beforeEach(async function () {
+        let minter, pauser, reserveManager;
+        [
+            ,
+            gnosisSafe,
+            minter,
+            blacklister,
+            pauser,
+            reserveManager,
+            payer,
+            merchant,
+        ] = await ethers.getSigners();
+        relayerSigner = (await ethers.getSigners())[9];
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [pauser.address],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+        await usdtq
+            .connect(gnosisSafe)
+            .transfer(payer.address, ethers.parseUnits("100", 6));
+
+        // Relayer and payer both talk to the node over JSON-RPC
+        await startRelayer();
+
+        payerClient = new USDTqClient(
+            await usdtq.getAddress(),
+            await provider.getSigner(payer.address)
+        );
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        validBefore = timestamp + 3600;
+    });
+
+    afterEach(async function () {
+        await relayer.close();
+    });
+
+    it("Should report the relayer and contract", async function () {
+        const { status, body } = await get("/health");
+        expect(status).to.equal(200);
+        expect(body.relayer).to.equal(relayerSigner.address);
+        expect(body.contract).to.equal(await usdtq.getAddress());
+        expect(body.chainId).to.equal(31337);
+    });
+
+    it("Should relay a signed transfer paid for by the relayer", async function () {
+        const authorization = await payerClient.signTransferAuthorization(
+            merchant.address,
+            "25",
+            { validBefore }
+        );
+        const relayerBalance = await ethers.provider.getBalance(
+            relayerSigner.address
+        );
+
+        const { status, body } = await post(toBody(authorization));
+        expect(status).to.equal(202);
+        expect(body.nonce).to.equal(authorization.nonce);
+
+        const receipt = await ethers.provider.getTransactionReceipt(
+            body.transactionHash
+        );
+        expect(receipt.from).to.equal(relayerSigner.address);
+        expect(await usdtq.balanceOf(merchant.address)).to.equal(25_000_000n);
+        expect(
+            await ethers.provider.getBalance(relayerSigner.address)
+        ).to.be.lessThan(relayerBalance);
+
+        const state = await get(
+            `/authorizations/${payer.address}/${authorization.nonce}`
+        );
+        expect(state.body.used).to.be.true;
+        expect(state.body.transactionHash).to.equal(body.transactionHash);
+    });
+
+    it("Should accept v, r and s instead of a signature", async function () {
+        const authorization = await payerClient.signTransferAuthorization(
+            merchant.address,
+            "1",
+            { validBefore }
+        );
+        const body = toBody(authorization);
+        delete body.signature;
+
+        expect((await post(body)).status).to.equal(202);
+    });
+
+    it("Should refuse a replayed authorization", async function () {
+        const authorization = await payerClient.signTransferAuthorization(
+            merchant.address,
+            "25",
+            { validBefore }
+        );
+        const first = await post(toBody(authorization));
+        const replay = await post(toBody(authorization));
+
+        expect(replay.status).to.equal(409);
+        expect(replay.body.transactionHash).to.equal(
+            first.body.transactionHash
+        );
+        expect(await usdtq.balanceOf(merchant.address)).to.equal(25_000_000n);
+    });
+
+    it("Should refuse a second post while the first is unmined", async function () {
+        const authorization = await payerClient.signTransferAuthorization(
+            merchant.address,
+            "25",
+            { validBefore }
+        );
+        const relayerNonce = await ethers.provider.getTransactionCount(
+            relayerSigner.address
+        );
+
+        await ethers.provider.send("evm_setAutomine", [false]);
+        let first, second;
+        try {
+            first = await post(toBody(authorization));
+            second = await post(toBody(authorization));
+        } finally {
+            await ethers.provider.send("evm_setAutomine", [true]);
+        }
+        expect(first.status).to.equal(202);
+        expect(second.status).to.equal(409);
+        expect(second.body.error).to.contain("is already being relayed");
+        expect(second.body.transactionHash).to.equal(
+            first.body.transactionHash
+        );
+
+        await ethers.provider.send("evm_mine");
+        expect(
+            await ethers.provider.getTransactionCount(relayerSigner.address)
+        ).to.equal(relayerNonce + 1);
+        expect(await usdtq.balanceOf(merchant.address)).to.equal(25_000_000n);
+    });
+
+    it("Should refuse tampered and foreign signatures", async function () {
+        const authorization = toBody(
+            await payerClient.signTransferAuthorization(
+                merchant.address,
+                "25",
+                { validBefore }
+            )
+        );
+
+        const tampered = await post({ ...authorization, value: "26000000" });
+        expect(tampered.status).to.equal(400);
+        expect(tampered.body.error).to.contain(`not from ${payer.address}`);
+
+        const typedData = buildTransferAuthorization({
+            chainId: 31337,
+            verifyingContract: await usdtq.getAddress(),
+            from: payer.address,
+            to: merchant.address,
+            value: 1n,
+            validBefore,
+        });
+        const signature = await merchant.signTypedData(
+            typedData.domain,
+            typedData.types,
+            typedData.message
+        );
+        const foreign = await post({
+            ...toBody(typedData.message),
+            type: typedData.primaryType,
+            signature,
+        });
+        expect(foreign.status).to.equal(400);
+    });
+
+    it("Should answer contract errors without sending", async function () {
+        await usdtq.connect(blacklister).blacklist(merchant.address, "Fraud");
+        const authorization = await payerClient.signTransferAuthorization(
+            merchant.address,
+            "25",
+            { validBefore }
+        );
+        const nonceBefore = await ethers.provider.getTransactionCount(
+            relayerSigner.address
+        );
+
+        const { status, body } = await post(toBody(authorization));
+        expect(status).to.equal(422);
+        expect(body.errorName).to.equal("AccountBlacklisted");
+        expect(body.error).to.contain(merchant.address);
+        expect(
+            await ethers.provider.getTransactionCount(relayerSigner.address)
+        ).to.equal(nonceBefore);
+
+        const expired = await payerClient.signTransferAuthorization(
+            merchant.address,
+            "25",
+            { validBefore: 1 }
+        );
+        expect((await post(toBody(expired))).body.errorName).to.equal(
+            "AuthorizationExpired"
+        );
+    });
+
+    it("Should relay cancellations", async function () {
+        const authorization = await payerClient.signTransferAuthorization(
+            merchant.address,
+            "25",
+            { validBefore }
+        );
+        const cancellation = await payerClient.signCancelAuthorization(
+            authorization.nonce
+        );
+
+        expect((await post(toBody(cancellation))).status).to.equal(202);
+        const { status } = await post(toBody(authorization));
+        expect(status).to.equal(409);
+        expect(await usdtq.balanceOf(merchant.address)).to.equal(0n);
+    });
+
+    it("Should refuse receive authorizations and malformed requests", async function () {
+        const receive = await payerClient.signReceiveAuthorization(
+            merchant.address,
+            "25",
+            { validBefore }
+        );
+        const refused = await post(toBody(receive));
+        expect(refused.status).to.equal(400);
+        expect(refused.body.error).to.contain("only be submitted by the payee");
+
+        expect((await post("{not json")).status).to.equal(400);
+        expect(
+            (
+                await post({
+                    ...toBody(receive),
+                    type: "TransferWithAuthorization",
+                    nonce: "0x1234",
+                })
+            ).body.error
+        ).to.contain("32-byte");
+        expect((await get("/unknown")).status).to.equal(404);
+    });
+
+    it("Should refuse small transfers and parties outside the allowlists", async function () {
+        await relayer.close();
+        await startRelayer({
+            minValue: ethers.parseUnits("5", 6),
+            senders: [payer.address],
+            recipients: [merchant.address.toLowerCase()],
+        });
+        const nonceBefore = await ethers.provider.getTransactionCount(
+            relayerSigner.address
+        );
+        const sign = (to, amount) =>
+            payerClient.signTransferAuthorization(to, amount, {
+                validBefore,
+            });
+
+        const small = await post(toBody(await sign(merchant.address, "4")));
+        expect(small.status).to.equal(403);
+        expect(small.body.error).to.equal(
+            "Transfers below 5.0 USDTq are not relayed"
+        );
+
+        const elsewhere = await post(toBody(await sign(payer.address, "25")));
+        expect(elsewhere.status).to.equal(403);
+        expect(elsewhere.body.error).to.equal(
+            `${payer.address} is not an allowed recipient`
+        );
+
+        const typedData = buildTransferAuthorization({
+            chainId: 31337,
+            verifyingContract: await usdtq.getAddress(),
+            from: merchant.address,
+            to: merchant.address,
+            value: ethers.parseUnits("25", 6),
+            validBefore,
+        });
+        const stranger = await post({
+            ...toBody(typedData.message),
+            type: typedData.primaryType,
+            signature: await merchant.signTypedData(
+                typedData.domain,
+                typedData.types,
+                typedData.message
+            ),
+        });
+        expect(stranger.status).to.equal(403);
+        expect(stranger.body.error).to.equal(
+            `${merchant.address} is not an allowed sender`
+        );
+        expect(
+            await ethers.provider.getTransactionCount(relayerSigner.address)
+        ).to.equal(nonceBefore);
+
+        expect(
+            (await post(toBody(await sign(merchant.address, "5")))).status
+        ).to.equal(202);
+    });
+
+    it("Should refuse cancellations when only payees are allowlisted", async function () {
+        await relayer.close();
+        await startRelayer({ recipients: [merchant.address] });
+        const cancellation = await payerClient.signCancelAuthorization(
+            ethers.hexlify(ethers.randomBytes(32))
+        );
+
+        const { status, body } = await post(toBody(cancellation));
+        expect(status).to.equal(403);
+        expect(body.error).to.contain("only relayed for allowed senders");
+    });
+
+    it("Should limit relayed authorizations per payer", async function () {
+        await relayer.close();
+        await startRelayer({ rateLimit: { count: 1, windowSeconds: 3600 } });
+        const sign = () =>
+            payerClient.signTransferAuthorization(merchant.address, "25", {
+                validBefore,
+            });
+
+        expect((await post(toBody(await sign()))).status).to.equal(202);
+        const limited = await post(toBody(await sign()));
+        expect(limited.status).to.equal(429);
+        expect(limited.body.error).to.contain(
+            `${payer.address} already has 1 relayed authorization(s) within 3600s`
+        );
+        expect(limited.body.retryAfterSeconds).to.be.within(3590, 3600);
+        expect(await usdtq.balanceOf(merchant.address)).to.equal(25_000_000n);
+    });
+
+    it("Should refuse to serve other hosts without an allowlist", async function () {
+        let error;
+        try {
+            await hre.run("relayer:start", {
+                contract: await usdtq.getAddress(),
+                host: "0.0.0.0",
+                port: 0,
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.contain(
+            "Refusing to relay on 0.0.0.0 for anyone"
+        );
+    });
+});
@@ -0,0 +1,398 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { buildReserveTree, verifyReserveProof } = require("../sdk/src");
+const {
+    hashReport,
+    totalReserves,
+    verifyAttestation,
+} = require("../utils/attestation");
+const { ROLES } = require("../utils/usdtq");
+
+describe("Reserve attestations", function () {
+    let usdtq;
+    let gnosisSafe, minter, reserveManager, user1;
+    let outDir, reportFile, report;
+
+    async function run(name, args) {
+        const originalLog = console.log;
+        const originalWarn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return await hre.run(name, args);
+        } finally {
+            console.log = originalLog;
+            console.warn = originalWarn;
+        }
+    }
+
+    async function runError(name, args) {
+        try {
+            await run(name, args);
+        } catch (error) {
+            return error;
+        }
+        return undefined;
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, , , reserveManager, user1] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [],
+            [],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-reserves-"));
+        report = {
+            asOf: "2026-03-31T00:00:00Z",
+            reference: "Custodian statement 2026-Q1",
+            balances: [
+                { asset: "USDT", amount: "6,000,000.00", custodian: "A" },
+                { asset: "USDC", amount: "4,500,000.50", custodian: "B" },
+                { asset: "T-BILL", amount: "100", usdValue: "99,250" },
+            ],
+        };
+        reportFile = path.join(outDir, "report.json");
+        fs.writeFileSync(reportFile, JSON.stringify(report));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    describe("Reports", function () {
+        it("Should total balances in 6-decimal units", async function () {
+            const { total, assets } = totalReserves(report);
+
+            expect(total).to.equal(10_599_250_500_000n);
+            expect(assets["T-BILL"]).to.equal(99_250_000_000n);
+        });
+
+        it("Should require a USD value for non-stablecoin assets", async function () {
+            delete report.balances[2].usdValue;
+            expect(() => totalReserves(report)).to.throw(
+                "T-BILL is not a USD stablecoin; add a usdValue"
+            );
+        });
+
+        it("Should reject amounts with more than 6 decimals", async function () {
+            report.balances[0].amount = "1.0000001";
+            expect(() => totalReserves(report)).to.throw(
+                "/balances/0/amount must match pattern"
+            );
+        });
+
+        it("Should hash the report independently of key order", async function () {
+            const reordered = {
+                balances: structuredClone(report.balances),
+                reference: report.reference,
+                asOf: report.asOf,
+            };
+            expect(hashReport(reordered)).to.equal(hashReport(report));
+
+            report.balances[0].amount = "6,000,000.01";
+            expect(hashReport(report)).to.not.equal(hashReport(reordered));
+        });
+    });
+
+    describe("Publishing", function () {
+        it("Should sign, submit and link the ReservesUpdated event", async function () {
+            const out = path.join(outDir, "attestation.json");
+            const { attestation } = await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                out,
+            });
+
+            expect(await usdtq.totalReserves()).to.equal(10_599_250_500_000n);
+            expect(verifyAttestation(attestation)).to.be.empty;
+
+            const saved = JSON.parse(fs.readFileSync(out, "utf8"));
+            const receipt = await ethers.provider.getTransactionReceipt(
+                saved.event.transactionHash
+            );
+            const log = usdtq.interface.parseLog(
+                receipt.logs.find((l) => l.index === saved.event.logIndex)
+            );
+            expect(log.name).to.equal("ReservesUpdated");
+            expect(log.args.totalReserves.toString()).to.equal(
+                saved.totalReserves
+            );
+            expect(saved.event.collateralizationRatio).to.equal("10599");
+        });
+
+        it("Should put the report hash on-chain in delta mode", async function () {
+            const { attestation } = await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                method: "delta",
+                out: path.join(outDir, "attestation.json"),
+            });
+
+            const [added] = await usdtq.queryFilter(
+                usdtq.filters.ReservesAdded()
+            );
+            expect(added.args.amount).to.equal(599_250_500_000n);
+            expect(added.args.reserveType).to.equal(
+                `attestation ${attestation.reportHash}`
+            );
+        });
+
+        it("Should emit a Safe batch and link it after execution", async function () {
+            const out = path.join(outDir, "attestation.json");
+            const { attestation } = await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                safe: gnosisSafe.address,
+                nonce: 4,
+                out,
+            });
+            expect(attestation.safeBatch.nonce).to.equal(4);
+            expect(attestation.event).to.be.undefined;
+            fs.renameSync(
+                attestation.safeBatch.file,
+                path.join(outDir, "batch.json")
+            );
+
+            // The Safe executes the batch once it holds the role
+            const batch = JSON.parse(
+                fs.readFileSync(path.join(outDir, "batch.json"), "utf8")
+            );
+            await usdtq
+                .connect(gnosisSafe)
+                .grantRole(ROLES.RESERVE_MANAGER_ROLE, gnosisSafe.address);
+            const tx = await gnosisSafe.sendTransaction({
+                to: batch.transactions[0].to,
+                data: batch.transactions[0].data,
+            });
+
+            await run("reserves:link", { attestation: out, tx: tx.hash });
+            const verified = await run("reserves:verify", {
+                attestation: out,
+            });
+            expect(verified.event.transactionHash).to.equal(tx.hash);
+        });
+
+        it("Should refuse to link a transaction with another total", async function () {
+            const out = path.join(outDir, "attestation.json");
+            await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                dryRun: true,
+                out,
+            });
+            const tx = await usdtq
+                .connect(reserveManager)
+                .updateReserves(10_000_000_000_000n);
+
+            const error = await runError("reserves:link", {
+                attestation: out,
+                tx: tx.hash,
+            });
+            expect(error?.message).to.contain(
+                "reports 10000000.0 USDTq, attestation attests 10599250.5"
+            );
+        });
+    });
+
+    describe("Verification", function () {
+        let out;
+
+        beforeEach(async function () {
+            out = path.join(outDir, "attestation.json");
+            await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                out,
+            });
+        });
+
+        it("Should find the attestation for a reserve transaction", async function () {
+            const { event } = JSON.parse(fs.readFileSync(out, "utf8"));
+
+            const attestation = await run("reserves:verify", {
+                tx: event.transactionHash,
+                dir: outDir,
+            });
+            expect(attestation.signer).to.equal(reserveManager.address);
+        });
+
+        it("Should detect an edited report", async function () {
+            const attestation = JSON.parse(fs.readFileSync(out, "utf8"));
+            attestation.report.balances[0].amount = "7,000,000.00";
+            fs.writeFileSync(out, JSON.stringify(attestation));
+
+            const error = await runError("reserves:verify", {
+                attestation: out,
+            });
+            expect(error?.message).to.contain(
+                "reportHash does not match the embedded report"
+            );
+        });
+
+        it("Should detect a forged signer", async function () {
+            const attestation = JSON.parse(fs.readFileSync(out, "utf8"));
+            attestation.signer = user1.address;
+
+            expect(verifyAttestation(attestation)).to.deep.equal([
+                `signature was made by ${reserveManager.address}, not ${user1.address}`,
+            ]);
+        });
+    });
+
+    describe("Reserve proofs", function () {
+        it("Should prove every balance under the root", async function () {
+            for (const count of [1, 2, 3, 5, 8]) {
+                const items = Array.from({ length: count }, (_, i) => ({
+                    asset: "USDT",
+                    amount: `${i + 1},000`,
+                    custodian: `Custodian ${i}`,
+                }));
+                const { root, proofs } = buildReserveTree(items);
+
+                items.forEach((item, index) => {
+                    expect(
+                        verifyReserveProof({
+                            root,
+                            index,
+                            item,
+                            proof: proofs[index],
+                        })
+                    ).to.be.true;
+                });
+            }
+        });
+
+        it("Should reject a proof for an edited balance or position", async function () {
+            const { root, proofs } = buildReserveTree(report.balances);
+            const proof = { root, index: 1, proof: proofs[1] };
+
+            expect(
+                verifyReserveProof({
+                    ...proof,
+                    item: { ...report.balances[1], amount: "4,500,001" },
+                })
+            ).to.be.false;
+            expect(
+                verifyReserveProof({
+                    ...proof,
+                    index: 0,
+                    item: report.balances[1],
+                })
+            ).to.be.false;
+        });
+
+        it("Should publish the root and verify a custodian's proof", async function () {
+            const out = path.join(outDir, "attestation.json");
+            const { attestation } = await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                method: "root",
+                out,
+            });
+
+            expect(await usdtq.reserveRoot()).to.equal(attestation.reserveRoot);
+            expect(attestation.event.reserveRoot).to.equal(
+                attestation.reserveRoot
+            );
+            expect(verifyAttestation(attestation)).to.be.empty;
+
+            const { files } = await run("reserves:proofs", {
+                attestation: out,
+            });
+            expect(files.map((file) => path.basename(file))).to.deep.equal([
+                "0-USDT.json",
+                "1-USDC.json",
+                "2-T-BILL.json",
+            ]);
+
+            const result = await run("reserves:verify-proof", {
+                proof: files[1],
+            });
+            expect(result.published.totalReserves).to.equal(
+                10_599_250_500_000n
+            );
+            expect(result.published.current).to.be.true;
+        });
+
+        it("Should reject a proof whose root was never published", async function () {
+            const out = path.join(outDir, "attestation.json");
+            await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                out,
+            });
+            const { files } = await run("reserves:proofs", {
+                attestation: out,
+                out: path.join(outDir, "proofs"),
+            });
+
+            const offline = await run("reserves:verify-proof", {
+                proof: files[0],
+                offline: true,
+            });
+            expect(offline.included).to.be.true;
+
+            const error = await runError("reserves:verify-proof", {
+                proof: files[0],
+            });
+            expect(error?.message).to.contain("was never published");
+        });
+
+        it("Should reject an edited proof file", async function () {
+            const out = path.join(outDir, "attestation.json");
+            await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                method: "root",
+                out,
+            });
+            const { files } = await run("reserves:proofs", {
+                attestation: out,
+            });
+            const proof = JSON.parse(fs.readFileSync(files[0], "utf8"));
+            proof.item.amount = "60,000,000.00";
+            fs.writeFileSync(files[0], JSON.stringify(proof));
+
+            const error = await runError("reserves:verify-proof", {
+                proof: files[0],
+            });
+            expect(error?.message).to.contain("Proof does not include line 0");
+        });
+
+        it("Should detect a reserve root that does not match the report", async function () {
+            const out = path.join(outDir, "attestation.json");
+            const { attestation } = await run("reserves:attest", {
+                report: reportFile,
+                contract: await usdtq.getAddress(),
+                signer: reserveManager.address,
+                dryRun: true,
+                out,
+            });
+            attestation.reserveRoot = ethers.id("other holdings");
+
+            expect(verifyAttestation(attestation)).to.deep.equal([
+                "reserveRoot does not match the embedded report",
+            ]);
+        });
+    });
+});
@@ -0,0 +1,380 @@
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { stdoutSink } = require("../utils/alerts");
+const { ROLES } = require("../utils/usdtq");
+const { RoleWatcher, explorerVerifier } = require("../utils/rolewatch");
+
+describe("Role watcher", function () {
+    let usdtq, other;
+    let gnosisSafe, minter, blacklister, user1, user2;
+    let lines, stream;
+
+    function watcher(options = {}) {
+        return new RoleWatcher({
+            usdtq,
+            sinks: [stdoutSink({ stream })],
+            network: "hardhat",
+            allowlist: {
+                DEFAULT_ADMIN_ROLE: [gnosisSafe.address],
+                ADMIN_ROLE: [gnosisSafe.address],
+                minter: [minter.address, user2.address],
+                blacklister: [blacklister.address],
+            },
+            log: () => {},
+            ...options,
+        });
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, blacklister, user1, user2] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [],
+            []
+        );
+        await usdtq.waitForDeployment();
+        usdtq = usdtq.connect(gnosisSafe);
+
+        // Any contract will do as a role holder with code
+        other = await USDTq.deploy(gnosisSafe.address, [], [], [], []);
+        await other.waitForDeployment();
+
+        lines = [];
+        stream = { write: (line) => lines.push(JSON.parse(line)) };
+    });
+
+    describe("Checks", function () {
+        it("Should stay quiet when every holder is expected", async function () {
+            const roles = watcher();
+            expect(await roles.check()).to.be.empty;
+            expect(await roles.check()).to.be.empty;
+            expect(lines).to.be.empty;
+        });
+
+        it("Should report unexpected holders found at startup", async function () {
+            await usdtq.grantRole(ROLES.PAUSER_ROLE, user1.address);
+
+            const [alert] = await watcher().check();
+            expect(alert.type).to.equal("role.unexpected_holder");
+            expect(alert.severity).to.equal("critical");
+            expect(alert.contract).to.equal(await usdtq.getAddress());
+            expect(alert.details).to.include({
+                role: "PAUSER_ROLE",
+                account: user1.address,
+                grantedBy: gnosisSafe.address,
+            });
+            expect(lines).to.have.length(1);
+        });
+
+        it("Should alert on grants to unexpected addresses only", async function () {
+            const roles = watcher();
+            await roles.check();
+
+            await usdtq.grantRole(ROLES.MINTER_ROLE, user2.address);
+            expect(await roles.check()).to.be.empty;
+
+            const tx = await usdtq.grantRole(ROLES.MINTER_ROLE, user1.address);
+            const [alert, ...rest] = await roles.check();
+            expect(rest).to.be.empty;
+            expect(alert.type).to.equal("role.unexpected_grant");
+            expect(alert.blockNumber).to.equal((await tx.wait()).blockNumber);
+            expect(alert.details).to.include({
+                event: "RoleGranted",
+                role: "MINTER_ROLE",
+                account: user1.address,
+                sender: gnosisSafe.address,
+                transactionHash: tx.hash,
+            });
+        });
+
+        it("Should re-check the range when building an alert fails", async function () {
+            const roles = watcher();
+            await roles.check();
+
+            const provider = roles.provider;
+            let failures = 1;
+            roles.provider = {
+                getNetwork: () => provider.getNetwork(),
+                getCode: (address) => provider.getCode(address),
+                getBlock: async (tag) => {
+                    if (tag !== "latest" && failures-- > 0) {
+                        throw new Error("header not found");
+                    }
+                    return provider.getBlock(tag);
+                },
+            };
+
+            await usdtq.grantRole(ROLES.PAUSER_ROLE, user1.address);
+            await usdtq.grantRole(ROLES.ADMIN_ROLE, user2.address);
+
+            let error;
+            try {
+                await roles.check();
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.equal("header not found");
+            expect(roles.accountRoles(user1.address).roles).to.be.empty;
+
+            const alerts = await roles.check();
+            expect(
+                alerts.map(({ type, details }) => [type, details.role])
+            ).to.deep.equal([
+                ["role.unexpected_grant", "PAUSER_ROLE"],
+                ["role.admin_change", "ADMIN_ROLE"],
+                ["role.unexpected_grant", "ADMIN_ROLE"],
+            ]);
+            expect(roles.accountRoles(user1.address).roles).to.deep.equal([
+                "PAUSER_ROLE",
+            ]);
+        });
+
+        it("Should alert on every admin role change", async function () {
+            const roles = watcher({
+                allowlist: {
+                    ADMIN_ROLE: [gnosisSafe.address, user1.address],
+                    DEFAULT_ADMIN_ROLE: [gnosisSafe.address],
+                    minter: [minter.address],
+                    blacklister: [blacklister.address],
+                },
+            });
+            await roles.check();
+
+            await usdtq.grantRole(ROLES.ADMIN_ROLE, user1.address);
+            await usdtq.revokeRole(ROLES.ADMIN_ROLE, user1.address);
+            await usdtq.grantRole(ROLES.DEFAULT_ADMIN_ROLE, user2.address);
+
+            const alerts = await roles.check();
+            expect(
+                alerts.map(({ type, details }) => [
+                    type,
+                    details.event,
+                    details.role,
+                ])
+            ).to.deep.equal([
+                ["role.admin_change", "RoleGranted", "ADMIN_ROLE"],
+                ["role.admin_change", "RoleRevoked", "ADMIN_ROLE"],
+                ["role.admin_change", "RoleGranted", "DEFAULT_ADMIN_ROLE"],
+                ["role.unexpected_grant", "RoleGranted", "DEFAULT_ADMIN_ROLE"],
+            ]);
+        });
+
+        it("Should alert on grants to contracts without verified source", async function () {
+            const contract = await other.getAddress();
+            const roles = watcher({ allowlist: {} });
+            await roles.check();
+
+            await usdtq.grantRole(ROLES.BLACKLISTER_ROLE, contract);
+            const alerts = await roles.check();
+            expect(alerts.map((alert) => alert.type)).to.deep.equal([
+                "role.unexpected_grant",
+                "role.unverified_contract",
+            ]);
+            expect(alerts[1].details).to.include({
+                account: contract,
+                isContract: true,
+                verified: false,
+            });
+        });
+    });
+
+    describe("Explorer verification", function () {
+        let explorer, explorerUrl, verified, requests;
+
+        before(async function () {
+            explorer = http.createServer((req, res) => {
+                const url = new URL(req.url, "http://explorer");
+                requests.push(Object.fromEntries(url.searchParams));
+                const address = url.searchParams.get("address");
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(
+                    address === ethers.ZeroAddress
+                        ? JSON.stringify({
+                              status: "0",
+                              message: "NOTOK",
+                              result: "Invalid API Key",
+                          })
+                        : JSON.stringify({
+                              status: "1",
+                              message: "OK",
+                              result: [
+                                  {
+                                      SourceCode: verified.has(address)
+                                          ? "contract USDTq {}"
+                                          : "",
+                                  },
+                              ],
+                          })
+                );
+            });
+            await new Promise((resolve) =>
+                explorer.listen(0, "127.0.0.1", resolve)
+            );
+            explorerUrl = `http://127.0.0.1:${explorer.address().port}/api`;
+        });
+
+        after(async function () {
+            await new Promise((resolve) => explorer.close(resolve));
+        });
+
+        beforeEach(function () {
+            verified = new Set();
+            requests = [];
+        });
+
+        it("Should query getsourcecode with the API key", async function () {
+            const verifier = explorerVerifier({
+                url: explorerUrl,
+                apiKey: "KEY",
+            });
+            const address = await other.getAddress();
+            expect(await verifier(address)).to.be.false;
+
+            verified.add(address);
+            expect(await verifier(address)).to.be.true;
+            expect(requests[0]).to.deep.equal({
+                module: "contract",
+                action: "getsourcecode",
+                address,
+                apikey: "KEY",
+            });
+
+            await expect(verifier(ethers.ZeroAddress)).to.be.rejectedWith(
+                "Invalid API Key"
+            );
+        });
+
+        it("Should accept verified contracts and check each address once", async function () {
+            const contract = await other.getAddress();
+            verified.add(contract);
+            await usdtq.grantRole(ROLES.MINTER_ROLE, contract);
+
+            const roles = watcher({
+                allowlist: {
+                    DEFAULT_ADMIN_ROLE: [gnosisSafe.address],
+                    ADMIN_ROLE: [gnosisSafe.address],
+                    minter: [minter.address, contract],
+                    blacklister: [blacklister.address],
+                    pauser: [contract],
+                },
+                verifier: explorerVerifier({ url: explorerUrl }),
+            });
+            expect(await roles.check()).to.be.empty;
+
+            await usdtq.grantRole(ROLES.PAUSER_ROLE, contract);
+            expect(await roles.check()).to.be.empty;
+            expect(requests).to.have.length(1);
+            expect(roles.holders("pauser")[0]).to.include({
+                account: contract,
+                expected: true,
+                isContract: true,
+                verified: true,
+            });
+        });
+
+        it("Should treat explorer failures as unverified and retry", async function () {
+            const contract = await other.getAddress();
+            await usdtq.grantRole(ROLES.MINTER_ROLE, contract);
+
+            const roles = watcher({
+                verifier: async () => {
+                    throw new Error("explorer down");
+                },
+            });
+            const alerts = await roles.check();
+            const unverified = alerts.find(
+                (alert) => alert.type === "role.unverified_contract"
+            );
+            expect(unverified.details.verificationError).to.equal(
+                "explorer down"
+            );
+            expect(roles.codeChecks.has(contract)).to.be.false;
+        });
+    });
+
+    describe("HTTP API", function () {
+        let roles, url;
+
+        async function get(path, options) {
+            const response = await fetch(`${url}${path}`, options);
+            return { status: response.status, body: await response.json() };
+        }
+
+        beforeEach(async function () {
+            roles = watcher();
+            await usdtq.grantRole(ROLES.MINTER_ROLE, user1.address);
+            await usdtq.revokeRole(ROLES.MINTER_ROLE, minter.address);
+            await roles.check();
+            ({ url } = await roles.listen({ port: 0 }));
+        });
+
+        afterEach(async function () {
+            await roles.close();
+        });
+
+        it("Should serve membership of every role", async function () {
+            const { status, body } = await get("/roles");
+            expect(status).to.equal(200);
+            expect(Object.keys(body)).to.include.members([
+                "DEFAULT_ADMIN_ROLE",
+                "ADMIN_ROLE",
+                "PAUSER_ROLE",
+            ]);
+            expect(body.PAUSER_ROLE).to.be.empty;
+            expect(body.MINTER_ROLE).to.have.length(1);
+            expect(body.MINTER_ROLE[0]).to.include({
+                account: user1.address,
+                expected: false,
+                grantedBy: gnosisSafe.address,
+                isContract: false,
+            });
+        });
+
+        it("Should serve one role by name or hash", async function () {
+            const byName = await get("/roles/blacklister");
+            expect(byName.body.role).to.equal("BLACKLISTER_ROLE");
+            expect(byName.body.holders.map((h) => h.account)).to.deep.equal([
+                blacklister.address,
+            ]);
+
+            const byHash = await get(`/roles/${ROLES.ADMIN_ROLE}`);
+            expect(byHash.body.role).to.equal("ADMIN_ROLE");
+            expect(byHash.body.holders[0].expected).to.be.true;
+        });
+
+        it("Should serve the roles of an account", async function () {
+            const { body } = await get(
+                `/accounts/${gnosisSafe.address.toLowerCase()}`
+            );
+            expect(body).to.deep.equal({
+                account: gnosisSafe.address,
+                roles: ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE"],
+            });
+            expect((await get(`/accounts/${minter.address}`)).body.roles).to.be
+                .empty;
+        });
+
+        it("Should report health and refuse bad requests", async function () {
+            const health = await get("/health");
+            expect(health.body).to.deep.equal({
+                network: "hardhat",
+                chainId: 31337,
+                contract: await usdtq.getAddress(),
+                syncedBlock: await ethers.provider.getBlockNumber(),
+            });
+
+            expect((await get("/roles/owner")).status).to.equal(400);
+            expect((await get("/accounts/0x1234")).status).to.equal(400);
+            expect((await get("/holders")).status).to.equal(404);
+            expect((await get("/roles", { method: "POST" })).status).to.equal(
+                405
+            );
+        });
+    });
+});
@@ -0,0 +1,412 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    MULTISEND_CALL_ONLY,
+    OPERATION,
+    buildBatch,
+    calculateChecksum,
+    computeSafeTxHash,
+    encodeCall,
+    toSafeTransaction,
+} = require("../utils/safe");
+const { ROLES, normalizeCallArgs } = require("../utils/usdtq");
+
+describe("Gnosis Safe batch builder", function () {
+    let usdtq, iface;
+    let gnosisSafe, minter, blacklister, pauser, reserveManager, user1;
+    let outDir;
+
+    // Constants from Safe.sol (v1.3.0+)
+    const DOMAIN_SEPARATOR_TYPEHASH =
+        "0x47e79534a245952e8b16893a336b85a3d9ea9fa8c573f3d803afb92a79469218";
+    const SAFE_TX_TYPEHASH =
+        "0xbb8310d486368db6bd6f849402fdd73ad53d316b5a4b2644ad6efe0f941286d8";
+
+    function safeTxHashFromContractFormula(chainId, safe, tx, nonce) {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        const domainSeparator = ethers.keccak256(
+            coder.encode(
+                ["bytes32", "uint256", "address"],
+                [DOMAIN_SEPARATOR_TYPEHASH, chainId, safe]
+            )
+        );
+        const structHash = ethers.keccak256(
+            coder.encode(
+                [
+                    "bytes32",
+                    "address",
+                    "uint256",
+                    "bytes32",
+                    "uint8",
+                    "uint256",
+                    "uint256",
+                    "uint256",
+                    "address",
+                    "address",
+                    "uint256",
+                ],
+                [
+                    SAFE_TX_TYPEHASH,
+                    tx.to,
+                    tx.value,
+                    ethers.keccak256(tx.data),
+                    tx.operation,
+                    0,
+                    0,
+                    0,
+                    ethers.ZeroAddress,
+                    ethers.ZeroAddress,
+                    nonce,
+                ]
+            )
+        );
+        return ethers.keccak256(
+            ethers.concat(["0x1901", domainSeparator, structHash])
+        );
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, blacklister, pauser, reserveManager, user1] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [pauser.address],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+        iface = usdtq.interface;
+
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-safe-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    describe("Encoding", function () {
+        it("Should encode calls with Transaction Builder metadata", async function () {
+            const tx = encodeCall(iface, await usdtq.getAddress(), "mint", [
+                user1.address,
+                1000n,
+            ]);
+
+            expect(tx.value).to.equal("0");
+            expect(tx.contractMethod.name).to.equal("mint");
+            expect(tx.contractInputsValues).to.deep.equal({
+                to: user1.address,
+                amount: "1000",
+            });
+            expect(iface.decodeFunctionData("mint", tx.data)).to.deep.equal([
+                user1.address,
+                1000n,
+            ]);
+        });
+
+        it("Should normalize human-readable amounts and role names", async function () {
+            expect(
+                normalizeCallArgs("mint", [user1.address, "1,000.5"])
+            ).to.deep.equal([user1.address, 1000500000n]);
+            expect(
+                normalizeCallArgs("grantRole", ["minter", user1.address])
+            ).to.deep.equal([ROLES.MINTER_ROLE, user1.address]);
+        });
+
+        it("Should reject unknown methods and roles", async function () {
+            expect(() => normalizeCallArgs("transfer", [])).to.throw(
+                "not a privileged USDTq call"
+            );
+            expect(() =>
+                normalizeCallArgs("grantRole", ["owner", user1.address])
+            ).to.throw('Unknown role "owner"');
+        });
+
+        it("Should require 32-byte reserve roots", async function () {
+            const root = ethers.id("reserve holdings");
+            expect(
+                normalizeCallArgs("updateReservesWithRoot", ["1,000", root])
+            ).to.deep.equal([1000000000n, root]);
+            expect(() =>
+                normalizeCallArgs("updateReservesWithRoot", ["1,000", "0x1234"])
+            ).to.throw("must be a 32-byte hex string");
+        });
+
+        it("Should reject badly checksummed addresses", async function () {
+            const bad = user1.address.slice(0, -1) + "X";
+            expect(() => normalizeCallArgs("unBlacklist", [bad])).to.throw();
+        });
+    });
+
+    describe("Batches", function () {
+        it("Should compute a checksum that ignores the batch name", async function () {
+            const transactions = [
+                encodeCall(iface, await usdtq.getAddress(), "pause", []),
+            ];
+            const a = buildBatch({
+                chainId: 56,
+                safeAddress: gnosisSafe.address,
+                transactions,
+                name: "a",
+            });
+            const b = { ...a, meta: { ...a.meta, name: "b" } };
+
+            expect(calculateChecksum(b)).to.equal(a.meta.checksum);
+        });
+
+        it("Should detect edited transactions through the checksum", async function () {
+            const transactions = [
+                encodeCall(iface, await usdtq.getAddress(), "pause", []),
+            ];
+            const batch = buildBatch({
+                chainId: 56,
+                safeAddress: gnosisSafe.address,
+                transactions,
+            });
+            batch.transactions[0].value = "1";
+
+            expect(calculateChecksum(batch)).to.not.equal(batch.meta.checksum);
+        });
+
+        it("Should send a single call directly", async function () {
+            const transactions = [
+                encodeCall(iface, await usdtq.getAddress(), "pause", []),
+            ];
+            const safeTx = toSafeTransaction(transactions);
+
+            expect(safeTx.operation).to.equal(OPERATION.CALL);
+            expect(safeTx.to).to.equal(await usdtq.getAddress());
+        });
+
+        it("Should wrap multiple calls in MultiSendCallOnly", async function () {
+            const address = await usdtq.getAddress();
+            const transactions = [
+                encodeCall(iface, address, "grantRole", [
+                    ROLES.MINTER_ROLE,
+                    user1.address,
+                ]),
+                encodeCall(iface, address, "revokeRole", [
+                    ROLES.MINTER_ROLE,
+                    minter.address,
+                ]),
+            ];
+            const safeTx = toSafeTransaction(transactions);
+
+            expect(safeTx.operation).to.equal(OPERATION.DELEGATE_CALL);
+            expect(safeTx.to).to.equal(MULTISEND_CALL_ONLY["1.3.0"]);
+
+            const multiSend = new ethers.Interface([
+                "function multiSend(bytes transactions)",
+            ]);
+            const [packed] = multiSend.decodeFunctionData(
+                "multiSend",
+                safeTx.data
+            );
+            // operation (1) + to (20) + value (32) + length (32) + data
+            const firstLength =
+                (ethers.dataLength(transactions[0].data) + 85) * 2;
+            const first = "0x" + packed.slice(2, 2 + firstLength);
+            expect(first).to.equal(
+                ethers.solidityPacked(
+                    ["uint8", "address", "uint256", "uint256", "bytes"],
+                    [
+                        0,
+                        address,
+                        0,
+                        ethers.dataLength(transactions[0].data),
+                        transactions[0].data,
+                    ]
+                )
+            );
+        });
+
+        it("Should compute the same Safe tx hash as Safe.sol", async function () {
+            const address = await usdtq.getAddress();
+            const transactions = [
+                encodeCall(iface, address, "proposeMaxTotalSupply", [
+                    2_000_000_000n * 10n ** 6n,
+                ]),
+                encodeCall(iface, address, "proposeMaxMintPerTransaction", [
+                    20_000_000n * 10n ** 6n,
+                ]),
+            ];
+            const safeTx = toSafeTransaction(transactions);
+
+            expect(
+                computeSafeTxHash({
+                    chainId: 56,
+                    safeAddress: gnosisSafe.address,
+                    safeTx,
+                    nonce: 7,
+                })
+            ).to.equal(
+                safeTxHashFromContractFormula(56, gnosisSafe.address, safeTx, 7)
+            );
+        });
+    });
+
+    describe("Tasks", function () {
+        it("Should write a batch file for a role grant", async function () {
+            const out = path.join(outDir, "grant.json");
+            const result = await hre.run("safe:grant-role", {
+                safe: gnosisSafe.address,
+                contract: await usdtq.getAddress(),
+                nonce: 3,
+                role: "minter",
+                account: user1.address,
+                out,
+            });
+
+            const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+            expect(batch.chainId).to.equal("31337");
+            expect(batch.meta.createdFromSafeAddress).to.equal(
+                gnosisSafe.address
+            );
+            expect(batch.transactions).to.have.lengthOf(1);
+            expect(
+                iface.decodeFunctionData(
+                    "grantRole",
+                    batch.transactions[0].data
+                )
+            ).to.deep.equal([ROLES.MINTER_ROLE, user1.address]);
+            expect(calculateChecksum(batch)).to.equal(batch.meta.checksum);
+            expect(result.safeTxHash).to.equal(
+                safeTxHashFromContractFormula(
+                    31337,
+                    gnosisSafe.address,
+                    result.safeTx,
+                    3
+                )
+            );
+        });
+
+        it("Should produce a calldata the Safe can execute", async function () {
+            const out = path.join(outDir, "blacklist.json");
+            await hre.run("safe:blacklist", {
+                safe: gnosisSafe.address,
+                contract: await usdtq.getAddress(),
+                nonce: 0,
+                account: user1.address,
+                reason: "OFAC sanctions",
+                out,
+            });
+
+            // Replay the batch from an account holding the role
+            const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+            await blacklister.sendTransaction({
+                to: batch.transactions[0].to,
+                data: batch.transactions[0].data,
+            });
+
+            expect(await usdtq.isBlacklisted(user1.address)).to.be.true;
+            expect(await usdtq.blacklistReason(user1.address)).to.equal(
+                "OFAC sanctions"
+            );
+        });
+
+        it("Should encode timelocked cap changes by parameter name", async function () {
+            const out = path.join(outDir, "delay.json");
+            await hre.run("safe:propose-cap-delay", {
+                safe: gnosisSafe.address,
+                contract: await usdtq.getAddress(),
+                nonce: 0,
+                delay: "3d",
+                out,
+            });
+            await hre.run("safe:execute-cap-change", {
+                safe: gnosisSafe.address,
+                contract: await usdtq.getAddress(),
+                nonce: 1,
+                parameter: "cap-change-delay",
+                out: path.join(outDir, "execute.json"),
+            });
+
+            const [propose] = JSON.parse(
+                fs.readFileSync(out, "utf8")
+            ).transactions;
+            const [execute] = JSON.parse(
+                fs.readFileSync(path.join(outDir, "execute.json"), "utf8")
+            ).transactions;
+            expect(
+                iface.decodeFunctionData("proposeCapChangeDelay", propose.data)
+            ).to.deep.equal([3n * 86400n]);
+            expect(
+                iface.decodeFunctionData("executeCapChange", execute.data)
+            ).to.deep.equal([2n]);
+        });
+
+        it("Should encode minter limits with amounts and durations", async function () {
+            const out = path.join(outDir, "limits.json");
+            await hre.run("safe:set-minter-rate-limit", {
+                safe: gnosisSafe.address,
+                contract: await usdtq.getAddress(),
+                nonce: 0,
+                minter: user1.address,
+                limit: "250,000",
+                window: "12h",
+                out,
+            });
+
+            const [call] = JSON.parse(
+                fs.readFileSync(out, "utf8")
+            ).transactions;
+            expect(
+                iface.decodeFunctionData("setMinterRateLimit", call.data)
+            ).to.deep.equal([user1.address, 250_000_000_000n, 43_200n]);
+        });
+
+        it("Should build a multi-call batch from a plan file", async function () {
+            const plan = path.join(outDir, "plan.json");
+            fs.writeFileSync(
+                plan,
+                JSON.stringify({
+                    name: "Rotate minter",
+                    calls: [
+                        {
+                            method: "grantRole",
+                            args: ["MINTER_ROLE", user1.address],
+                        },
+                        {
+                            method: "revokeRole",
+                            args: ["MINTER_ROLE", minter.address],
+                        },
+                    ],
+                })
+            );
+
+            const out = path.join(outDir, "rotate.json");
+            const result = await hre.run("safe:batch", {
+                safe: gnosisSafe.address,
+                contract: await usdtq.getAddress(),
+                nonce: 1,
+                file: plan,
+                out,
+            });
+
+            const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+            expect(batch.meta.name).to.equal("Rotate minter");
+            expect(batch.transactions).to.have.lengthOf(2);
+            expect(result.safeTx.operation).to.equal(OPERATION.DELEGATE_CALL);
+        });
+
+        it("Should require a nonce when the Safe has no code", async function () {
+            let error;
+            try {
+                await hre.run("safe:pause", {
+                    safe: gnosisSafe.address,
+                    contract: await usdtq.getAddress(),
+                    out: path.join(outDir, "pause.json"),
+                });
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.contain("pass the nonce explicitly");
+        });
+    });
+});
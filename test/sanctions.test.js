@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    MAX_REASON_LENGTH,
+    formatReason,
+    parseCsvList,
+    readSanctionsList,
+} = require("../utils/sanctions");
+
+const FIXTURES = path.join(__dirname, "fixtures", "sanctions");
+const SDN_FILE = path.join(FIXTURES, "sdn.xml");
+const CSV_FILE = path.join(FIXTURES, "denylist.csv");
+
+// Addresses in the fixtures
+const LAZARUS_ETH = "0x098B716B8Aaf21512996dC57EB0615e2383E2f96";
+const LAZARUS_BSC = "0xa0e1c89Ef1a489c9C7dE96311eD5Ce5D32c20E4B";
+const INDIVIDUAL = "0x3cBDed43EfDaf0Fc77b9c55F6fc9988Fcc9B37D9";
+
+describe("Sanctions sync", function () {
+    let usdtq;
+    let gnosisSafe, blacklister, user1, user2;
+    let outDir;
+
+    async function sync(args) {
+        const originalLog = console.log;
+        const originalWarn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return await hre.run("sanctions:sync", {
+                contract: await usdtq.getAddress(),
+                signer: blacklister.address,
+                ...args,
+            });
+        } finally {
+            console.log = originalLog;
+            console.warn = originalWarn;
+        }
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, , blacklister, , , user1, user2] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [],
+            [blacklister.address],
+            [],
+            []
+        );
+        await usdtq.waitForDeployment();
+
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-sanctions-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    describe("Parsing", function () {
+        it("Should read EVM addresses from the OFAC SDN XML", async function () {
+            expect(readSanctionsList(SDN_FILE)).to.deep.equal([
+                {
+                    address: LAZARUS_ETH,
+                    reason: "uid 30001: LAZARUS GROUP (DPRK3, CYBER2)",
+                },
+                {
+                    address: LAZARUS_BSC,
+                    reason: "uid 30001: LAZARUS GROUP (DPRK3, CYBER2)",
+                },
+                {
+                    address: INDIVIDUAL,
+                    reason: "uid 30002: Ivan EXAMPLE (RUSSIA-EO14024)",
+                },
+            ]);
+        });
+
+        it("Should read CSV lists with quoted reasons", async function () {
+            expect(readSanctionsList(CSV_FILE)).to.deep.equal([
+                {
+                    address: LAZARUS_ETH,
+                    reason: "Exploit proceeds, Ronin bridge",
+                },
+                { address: INDIVIDUAL, reason: "" },
+            ]);
+        });
+
+        it("Should reject CSV rows with invalid addresses", async function () {
+            expect(() =>
+                parseCsvList("address,reason\n0x1234,too short")
+            ).to.throw('Line 2: invalid address "0x1234"');
+            expect(() => parseCsvList("wallet\n" + LAZARUS_ETH)).to.throw(
+                '"address" column'
+            );
+        });
+
+        it("Should prefix and bound on-chain reasons", async function () {
+            expect(formatReason("OFAC SDN", "uid 1: X")).to.equal(
+                "[OFAC SDN] uid 1: X"
+            );
+            expect(formatReason("Denylist", "")).to.equal("[Denylist]");
+            expect(formatReason("OFAC SDN", "x".repeat(500))).to.have.lengthOf(
+                MAX_REASON_LENGTH
+            );
+        });
+    });
+
+    describe("Diff", function () {
+        it("Should only print the changes on a dry run", async function () {
+            const result = await sync({ file: SDN_FILE, dryRun: true });
+
+            expect(
+                result.blacklist.map(({ address }) => address)
+            ).to.deep.equal([LAZARUS_ETH, LAZARUS_BSC, INDIVIDUAL]);
+            expect(result.transactions).to.be.empty;
+            expect(await usdtq.isBlacklisted(LAZARUS_ETH)).to.be.false;
+        });
+
+        it("Should blacklist listed addresses with the entry as reason", async function () {
+            const result = await sync({ file: SDN_FILE });
+
+            expect(result.transactions).to.have.lengthOf(3);
+            expect(await usdtq.blacklistReason(LAZARUS_BSC)).to.equal(
+                "[OFAC SDN] uid 30001: LAZARUS GROUP (DPRK3, CYBER2)"
+            );
+
+            // A second run has nothing left to do
+            const again = await sync({ file: SDN_FILE });
+            expect(again.blacklist).to.be.empty;
+            expect(again.unBlacklist).to.be.empty;
+            expect(again.unchanged).to.equal(3);
+        });
+
+        it("Should unblacklist only delisted addresses from the same list", async function () {
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "[OFAC SDN] uid 29999: DELISTED");
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user2.address, "Court order 2026-17");
+            await usdtq
+                .connect(blacklister)
+                .blacklist(INDIVIDUAL, "Manual review");
+
+            const result = await sync({ file: SDN_FILE });
+
+            expect(result.unBlacklist).to.deep.equal([
+                {
+                    address: user1.address,
+                    reason: "[OFAC SDN] uid 29999: DELISTED",
+                },
+            ]);
+            expect(result.unchanged).to.equal(1);
+            expect(await usdtq.isBlacklisted(user1.address)).to.be.false;
+            expect(await usdtq.isBlacklisted(user2.address)).to.be.true;
+            expect(await usdtq.blacklistReason(INDIVIDUAL)).to.equal(
+                "Manual review"
+            );
+        });
+
+        it("Should name CSV lists after the file", async function () {
+            await sync({ file: CSV_FILE });
+
+            expect(await usdtq.blacklistReason(LAZARUS_ETH)).to.equal(
+                "[denylist] Exploit proceeds, Ronin bridge"
+            );
+            expect(await usdtq.blacklistReason(INDIVIDUAL)).to.equal(
+                "[denylist]"
+            );
+        });
+    });
+
+    describe("Output", function () {
+        it("Should prepare the calls as a Safe batch", async function () {
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "[Denylist] old entry");
+
+            const out = path.join(outDir, "sync.json");
+            const result = await sync({
+                file: CSV_FILE,
+                list: "Denylist",
+                safe: gnosisSafe.address,
+                nonce: 0,
+                out,
+            });
+
+            const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+            const calls = batch.transactions.map((tx) =>
+                usdtq.interface.parseTransaction({ data: tx.data })
+            );
+            expect(calls.map((call) => call.name)).to.deep.equal([
+                "blacklist",
+                "blacklist",
+                "unBlacklist",
+            ]);
+            expect(calls[2].args[0]).to.equal(user1.address);
+            expect(result.batch.safeTxHash).to.match(/^0x[0-9a-f]{64}$/);
+            expect(await usdtq.isBlacklisted(LAZARUS_ETH)).to.be.false;
+        });
+
+        it("Should download the list from a URL", async function () {
+            const server = http.createServer((req, res) => {
+                res.writeHead(200, { "Content-Type": "application/xml" });
+                res.end(fs.readFileSync(SDN_FILE));
+            });
+            await new Promise((resolve) => server.listen(0, resolve));
+
+            try {
+                const result = await sync({
+                    url: `http://127.0.0.1:${server.address().port}/SDN.XML`,
+                    dryRun: true,
+                });
+                expect(result.blacklist).to.have.lengthOf(3);
+            } finally {
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+    });
+});
@@ -0,0 +1,617 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+    JsonRpcServer,
+} = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { ethers } = hre;
+const {
+    USDTqClient,
+    USDTQ_ABI,
+    ROLES,
+    USDTqError,
+    AccessControlUnauthorizedAccountError,
+    AccountBlacklistedError,
+    AccountNotBlacklistedError,
+    AuthorizationAlreadyUsedError,
+    CAP_PARAMETERS,
+    CapChangeNotReadyError,
+    CallerNotPayeeError,
+    EnforcedPauseError,
+    ERC2612ExpiredSignatureError,
+    ERC2612InvalidSignerError,
+    ExceedsMaxMintPerTransactionError,
+    InsufficientReservesError,
+    MissingReserveRootError,
+    authorizationTypedData,
+    buildPermitTypedData,
+    buildReserveTree,
+    capParameter,
+    decodeError,
+    formatAmount,
+    formatRatio,
+    parseAmount,
+    planMint,
+    PartialMintError,
+    recoverAuthorizationSigner,
+    recoverPermitSigner,
+    signPermit,
+    verifyReserveProof,
+} = require("../sdk");
+
+describe("USDTq SDK", function () {
+    let usdtq, client;
+    let gnosisSafe, minter, blacklister, pauser, reserveManager, user1, user2;
+
+    async function expectError(promise, ErrorClass) {
+        let error;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(ErrorClass);
+        expect(error).to.be.instanceOf(USDTqError);
+        return error;
+    }
+
+    beforeEach(async function () {
+        [
+            ,
+            gnosisSafe,
+            minter,
+            blacklister,
+            pauser,
+            reserveManager,
+            user1,
+            user2,
+        ] = await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [pauser.address],
+            [reserveManager.address]
+        );
+        await usdtq.waitForDeployment();
+
+        client = new USDTqClient(await usdtq.getAddress(), ethers.provider);
+    });
+
+    describe("Package", function () {
+        it("Should ship the ABI of the compiled contract", async function () {
+            const { abi } = await hre.artifacts.readArtifact("USDTq");
+            expect(USDTQ_ABI).to.deep.equal(abi);
+        });
+
+        it("Should convert amounts with 6 decimals", async function () {
+            expect(parseAmount("1,000.5")).to.equal(1_000_500_000n);
+            expect(parseAmount(25)).to.equal(25_000_000n);
+            expect(parseAmount(7n)).to.equal(7n);
+            expect(formatAmount(1_000_500_000n)).to.equal("1000.5");
+            expect(formatRatio(9950n)).to.equal("99.50%");
+            expect(() => parseAmount("1.0000001")).to.throw();
+        });
+    });
+
+    describe("Reads", function () {
+        it("Should report collateralization and reserve health", async function () {
+            expect(await client.getCollateralizationRatio()).to.deep.equal({
+                ratio: 10000n,
+                reserves: parseAmount("10,000,000"),
+                supply: parseAmount("10,000,000"),
+                collateralized: true,
+            });
+
+            await usdtq
+                .connect(reserveManager)
+                .updateReserves(parseAmount("9,000,000"));
+
+            expect(await client.getReserveHealth()).to.deep.equal({
+                isHealthy: false,
+                reserveDeficit: parseAmount("1,000,000"),
+                reserveSurplus: 0n,
+            });
+            expect((await client.getCollateralizationRatio()).collateralized).to
+                .be.false;
+        });
+
+        it("Should report the remaining mint capacity", async function () {
+            expect(await client.getRemainingMintCapacity()).to.deep.equal({
+                perTxRemaining: parseAmount("10,000,000"),
+                totalRemaining: parseAmount("990,000,000"),
+            });
+        });
+
+        it("Should report blacklist status and reason", async function () {
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "OFAC sanctions");
+
+            expect(await client.isBlacklisted(user1.address)).to.be.true;
+            expect(await client.blacklistReason(user1.address)).to.equal(
+                "OFAC sanctions"
+            );
+            expect(await client.isBlacklisted(user2.address)).to.be.false;
+        });
+    });
+
+    describe("Writes", function () {
+        it("Should mint whole-USDTq amounts", async function () {
+            const tx = await client
+                .connect(minter)
+                .mint(user1.address, "1,500.25");
+            await tx.wait();
+
+            expect(await client.balanceOf(user1.address)).to.equal(
+                1_500_250_000n
+            );
+        });
+    });
+
+    describe("Supply cap timelock", function () {
+        it("Should resolve cap parameters by name or value", async function () {
+            expect(capParameter("MaxTotalSupply")).to.equal(1);
+            expect(capParameter("max-mint-per-transaction")).to.equal(0);
+            expect(capParameter(2n)).to.equal(CAP_PARAMETERS.CapChangeDelay);
+            expect(() => capParameter("maxSupply")).to.throw(
+                /Unknown cap parameter/
+            );
+        });
+
+        it("Should list pending changes and execute them after the delay", async function () {
+            const admin = client.connect(gnosisSafe);
+            await (await admin.proposeMaxTotalSupply("2,000,000,000")).wait();
+            const { timestamp } = await ethers.provider.getBlock("latest");
+
+            expect(await client.getPendingCapChanges()).to.deep.equal([
+                {
+                    parameter: "MaxTotalSupply",
+                    value: parseAmount("2,000,000,000"),
+                    executableAt: new Date((timestamp + 2 * 86400) * 1000),
+                },
+            ]);
+
+            const error = await expectError(
+                admin.executeCapChange("MaxTotalSupply"),
+                CapChangeNotReadyError
+            );
+            expect(error.message).to.equal(
+                `The change of MaxTotalSupply cannot be executed before ${new Date((timestamp + 2 * 86400) * 1000).toISOString()}`
+            );
+
+            await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+            await (await admin.executeCapChange("MaxTotalSupply")).wait();
+
+            expect(await client.maxTotalSupply()).to.equal(
+                parseAmount("2,000,000,000")
+            );
+            expect(await client.pendingCapChange("MaxTotalSupply")).to.be.null;
+        });
+    });
+
+    describe("Reserve proofs", function () {
+        it("Should publish a reserve root and verify a line against it", async function () {
+            const items = [
+                { asset: "USDT", amount: "6,000,000", custodian: "A" },
+                { asset: "USDC", amount: "4,000,000", custodian: "B" },
+            ];
+            const { root, proofs } = buildReserveTree(items);
+            await (
+                await client
+                    .connect(reserveManager)
+                    .updateReservesWithRoot("10,000,000", root)
+            ).wait();
+
+            expect(
+                verifyReserveProof({
+                    root: await client.reserveRoot(),
+                    index: 1,
+                    item: items[1],
+                    proof: proofs[1],
+                })
+            ).to.be.true;
+        });
+
+        it("Should throw MissingReserveRootError for an empty root", async function () {
+            await expectError(
+                client
+                    .connect(reserveManager)
+                    .updateReservesWithRoot("10,000,000", ethers.ZeroHash),
+                MissingReserveRootError
+            );
+        });
+    });
+
+    describe("Permits", function () {
+        let deadline;
+
+        beforeEach(async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            deadline = timestamp + 3600;
+            await (
+                await client.connect(minter).mint(user1.address, "1,000")
+            ).wait();
+        });
+
+        it("Should build typed data the contract accepts", async function () {
+            const typedData = buildPermitTypedData({
+                chainId: 31337,
+                verifyingContract: await usdtq.getAddress(),
+                owner: user1.address,
+                spender: user2.address,
+                value: "250.50",
+                nonce: await client.nonces(user1.address),
+                deadline: new Date(deadline * 1000),
+            });
+            expect(typedData.message.value).to.equal(250_500_000n);
+            expect(typedData.message.deadline).to.equal(BigInt(deadline));
+
+            const permit = await signPermit(user1, typedData);
+            expect(recoverPermitSigner(typedData, permit.signature)).to.equal(
+                user1.address
+            );
+
+            await (await client.connect(reserveManager).permit(permit)).wait();
+            expect(
+                await client.allowance(user1.address, user2.address)
+            ).to.equal(250_500_000n);
+            expect(await client.nonces(user1.address)).to.equal(1n);
+        });
+
+        it("Should read the domain and nonce from the contract", async function () {
+            const permit = await client
+                .connect(user1)
+                .signPermit(user2.address, "100", { deadline });
+            await (await client.connect(user2).permit(permit)).wait();
+
+            const typedData = await client.permitTypedData(
+                user1.address,
+                user2.address,
+                "100",
+                { deadline }
+            );
+            expect(typedData.message.nonce).to.equal(1n);
+            expect(
+                ethers.TypedDataEncoder.hashDomain(typedData.domain)
+            ).to.equal(await client.domainSeparator());
+        });
+
+        it("Should refuse to sign for another owner", async function () {
+            const typedData = buildPermitTypedData({
+                chainId: 31337,
+                verifyingContract: await usdtq.getAddress(),
+                owner: user1.address,
+                spender: user2.address,
+                value: 1n,
+                nonce: 0,
+                deadline,
+            });
+
+            let error;
+            try {
+                await signPermit(user2, typedData);
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.contain("does not match the signer");
+        });
+
+        it("Should throw typed errors for expired and replayed permits", async function () {
+            const expired = await client
+                .connect(user1)
+                .signPermit(user2.address, "100", { deadline: 1 });
+            const error = await expectError(
+                client.connect(user2).permit(expired),
+                ERC2612ExpiredSignatureError
+            );
+            expect(error.message).to.contain("1970-01-01T00:00:01");
+
+            const permit = await client
+                .connect(user1)
+                .signPermit(user2.address, "100", { deadline });
+            await (await client.connect(user2).permit(permit)).wait();
+            await expectError(
+                client.connect(user2).permit(permit),
+                ERC2612InvalidSignerError
+            );
+        });
+    });
+
+    describe("Authorizations", function () {
+        let validBefore;
+
+        beforeEach(async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            validBefore = timestamp + 3600;
+            await (
+                await client.connect(minter).mint(user1.address, "1,000")
+            ).wait();
+        });
+
+        it("Should sign transfers any account can submit", async function () {
+            const authorization = await client
+                .connect(user1)
+                .signTransferAuthorization(user2.address, "12.5", {
+                    validBefore: new Date(validBefore * 1000),
+                });
+            expect(authorization.type).to.equal("TransferWithAuthorization");
+            expect(authorization.value).to.equal(12_500_000n);
+            expect(authorization.nonce).to.match(/^0x[0-9a-f]{64}$/);
+            expect(
+                recoverAuthorizationSigner(
+                    authorizationTypedData(authorization, {
+                        chainId: 31337,
+                        verifyingContract: await usdtq.getAddress(),
+                    }),
+                    authorization.signature
+                )
+            ).to.equal(user1.address);
+
+            await (
+                await client
+                    .connect(reserveManager)
+                    .transferWithAuthorization(authorization)
+            ).wait();
+            expect(await client.balanceOf(user2.address)).to.equal(12_500_000n);
+            expect(
+                await client.authorizationState(
+                    user1.address,
+                    authorization.nonce
+                )
+            ).to.be.true;
+
+            const error = await expectError(
+                client.connect(user2).transferWithAuthorization(authorization),
+                AuthorizationAlreadyUsedError
+            );
+            expect(error.nonce).to.equal(authorization.nonce);
+        });
+
+        it("Should sign receives only the payee can submit", async function () {
+            const authorization = await client
+                .connect(user1)
+                .signReceiveAuthorization(user2.address, "5", { validBefore });
+
+            await expectError(
+                client
+                    .connect(reserveManager)
+                    .receiveWithAuthorization(authorization),
+                CallerNotPayeeError
+            );
+            await (
+                await client
+                    .connect(user2)
+                    .receiveWithAuthorization(authorization)
+            ).wait();
+            expect(await client.balanceOf(user2.address)).to.equal(5_000_000n);
+        });
+
+        it("Should cancel an unused authorization", async function () {
+            const authorization = await client
+                .connect(user1)
+                .signTransferAuthorization(user2.address, "5", { validBefore });
+            const cancellation = await client
+                .connect(user1)
+                .signCancelAuthorization(authorization.nonce);
+            await (
+                await client.connect(user2).cancelAuthorization(cancellation)
+            ).wait();
+
+            await expectError(
+                client.connect(user2).transferWithAuthorization(authorization),
+                AuthorizationAlreadyUsedError
+            );
+        });
+    });
+
+    describe("Split mints", function () {
+        const capacity = {
+            perTxRemaining: 10_000_000_000_000n,
+            totalRemaining: 990_000_000_000_000n,
+        };
+
+        beforeEach(async function () {
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterAllowance(minter.address, 100_000_000_000_000n);
+        });
+
+        it("Should fill chunks up to the per-transaction cap", async function () {
+            expect(planMint("25,000,000", capacity)).to.deep.equal([
+                10_000_000_000_000n,
+                10_000_000_000_000n,
+                5_000_000_000_000n,
+            ]);
+            expect(planMint("20,000,000", capacity)).to.have.lengthOf(2);
+            expect(planMint(1n, capacity)).to.deep.equal([1n]);
+        });
+
+        it("Should refuse plans above the supply headroom", async function () {
+            expect(() =>
+                planMint("25,000,000", {
+                    ...capacity,
+                    totalRemaining: 20_000_000_000_000n,
+                })
+            ).to.throw("exceeds the remaining supply of 20000000.0 USDTq");
+            expect(() => planMint(0n, capacity)).to.throw("greater than zero");
+        });
+
+        it("Should refuse plans above the minter's remaining limits", async function () {
+            expect(() =>
+                planMint("25,000,000", {
+                    ...capacity,
+                    minterRemaining: 20_000_000_000_000n,
+                })
+            ).to.throw(
+                "exceeds the 20000000.0 USDTq the minter's allowance and rate limit allow"
+            );
+
+            await usdtq
+                .connect(gnosisSafe)
+                .setMinterAllowance(minter.address, 20_000_000_000_000n);
+            await expect(
+                client.connect(minter).mintInChunks(user1.address, "25,000,000")
+            ).to.be.rejectedWith("the minter's allowance and rate limit allow");
+            expect(await client.balanceOf(user1.address)).to.equal(0n);
+        });
+
+        it("Should mint above the cap in consecutive transactions", async function () {
+            const result = await client
+                .connect(minter)
+                .mintInChunks(user1.address, "25,000,000");
+
+            expect(result.chunks.map((chunk) => chunk.amount)).to.deep.equal([
+                10_000_000_000_000n,
+                10_000_000_000_000n,
+                5_000_000_000_000n,
+            ]);
+            expect(await client.balanceOf(user1.address)).to.equal(
+                25_000_000_000_000n
+            );
+        });
+
+        it("Should report partial progress when a chunk fails", async function () {
+            let error;
+            try {
+                await client
+                    .connect(minter)
+                    .mintInChunks(user1.address, "25,000,000", {
+                        onChunk: async (chunk) => {
+                            if (chunk.index === 0) {
+                                await usdtq
+                                    .connect(blacklister)
+                                    .blacklist(user1.address, "Sanctioned");
+                            }
+                        },
+                    });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(PartialMintError);
+            expect(error.failedChunk).to.equal(1);
+            expect(error.chunks).to.have.lengthOf(1);
+            expect(error.minted).to.equal(10_000_000_000_000n);
+            expect(error.remaining).to.equal(15_000_000_000_000n);
+            expect(error.cause).to.be.instanceOf(AccountBlacklistedError);
+            expect(error.message).to.contain(
+                "Chunk 2/3 failed after minting 10000000.0 of 25000000.0 USDTq"
+            );
+        });
+    });
+
+    describe("Errors", function () {
+        it("Should throw ExceedsMaxMintPerTransactionError", async function () {
+            const error = await expectError(
+                client.connect(minter).mint(user1.address, "10,000,001"),
+                ExceedsMaxMintPerTransactionError
+            );
+
+            expect(error.errorName).to.equal("ExceedsMaxMintPerTransaction");
+            expect(error.requested).to.equal(parseAmount("10,000,001"));
+            expect(error.maximum).to.equal(parseAmount("10,000,000"));
+            expect(error.message).to.equal(
+                "Mint of 10000001.0 USDTq exceeds the per-transaction limit of 10000000.0 USDTq"
+            );
+            expect(error.cause).to.exist;
+        });
+
+        it("Should throw AccountBlacklistedError", async function () {
+            await usdtq
+                .connect(blacklister)
+                .blacklist(user1.address, "OFAC sanctions");
+
+            const error = await expectError(
+                client.connect(gnosisSafe).transfer(user1.address, "1"),
+                AccountBlacklistedError
+            );
+            expect(error.account).to.equal(user1.address);
+        });
+
+        it("Should throw AccountNotBlacklistedError on a compliance burn", async function () {
+            const error = await expectError(
+                client
+                    .connect(blacklister)
+                    .complianceBurn(user1.address, "1", "OFAC-2026-0142"),
+                AccountNotBlacklistedError
+            );
+            expect(error.message).to.equal(
+                `Account ${user1.address} is not blacklisted`
+            );
+        });
+
+        it("Should throw InsufficientReservesError", async function () {
+            const error = await expectError(
+                client
+                    .connect(reserveManager)
+                    .removeReserves("10,000,001", "Redemption"),
+                InsufficientReservesError
+            );
+            expect(error.required).to.equal(parseAmount("10,000,001"));
+            expect(error.available).to.equal(parseAmount("10,000,000"));
+        });
+
+        it("Should throw inherited OpenZeppelin errors", async function () {
+            const error = await expectError(
+                client.connect(user1).pause(),
+                AccessControlUnauthorizedAccountError
+            );
+            expect(error.neededRole).to.equal(ROLES.PAUSER_ROLE);
+            expect(error.message).to.contain("missing PAUSER_ROLE");
+
+            await client.connect(pauser).pause();
+            await expectError(
+                client.connect(minter).mint(user1.address, 1n),
+                EnforcedPauseError
+            );
+        });
+
+        it("Should leave unrelated errors untouched", async function () {
+            const original = new Error("network down");
+            expect(decodeError(original)).to.equal(original);
+        });
+    });
+
+    describe("Local node (JSON-RPC)", function () {
+        let server, provider;
+
+        before(async function () {
+            // Serve the in-process Hardhat network like `npx hardhat node`
+            server = new JsonRpcServer({
+                hostname: "127.0.0.1",
+                port: 0,
+                provider: hre.network.provider,
+            });
+            const { port } = await server.listen();
+            provider = new ethers.JsonRpcProvider(
+                `http://127.0.0.1:${port}`,
+                undefined,
+                { staticNetwork: true }
+            );
+        });
+
+        after(async function () {
+            provider.destroy();
+            await server.close();
+        });
+
+        it("Should read and decode reverts over JSON-RPC", async function () {
+            const remote = new USDTqClient(await usdtq.getAddress(), provider);
+            expect((await remote.getReserveHealth()).isHealthy).to.be.true;
+
+            const signer = await provider.getSigner(minter.address);
+            await (
+                await remote.connect(signer).mint(user1.address, "2")
+            ).wait();
+            expect(await remote.balanceOf(user1.address)).to.equal(2_000_000n);
+
+            const error = await expectError(
+                remote.connect(signer).mint(user1.address, "10,000,001"),
+                ExceedsMaxMintPerTransactionError
+            );
+            expect(error.maximum).to.equal(parseAmount("10,000,000"));
+        });
+    });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { CSV_COLUMNS, toCsv } = require("../utils/snapshot");
+
+describe("Holder snapshots", function () {
+    let usdtq, deployBlock;
+    let gnosisSafe, minter, blacklister, user1, user2;
+    let outDir;
+
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    async function run(name, args) {
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            return await hre.run(name, {
+                contract: await usdtq.getAddress(),
+                fromBlock: deployBlock,
+                ...args,
+            });
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    async function runError(name, args) {
+        try {
+            await run(name, args);
+        } catch (error) {
+            return error;
+        }
+        return undefined;
+    }
+
+    beforeEach(async function () {
+        [, gnosisSafe, minter, blacklister, , , user1, user2] =
+            await ethers.getSigners();
+
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [],
+            []
+        );
+        await usdtq.waitForDeployment();
+        deployBlock = (await usdtq.deploymentTransaction().wait()).blockNumber;
+
+        await usdtq
+            .connect(gnosisSafe)
+            .transfer(user1.address, usdtqAmount("1000"));
+        await usdtq.connect(minter).mint(user2.address, usdtqAmount("500"));
+        await usdtq
+            .connect(blacklister)
+            .blacklist(user1.address, "Fraud, case 17");
+
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-snapshot-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("Should rebuild balances that add up to totalSupply", async function () {
+        const { snapshot } = await run("snapshot:holders", {
+            format: "json",
+            out: path.join(outDir, "holders.json"),
+        });
+
+        expect(snapshot.totalSupply).to.equal(
+            (await usdtq.totalSupply()).toString()
+        );
+        expect(snapshot.holders.map((holder) => holder.address)).to.deep.equal([
+            gnosisSafe.address,
+            user1.address,
+            user2.address,
+        ]);
+        for (const holder of snapshot.holders) {
+            expect(holder.balance).to.equal(
+                (await usdtq.balanceOf(holder.address)).toString()
+            );
+        }
+        expect(snapshot.holders[2].share).to.equal("0.0049%");
+    });
+
+    it("Should flag blacklisted holders with their reason", async function () {
+        const { snapshot } = await run("snapshot:holders", {
+            format: "json",
+            out: path.join(outDir, "holders.json"),
+        });
+
+        const holder = snapshot.holders.find(
+            (entry) => entry.address === user1.address
+        );
+        expect(holder.blacklisted).to.be.true;
+        expect(holder.blacklistReason).to.equal("Fraud, case 17");
+        expect(snapshot.blacklistedCount).to.equal(1);
+    });
+
+    it("Should snapshot a past block", async function () {
+        const block = await ethers.provider.getBlockNumber();
+        await usdtq.connect(blacklister).unBlacklist(user1.address);
+        await usdtq.connect(user2).transfer(user1.address, usdtqAmount("200"));
+
+        const { snapshot } = await run("snapshot:holders", {
+            block,
+            format: "json",
+            out: path.join(outDir, "holders.json"),
+        });
+
+        expect(snapshot.blockNumber).to.equal(block);
+        const user2Entry = snapshot.holders.find(
+            (entry) => entry.address === user2.address
+        );
+        expect(user2Entry.balanceFormatted).to.equal("500.0");
+        expect(
+            snapshot.holders.find((entry) => entry.address === user1.address)
+                .blacklisted
+        ).to.be.true;
+    });
+
+    it("Should drop burned balances and the zero address", async function () {
+        await usdtq
+            .connect(blacklister)
+            .complianceBurn(user1.address, usdtqAmount("1000"), "CASE-1");
+
+        const { snapshot } = await run("snapshot:holders", {
+            format: "json",
+            out: path.join(outDir, "holders.json"),
+        });
+
+        expect(snapshot.holders.map((holder) => holder.address)).to.deep.equal([
+            gnosisSafe.address,
+            user2.address,
+        ]);
+        expect(snapshot.totalSupplyFormatted).to.equal("9999500.0");
+    });
+
+    it("Should export CSV with quoted reasons", async function () {
+        const out = path.join(outDir, "holders.csv");
+        await run("snapshot:holders", { out });
+
+        const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+        expect(lines[0]).to.equal(CSV_COLUMNS.join(","));
+        expect(lines).to.have.lengthOf(4);
+        expect(lines[2]).to.equal(
+            `${user1.address},1000000000,1000.0,0.0099%,true,"Fraud, case 17"`
+        );
+        expect(lines[3]).to.equal(
+            `${user2.address},500000000,500.0,0.0049%,false,`
+        );
+    });
+
+    it("Should keep reason formulas and line breaks inert in CSV", function () {
+        const holder = (blacklistReason) => ({
+            address: user1.address,
+            balance: "1",
+            balanceFormatted: "0.000001",
+            share: "0.0%",
+            blacklisted: true,
+            blacklistReason,
+        });
+        const csv = toCsv({
+            holders: [
+                holder('=HYPERLINK("https://example.com")'),
+                holder("@SUM(A1)"),
+                holder("Case 17\r\nsee file"),
+            ],
+        });
+
+        const reasons = csv
+            .split("\n")
+            .slice(1)
+            .map((line) => line.slice(line.indexOf("true,") + 5));
+        expect(reasons.slice(0, 2)).to.deep.equal([
+            `"'=HYPERLINK(""https://example.com"")"`,
+            "'@SUM(A1)",
+        ]);
+        expect(csv).to.contain(`,"Case 17\r\nsee file"\n`);
+    });
+
+    it("Should fail when the replay misses the deployment", async function () {
+        const error = await runError("snapshot:holders", {
+            fromBlock: deployBlock + 1,
+            out: path.join(outDir, "holders.csv"),
+        });
+
+        expect(error?.message).to.contain(
+            "is --from-block the deployment block?"
+        );
+        expect(fs.existsSync(path.join(outDir, "holders.csv"))).to.be.false;
+    });
+});
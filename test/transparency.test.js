@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { EventIndexer, openEventStore } = require("../utils/indexer");
+const { MONTHLY_CSV_COLUMNS } = require("../utils/transparency");
+
+describe("Transparency reports", function () {
+    let usdtq;
+    let gnosisSafe, minter, blacklister, reserveManager, user1, user2;
+    let outDir, dbFile;
+    let months;
+
+    const DAY = 86400;
+    const usdtqAmount = (value) => ethers.parseUnits(value, 6);
+
+    async function at(timestamp, send) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        return send();
+    }
+
+    async function run(args = {}) {
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            return await hre.run("transparency:report", {
+                db: dbFile,
+                out: path.join(outDir, "reports"),
+                ...args,
+            });
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    before(async function () {
+        [, gnosisSafe, minter, blacklister, , reserveManager, user1, user2] =
+            await ethers.getSigners();
+
+        // Start at the first of the month after next, whatever the chain time
+        const now = new Date(
+            (await ethers.provider.getBlock("latest")).timestamp * 1000
+        );
+        const start = (offset, day) =>
+            Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, day) /
+            1000;
+        months = [2, 3, 4].map((offset) =>
+            new Date(start(offset, 1) * 1000).toISOString().slice(0, 7)
+        );
+
+        // First month: a mint opens a deficit, an attestation closes it,
+        // then a compliance burn
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await at(start(2, 5), () =>
+            USDTq.deploy(
+                gnosisSafe.address,
+                [minter.address],
+                [blacklister.address],
+                [],
+                [reserveManager.address]
+            )
+        );
+        await usdtq.waitForDeployment();
+        const deployBlock = (await usdtq.deploymentTransaction().wait())
+            .blockNumber;
+        await at(start(2, 10), () =>
+            usdtq.connect(minter).mint(user1.address, usdtqAmount("2000000"))
+        );
+        await at(start(2, 12), () =>
+            usdtq
+                .connect(reserveManager)
+                .updateReserves(usdtqAmount("12500000"))
+        );
+        await at(start(2, 15), () =>
+            usdtq.connect(blacklister).blacklist(user1.address, "Fraud")
+        );
+        await at(start(2, 20), () =>
+            usdtq
+                .connect(blacklister)
+                .complianceBurn(user1.address, usdtqAmount("100000"), "CASE-7")
+        );
+        // Second month: nothing. Third month: a mint leaves a deficit open
+        await at(start(4, 3), () =>
+            usdtq.connect(minter).mint(user2.address, usdtqAmount("1000000"))
+        );
+
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtq-transparency-"));
+        dbFile = path.join(outDir, "events.sqlite");
+        const db = openEventStore(dbFile);
+        try {
+            await new EventIndexer({
+                provider: ethers.provider,
+                db,
+                address: usdtq.target,
+                abi: (await hre.artifacts.readArtifact("USDTq")).abi,
+                startBlock: deployBlock,
+                confirmations: 0,
+            }).sync();
+        } finally {
+            db.close();
+        }
+    });
+
+    after(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("Should total supply, reserves and attestations per month", async function () {
+        const { months: reports } = await run();
+        const [first, second, third] = reports;
+
+        expect(reports.map((report) => report.month)).to.deep.equal(months);
+        expect(first.openingSupply).to.equal(0n);
+        expect(first.minted).to.equal(usdtqAmount("12000000"));
+        expect(first.mintCount).to.equal(2);
+        expect(first.burned).to.equal(usdtqAmount("100000"));
+        expect(first.closingSupply).to.equal(usdtqAmount("11900000"));
+        expect(first.closingReserves).to.equal(usdtqAmount("12400000"));
+        expect(first.closingRatio).to.equal(10420n);
+        // Constructor and updateReserves; the compliance burn is not one
+        expect(first.attestations).to.equal(2);
+
+        expect(second.openingSupply).to.equal(first.closingSupply);
+        expect(second.closingSupply).to.equal(first.closingSupply);
+        expect(second.attestations).to.equal(0);
+        expect(third.closingSupply).to.equal(usdtqAmount("12900000"));
+    });
+
+    it("Should list the largest mints and burns", async function () {
+        const {
+            months: [first],
+        } = await run({ top: 1 });
+
+        expect(first.largestMints).to.have.lengthOf(1);
+        expect(first.largestMints[0].amount).to.equal(usdtqAmount("10000000"));
+        expect(first.largestMints[0].account).to.equal(gnosisSafe.address);
+        expect(first.largestBurns[0].method).to.equal("complianceBurn");
+        expect(first.largestBurns[0].caseReference).to.equal("CASE-7");
+    });
+
+    it("Should find the periods with a reserve deficit", async function () {
+        const {
+            months: [first, second, third],
+        } = await run();
+
+        expect(first.deficits).to.have.lengthOf(1);
+        expect(first.deficits[0].maxDeficit).to.equal(usdtqAmount("2000000"));
+        expect(
+            first.deficits[0].end.timestamp - first.deficits[0].start.timestamp
+        ).to.equal(2 * DAY);
+        expect(first.minRatio).to.equal(8333n);
+        expect(second.deficits).to.be.empty;
+        expect(third.deficits[0].end).to.be.null;
+        expect(third.deficits[0].maxDeficit).to.equal(usdtqAmount("500000"));
+    });
+
+    it("Should write Markdown and CSV reports", async function () {
+        const { files } = await run();
+        const dir = path.join(outDir, "reports");
+
+        expect(files.map((file) => path.basename(file))).to.deep.equal([
+            ...months.map((month) => `${month}.md`),
+            "monthly.csv",
+            "series.csv",
+        ]);
+
+        const first = fs.readFileSync(
+            path.join(dir, `${months[0]}.md`),
+            "utf8"
+        );
+        expect(first).to.contain(
+            "| Supply (USDTq) | 0.0 | 11900000.0 | +11900000.0 |"
+        );
+        expect(first).to.contain("| Collateralization | 100.00% | 104.20% | |");
+        expect(first).to.contain("complianceBurn (CASE-7)");
+        expect(first).to.contain("| 2d | 2000000.0 |");
+        expect(
+            fs.readFileSync(path.join(dir, `${months[1]}.md`), "utf8")
+        ).to.contain("None: reserves covered supply throughout the month.");
+        expect(
+            fs.readFileSync(path.join(dir, `${months[2]}.md`), "utf8")
+        ).to.contain("| ongoing |");
+
+        const csv = fs
+            .readFileSync(path.join(dir, "monthly.csv"), "utf8")
+            .trim()
+            .split("\n");
+        expect(csv[0]).to.equal(MONTHLY_CSV_COLUMNS.join(","));
+        expect(csv[1]).to.equal(
+            `${months[0]},0.0,11900000.0,12000000.0,100000.0,2,1,0.0,12400000.0,10420,8333,2,1,2000000.0`
+        );
+
+        const series = fs
+            .readFileSync(path.join(dir, "series.csv"), "utf8")
+            .trim()
+            .split("\n");
+        // Deploy, mint, attestation, compliance burn, mint
+        expect(series).to.have.lengthOf(6);
+    });
+
+    it("Should write Markdown for a single month", async function () {
+        const out = path.join(outDir, "single");
+        const { files } = await run({ month: months[1], out });
+
+        expect(files.map((file) => path.basename(file))).to.deep.equal([
+            `${months[1]}.md`,
+            "monthly.csv",
+            "series.csv",
+        ]);
+    });
+
+    it("Should require an event database", async function () {
+        let error;
+        try {
+            await run({ db: path.join(outDir, "missing.sqlite") });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.contain("run index-events first");
+    });
+});
@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const http = require("http");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { verifyContract } = require("../utils/verify");
+
+describe("Explorer verification", function () {
+    let server, apiURL;
+    let submissions;
+    let verifyResponses;
+    let savedEtherscan;
+    let usdtq, constructorArguments;
+
+    // Minimal BscScan (Etherscan v1) API: getsourcecode, verifysourcecode
+    // and checkverifystatus. verifyResponses is consumed per submission.
+    function handle(req, res) {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const params = new URLSearchParams(
+                req.method === "POST" ? body : req.url.split("?")[1]
+            );
+            let response;
+            switch (params.get("action")) {
+                case "getsourcecode":
+                    response = {
+                        status: "1",
+                        message: "OK",
+                        result: [{ SourceCode: "" }],
+                    };
+                    break;
+                case "verifysourcecode":
+                    submissions++;
+                    response = verifyResponses.shift() || {
+                        status: "1",
+                        message: "OK",
+                        result: "guid",
+                    };
+                    break;
+                case "checkverifystatus":
+                    response = {
+                        status: "1",
+                        message: "OK",
+                        result: "Pass - Verified",
+                    };
+                    break;
+                default:
+                    response = { status: "0", result: "Unknown action" };
+            }
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(response));
+        });
+    }
+
+    before(async function () {
+        server = http.createServer(handle);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        apiURL = `http://127.0.0.1:${server.address().port}/api`;
+
+        savedEtherscan = hre.config.etherscan;
+        hre.config.etherscan = {
+            ...savedEtherscan,
+            apiKey: { hardhat: "test" },
+            customChains: [
+                {
+                    network: "hardhat",
+                    chainId: 31337,
+                    urls: { apiURL, browserURL: "http://127.0.0.1" },
+                },
+            ],
+        };
+    });
+
+    after(async function () {
+        hre.config.etherscan = savedEtherscan;
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(async function () {
+        submissions = 0;
+        verifyResponses = [];
+
+        const [, gnosisSafe, minter, blacklister, pauser, reserveManager] =
+            await ethers.getSigners();
+        constructorArguments = [
+            gnosisSafe.address,
+            [minter.address],
+            [blacklister.address],
+            [pauser.address],
+            [reserveManager.address],
+        ];
+        const USDTq = await ethers.getContractFactory("USDTq");
+        usdtq = await USDTq.deploy(...constructorArguments);
+        await usdtq.waitForDeployment();
+    });
+
+    async function verify(options = {}) {
+        return verifyContract(hre, {
+            address: await usdtq.getAddress(),
+            constructorArguments,
+            contract: "contracts/USDTq.sol:USDTq",
+            includeLocal: true,
+            retryDelayMs: 0,
+            log: () => {},
+            ...options,
+        });
+    }
+
+    it("Should verify on the first attempt", async function () {
+        const result = await verify();
+
+        expect(result.status).to.equal("verified");
+        expect(result.attempts).to.equal(1);
+        expect(submissions).to.equal(1);
+    });
+
+    it("Should retry while the explorer has not indexed the contract", async function () {
+        const notIndexed = {
+            status: "0",
+            message: "NOTOK",
+            result: `Unable to locate ContractCode at ${await usdtq.getAddress()}`,
+        };
+        verifyResponses = [notIndexed, notIndexed];
+
+        const result = await verify();
+
+        expect(result.status).to.equal("verified");
+        expect(result.attempts).to.equal(3);
+        expect(submissions).to.equal(3);
+    });
+
+    it("Should give up after the attempt limit", async function () {
+        const notIndexed = {
+            status: "0",
+            message: "NOTOK",
+            result: `Unable to locate ContractCode at ${await usdtq.getAddress()}`,
+        };
+        verifyResponses = [notIndexed, notIndexed, notIndexed];
+
+        const result = await verify({ attempts: 2 });
+
+        expect(result.status).to.equal("failed");
+        expect(result.attempts).to.equal(2);
+        expect(result.error).to.contain("does not have bytecode");
+    });
+
+    it("Should not retry errors that will not resolve", async function () {
+        verifyResponses = [
+            { status: "0", message: "NOTOK", result: "Invalid API Key" },
+        ];
+
+        const result = await verify();
+
+        expect(result.status).to.equal("failed");
+        expect(result.attempts).to.equal(1);
+        expect(submissions).to.equal(1);
+    });
+
+    it("Should skip local networks by default", async function () {
+        const result = await verify({ includeLocal: false });
+
+        expect(result.status).to.equal("skipped");
+        expect(submissions).to.equal(0);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * @title Alert Sinks
+ * @notice Destinations for monitoring alerts: stdout JSON, webhook and email
+ * @dev A sink is an object with `name` and `async send(alert)`. Alerts are
+ *      plain JSON objects:
+ *
+ *        { type, severity, message, network, chainId, contract,
+ *          blockNumber, timestamp, details }
+ *
+ *      dispatchAlert() delivers to every sink and reports failures without
+ *      letting one broken sink stop the others.
+ */
+
+const nodemailer = require("nodemailer");
+
+/**
+ * One JSON line per alert
+ * @param {object} [options] Options
+ * @param {object} [options.stream] Writable stream (default process.stdout)
+ * @returns {object} Sink
+ */
+function stdoutSink(options = {}) {
+    const stream = options.stream || process.stdout;
+    return {
+        name: "stdout",
+        async send(alert) {
+            stream.write(JSON.stringify(alert) + "\n");
+        },
+    };
+}
+
+/**
+ * POST each alert as JSON
+ * @param {object} options Options
+ * @param {string} options.url Webhook URL
+ * @param {object} [options.headers] Extra request headers
+ * @param {number} [options.timeoutMs] Request timeout (default 10s)
+ * @returns {object} Sink
+ */
+function webhookSink(options) {
+    return {
+        name: "webhook",
+        async send(alert) {
+            const response = await fetch(options.url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    ...options.headers,
+                },
+                body: JSON.stringify(alert),
+                signal: AbortSignal.timeout(options.timeoutMs || 10_000),
+            });
+            if (!response.ok) {
+                throw new Error(
+                    `Webhook ${options.url} responded ${response.status}`
+                );
+            }
+        },
+    };
+}
+
+/**
+ * Email each alert over SMTP (a local relay or stub such as MailHog)
+ * @param {object} options Options
+ * @param {string} [options.host] SMTP host (default 127.0.0.1)
+ * @param {number} [options.port] SMTP port (default 1025)
+ * @param {string} options.from Sender address
+ * @param {string|string[]} options.to Recipients
+ * @returns {object} Sink
+ */
+function emailSink(options) {
+    const transport = nodemailer.createTransport({
+        host: options.host || "127.0.0.1",
+        port: options.port || 1025,
+        secure: false,
+        ignoreTLS: true,
+    });
+    return {
+        name: "email",
+        async send(alert) {
+            await transport.sendMail({
+                from: options.from,
+                to: options.to,
+                subject: `[USDTq ${alert.severity}] ${alert.message}`,
+                text: JSON.stringify(alert, null, 2),
+            });
+        },
+        close() {
+            transport.close();
+        },
+    };
+}
+
+/**
+ * Deliver an alert to every sink
+ * @param {object[]} sinks Sinks
+ * @param {object} alert Alert
+ * @returns {Promise<Array<{sink: string, error: Error}>>} Failed deliveries
+ */
+async function dispatchAlert(sinks, alert) {
+    const results = await Promise.allSettled(
+        sinks.map((sink) => sink.send(alert))
+    );
+    return results
+        .map((result, i) => ({ sink: sinks[i].name, result }))
+        .filter(({ result }) => result.status === "rejected")
+        .map(({ sink, result }) => ({ sink, error: result.reason }));
+}
+
+module.exports = {
+    stdoutSink,
+    webhookSink,
+    emailSink,
+    dispatchAlert,
+};
@@ -0,0 +1,416 @@
+/**
+ * @title Reserve Attestations
+ * @notice Turns a custodian reserve report into a signed, hashed attestation
+ * @dev A reserve report lists custodied balances per asset:
+ *
+ *        {
+ *          "asOf": "2026-03-31T00:00:00Z",
+ *          "reference": "Custodian statement 2026-Q1",
+ *          "balances": [
+ *            { "asset": "USDT", "amount": "6,000,000.00", "custodian": "..." },
+ *            { "asset": "USDC", "amount": "4,000,000.00", "custodian": "..." },
+ *            { "asset": "T-BILL", "amount": "100", "usdValue": "99,250.00" }
+ *          ]
+ *        }
+ *
+ *      USD stablecoin balances count 1:1; any other asset needs a usdValue.
+ *      The report hash is keccak256 of the report's canonical JSON (sorted
+ *      keys, no whitespace), so any edit to the document changes it. The
+ *      attestation signs (reportHash, totalReserves, asOf) as EIP-712 typed
+ *      data bound to the chain and the USDTq contract.
+ *
+ *      Once the reserve call is mined, linkEvent() records the transaction
+ *      and the ReservesUpdated log it produced, so every on-chain reserve
+ *      figure can be traced back to a report.
+ *
+ *      The attestation also carries reserveRoot, the Merkle root of the
+ *      report's balances (see sdk/src/reserves.js). It is derived from the
+ *      report, so the signed reportHash already commits to it. Published
+ *      with updateReservesWithRoot, it lets each custodian check its own
+ *      line against the chain with a proof from reserveProofs().
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const { ethers } = require("ethers");
+const { buildReserveTree } = require("../sdk/src");
+const { parseAmount, formatAmount } = require("./usdtq");
+
+const ATTESTATION_VERSION = 1;
+const ATTESTATION_DIR = path.join(__dirname, "..", "attestations");
+
+// Assets counted 1:1 in USD
+const USD_ASSETS = ["USD", "USDT", "USDC", "FDUSD", "TUSD", "DAI"];
+
+const AMOUNT_PATTERN = "^[0-9][0-9,_]*(\\.[0-9]{1,6})?$";
+
+const REPORT_SCHEMA = {
+    type: "object",
+    required: ["asOf", "balances"],
+    properties: {
+        asOf: { type: "string", format: "date-time" },
+        reference: { type: "string" },
+        balances: {
+            type: "array",
+            minItems: 1,
+            items: {
+                type: "object",
+                required: ["asset", "amount"],
+                properties: {
+                    asset: { type: "string", minLength: 1 },
+                    amount: { type: "string", pattern: AMOUNT_PATTERN },
+                    usdValue: { type: "string", pattern: AMOUNT_PATTERN },
+                    custodian: { type: "string" },
+                    account: { type: "string" },
+                },
+            },
+        },
+    },
+};
+
+const validateSchema = new Ajv({
+    allErrors: true,
+    formats: {
+        "date-time": (value) =>
+            /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)),
+    },
+}).compile(REPORT_SCHEMA);
+
+const ATTESTATION_TYPES = {
+    ReserveAttestation: [
+        { name: "reportHash", type: "bytes32" },
+        { name: "totalReserves", type: "uint256" },
+        { name: "asOf", type: "uint256" },
+    ],
+};
+
+/**
+ * EIP-712 domain of attestations for a USDTq deployment
+ * @param {bigint|number} chainId Chain id
+ * @param {string} contract USDTq address
+ * @returns {object}
+ */
+function attestationDomain(chainId, contract) {
+    return {
+        name: "USDTq Reserve Attestation",
+        version: "1",
+        chainId,
+        verifyingContract: contract,
+    };
+}
+
+/**
+ * JSON with sorted object keys and no whitespace
+ * @param {*} value JSON value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * keccak256 of the canonical report JSON
+ * @param {object} report Reserve report
+ * @returns {string}
+ */
+function hashReport(report) {
+    return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(report)));
+}
+
+/**
+ * Validate a report and total its balances
+ * @param {object} report Reserve report
+ * @returns {{total: bigint, assets: object}} Total and per-asset USD value
+ *          in 6-decimal units
+ */
+function totalReserves(report) {
+    if (!validateSchema(report)) {
+        throw new Error(
+            `Invalid reserve report:\n  - ${validateSchema.errors
+                .map(
+                    (error) =>
+                        `${error.instancePath || "report"} ${error.message}`
+                )
+                .join("\n  - ")}`
+        );
+    }
+
+    const assets = {};
+    let total = 0n;
+    report.balances.forEach((balance, i) => {
+        const asset = balance.asset.toUpperCase();
+        if (balance.usdValue === undefined && !USD_ASSETS.includes(asset)) {
+            throw new Error(
+                `balances[${i}]: ${balance.asset} is not a USD stablecoin; add a usdValue`
+            );
+        }
+        const value = parseAmount(balance.usdValue ?? balance.amount);
+        assets[asset] = (assets[asset] || 0n) + value;
+        total += value;
+    });
+
+    return { total, assets };
+}
+
+/**
+ * Build and sign an attestation for a report
+ * @param {object} options Options
+ * @param {object} options.report Reserve report
+ * @param {object} options.signer ethers Signer
+ * @param {bigint|number} options.chainId Chain id
+ * @param {string} options.contract USDTq address
+ * @returns {Promise<object>} Attestation document
+ */
+async function createAttestation({ report, signer, chainId, contract }) {
+    const { total, assets } = totalReserves(report);
+    const reportHash = hashReport(report);
+    const asOf = Math.floor(Date.parse(report.asOf) / 1000);
+
+    const signature = await signer.signTypedData(
+        attestationDomain(chainId, contract),
+        ATTESTATION_TYPES,
+        { reportHash, totalReserves: total, asOf }
+    );
+
+    return {
+        version: ATTESTATION_VERSION,
+        chainId: Number(chainId),
+        contract: ethers.getAddress(contract),
+        reportHash,
+        totalReserves: total.toString(),
+        totalReservesFormatted: formatAmount(total),
+        assets: Object.fromEntries(
+            Object.entries(assets).map(([asset, value]) => [
+                asset,
+                value.toString(),
+            ])
+        ),
+        asOf,
+        reserveRoot: buildReserveTree(report.balances).root,
+        signer: await signer.getAddress(),
+        signature,
+        createdAt: new Date().toISOString(),
+        report,
+    };
+}
+
+/**
+ * Check an attestation's hash, total and signature
+ * @param {object} attestation Attestation document
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function verifyAttestation(attestation) {
+    const errors = [];
+
+    if (hashReport(attestation.report) !== attestation.reportHash) {
+        errors.push("reportHash does not match the embedded report");
+    }
+
+    let total;
+    try {
+        total = totalReserves(attestation.report).total;
+    } catch (error) {
+        errors.push(error.message);
+    }
+    if (total !== undefined && total.toString() !== attestation.totalReserves) {
+        errors.push(
+            `totalReserves ${attestation.totalReserves} does not match the report total ${total}`
+        );
+    }
+
+    // Attestations written before reserve roots existed have none
+    if (
+        attestation.reserveRoot !== undefined &&
+        total !== undefined &&
+        buildReserveTree(attestation.report.balances).root !==
+            attestation.reserveRoot
+    ) {
+        errors.push("reserveRoot does not match the embedded report");
+    }
+
+    const recovered = ethers.verifyTypedData(
+        attestationDomain(attestation.chainId, attestation.contract),
+        ATTESTATION_TYPES,
+        {
+            reportHash: attestation.reportHash,
+            totalReserves: attestation.totalReserves,
+            asOf: attestation.asOf,
+        },
+        attestation.signature
+    );
+    if (recovered !== attestation.signer) {
+        errors.push(
+            `signature was made by ${recovered}, not ${attestation.signer}`
+        );
+    }
+
+    return errors;
+}
+
+/**
+ * Find the ReservesUpdated log an attestation produced and record it
+ * @param {object} attestation Attestation document (modified in place)
+ * @param {object} receipt Transaction receipt
+ * @param {object} iface USDTq ethers Interface
+ * @returns {object} The link stored as attestation.event
+ */
+function linkEvent(attestation, receipt, iface) {
+    const log = receipt.logs
+        .filter(
+            (entry) =>
+                entry.address.toLowerCase() ===
+                attestation.contract.toLowerCase()
+        )
+        .map((entry) => ({ entry, parsed: iface.parseLog(entry) }))
+        .find(({ parsed }) => parsed?.name === "ReservesUpdated");
+
+    if (!log) {
+        throw new Error(
+            `Transaction ${receipt.hash} emitted no ReservesUpdated event`
+        );
+    }
+
+    const onChainReserves = log.parsed.args.totalReserves;
+    if (onChainReserves.toString() !== attestation.totalReserves) {
+        throw new Error(
+            `ReservesUpdated in ${receipt.hash} reports ${formatAmount(onChainReserves)} USDTq, attestation attests ${attestation.totalReservesFormatted}`
+        );
+    }
+
+    const rootLog = receipt.logs
+        .filter(
+            (entry) =>
+                entry.address.toLowerCase() ===
+                attestation.contract.toLowerCase()
+        )
+        .map((entry) => iface.parseLog(entry))
+        .find((parsed) => parsed?.name === "ReserveRootUpdated");
+    if (rootLog && rootLog.args.reserveRoot !== attestation.reserveRoot) {
+        throw new Error(
+            `ReserveRootUpdated in ${receipt.hash} publishes root ${rootLog.args.reserveRoot}, attestation has ${attestation.reserveRoot}`
+        );
+    }
+
+    attestation.event = {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        logIndex: log.entry.index,
+        totalReserves: onChainReserves.toString(),
+        totalSupply: log.parsed.args.totalSupply.toString(),
+        collateralizationRatio:
+            log.parsed.args.collateralizationRatio.toString(),
+        ...(rootLog && { reserveRoot: rootLog.args.reserveRoot }),
+    };
+    return attestation.event;
+}
+
+/**
+ * Inclusion proofs of every balance in an attestation's report
+ * @param {object} attestation Attestation document
+ * @returns {object[]} One standalone proof document per balance, checkable
+ *          with verifyReserveProof from the SDK
+ */
+function reserveProofs(attestation) {
+    const { root, leaves, proofs } = buildReserveTree(
+        attestation.report.balances
+    );
+    if (
+        attestation.reserveRoot !== undefined &&
+        root !== attestation.reserveRoot
+    ) {
+        throw new Error("reserveRoot does not match the embedded report");
+    }
+
+    return attestation.report.balances.map((item, index) => ({
+        version: ATTESTATION_VERSION,
+        chainId: attestation.chainId,
+        contract: attestation.contract,
+        reportHash: attestation.reportHash,
+        asOf: attestation.asOf,
+        root,
+        index,
+        item,
+        leaf: leaves[index],
+        proof: proofs[index],
+    }));
+}
+
+/**
+ * Default attestation path: attestations/<network>/<asOf date>-<hash>.json
+ * @param {string} networkName Hardhat network name
+ * @param {object} attestation Attestation document
+ * @returns {string}
+ */
+function attestationFile(networkName, attestation) {
+    const date = new Date(attestation.asOf * 1000).toISOString().slice(0, 10);
+    return path.join(
+        ATTESTATION_DIR,
+        networkName,
+        `${date}-${attestation.reportHash.slice(2, 10)}.json`
+    );
+}
+
+/**
+ * Write an attestation document
+ * @param {string} file Output path
+ * @param {object} attestation Attestation document
+ */
+function writeAttestation(file, attestation) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(attestation, null, 2) + "\n");
+}
+
+/**
+ * Find the attestation linked to a transaction
+ * @param {string} dir Directory of attestation files
+ * @param {string} transactionHash Reserve call transaction
+ * @returns {{file: string, attestation: object} | null}
+ */
+function findAttestation(dir, transactionHash) {
+    if (!fs.existsSync(dir)) {
+        return null;
+    }
+    for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith(".json")) {
+            continue;
+        }
+        const file = path.join(dir, name);
+        const attestation = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (
+            attestation.event?.transactionHash?.toLowerCase() ===
+            transactionHash.toLowerCase()
+        ) {
+            return { file, attestation };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    ATTESTATION_VERSION,
+    ATTESTATION_DIR,
+    ATTESTATION_TYPES,
+    USD_ASSETS,
+    REPORT_SCHEMA,
+    attestationDomain,
+    canonicalJson,
+    hashReport,
+    totalReserves,
+    createAttestation,
+    verifyAttestation,
+    linkEvent,
+    reserveProofs,
+    attestationFile,
+    writeAttestation,
+    findAttestation,
+};
@@ -0,0 +1,223 @@
+/**
+ * @title Deployment Audit
+ * @notice Compares the on-chain role holders and parameters of USDTq with the
+ *         expected configuration
+ * @dev AccessControl cannot enumerate members, so holders are rebuilt from
+ *      RoleGranted/RoleRevoked events (queried in block ranges to stay under
+ *      RPC log limits) and then confirmed with hasRole().
+ *
+ *      The expected configuration has the manifest shape (gnosisSafe, roles,
+ *      optional parameters). The Safe is expected to hold DEFAULT_ADMIN_ROLE
+ *      and ADMIN_ROLE, as granted by the constructor. Parameters are only
+ *      compared when `parameters` sets them: reserves move with every
+ *      reserve update and compliance burn, so the constructor values are no
+ *      baseline for a live deployment.
+ */
+
+const { ethers } = require("ethers");
+const { ROLES, roleName, parseAmount, formatAmount } = require("./usdtq");
+
+// Parameters read for the report and compared against manifest `parameters`
+const AUDITED_PARAMETERS = [
+    "maxMintPerTransaction",
+    "maxTotalSupply",
+    "totalReserves",
+];
+
+const DEFAULT_BLOCK_RANGE = 5000;
+
+// Manifest role key for each operational role
+const ROLE_KEYS_BY_ROLE = {
+    MINTER_ROLE: "minters",
+    BLACKLISTER_ROLE: "blacklisters",
+    PAUSER_ROLE: "pausers",
+    RESERVE_MANAGER_ROLE: "reserveManagers",
+};
+
+/**
+ * Fetch RoleGranted/RoleRevoked events in chain order
+ * @param {object} usdtq USDTq contract (ethers)
+ * @param {object} [options] Query options
+ * @param {number} [options.fromBlock] First block (deployment block)
+ * @param {number} [options.toBlock] Last block (default latest)
+ * @param {number} [options.blockRange] Blocks per log query
+ * @returns {Promise<object[]>} ethers EventLogs
+ */
+async function queryRoleEvents(usdtq, options = {}) {
+    const fromBlock = options.fromBlock ?? 0;
+    const toBlock =
+        options.toBlock ?? (await usdtq.runner.provider.getBlockNumber());
+    const blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, toBlock);
+        events.push(
+            ...(await usdtq.queryFilter(
+                usdtq.filters.RoleGranted(),
+                start,
+                end
+            )),
+            ...(await usdtq.queryFilter(
+                usdtq.filters.RoleRevoked(),
+                start,
+                end
+            ))
+        );
+    }
+    return events.sort(
+        (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+    );
+}
+
+/**
+ * Rebuild the current holders of every role from RoleGranted/RoleRevoked
+ * @param {object} usdtq USDTq contract (ethers)
+ * @param {object} [options] Query options (see queryRoleEvents)
+ * @returns {Promise<object>} Role hash → checksummed holder addresses
+ */
+async function collectRoleHolders(usdtq, options = {}) {
+    const events = await queryRoleEvents(usdtq, options);
+
+    const holders = {};
+    for (const event of events) {
+        const { role, account } = event.args;
+        holders[role] = holders[role] || new Set();
+        if (event.eventName === "RoleGranted") {
+            holders[role].add(account);
+        } else {
+            holders[role].delete(account);
+        }
+    }
+
+    return Object.fromEntries(
+        Object.entries(holders).map(([role, accounts]) => [role, [...accounts]])
+    );
+}
+
+/**
+ * Expected holders per role for a manifest-shaped configuration
+ * @param {object} config { gnosisSafe, roles: { minters, ... } }
+ * @returns {object} Role hash → checksummed addresses
+ */
+function expectedRoleHolders(config) {
+    const safe = ethers.getAddress(config.gnosisSafe);
+    const expected = {
+        [ROLES.DEFAULT_ADMIN_ROLE]: [safe],
+        [ROLES.ADMIN_ROLE]: [safe],
+    };
+    for (const [role, key] of Object.entries(ROLE_KEYS_BY_ROLE)) {
+        expected[ROLES[role]] = (config.roles[key] || []).map((address) =>
+            ethers.getAddress(address)
+        );
+    }
+    // The redemption queue burns settled requests through burnFrom
+    if (config.redemptionQueue?.address) {
+        expected[ROLES.MINTER_ROLE].push(
+            ethers.getAddress(config.redemptionQueue.address)
+        );
+    }
+    return expected;
+}
+
+/**
+ * Audit a deployment against the expected configuration
+ * @param {object} usdtq USDTq contract (ethers)
+ * @param {object} options Audit options
+ * @param {object} options.expected Manifest-shaped expected configuration
+ * @param {string} [options.deployer] Deployer address (must hold no role)
+ * @param {number} [options.fromBlock] Deployment block
+ * @param {number} [options.toBlock] Last block to audit
+ * @param {number} [options.blockRange] Blocks per log query
+ * @returns {Promise<object>} { holders, parameters, issues }; issues is
+ *          empty when the deployment matches. A parameter's `expected` is
+ *          undefined when the manifest does not set it.
+ */
+async function auditDeployment(usdtq, options) {
+    const { expected } = options;
+    const issues = [];
+    const holders = await collectRoleHolders(usdtq, options);
+    const expectedHolders = expectedRoleHolders(expected);
+    const safe = ethers.getAddress(expected.gnosisSafe);
+
+    // Events and storage must agree, otherwise the log range was incomplete
+    for (const [role, accounts] of Object.entries(holders)) {
+        for (const account of accounts) {
+            if (!(await usdtq.hasRole(role, account))) {
+                issues.push({
+                    check: "events",
+                    message: `${roleName(role)}: ${account} is granted in events but hasRole() is false (is --from-block after the deployment?)`,
+                });
+            }
+        }
+    }
+
+    const admins = holders[ROLES.DEFAULT_ADMIN_ROLE] || [];
+    if (admins.length !== 1 || admins[0] !== safe) {
+        issues.push({
+            check: "admin",
+            message: `DEFAULT_ADMIN_ROLE is held by [${admins.join(", ")}]; expected only the Safe ${safe}`,
+        });
+    }
+
+    if (options.deployer) {
+        const deployer = ethers.getAddress(options.deployer);
+        for (const [role, accounts] of Object.entries(holders)) {
+            if (accounts.includes(deployer)) {
+                issues.push({
+                    check: "deployer",
+                    message: `Deployer ${deployer} holds ${roleName(role)}`,
+                });
+            }
+        }
+    }
+
+    const roles = new Set([
+        ...Object.keys(holders),
+        ...Object.keys(expectedHolders),
+    ]);
+    for (const role of roles) {
+        if (role === ROLES.DEFAULT_ADMIN_ROLE) {
+            continue;
+        }
+        const actual = holders[role] || [];
+        const wanted = expectedHolders[role] || [];
+        for (const account of actual.filter((a) => !wanted.includes(a))) {
+            issues.push({
+                check: "roles",
+                message: `${roleName(role)}: unexpected holder ${account}`,
+            });
+        }
+        for (const account of wanted.filter((a) => !actual.includes(a))) {
+            issues.push({
+                check: "roles",
+                message: `${roleName(role)}: missing holder ${account}`,
+            });
+        }
+    }
+
+    const parameters = {};
+    for (const name of AUDITED_PARAMETERS) {
+        const actual = await usdtq[name]();
+        const value = expected.parameters?.[name];
+        const wanted = value === undefined ? undefined : parseAmount(value);
+        parameters[name] = { actual, expected: wanted };
+        if (wanted !== undefined && actual !== wanted) {
+            issues.push({
+                check: "parameters",
+                message: `${name} is ${formatAmount(actual)}; expected ${formatAmount(wanted)}`,
+            });
+        }
+    }
+
+    return { holders, parameters, issues };
+}
+
+module.exports = {
+    AUDITED_PARAMETERS,
+    DEFAULT_BLOCK_RANGE,
+    queryRoleEvents,
+    collectRoleHolders,
+    expectedRoleHolders,
+    auditDeployment,
+};
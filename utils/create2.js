@@ -0,0 +1,47 @@
+/**
+ * @title Deterministic Deployment
+ * @notice Predicts CREATE2 addresses for deployments made through the
+ *         deterministic deployment proxy
+ * @dev hardhat-deploy's `deterministicDeployment` sends the creation code
+ *      through the proxy at 0x4e59…956C, which exists at the same address on
+ *      most EVM chains. The deployed address depends only on the salt and on
+ *      the creation code including the constructor arguments:
+ *
+ *        keccak256(0xff ++ proxy ++ salt ++ keccak256(bytecode ++ args))[12:]
+ *
+ *      The same contract build, salt and constructor arguments therefore give
+ *      the same address on every chain. Different manifest addresses (Safe or
+ *      role signers) give a different address.
+ */
+
+const { ethers } = require("ethers");
+
+// https://github.com/Arachnid/deterministic-deployment-proxy
+const DETERMINISTIC_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+/**
+ * Predict the CREATE2 address of a contract deployment
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Artifact name
+ * @param {Array} args Constructor arguments
+ * @param {string} salt 32-byte hex salt
+ * @returns {Promise<{address: string, initCodeHash: string}>}
+ */
+async function predictAddress(hre, contractName, args, salt) {
+    const factory = await hre.ethers.getContractFactory(contractName);
+    const { data } = await factory.getDeployTransaction(...args);
+    const initCodeHash = ethers.keccak256(data);
+    return {
+        address: ethers.getCreate2Address(
+            DETERMINISTIC_DEPLOYER,
+            salt,
+            initCodeHash
+        ),
+        initCodeHash,
+    };
+}
+
+module.exports = {
+    DETERMINISTIC_DEPLOYER,
+    predictAddress,
+};
@@ -0,0 +1,366 @@
+/**
+ * @title Pause Guardian
+ * @notice Pauses USDTq minting automatically when a mint looks like an
+ *         incident
+ * @dev Each check reads the TokensMinted events since the previous check and
+ *      evaluates the enabled triggers against every mint:
+ *
+ *        mint.large               amount above maxMintAmount
+ *        mint.reserves_unhealthy  getReserveHealth() reports a deficit at the
+ *                                 block of the mint
+ *        mint.unknown_minter      the minter is not one of the known minters
+ *        mint.burst               more than burst.count mints within
+ *                                 burst.windowSeconds (block time)
+ *
+ *      When any trigger fires the guardian calls pause() from its
+ *      PAUSER_ROLE key, unless the contract is already paused, and appends
+ *      an incident record (JSON line) to the incident log. Each incident is
+ *      also dispatched as a critical "guardian.paused" alert. If pause()
+ *      fails, every later check retries it until the contract is paused. There is no
+ *      unpause path: resuming minting stays a human decision, as in the
+ *      incident playbook in docs/Security.md.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { dispatchAlert } = require("./alerts");
+const { decodeError } = require("../sdk/src");
+const { formatAmount } = require("./usdtq");
+
+const DEFAULT_POLL_INTERVAL_MS = 5_000;
+
+class PauseGuardian {
+    /**
+     * @param {object} options Guardian options
+     * @param {object} options.usdtq USDTq contract connected to a
+     *        PAUSER_ROLE signer
+     * @param {object[]} options.sinks Alert sinks (see ./alerts)
+     * @param {object} options.triggers Enabled triggers
+     * @param {bigint} [options.triggers.maxMintAmount] Largest mint (base
+     *        units) that does not trigger
+     * @param {boolean} [options.triggers.reserveHealth] Trigger on mints
+     *        that leave reserves unhealthy
+     * @param {string[]} [options.triggers.minters] Known minters; any other
+     *        minter triggers
+     * @param {object} [options.triggers.burst] { count, windowSeconds }
+     * @param {string} [options.incidentLog] JSON-lines file for incidents
+     * @param {boolean} [options.dryRun] Record incidents without pausing
+     * @param {string} [options.network] Network name included in records
+     * @param {number} [options.startBlock] First block to scan for mints
+     *        (default: the block of the first check)
+     * @param {Function} [options.log] Logger for sink and pause failures
+     */
+    constructor(options) {
+        this.usdtq = options.usdtq;
+        this.provider = options.usdtq.runner.provider || options.usdtq.runner;
+        this.sinks = options.sinks;
+        this.network = options.network;
+        this.incidentLog = options.incidentLog;
+        this.dryRun = Boolean(options.dryRun);
+        this.nextBlock = options.startBlock;
+        this.log = options.log || console.error;
+
+        const triggers = options.triggers || {};
+        this.maxMintAmount =
+            triggers.maxMintAmount === undefined
+                ? undefined
+                : BigInt(triggers.maxMintAmount);
+        this.reserveHealth = Boolean(triggers.reserveHealth);
+        this.minters = triggers.minters
+            ? new Set(
+                  triggers.minters.map((minter) => ethers.getAddress(minter))
+              )
+            : undefined;
+        this.burst = triggers.burst;
+        if (
+            this.maxMintAmount === undefined &&
+            !this.reserveHealth &&
+            !this.minters &&
+            !this.burst
+        ) {
+            throw new Error("PauseGuardian needs at least one trigger");
+        }
+
+        // Recent mints inside the burst window: { timestamp, transactionHash }
+        this.recentMints = [];
+        // Last pause_failed incident; pause() is retried on every check
+        // until the contract is paused
+        this.unresolved = undefined;
+        this.stopped = false;
+    }
+
+    /**
+     * Evaluate the mints since the previous check and pause on a trigger
+     * @dev While a pause_failed incident is unresolved every check retries
+     *      pause(). A retry that fails again returns that incident without
+     *      recording it again; one that succeeds records a new incident
+     *      with the same findings and unresolvedSince.
+     * @returns {Promise<object|null>} The incident record, or null when no
+     *          trigger fired
+     */
+    async check() {
+        const block = await this.provider.getBlock("latest");
+        this.context = this.context || {
+            network: this.network,
+            chainId: Number((await this.provider.getNetwork()).chainId),
+            contract: await this.usdtq.getAddress(),
+        };
+
+        const fromBlock = this.nextBlock ?? block.number;
+        if (fromBlock > block.number && !this.unresolved) {
+            return null;
+        }
+        const nextBlock = Math.max(fromBlock, block.number + 1);
+        const mints =
+            fromBlock > block.number
+                ? []
+                : await this.usdtq.queryFilter(
+                      this.usdtq.filters.TokensMinted(),
+                      fromBlock,
+                      block.number
+                  );
+
+        // Evaluating a mint reads history (reserve health and block time at
+        // the mint), which can fail on pruned nodes. Put the burst window
+        // back and keep the cursor so the next check evaluates the range
+        // again.
+        const recentMints = this.recentMints;
+        const findings = [];
+        let response;
+        try {
+            for (const mint of mints) {
+                findings.push(...(await this._evaluate(mint)));
+            }
+            if (findings.length === 0 && !this.unresolved) {
+                this.nextBlock = nextBlock;
+                return null;
+            }
+            response = await this._respond();
+        } catch (error) {
+            this.recentMints = recentMints;
+            throw error;
+        }
+        this.nextBlock = nextBlock;
+
+        const unresolved = this.unresolved;
+        if (
+            unresolved &&
+            findings.length === 0 &&
+            response.action === "pause_failed"
+        ) {
+            // Still not paused: retry on the next check without repeating
+            // the record and alert
+            unresolved.error = response.error;
+            return unresolved;
+        }
+
+        const incident = {
+            ...this.context,
+            detectedAt: new Date().toISOString(),
+            blockNumber: block.number,
+            ...(unresolved && { unresolvedSince: unresolved.detectedAt }),
+            findings: [...(unresolved ? unresolved.findings : []), ...findings],
+            ...response,
+        };
+        this._record(incident);
+        this.unresolved =
+            incident.action === "pause_failed" ? incident : undefined;
+
+        const alert = {
+            type: "guardian.paused",
+            severity: "critical",
+            message: `${describeAction(incident)} after ${incident.findings.map((finding) => finding.trigger).join(", ")}`,
+            ...this.context,
+            blockNumber: block.number,
+            timestamp: new Date(block.timestamp * 1000).toISOString(),
+            details: incident,
+        };
+        const failures = await dispatchAlert(this.sinks, alert);
+        for (const { sink, error } of failures) {
+            this.log(`Alert sink ${sink} failed: ${error.message}`);
+        }
+        return incident;
+    }
+
+    /**
+     * Check repeatedly until stop() is called
+     * @param {object} [options] Options
+     * @param {number} [options.pollIntervalMs] Delay between checks
+     */
+    async run(options = {}) {
+        const pollIntervalMs =
+            options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+        this.stopped = false;
+        while (!this.stopped) {
+            try {
+                await this.check();
+            } catch (error) {
+                this.log(`Guardian check failed: ${error.message}`);
+            }
+            if (this.stopped) {
+                break;
+            }
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, pollIntervalMs);
+                this._wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        }
+    }
+
+    /** Stop run() after the current check */
+    stop() {
+        this.stopped = true;
+        if (this._wake) {
+            this._wake();
+        }
+    }
+
+    // ============ Internal ============
+
+    async _evaluate(mint) {
+        const { minter, to, amount } = mint.args;
+        const mintDetails = {
+            transactionHash: mint.transactionHash,
+            blockNumber: mint.blockNumber,
+            minter,
+            to,
+            amount: amount.toString(),
+        };
+        const findings = [];
+        const finding = (trigger, message, details = {}) =>
+            findings.push({
+                trigger,
+                message,
+                mint: mintDetails,
+                ...details,
+            });
+
+        if (this.maxMintAmount !== undefined && amount > this.maxMintAmount) {
+            finding(
+                "mint.large",
+                `Mint of ${formatAmount(amount)} USDTq is above the ${formatAmount(this.maxMintAmount)} USDTq threshold`,
+                { threshold: this.maxMintAmount.toString() }
+            );
+        }
+
+        if (this.reserveHealth) {
+            const [isHealthy, reserveDeficit] =
+                await this.usdtq.getReserveHealth({
+                    blockTag: mint.blockNumber,
+                });
+            if (!isHealthy) {
+                finding(
+                    "mint.reserves_unhealthy",
+                    `Mint of ${formatAmount(amount)} USDTq while supply is ${formatAmount(reserveDeficit)} USDTq above reserves`,
+                    { reserveDeficit: reserveDeficit.toString() }
+                );
+            }
+        }
+
+        if (this.minters && !this.minters.has(minter)) {
+            finding(
+                "mint.unknown_minter",
+                `Mint of ${formatAmount(amount)} USDTq by unknown minter ${minter}`
+            );
+        }
+
+        if (this.burst) {
+            const { timestamp } = await this.provider.getBlock(
+                mint.blockNumber
+            );
+            this.recentMints = this.recentMints.filter(
+                (recent) =>
+                    recent.timestamp > timestamp - this.burst.windowSeconds
+            );
+            this.recentMints.push({
+                timestamp,
+                transactionHash: mint.transactionHash,
+            });
+            if (this.recentMints.length > this.burst.count) {
+                finding(
+                    "mint.burst",
+                    `${this.recentMints.length} mints within ${this.burst.windowSeconds}s (limit ${this.burst.count})`,
+                    {
+                        windowSeconds: this.burst.windowSeconds,
+                        limit: this.burst.count,
+                        transactions: this.recentMints.map(
+                            (recent) => recent.transactionHash
+                        ),
+                    }
+                );
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Pause unless already paused (or in dry-run mode)
+     * @returns {Promise<object>} { action, pauseTransaction?, error? }
+     */
+    async _respond() {
+        if (await this.usdtq.paused()) {
+            return { action: "already_paused" };
+        }
+        if (this.dryRun) {
+            return { action: "dry_run" };
+        }
+        try {
+            const tx = await this.usdtq.pause();
+            await tx.wait();
+            return { action: "paused", pauseTransaction: tx.hash };
+        } catch (error) {
+            const reason = decodeError(error).message;
+            this.log(`Pause failed: ${reason}`);
+            return { action: "pause_failed", error: reason };
+        }
+    }
+
+    _record(incident) {
+        if (!this.incidentLog) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(path.resolve(this.incidentLog)), {
+            recursive: true,
+        });
+        fs.appendFileSync(this.incidentLog, JSON.stringify(incident) + "\n");
+    }
+}
+
+/**
+ * Read the incident log
+ * @param {string} file JSON-lines incident log
+ * @returns {object[]} Incidents, oldest first (empty if the file is missing)
+ */
+function readIncidents(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+}
+
+function describeAction(incident) {
+    switch (incident.action) {
+        case "paused":
+            return "Paused minting";
+        case "already_paused":
+            return "Minting already paused";
+        case "dry_run":
+            return "Would pause minting (dry run)";
+        default:
+            return `Failed to pause minting (${incident.error})`;
+    }
+}
+
+module.exports = {
+    DEFAULT_POLL_INTERVAL_MS,
+    PauseGuardian,
+    readIncidents,
+};
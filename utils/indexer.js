@@ -0,0 +1,387 @@
+/**
+ * @title USDTq Event Indexer
+ * @notice Backfills and follows USDTq events into a SQLite database
+ * @dev Blocks are indexed up to `latest - confirmations` only, in ranges of
+ *      `blockRange` blocks. Each range is written in one transaction together
+ *      with the checkpoint, so an interrupted run resumes from the last
+ *      committed block without duplicates.
+ *
+ *      Reorgs deeper than the confirmation depth are detected by comparing
+ *      the stored checkpoint hash with the chain. On a mismatch the indexer
+ *      walks back through the stored block hashes to the last block still on
+ *      the canonical chain, deletes everything after it and re-indexes.
+ *
+ *      Tables:
+ *        meta    (key, value)                 chainId, contract, checkpoint
+ *        blocks  (number, hash, timestamp)    blocks with events + checkpoint
+ *        events  (block_number, log_index, block_hash, transaction_hash,
+ *                 event, args, timestamp)     args is JSON, uint256 as strings
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_CONFIRMATIONS = 15;
+const DEFAULT_BLOCK_RANGE = 2000;
+const DEFAULT_POLL_INTERVAL_MS = 15_000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        event TEXT NOT NULL,
+        args TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_name ON events (event, block_number);
+`;
+
+/**
+ * Open (and create if needed) an event database
+ * @param {string} file SQLite path
+ * @returns {object} better-sqlite3 Database
+ */
+function openEventStore(file) {
+    // Every Hardhat command loads the tasks, and through them this module;
+    // load the native addon only when a database is actually opened
+    const Database = require("better-sqlite3");
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+    return db;
+}
+
+/**
+ * Decoded event args as a JSON-safe object (uint256 → decimal string)
+ * @param {object} fragment ethers EventFragment
+ * @param {object} args ethers Result
+ * @returns {object}
+ */
+function serializeArgs(fragment, args) {
+    return Object.fromEntries(
+        fragment.inputs.map((input, i) => [
+            input.name,
+            typeof args[i] === "bigint" ? args[i].toString() : args[i],
+        ])
+    );
+}
+
+/**
+ * Read stored events
+ * @param {object} db Database from openEventStore
+ * @param {object} [filter] Filter
+ * @param {string|string[]} [filter.event] Event name(s)
+ * @param {number} [filter.fromBlock] First block (inclusive)
+ * @param {number} [filter.toBlock] Last block (inclusive)
+ * @returns {Array<object>} Events in chain order with parsed args
+ */
+function getEvents(db, filter = {}) {
+    const where = [];
+    const params = {};
+    if (filter.event) {
+        const names = [].concat(filter.event);
+        where.push(
+            `event IN (${names.map((_, i) => `@event${i}`).join(", ")})`
+        );
+        names.forEach((name, i) => (params[`event${i}`] = name));
+    }
+    if (filter.fromBlock !== undefined) {
+        where.push("block_number >= @fromBlock");
+        params.fromBlock = filter.fromBlock;
+    }
+    if (filter.toBlock !== undefined) {
+        where.push("block_number <= @toBlock");
+        params.toBlock = filter.toBlock;
+    }
+
+    const sql = `SELECT * FROM events ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY block_number, log_index`;
+    return db
+        .prepare(sql)
+        .all(params)
+        .map((row) => ({
+            blockNumber: row.block_number,
+            logIndex: row.log_index,
+            blockHash: row.block_hash,
+            transactionHash: row.transaction_hash,
+            event: row.event,
+            args: JSON.parse(row.args),
+            timestamp: row.timestamp,
+        }));
+}
+
+class EventIndexer {
+    /**
+     * @param {object} options Indexer options
+     * @param {object} options.provider ethers Provider
+     * @param {object} options.db Database from openEventStore
+     * @param {string} options.address USDTq address
+     * @param {Array} options.abi USDTq ABI
+     * @param {number} [options.startBlock] Deployment block
+     * @param {number} [options.confirmations] Blocks behind head to index
+     * @param {number} [options.blockRange] Blocks per log query
+     * @param {Function} [options.log] Logger (default: silent)
+     */
+    constructor(options) {
+        this.provider = options.provider;
+        this.db = options.db;
+        this.address = ethers.getAddress(options.address);
+        this.iface = new ethers.Interface(options.abi);
+        this.startBlock = options.startBlock ?? 0;
+        this.confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+        this.blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+        this.log = options.log || (() => {});
+        this.stopped = false;
+    }
+
+    /**
+     * Index every confirmed block after the checkpoint
+     * @returns {Promise<object>} { fromBlock, toBlock, events, reorg }
+     */
+    async sync() {
+        await this._checkMeta();
+        const reorg = await this._handleReorg();
+
+        const head = await this.provider.getBlockNumber();
+        const safeHead = head - this.confirmations;
+        const checkpoint = this.checkpoint();
+        const fromBlock = checkpoint ? checkpoint.number + 1 : this.startBlock;
+
+        let indexed = 0;
+        let start = fromBlock;
+        while (start <= safeHead && !this.stopped) {
+            const end = Math.min(start + this.blockRange - 1, safeHead);
+            indexed += await this._indexRange(start, end);
+            this.log(`Indexed blocks ${start}-${end}`);
+            start = end + 1;
+        }
+
+        return {
+            fromBlock,
+            toBlock: Math.max(fromBlock - 1, start - 1),
+            events: indexed,
+            reorg,
+        };
+    }
+
+    /**
+     * Keep syncing until stop() is called; a failed sync is logged and
+     * retried on the next poll
+     * @param {object} [options] Options
+     * @param {number} [options.pollIntervalMs] Delay between syncs
+     */
+    async run(options = {}) {
+        const pollIntervalMs =
+            options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+        this.stopped = false;
+        while (!this.stopped) {
+            try {
+                await this.sync();
+            } catch (error) {
+                // The checkpoint only moves after a committed range, so the
+                // next sync retries from the same block
+                this.log(`Sync failed: ${error.message}`);
+            }
+            if (this.stopped) {
+                break;
+            }
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, pollIntervalMs);
+                this._wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        }
+    }
+
+    /** Stop run() after the current range */
+    stop() {
+        this.stopped = true;
+        if (this._wake) {
+            this._wake();
+        }
+    }
+
+    /**
+     * Last committed block
+     * @returns {{number: number, hash: string} | null}
+     */
+    checkpoint() {
+        const number = this._getMeta("checkpoint_block");
+        if (number === undefined) {
+            return null;
+        }
+        return {
+            number: Number(number),
+            hash: this._getMeta("checkpoint_hash"),
+        };
+    }
+
+    // ============ Internal ============
+
+    async _checkMeta() {
+        const { chainId } = await this.provider.getNetwork();
+        const expected = {
+            chain_id: chainId.toString(),
+            contract: this.address,
+        };
+        for (const [key, value] of Object.entries(expected)) {
+            const stored = this._getMeta(key);
+            if (stored === undefined) {
+                this._setMeta(key, value);
+            } else if (stored !== value) {
+                throw new Error(
+                    `Event database was built for ${key} ${stored}, not ${value}`
+                );
+            }
+        }
+    }
+
+    async _handleReorg() {
+        const checkpoint = this.checkpoint();
+        if (!checkpoint) {
+            return null;
+        }
+
+        const block = await this.provider.getBlock(checkpoint.number);
+        if (block && block.hash === checkpoint.hash) {
+            return null;
+        }
+
+        // Walk back to the newest stored block that is still canonical
+        const stored = this.db
+            .prepare("SELECT number, hash FROM blocks ORDER BY number DESC")
+            .all();
+        let ancestor = null;
+        for (const { number, hash } of stored) {
+            const canonical = await this.provider.getBlock(number);
+            if (canonical && canonical.hash === hash) {
+                ancestor = { number, hash };
+                break;
+            }
+        }
+
+        const rollbackTo = ancestor ? ancestor.number : this.startBlock - 1;
+        const removed = this.db.transaction(() => {
+            const { changes } = this.db
+                .prepare("DELETE FROM events WHERE block_number > ?")
+                .run(rollbackTo);
+            this.db
+                .prepare("DELETE FROM blocks WHERE number > ?")
+                .run(rollbackTo);
+            if (ancestor) {
+                this._setMeta("checkpoint_block", ancestor.number.toString());
+                this._setMeta("checkpoint_hash", ancestor.hash);
+            } else {
+                this.db
+                    .prepare(
+                        "DELETE FROM meta WHERE key IN ('checkpoint_block', 'checkpoint_hash')"
+                    )
+                    .run();
+            }
+            return changes;
+        })();
+
+        this.log(
+            `Reorg detected at block ${checkpoint.number}; rolled back to ${rollbackTo} (${removed} event(s) removed)`
+        );
+        return { from: checkpoint.number, rollbackTo, removed };
+    }
+
+    async _indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({
+            address: this.address,
+            fromBlock,
+            toBlock,
+        });
+
+        const blocks = new Map();
+        const rows = [];
+        for (const log of logs) {
+            const parsed = this.iface.parseLog(log);
+            if (!parsed) {
+                continue;
+            }
+            if (!blocks.has(log.blockNumber)) {
+                blocks.set(
+                    log.blockNumber,
+                    await this.provider.getBlock(log.blockNumber)
+                );
+            }
+            const block = blocks.get(log.blockNumber);
+            rows.push({
+                block_number: log.blockNumber,
+                log_index: log.index,
+                block_hash: log.blockHash,
+                transaction_hash: log.transactionHash,
+                event: parsed.name,
+                args: JSON.stringify(
+                    serializeArgs(parsed.fragment, parsed.args)
+                ),
+                timestamp: block.timestamp,
+            });
+        }
+
+        const last = await this.provider.getBlock(toBlock);
+        blocks.set(toBlock, last);
+
+        const insertEvent = this.db.prepare(
+            `INSERT OR REPLACE INTO events
+                (block_number, log_index, block_hash, transaction_hash, event, args, timestamp)
+             VALUES
+                (@block_number, @log_index, @block_hash, @transaction_hash, @event, @args, @timestamp)`
+        );
+        const insertBlock = this.db.prepare(
+            "INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"
+        );
+
+        this.db.transaction(() => {
+            for (const row of rows) {
+                insertEvent.run(row);
+            }
+            for (const block of blocks.values()) {
+                insertBlock.run(block.number, block.hash, block.timestamp);
+            }
+            this._setMeta("checkpoint_block", toBlock.toString());
+            this._setMeta("checkpoint_hash", last.hash);
+        })();
+
+        return rows.length;
+    }
+
+    _getMeta(key) {
+        return this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key)
+            ?.value;
+    }
+
+    _setMeta(key, value) {
+        this.db
+            .prepare(
+                "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+            )
+            .run(key, value);
+    }
+}
+
+module.exports = {
+    DEFAULT_CONFIRMATIONS,
+    DEFAULT_BLOCK_RANGE,
+    DEFAULT_POLL_INTERVAL_MS,
+    openEventStore,
+    getEvents,
+    EventIndexer,
+};
@@ -0,0 +1,568 @@
+/**
+ * @title Issuance Queue
+ * @notice Mint and redeem requests with off-chain approval, stored in SQLite
+ * @dev Request lifecycle:
+ *
+ *        pending ──approve──▶ approved ──execute──▶ submitted ──link──▶ completed
+ *           │                    │                  │  (tx or Safe batch)
+ *           │                    │           (revert or fail)
+ *           │                    │                  ▼
+ *           └──reject──▶ rejected └──(revert)────▶ failed
+ *
+ *      Requests are checked against the contract when they are submitted
+ *      and again when they are approved: the account must not be
+ *      blacklisted, mints must fit the per-transaction cap and the remaining
+ *      supply (including mints already approved but not executed), and
+ *      redeems must be covered by the holder's balance. A request that fails
+ *      its checks on submission is stored as rejected with the reason, so
+ *      every customer request leaves a record.
+ *
+ *      A submitted request whose transaction was dropped, or whose Safe
+ *      batch will not be executed, is closed with fail(); until then it
+ *      still counts against the remaining supply.
+ *
+ *      The approver must differ from the requester. Every status change is
+ *      appended to issuance_history with who made it and why.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { decodeError } = require("../sdk/src");
+const { formatAmount, parseAmount } = require("./usdtq");
+
+const KINDS = ["mint", "redeem"];
+
+// Contract call and event for each request kind
+const KIND_CALLS = {
+    mint: { method: "mint", event: "TokensMinted", accountArg: "to" },
+    redeem: { method: "burnFrom", event: "TokensBurned", accountArg: "from" },
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS issuance_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL CHECK (kind IN ('mint', 'redeem')),
+        account TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        reference TEXT NOT NULL,
+        status TEXT NOT NULL,
+        requested_by TEXT NOT NULL,
+        requested_at TEXT NOT NULL,
+        approved_by TEXT,
+        approved_at TEXT,
+        reason TEXT,
+        transaction_hash TEXT,
+        safe_tx_hash TEXT,
+        safe_batch TEXT,
+        block_number INTEGER,
+        log_index INTEGER,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS issuance_requests_by_status
+        ON issuance_requests (status);
+    CREATE TABLE IF NOT EXISTS issuance_history (
+        request_id INTEGER NOT NULL REFERENCES issuance_requests (id),
+        status TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        note TEXT,
+        at TEXT NOT NULL
+    );
+`;
+
+/**
+ * Open (or create) the issuance database
+ * @param {string} file SQLite path
+ * @returns {object} better-sqlite3 Database
+ */
+function openIssuanceStore(file) {
+    // Loaded on first use so Hardhat commands other than issuance:* never
+    // load the native addon
+    const Database = require("better-sqlite3");
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+    return db;
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function toRequest(row) {
+    if (!row) {
+        return null;
+    }
+    return {
+        id: row.id,
+        kind: row.kind,
+        account: row.account,
+        amount: BigInt(row.amount),
+        reference: row.reference,
+        status: row.status,
+        requestedBy: row.requested_by,
+        requestedAt: row.requested_at,
+        approvedBy: row.approved_by,
+        approvedAt: row.approved_at,
+        reason: row.reason,
+        transactionHash: row.transaction_hash,
+        safeTxHash: row.safe_tx_hash,
+        safeBatch: row.safe_batch,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        updatedAt: row.updated_at,
+    };
+}
+
+class IssuanceQueue {
+    /**
+     * @param {object} options Queue options
+     * @param {object} options.db Store from openIssuanceStore
+     * @param {object} options.usdtq USDTq contract (ethers)
+     */
+    constructor(options) {
+        this.db = options.db;
+        this.usdtq = options.usdtq;
+    }
+
+    /**
+     * Record a customer request, checking it against the contract
+     * @param {object} request Request
+     * @param {string} request.kind "mint" or "redeem"
+     * @param {string} request.account Customer address
+     * @param {bigint|string} request.amount Base units or whole USDTq
+     * @param {string} request.reference Why (payment, ticket, wire reference)
+     * @param {string} request.requestedBy Operator submitting the request
+     * @returns {Promise<object>} Stored request (pending or rejected)
+     */
+    async submit(request) {
+        if (!KINDS.includes(request.kind)) {
+            throw new Error(
+                `Unknown request kind "${request.kind}"; use mint or redeem`
+            );
+        }
+        if (!request.reference) {
+            throw new Error("A reference is required for every request");
+        }
+
+        const account = ethers.getAddress(request.account);
+        const amount =
+            typeof request.amount === "bigint"
+                ? request.amount
+                : parseAmount(request.amount);
+        const problems = await this.check({
+            kind: request.kind,
+            account,
+            amount,
+        });
+        const status = problems.length === 0 ? "pending" : "rejected";
+        const timestamp = now();
+
+        const id = this.db.transaction(() => {
+            const { lastInsertRowid } = this.db
+                .prepare(
+                    `INSERT INTO issuance_requests
+                        (kind, account, amount, reference, status, requested_by, requested_at, reason, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+                )
+                .run(
+                    request.kind,
+                    account,
+                    amount.toString(),
+                    request.reference,
+                    status,
+                    request.requestedBy,
+                    timestamp,
+                    problems.join("; ") || null,
+                    timestamp
+                );
+            this._history(
+                lastInsertRowid,
+                status,
+                request.requestedBy,
+                problems.join("; ") || null
+            );
+            return lastInsertRowid;
+        })();
+
+        return this.get(id);
+    }
+
+    /**
+     * Check a request against the current contract state
+     * @param {object} request { kind, account, amount, id? }
+     * @returns {Promise<string[]>} Problems (empty when the request is valid)
+     */
+    async check(request) {
+        const problems = [];
+        const { kind, account, amount } = request;
+
+        if (amount === 0n) {
+            problems.push("amount must be greater than zero");
+        }
+        if (await this.usdtq.isBlacklisted(account)) {
+            problems.push(`${account} is blacklisted`);
+        }
+
+        if (kind === "mint") {
+            const [perTxRemaining, totalRemaining] =
+                await this.usdtq.getRemainingMintCapacity();
+            if (amount > perTxRemaining) {
+                problems.push(
+                    `amount ${formatAmount(amount)} exceeds the per-transaction cap of ${formatAmount(perTxRemaining)}`
+                );
+            }
+            const reserved = this._approvedMintTotal(request.id);
+            if (amount + reserved > totalRemaining) {
+                problems.push(
+                    `amount ${formatAmount(amount)} plus ${formatAmount(reserved)} already approved exceeds the remaining supply of ${formatAmount(totalRemaining)}`
+                );
+            }
+        } else {
+            const balance = await this.usdtq.balanceOf(account);
+            if (amount > balance) {
+                problems.push(
+                    `amount ${formatAmount(amount)} exceeds the balance of ${formatAmount(balance)}`
+                );
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Approve a pending request after re-checking it
+     * @param {number} id Request id
+     * @param {string} approver Operator approving
+     * @returns {Promise<object>} Updated request
+     */
+    async approve(id, approver) {
+        const request = this._require(id, ["pending"]);
+        if (request.requestedBy === approver) {
+            throw new Error(
+                `Request ${id} was submitted by ${approver}; a different operator must approve it`
+            );
+        }
+
+        const problems = await this.check(request);
+        if (problems.length > 0) {
+            throw new Error(
+                `Request ${id} no longer passes its checks: ${problems.join("; ")}`
+            );
+        }
+
+        const timestamp = now();
+        this.db.transaction(() => {
+            this.db
+                .prepare(
+                    "UPDATE issuance_requests SET status = 'approved', approved_by = ?, approved_at = ?, updated_at = ? WHERE id = ?"
+                )
+                .run(approver, timestamp, timestamp, id);
+            this._history(id, "approved", approver, null);
+        })();
+        return this.get(id);
+    }
+
+    /**
+     * Reject a pending or approved request
+     * @param {number} id Request id
+     * @param {string} actor Operator rejecting
+     * @param {string} reason Reason recorded with the request
+     * @returns {object} Updated request
+     */
+    reject(id, actor, reason) {
+        this._require(id, ["pending", "approved"]);
+        this._setStatus(id, "rejected", actor, reason, { reason });
+        return this.get(id);
+    }
+
+    /**
+     * Dry-run approved requests from the account that will send them
+     * @dev Redeems also need an allowance from the holder to that account,
+     *      since burnFrom spends it. Requests that would revert are marked
+     *      failed with the decoded reason.
+     * @param {number[]} ids Request ids
+     * @param {string} executor Minter or Safe address that sends the calls
+     * @param {string} actor Operator executing
+     * @returns {Promise<object[]>} Requests that are ready to send
+     */
+    async preflight(ids, executor, actor) {
+        const ready = [];
+        for (const id of ids) {
+            const request = this._require(id, ["approved"]);
+            const { method } = KIND_CALLS[request.kind];
+            try {
+                if (request.kind === "redeem") {
+                    await this._checkAllowance(request, executor);
+                }
+                // Provider-only contract, so `from` can be any address
+                const reader = this.usdtq.connect(this.usdtq.runner.provider);
+                await reader[method].staticCall(
+                    request.account,
+                    request.amount,
+                    { from: executor }
+                );
+                ready.push(request);
+            } catch (error) {
+                const reason = decodeError(error).message;
+                this._setStatus(id, "failed", actor, reason, { reason });
+            }
+        }
+        return ready;
+    }
+
+    /**
+     * Send approved requests as individual transactions and link their events
+     * @dev A request that reverts is marked failed and the rest are still
+     *      sent. One whose receipt cannot be fetched stays submitted, since
+     *      it may yet be mined; link or fail it once its outcome is known.
+     * @param {number[]} ids Request ids
+     * @param {object} signer Signer holding MINTER_ROLE
+     * @param {string} actor Operator executing
+     * @returns {Promise<object[]>} Updated requests (completed, failed or
+     *          still submitted)
+     */
+    async execute(ids, signer, actor) {
+        const usdtq = this.usdtq.connect(signer);
+        const ready = await this.preflight(
+            ids,
+            await signer.getAddress(),
+            actor
+        );
+
+        for (const request of ready) {
+            const { method } = KIND_CALLS[request.kind];
+            let tx;
+            try {
+                tx = await usdtq[method](request.account, request.amount);
+            } catch (error) {
+                const reason = decodeError(error).message;
+                this._setStatus(request.id, "failed", actor, reason, {
+                    reason,
+                });
+                continue;
+            }
+
+            this._setStatus(request.id, "submitted", actor, tx.hash, {
+                transaction_hash: tx.hash,
+            });
+            try {
+                this.link(await tx.wait(), actor);
+            } catch (error) {
+                // A revert comes with its receipt; anything else leaves the
+                // outcome unknown
+                if (error.receipt) {
+                    const reason = decodeError(error).message;
+                    this._setStatus(request.id, "failed", actor, reason, {
+                        reason,
+                    });
+                }
+            }
+        }
+        return ids.map((id) => this.get(id));
+    }
+
+    /**
+     * Close a submitted request that will not complete
+     * @dev For a dropped transaction or a Safe batch that will not be
+     *      executed (reject it in the Safe first). Refused while the
+     *      request's transaction has a successful receipt, which must be
+     *      linked instead.
+     * @param {number} id Request id
+     * @param {string} actor Operator closing the request
+     * @param {string} reason Reason recorded with the request
+     * @returns {Promise<object>} Updated request
+     */
+    async fail(id, actor, reason) {
+        const request = this._require(id, ["submitted"]);
+        if (request.transactionHash) {
+            const receipt =
+                await this.usdtq.runner.provider.getTransactionReceipt(
+                    request.transactionHash
+                );
+            if (receipt?.status === 1) {
+                throw new Error(
+                    `Transaction ${request.transactionHash} of request ${id} succeeded; run issuance:link instead`
+                );
+            }
+        }
+        this._setStatus(id, "failed", actor, reason, { reason });
+        return this.get(id);
+    }
+
+    /**
+     * Mark approved requests as submitted through a Safe batch
+     * @param {number[]} ids Request ids in batch order
+     * @param {object} batch { safeTxHash, file }
+     * @param {string} actor Operator preparing the batch
+     */
+    markSafeSubmitted(ids, batch, actor) {
+        this.db.transaction(() => {
+            for (const id of ids) {
+                this._require(id, ["approved"]);
+                this._setStatus(id, "submitted", actor, batch.safeTxHash, {
+                    safe_tx_hash: batch.safeTxHash,
+                    safe_batch: batch.file,
+                });
+            }
+        })();
+    }
+
+    /**
+     * Link submitted requests to the TokensMinted/TokensBurned events in a
+     * receipt and mark them completed
+     * @param {object} receipt Transaction receipt
+     * @param {string} actor Operator linking
+     * @returns {object[]} Completed requests
+     */
+    link(receipt, actor) {
+        const contract = this.usdtq.target.toLowerCase();
+        const completed = [];
+
+        this.db.transaction(() => {
+            for (const log of receipt.logs) {
+                if (log.address.toLowerCase() !== contract) {
+                    continue;
+                }
+                const parsed = this.usdtq.interface.parseLog(log);
+                const kind = Object.keys(KIND_CALLS).find(
+                    (key) => KIND_CALLS[key].event === parsed?.name
+                );
+                if (!kind) {
+                    continue;
+                }
+
+                const account = parsed.args[KIND_CALLS[kind].accountArg];
+                const row = this.db
+                    .prepare(
+                        `SELECT * FROM issuance_requests
+                         WHERE status = 'submitted' AND kind = ? AND account = ? AND amount = ?
+                           AND (transaction_hash = ? OR (transaction_hash IS NULL AND safe_tx_hash IS NOT NULL))
+                         ORDER BY id LIMIT 1`
+                    )
+                    .get(
+                        kind,
+                        account,
+                        parsed.args.amount.toString(),
+                        receipt.hash
+                    );
+                if (!row) {
+                    continue;
+                }
+
+                this._setStatus(row.id, "completed", actor, receipt.hash, {
+                    transaction_hash: receipt.hash,
+                    block_number: receipt.blockNumber,
+                    log_index: log.index,
+                });
+                completed.push(this.get(row.id));
+            }
+        })();
+        return completed;
+    }
+
+    /**
+     * @param {number} id Request id
+     * @returns {object|null}
+     */
+    get(id) {
+        return toRequest(
+            this.db
+                .prepare("SELECT * FROM issuance_requests WHERE id = ?")
+                .get(id)
+        );
+    }
+
+    /**
+     * @param {object} [filter] Filter
+     * @param {string} [filter.status] Only requests with this status
+     * @returns {object[]}
+     */
+    list(filter = {}) {
+        const rows = filter.status
+            ? this.db
+                  .prepare(
+                      "SELECT * FROM issuance_requests WHERE status = ? ORDER BY id"
+                  )
+                  .all(filter.status)
+            : this.db
+                  .prepare("SELECT * FROM issuance_requests ORDER BY id")
+                  .all();
+        return rows.map(toRequest);
+    }
+
+    /**
+     * Status changes of a request, oldest first
+     * @param {number} id Request id
+     * @returns {object[]}
+     */
+    history(id) {
+        return this.db
+            .prepare(
+                "SELECT status, actor, note, at FROM issuance_history WHERE request_id = ? ORDER BY rowid"
+            )
+            .all(id);
+    }
+
+    // ============ Internal ============
+
+    _require(id, statuses) {
+        const request = this.get(id);
+        if (!request) {
+            throw new Error(`Request ${id} not found`);
+        }
+        if (!statuses.includes(request.status)) {
+            throw new Error(
+                `Request ${id} is ${request.status}; expected ${statuses.join(" or ")}`
+            );
+        }
+        return request;
+    }
+
+    _approvedMintTotal(excludeId) {
+        return this.db
+            .prepare(
+                "SELECT amount FROM issuance_requests WHERE kind = 'mint' AND status IN ('approved', 'submitted') AND id IS NOT ?"
+            )
+            .all(excludeId ?? null)
+            .reduce((total, row) => total + BigInt(row.amount), 0n);
+    }
+
+    async _checkAllowance(request, executor) {
+        const allowance = await this.usdtq.allowance(request.account, executor);
+        if (allowance < request.amount) {
+            throw new Error(
+                `${request.account} has approved ${formatAmount(allowance)} USDTq to ${executor}; ${formatAmount(request.amount)} needed`
+            );
+        }
+    }
+
+    _setStatus(id, status, actor, note, fields = {}) {
+        const columns = { status, updated_at: now(), ...fields };
+        const assignments = Object.keys(columns)
+            .map((column) => `${column} = @${column}`)
+            .join(", ");
+        this.db
+            .prepare(
+                `UPDATE issuance_requests SET ${assignments} WHERE id = @id`
+            )
+            .run({ ...columns, id });
+        this._history(id, status, actor, note);
+    }
+
+    _history(id, status, actor, note) {
+        this.db
+            .prepare(
+                "INSERT INTO issuance_history (request_id, status, actor, note, at) VALUES (?, ?, ?, ?, ?)"
+            )
+            .run(id, status, actor, note, now());
+    }
+}
+
+module.exports = {
+    KINDS,
+    KIND_CALLS,
+    IssuanceQueue,
+    openIssuanceStore,
+};
@@ -0,0 +1,284 @@
+/**
+ * @title Deployment Manifests
+ * @notice Loads and validates the per-network deployment manifest
+ * @dev Manifests live in config/manifests/<network>.{yaml,yml,json} (or the
+ *      file named by DEPLOY_MANIFEST) and describe the constructor arguments:
+ *
+ *        chainId: 56
+ *        production: true           # implied on networks flagged production
+ *        create2Salt: "0x..."       # optional, deterministic address
+ *        gnosisSafe: "0xb00D4aC55748Ed6cb404c38027a46d2Ab1b22a19"
+ *        roles:
+ *          minters: ["0x..."]
+ *          blacklisters: ["0x..."]
+ *          pausers: ["0x..."]
+ *          reserveManagers: ["0x..."]
+ *        parameters:                # optional, checked by audit-deployment
+ *          maxMintPerTransaction: "10,000,000"
+ *        redemptionQueue:           # optional, see deploy/003
+ *          operators: ["0x..."]
+ *          address: "0x..."         # once deployed; expected to hold MINTER_ROLE
+ *
+ *      Validation runs before anything is sent so a typo in an address fails
+ *      the deployment instead of reverting in (or, worse, passing) the
+ *      constructor.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+
+const MANIFEST_DIR = path.join(__dirname, "..", "config", "manifests");
+const MANIFEST_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+// Mirrors the TooManySigners check in the USDTq constructor
+const MAX_SIGNERS_PER_ROLE = 10;
+
+// Manifest role keys, in constructor argument order
+const ROLE_KEYS = ["minters", "blacklisters", "pausers", "reserveManagers"];
+
+const ADDRESS_PATTERN = "^0x[0-9a-fA-F]{40}$";
+const AMOUNT_PATTERN = "^[0-9][0-9,_]*(\\.[0-9]{1,6})?$";
+const SALT_PATTERN = "^0x[0-9a-fA-F]{64}$";
+
+const MANIFEST_SCHEMA = {
+    type: "object",
+    required: ["gnosisSafe", "roles"],
+    additionalProperties: false,
+    properties: {
+        network: { type: "string" },
+        chainId: { type: "integer", minimum: 1 },
+        production: { type: "boolean" },
+        // CREATE2 salt; with the same salt and addresses the contracts get
+        // the same address on every chain (see utils/create2.js)
+        create2Salt: { type: "string", pattern: SALT_PATTERN },
+        gnosisSafe: { type: "string", pattern: ADDRESS_PATTERN },
+        roles: {
+            type: "object",
+            required: ROLE_KEYS,
+            additionalProperties: false,
+            properties: Object.fromEntries(
+                ROLE_KEYS.map((key) => [
+                    key,
+                    {
+                        type: "array",
+                        maxItems: MAX_SIGNERS_PER_ROLE,
+                        items: { type: "string", pattern: ADDRESS_PATTERN },
+                    },
+                ])
+            ),
+        },
+        // Expected on-chain values checked by audit-deployment (whole USDTq)
+        parameters: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                maxMintPerTransaction: {
+                    type: "string",
+                    pattern: AMOUNT_PATTERN,
+                },
+                maxTotalSupply: { type: "string", pattern: AMOUNT_PATTERN },
+                totalReserves: { type: "string", pattern: AMOUNT_PATTERN },
+            },
+        },
+        // USDTqRedemptionQueue constructor operators and, once deployed, its
+        // address (a MINTER_ROLE holder that only burns)
+        redemptionQueue: {
+            type: "object",
+            required: ["operators"],
+            additionalProperties: false,
+            properties: {
+                operators: {
+                    type: "array",
+                    maxItems: MAX_SIGNERS_PER_ROLE,
+                    items: { type: "string", pattern: ADDRESS_PATTERN },
+                },
+                address: { type: "string", pattern: ADDRESS_PATTERN },
+            },
+        },
+    },
+};
+
+const validateSchema = new Ajv({ allErrors: true }).compile(MANIFEST_SCHEMA);
+
+/**
+ * Parse a manifest file (YAML or JSON)
+ * @param {string} file Manifest path
+ * @returns {object} Parsed manifest
+ */
+function readManifest(file) {
+    const content = fs.readFileSync(file, "utf8");
+    return path.extname(file) === ".json"
+        ? JSON.parse(content)
+        : YAML.parse(content);
+}
+
+/**
+ * Find the manifest for a network
+ * @param {string} networkName Hardhat network name
+ * @param {object} [options] Options
+ * @param {string} [options.file] Explicit manifest path (DEPLOY_MANIFEST)
+ * @param {string} [options.dir] Manifest directory
+ * @returns {{file: string, manifest: object} | null}
+ */
+function loadManifest(networkName, options = {}) {
+    if (options.file) {
+        return { file: options.file, manifest: readManifest(options.file) };
+    }
+
+    const dir = options.dir || MANIFEST_DIR;
+    for (const ext of MANIFEST_EXTENSIONS) {
+        const file = path.join(dir, `${networkName}${ext}`);
+        if (fs.existsSync(file)) {
+            return { file, manifest: readManifest(file) };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a manifest against the schema and the deployment rules
+ * @param {object} manifest Parsed manifest
+ * @param {object} context Deployment context
+ * @param {bigint|number} [context.chainId] Chain id of the target network
+ * @param {string} [context.deployer] Deployer address
+ * @param {boolean} [context.production] Force production rules
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateManifest(manifest, context = {}) {
+    if (!validateSchema(manifest)) {
+        return validateSchema.errors.map(
+            (error) => `${error.instancePath || "manifest"} ${error.message}`
+        );
+    }
+
+    const errors = [];
+    const production = context.production || manifest.production === true;
+
+    if (
+        context.chainId !== undefined &&
+        manifest.chainId !== undefined &&
+        BigInt(manifest.chainId) !== BigInt(context.chainId)
+    ) {
+        errors.push(
+            `chainId ${manifest.chainId} does not match network chainId ${context.chainId}`
+        );
+    }
+
+    const entries = [
+        { where: "gnosisSafe", address: manifest.gnosisSafe },
+        ...ROLE_KEYS.flatMap((key) =>
+            manifest.roles[key].map((address, i) => ({
+                where: `roles.${key}[${i}]`,
+                address,
+            }))
+        ),
+        ...(manifest.redemptionQueue?.operators || []).map((address, i) => ({
+            where: `redemptionQueue.operators[${i}]`,
+            address,
+        })),
+    ];
+    if (manifest.redemptionQueue?.address) {
+        errors.push(
+            ...checkAddress(
+                "redemptionQueue.address",
+                manifest.redemptionQueue.address
+            )
+        );
+    }
+
+    // Addresses must carry a valid EIP-55 checksum
+    for (const { where, address } of entries) {
+        errors.push(...checkAddress(where, address));
+    }
+
+    // Each address may appear only once across the Safe and all roles
+    const seen = new Map();
+    for (const { where, address } of entries) {
+        const key = address.toLowerCase();
+        if (seen.has(key)) {
+            errors.push(
+                `${where} duplicates ${seen.get(key)} (${address}); each signer must hold a single role`
+            );
+        } else {
+            seen.set(key, where);
+        }
+    }
+
+    if (production) {
+        // Without a chainId the manifest could be deployed to any chain
+        if (manifest.chainId === undefined) {
+            errors.push("chainId is required for production deployment");
+        }
+        for (const key of ROLE_KEYS) {
+            if (manifest.roles[key].length === 0) {
+                errors.push(
+                    `roles.${key} must not be empty for production deployment`
+                );
+            }
+        }
+        if (manifest.redemptionQueue?.operators.length === 0) {
+            errors.push(
+                "redemptionQueue.operators must not be empty for production deployment"
+            );
+        }
+
+        if (context.deployer) {
+            const deployer = context.deployer.toLowerCase();
+            for (const { where, address } of entries) {
+                if (address.toLowerCase() === deployer) {
+                    errors.push(
+                        `${where} is the deployer (${address}); the deployer key must not hold a production role`
+                    );
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+function checkAddress(where, address) {
+    if (address === ethers.ZeroAddress) {
+        return [`${where} is the zero address`];
+    }
+
+    let checksummed;
+    try {
+        checksummed = ethers.getAddress(address);
+    } catch {
+        return [`${where} has an invalid checksum (${address})`];
+    }
+
+    if (checksummed !== address) {
+        return [`${where} is not checksummed (expected ${checksummed})`];
+    }
+
+    return [];
+}
+
+/**
+ * Map a validated manifest to USDTq constructor arguments
+ * @param {object} manifest Validated manifest
+ * @returns {Array} [gnosisSafe, minters, blacklisters, pausers, reserveManagers]
+ */
+function toConstructorArgs(manifest) {
+    return [
+        manifest.gnosisSafe,
+        ...ROLE_KEYS.map((key) => [...manifest.roles[key]]),
+    ];
+}
+
+module.exports = {
+    MANIFEST_DIR,
+    MAX_SIGNERS_PER_ROLE,
+    ROLE_KEYS,
+    MANIFEST_SCHEMA,
+    readManifest,
+    loadManifest,
+    validateManifest,
+    toConstructorArgs,
+};
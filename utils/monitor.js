@@ -0,0 +1,275 @@
+/**
+ * @title Reserve Monitor
+ * @notice Watches USDTq reserves and raises alerts through alert sinks
+ * @dev Each check reads the contract at the latest block and compares it
+ *      with the thresholds:
+ *
+ *        reserves.stale          lastReserveUpdate older than the window
+ *        reserves.ratio_low      getCollateralizationRatio() below minimum
+ *        supply.above_reserves   a TokensMinted left supply above reserves
+ *
+ *      The first two are conditions: they alert once when they start and
+ *      send a "<type>.resolved" alert when they clear. Mint alerts are sent
+ *      once per TokensMinted event. Time is taken from the block timestamp,
+ *      so the monitor follows the chain clock (and Hardhat time travel).
+ *
+ *      A condition counts as started (or cleared) only once at least one
+ *      sink has delivered its alert, so an alert every sink failed is
+ *      raised again by the next check.
+ *
+ *      Everything is read before any state changes: if an RPC call fails,
+ *      the check throws and the next one covers the same mint range again.
+ */
+
+const { dispatchAlert } = require("./alerts");
+const { formatAmount } = require("./usdtq");
+
+const DEFAULT_STALE_AFTER_SECONDS = 24 * 60 * 60;
+const DEFAULT_MIN_RATIO_BPS = 10000;
+const DEFAULT_POLL_INTERVAL_MS = 60_000;
+const DEFAULT_BLOCK_RANGE = 5000;
+
+const CONDITIONS = ["reserves.stale", "reserves.ratio_low"];
+
+class ReserveMonitor {
+    /**
+     * @param {object} options Monitor options
+     * @param {object} options.usdtq USDTq contract (ethers, read-only is fine)
+     * @param {object[]} options.sinks Alert sinks (see ./alerts)
+     * @param {string} [options.network] Network name included in alerts
+     * @param {number} [options.staleAfterSeconds] Attestation window
+     * @param {number} [options.minRatioBps] Minimum ratio (10000 = 100%)
+     * @param {number} [options.startBlock] First block to scan for mints
+     *        (default: the block of the first check)
+     * @param {number} [options.blockRange] Blocks per mint log query
+     * @param {Function} [options.log] Logger for sink failures
+     */
+    constructor(options) {
+        this.usdtq = options.usdtq;
+        this.provider = options.usdtq.runner.provider || options.usdtq.runner;
+        this.sinks = options.sinks;
+        this.network = options.network;
+        this.staleAfterSeconds =
+            options.staleAfterSeconds ?? DEFAULT_STALE_AFTER_SECONDS;
+        this.minRatioBps = BigInt(options.minRatioBps ?? DEFAULT_MIN_RATIO_BPS);
+        this.nextBlock = options.startBlock;
+        this.blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+        this.log = options.log || console.error;
+        this.active = new Set();
+        this.stopped = false;
+    }
+
+    /**
+     * Run all checks once and dispatch the resulting alerts
+     * @returns {Promise<object[]>} Alerts raised by this check
+     */
+    async check() {
+        const block = await this.provider.getBlock("latest");
+        const blockTag = block.number;
+        this.context = {
+            network: this.network,
+            chainId: Number((await this.provider.getNetwork()).chainId),
+            contract: await this.usdtq.getAddress(),
+        };
+
+        const lastUpdate = Number(
+            await this.usdtq.lastReserveUpdate({ blockTag })
+        );
+        const [ratio, reserves, supply] =
+            await this.usdtq.getCollateralizationRatio({ blockTag });
+        const mintAlerts = await this._checkMints(block);
+
+        const alerts = [];
+        const age = block.timestamp - lastUpdate;
+        alerts.push(
+            ...this._condition(
+                "reserves.stale",
+                age > this.staleAfterSeconds,
+                block,
+                {
+                    severity: "warning",
+                    message: `Reserves not attested for ${formatDuration(age)} (window ${formatDuration(this.staleAfterSeconds)})`,
+                    details: {
+                        lastReserveUpdate: lastUpdate,
+                        ageSeconds: age,
+                        staleAfterSeconds: this.staleAfterSeconds,
+                    },
+                }
+            )
+        );
+
+        alerts.push(
+            ...this._condition(
+                "reserves.ratio_low",
+                ratio < this.minRatioBps,
+                block,
+                {
+                    severity: "critical",
+                    message: `Collateralization ratio ${formatBps(ratio)} is below ${formatBps(this.minRatioBps)}`,
+                    details: {
+                        ratioBps: ratio.toString(),
+                        minRatioBps: this.minRatioBps.toString(),
+                        reserves: reserves.toString(),
+                        supply: supply.toString(),
+                    },
+                }
+            )
+        );
+
+        alerts.push(...mintAlerts);
+        this.nextBlock = block.number + 1;
+
+        for (const alert of alerts) {
+            const failures = await dispatchAlert(this.sinks, alert);
+            for (const { sink, error } of failures) {
+                this.log(`Alert sink ${sink} failed: ${error.message}`);
+            }
+            if (failures.length < this.sinks.length) {
+                this._settle(alert.type);
+            }
+        }
+        return alerts;
+    }
+
+    /**
+     * Check repeatedly until stop() is called
+     * @param {object} [options] Options
+     * @param {number} [options.pollIntervalMs] Delay between checks
+     */
+    async run(options = {}) {
+        const pollIntervalMs =
+            options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+        this.stopped = false;
+        while (!this.stopped) {
+            try {
+                await this.check();
+            } catch (error) {
+                this.log(`Reserve check failed: ${error.message}`);
+            }
+            if (this.stopped) {
+                break;
+            }
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, pollIntervalMs);
+                this._wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        }
+    }
+
+    /** Stop run() after the current check */
+    stop() {
+        this.stopped = true;
+        if (this._wake) {
+            this._wake();
+        }
+    }
+
+    // ============ Internal ============
+
+    _alert(type, block, { severity, message, details }) {
+        return {
+            type,
+            severity,
+            message,
+            ...this.context,
+            blockNumber: block.number,
+            timestamp: new Date(block.timestamp * 1000).toISOString(),
+            details,
+        };
+    }
+
+    // The alert for a condition that started or cleared; check() updates
+    // this.active once a sink has delivered it
+    _condition(type, firing, block, alert) {
+        if (firing && !this.active.has(type)) {
+            return [this._alert(type, block, alert)];
+        }
+        if (!firing && this.active.has(type)) {
+            return [
+                this._alert(`${type}.resolved`, block, {
+                    severity: "info",
+                    message: `Resolved: ${alert.message}`,
+                    details: alert.details,
+                }),
+            ];
+        }
+        return [];
+    }
+
+    _settle(type) {
+        if (CONDITIONS.includes(type)) {
+            this.active.add(type);
+        } else if (type.endsWith(".resolved")) {
+            this.active.delete(type.slice(0, -".resolved".length));
+        }
+    }
+
+    // Alerts for the mints since the last check; check() moves the cursor
+    // once they are all built
+    async _checkMints(block) {
+        const fromBlock = this.nextBlock ?? block.number;
+        const mints = [];
+        for (
+            let start = fromBlock;
+            start <= block.number;
+            start += this.blockRange
+        ) {
+            const end = Math.min(start + this.blockRange - 1, block.number);
+            mints.push(
+                ...(await this.usdtq.queryFilter(
+                    this.usdtq.filters.TokensMinted(),
+                    start,
+                    end
+                ))
+            );
+        }
+
+        const alerts = [];
+        for (const mint of mints) {
+            const [isHealthy, reserveDeficit] =
+                await this.usdtq.getReserveHealth({
+                    blockTag: mint.blockNumber,
+                });
+            if (isHealthy) {
+                continue;
+            }
+            const mintBlock = await this.provider.getBlock(mint.blockNumber);
+            alerts.push(
+                this._alert("supply.above_reserves", mintBlock, {
+                    severity: "critical",
+                    message: `Mint of ${formatAmount(mint.args.amount)} USDTq left supply ${formatAmount(reserveDeficit)} USDTq above reserves`,
+                    details: {
+                        transactionHash: mint.transactionHash,
+                        minter: mint.args.minter,
+                        to: mint.args.to,
+                        amount: mint.args.amount.toString(),
+                        reserveDeficit: reserveDeficit.toString(),
+                    },
+                })
+            );
+        }
+        return alerts;
+    }
+}
+
+function formatBps(bps) {
+    return `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+function formatDuration(seconds) {
+    const hours = seconds / 3600;
+    return hours >= 48
+        ? `${(hours / 24).toFixed(1)} days`
+        : `${hours.toFixed(1)} hours`;
+}
+
+module.exports = {
+    DEFAULT_STALE_AFTER_SECONDS,
+    DEFAULT_MIN_RATIO_BPS,
+    DEFAULT_POLL_INTERVAL_MS,
+    DEFAULT_BLOCK_RANGE,
+    ReserveMonitor,
+};
@@ -0,0 +1,308 @@
+/**
+ * @title Deployment Networks
+ * @notice Loads the network table (config/networks.yaml) and builds the
+ *         Hardhat `networks` and `etherscan` settings from it
+ * @dev Every entry becomes a Hardhat network of the same name. The settings
+ *      Hardhat has no field for travel on the network config and are read
+ *      back through `hre.network.config`:
+ *
+ *        production     manifest validation as for mainnet (isProductionNetwork)
+ *        confirmations  blocks deploy scripts wait for (deployOptions)
+ *        feeCaps        EIP-1559 fee caps in wei (deployOptions)
+ *
+ *      hardhat and localhost are not in the table; they are never production
+ *      and wait for a single confirmation.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+
+const NETWORKS_FILE = path.join(__dirname, "..", "config", "networks.yaml");
+
+// Etherscan V2 serves every Etherscan-family chain with one key
+const ETHERSCAN_V2_API_URL = "https://api.etherscan.io/v2/api";
+const ETHERSCAN_V2_KEY_ENV = "ETHERSCAN_API_KEY";
+
+// Lets Hardhat load without a key (CI, local runs); never funded
+const DUMMY_PRIVATE_KEY =
+    "0x0000000000000000000000000000000000000000000000000000000000000001";
+
+const ENV_PATTERN = "^[A-Z][A-Z0-9_]*$";
+const GWEI = { type: "number", exclusiveMinimum: 0 };
+
+const NETWORK_SCHEMA = {
+    type: "object",
+    required: ["chainId", "rpc", "gas"],
+    additionalProperties: false,
+    properties: {
+        chainId: { type: "integer", minimum: 1 },
+        production: { type: "boolean" },
+        rpc: {
+            type: "object",
+            required: ["url"],
+            additionalProperties: false,
+            properties: {
+                url: { type: "string", pattern: "^https?://" },
+                env: { type: "string", pattern: ENV_PATTERN },
+            },
+        },
+        accountEnv: { type: "string", pattern: ENV_PATTERN },
+        gas: {
+            type: "object",
+            required: ["type"],
+            additionalProperties: false,
+            properties: {
+                type: { enum: ["legacy", "eip1559"] },
+                gasPriceGwei: GWEI,
+                maxFeePerGasGwei: GWEI,
+                maxPriorityFeePerGasGwei: GWEI,
+            },
+        },
+        confirmations: { type: "integer", minimum: 1 },
+        explorer: {
+            type: "object",
+            required: ["apiUrl", "browserUrl"],
+            additionalProperties: false,
+            properties: {
+                name: { type: "string" },
+                apiUrl: { type: "string", pattern: "^https?://" },
+                browserUrl: { type: "string", pattern: "^https?://" },
+                apiKeyEnv: { type: "string", pattern: ENV_PATTERN },
+            },
+        },
+    },
+};
+
+const NETWORKS_SCHEMA = {
+    type: "object",
+    propertyNames: {
+        pattern: "^[a-z][a-z0-9_]*$",
+        not: { enum: ["hardhat", "localhost"] },
+    },
+    additionalProperties: NETWORK_SCHEMA,
+};
+
+const validateSchema = new Ajv({ allErrors: true }).compile(NETWORKS_SCHEMA);
+
+/**
+ * Validate a network table
+ * @param {object} table Parsed network table
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateNetworks(table) {
+    if (!validateSchema(table)) {
+        return validateSchema.errors.map(
+            (error) => `${error.instancePath || "networks"} ${error.message}`
+        );
+    }
+
+    const errors = [];
+    for (const [name, entry] of Object.entries(table)) {
+        const { gas } = entry;
+        if (gas.type === "legacy" && gas.gasPriceGwei === undefined) {
+            errors.push(`${name}.gas.gasPriceGwei is required for legacy gas`);
+        }
+        if (gas.type === "eip1559" && gas.gasPriceGwei !== undefined) {
+            errors.push(
+                `${name}.gas.gasPriceGwei is for legacy gas; use maxFeePerGasGwei`
+            );
+        }
+        if (
+            gas.type === "legacy" &&
+            (gas.maxFeePerGasGwei !== undefined ||
+                gas.maxPriorityFeePerGasGwei !== undefined)
+        ) {
+            errors.push(`${name}.gas fee caps are for eip1559 gas`);
+        }
+    }
+
+    const byChainId = new Map();
+    for (const [name, { chainId }] of Object.entries(table)) {
+        if (byChainId.has(chainId)) {
+            errors.push(
+                `${name}.chainId ${chainId} duplicates ${byChainId.get(chainId)}`
+            );
+        } else {
+            byChainId.set(chainId, name);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Load and validate the network table
+ * @param {string} [file] Table path (default config/networks.yaml)
+ * @returns {object} Network name → entry
+ */
+function loadNetworks(file = NETWORKS_FILE) {
+    const table = YAML.parse(fs.readFileSync(file, "utf8")) || {};
+    const errors = validateNetworks(table);
+    if (errors.length > 0) {
+        throw new Error(
+            `Invalid network table ${file}:\n  - ${errors.join("\n  - ")}`
+        );
+    }
+    return table;
+}
+
+function gweiToWei(gwei) {
+    return ethers.parseUnits(String(gwei), "gwei");
+}
+
+function privateKey(value) {
+    if (!value) {
+        return DUMMY_PRIVATE_KEY;
+    }
+    return value.startsWith("0x") ? value : `0x${value}`;
+}
+
+/**
+ * Build the Hardhat network config for one table entry
+ * @param {object} entry Network table entry
+ * @param {object} [env] Environment (default process.env)
+ * @returns {object} Hardhat HTTP network config
+ */
+function toHardhatNetwork(entry, env = process.env) {
+    const { gas } = entry;
+    const feeCaps = {};
+    if (gas.maxFeePerGasGwei !== undefined) {
+        feeCaps.maxFeePerGas = gweiToWei(gas.maxFeePerGasGwei).toString();
+    }
+    if (gas.maxPriorityFeePerGasGwei !== undefined) {
+        feeCaps.maxPriorityFeePerGas = gweiToWei(
+            gas.maxPriorityFeePerGasGwei
+        ).toString();
+    }
+
+    return {
+        url: (entry.rpc.env && env[entry.rpc.env]) || entry.rpc.url,
+        chainId: entry.chainId,
+        accounts: [privateKey(env[entry.accountEnv || "PRIVATE_KEY"])],
+        // A fixed price makes Hardhat send legacy (type 0) transactions;
+        // "auto" lets it price EIP-1559 transactions from the node
+        gasPrice:
+            gas.type === "legacy"
+                ? Number(gweiToWei(gas.gasPriceGwei))
+                : "auto",
+        production: entry.production === true,
+        confirmations: entry.confirmations ?? 1,
+        feeCaps,
+    };
+}
+
+/**
+ * Build the Hardhat `networks` entries for the whole table
+ * @param {object} table Network table
+ * @param {object} [env] Environment (default process.env)
+ * @returns {object}
+ */
+function hardhatNetworks(table, env = process.env) {
+    return Object.fromEntries(
+        Object.entries(table).map(([name, entry]) => [
+            name,
+            toHardhatNetwork(entry, env),
+        ])
+    );
+}
+
+/**
+ * Build the hardhat-verify `etherscan` settings
+ * @dev With ETHERSCAN_API_KEY set, that one key verifies on every chain
+ *      through Etherscan V2. Otherwise each network uses the key named by its
+ *      explorer.apiKeyEnv against its own explorer API.
+ * @param {object} table Network table
+ * @param {object} [env] Environment (default process.env)
+ * @returns {object} { apiKey, customChains }
+ */
+function etherscanConfig(table, env = process.env) {
+    const withExplorer = Object.entries(table).filter(
+        ([, entry]) => entry.explorer
+    );
+    return {
+        apiKey:
+            env[ETHERSCAN_V2_KEY_ENV] ||
+            Object.fromEntries(
+                withExplorer.map(([name, { explorer }]) => [
+                    name,
+                    (explorer.apiKeyEnv && env[explorer.apiKeyEnv]) || "",
+                ])
+            ),
+        customChains: withExplorer.map(([name, { chainId, explorer }]) => ({
+            network: name,
+            chainId,
+            urls: { apiURL: explorer.apiUrl, browserURL: explorer.browserUrl },
+        })),
+    };
+}
+
+/**
+ * Find the explorer API for a chain
+ * @param {number|bigint} chainId Chain id
+ * @param {object} [options] Options
+ * @param {object} [options.table] Network table (default: loadNetworks())
+ * @param {object} [options.env] Environment (default process.env)
+ * @returns {{name: string, apiUrl: string, apiKey?: string} | null}
+ */
+function explorerFor(chainId, options = {}) {
+    const table = options.table || loadNetworks();
+    const env = options.env || process.env;
+    const entry = Object.values(table).find(
+        (candidate) => candidate.chainId === Number(chainId)
+    );
+    if (!entry?.explorer) {
+        return null;
+    }
+
+    if (env[ETHERSCAN_V2_KEY_ENV]) {
+        return {
+            name: entry.explorer.name || "Etherscan",
+            apiUrl: `${ETHERSCAN_V2_API_URL}?chainid=${entry.chainId}`,
+            apiKey: env[ETHERSCAN_V2_KEY_ENV],
+        };
+    }
+    return {
+        name: entry.explorer.name || new URL(entry.explorer.apiUrl).host,
+        apiUrl: entry.explorer.apiUrl,
+        apiKey:
+            (entry.explorer.apiKeyEnv && env[entry.explorer.apiKeyEnv]) ||
+            undefined,
+    };
+}
+
+/**
+ * Whether deployments to this network get production validation
+ * @param {object} network hre.network
+ * @returns {boolean}
+ */
+function isProductionNetwork(network) {
+    return network.config.production === true;
+}
+
+/**
+ * Per-network options for hardhat-deploy's deploy()
+ * @param {object} network hre.network
+ * @returns {object} { waitConfirmations, maxFeePerGas?, maxPriorityFeePerGas? }
+ */
+function deployOptions(network) {
+    return {
+        waitConfirmations: network.config.confirmations ?? 1,
+        ...network.config.feeCaps,
+    };
+}
+
+module.exports = {
+    NETWORKS_FILE,
+    NETWORKS_SCHEMA,
+    ETHERSCAN_V2_API_URL,
+    validateNetworks,
+    loadNetworks,
+    toHardhatNetwork,
+    hardhatNetworks,
+    etherscanConfig,
+    explorerFor,
+    isProductionNetwork,
+    deployOptions,
+};
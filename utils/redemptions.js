@@ -0,0 +1,148 @@
+/**
+ * @title Redemption Settlement
+ * @notice Reads USDTqRedemptionQueue requests and tracks each one against
+ *         the settlement SLA
+ * @dev Requests are read from contract storage (redemption(id) for ids 1 to
+ *      redemptionCount), so the listing needs no event backfill. Times are
+ *      block timestamps: a pending request is measured against the latest
+ *      block, a resolved one by how long it took to settle or reject.
+ *
+ *        requestedAt ──────────── dueAt (requestedAt + SLA)
+ *             └── elapsedSeconds ──┘   slaBreached once elapsed > SLA
+ */
+
+const { ethers } = require("ethers");
+const { getDeployment } = require("./registry");
+
+const QUEUE_CONTRACT = "USDTqRedemptionQueue";
+
+// USDTqRedemptionQueue.Status, by enum value
+const STATUSES = ["None", "Pending", "Settled", "Rejected"];
+
+const DEFAULT_SLA_SECONDS = 24 * 60 * 60;
+
+/**
+ * Resolve the redemption queue address for the current network
+ * @dev Order: explicit address, hardhat-deploy deployment, registry entry
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [explicit] Address passed on the command line
+ * @returns {Promise<string>}
+ */
+async function resolveQueueAddress(hre, explicit) {
+    if (explicit) {
+        return ethers.getAddress(explicit);
+    }
+
+    const deployment = await hre.deployments.getOrNull(QUEUE_CONTRACT);
+    if (deployment) {
+        return deployment.address;
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const registered = getDeployment(chainId, { contract: QUEUE_CONTRACT });
+    if (registered) {
+        return registered.contractAddress;
+    }
+
+    throw new Error(
+        `No ${QUEUE_CONTRACT} deployment found for network ${hre.network.name}; pass --queue`
+    );
+}
+
+/**
+ * Map a stored request to a plain record with its SLA position
+ * @param {number} id Request id
+ * @param {object} stored Result of redemption(id)
+ * @param {object} context { now, slaSeconds } (seconds)
+ * @returns {object}
+ */
+function toRedemption(id, stored, { now, slaSeconds }) {
+    const requestedAt = Number(stored.requestedAt);
+    const resolvedAt = Number(stored.resolvedAt) || null;
+    const elapsedSeconds = (resolvedAt ?? now) - requestedAt;
+    return {
+        id,
+        holder: stored.holder,
+        amount: stored.amount,
+        reference: stored.redemptionReference,
+        status: STATUSES[Number(stored.status)],
+        requestedAt,
+        resolvedAt,
+        dueAt: requestedAt + slaSeconds,
+        elapsedSeconds,
+        slaBreached: elapsedSeconds > slaSeconds,
+    };
+}
+
+/**
+ * List redemption requests with their SLA position
+ * @param {object} queue USDTqRedemptionQueue contract (ethers)
+ * @param {object} [options] Options
+ * @param {string} [options.status] Only this status (Pending, Settled,
+ *        Rejected)
+ * @param {number} [options.slaSeconds] Settlement SLA (default 24 hours)
+ * @param {number} [options.fromId] First request id to read (default 1)
+ * @param {number} [options.now] Reference time (default: latest block)
+ * @returns {Promise<object[]>} Requests, oldest first
+ */
+async function listRedemptions(queue, options = {}) {
+    if (options.status && !STATUSES.slice(1).includes(options.status)) {
+        throw new Error(
+            `Unknown redemption status "${options.status}" (expected ${STATUSES.slice(1).join(", ")})`
+        );
+    }
+
+    const provider = queue.runner.provider || queue.runner;
+    const context = {
+        now: options.now ?? (await provider.getBlock("latest")).timestamp,
+        slaSeconds: options.slaSeconds ?? DEFAULT_SLA_SECONDS,
+    };
+
+    const count = Number(await queue.redemptionCount());
+    const redemptions = [];
+    for (let id = Math.max(options.fromId ?? 1, 1); id <= count; id++) {
+        const redemption = toRedemption(
+            id,
+            await queue.redemption(id),
+            context
+        );
+        if (!options.status || redemption.status === options.status) {
+            redemptions.push(redemption);
+        }
+    }
+    return redemptions;
+}
+
+/**
+ * Summarize requests against the SLA
+ * @param {object[]} redemptions Result of listRedemptions
+ * @returns {object} { pending, pendingAmount, breached, oldestPending,
+ *          resolved, resolvedWithinSla, slowestResolvedSeconds }
+ */
+function summarizeRedemptions(redemptions) {
+    const pending = redemptions.filter(({ status }) => status === "Pending");
+    const resolved = redemptions.filter(
+        ({ status }) => status === "Settled" || status === "Rejected"
+    );
+    return {
+        pending: pending.length,
+        pendingAmount: pending.reduce((sum, { amount }) => sum + amount, 0n),
+        breached: pending.filter(({ slaBreached }) => slaBreached).length,
+        oldestPending: pending[0]?.id ?? null,
+        resolved: resolved.length,
+        resolvedWithinSla: resolved.filter(({ slaBreached }) => !slaBreached)
+            .length,
+        slowestResolvedSeconds: resolved.length
+            ? Math.max(...resolved.map(({ elapsedSeconds }) => elapsedSeconds))
+            : null,
+    };
+}
+
+module.exports = {
+    QUEUE_CONTRACT,
+    STATUSES,
+    DEFAULT_SLA_SECONDS,
+    resolveQueueAddress,
+    listRedemptions,
+    summarizeRedemptions,
+};
@@ -0,0 +1,204 @@
+/**
+ * @title Deployment Registry
+ * @notice Machine-readable record of USDTq deployments, keyed by chainId
+ * @dev The deploy script records every live deployment in
+ *      deployments/registry.json. Downstream services resolve addresses
+ *      through this module instead of copying them from console output:
+ *
+ *        const { getAddress } = require("usdtq-stablecoin/utils/registry");
+ *        const usdtq = getAddress("bsc_mainnet"); // or getAddress(56)
+ *
+ *      Each entry carries the keccak256 of the ABI and of the runtime
+ *      bytecode as deployed (eth_getCode) so tools can detect a registry
+ *      that no longer matches the compiled contract or the code on-chain.
+ *
+ *      Registry layout (version 1):
+ *        {
+ *          "version": 1,
+ *          "chains": {
+ *            "56": {
+ *              "USDTq": { network, chainId, contractAddress, ..., history: [...] }
+ *            }
+ *          }
+ *        }
+ *
+ *      Redeploying on a chain keeps the superseded entries in `history`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const REGISTRY_VERSION = 1;
+const REGISTRY_FILE = path.join(
+    __dirname,
+    "..",
+    "deployments",
+    "registry.json"
+);
+
+/**
+ * Read the registry (an empty registry if the file does not exist)
+ * @param {string} [file] Registry path
+ * @returns {object}
+ */
+function readRegistry(file = REGISTRY_FILE) {
+    if (!fs.existsSync(file)) {
+        return { version: REGISTRY_VERSION, chains: {} };
+    }
+
+    const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (registry.version !== REGISTRY_VERSION) {
+        throw new Error(
+            `Unsupported registry version ${registry.version} in ${file} (expected ${REGISTRY_VERSION})`
+        );
+    }
+    return registry;
+}
+
+/**
+ * Write the registry with stable formatting
+ * @param {object} registry Registry object
+ * @param {string} [file] Registry path
+ */
+function writeRegistry(registry, file = REGISTRY_FILE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(registry, null, 2) + "\n");
+}
+
+/**
+ * Hash an ABI (keccak256 of its JSON encoding)
+ * @param {Array} abi Contract ABI
+ * @returns {string}
+ */
+function hashAbi(abi) {
+    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(abi)));
+}
+
+/**
+ * Hash runtime bytecode (compare the hash of eth_getCode, not of the
+ * artifact's deployedBytecode, whose immutables are zeroed)
+ * @param {string} bytecode Runtime bytecode
+ * @returns {string}
+ */
+function hashBytecode(bytecode) {
+    return ethers.keccak256(bytecode);
+}
+
+/**
+ * Record a deployment, keeping the previous entry for the chain in history
+ * @param {object} entry Deployment entry (must include chainId and contractAddress)
+ * @param {object} [options] Options
+ * @param {string} [options.contract] Contract name (default "USDTq")
+ * @param {string} [options.file] Registry path
+ * @returns {object} The stored entry
+ */
+function recordDeployment(entry, options = {}) {
+    const contract = options.contract || "USDTq";
+    const file = options.file || REGISTRY_FILE;
+    const registry = readRegistry(file);
+    const chainId = entry.chainId.toString();
+
+    const chain = registry.chains[chainId] || {};
+    const previous = chain[contract];
+
+    let history = [];
+    if (previous) {
+        const { history: previousHistory = [], ...previousEntry } = previous;
+        history =
+            previousEntry.contractAddress.toLowerCase() ===
+            entry.contractAddress.toLowerCase()
+                ? previousHistory
+                : [previousEntry, ...previousHistory];
+    }
+
+    const stored = {
+        ...entry,
+        chainId: Number(entry.chainId),
+        contractAddress: ethers.getAddress(entry.contractAddress),
+        history,
+    };
+
+    registry.chains[chainId] = { ...chain, [contract]: stored };
+    writeRegistry(registry, file);
+    return stored;
+}
+
+/**
+ * Merge fields into the current entry for a chain
+ * @param {number|string|bigint} chainId Chain id
+ * @param {object} patch Fields to set (e.g. { verification })
+ * @param {object} [options] Same options as recordDeployment
+ * @returns {object} The updated entry
+ */
+function updateDeployment(chainId, patch, options = {}) {
+    const contract = options.contract || "USDTq";
+    const file = options.file || REGISTRY_FILE;
+    const registry = readRegistry(file);
+    const chain = registry.chains[chainId.toString()];
+
+    if (!chain || !chain[contract]) {
+        throw new Error(
+            `No ${contract} deployment registered for chain ${chainId}`
+        );
+    }
+
+    chain[contract] = { ...chain[contract], ...patch };
+    writeRegistry(registry, file);
+    return chain[contract];
+}
+
+/**
+ * Look up a deployment by chainId or network name
+ * @param {number|string|bigint} chain Chain id or Hardhat network name
+ * @param {object} [options] Options
+ * @param {string} [options.contract] Contract name (default "USDTq")
+ * @param {string} [options.file] Registry path
+ * @returns {object|null} Registry entry, or null if not deployed there
+ */
+function getDeployment(chain, options = {}) {
+    const contract = options.contract || "USDTq";
+    const registry = readRegistry(options.file || REGISTRY_FILE);
+    const key = chain.toString();
+
+    if (registry.chains[key]) {
+        return registry.chains[key][contract] || null;
+    }
+
+    for (const entries of Object.values(registry.chains)) {
+        if (entries[contract] && entries[contract].network === key) {
+            return entries[contract];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the contract address for a chain
+ * @param {number|string|bigint} chain Chain id or Hardhat network name
+ * @param {object} [options] Same options as getDeployment
+ * @returns {string} Checksummed address
+ */
+function getAddress(chain, options = {}) {
+    const deployment = getDeployment(chain, options);
+    if (!deployment) {
+        throw new Error(
+            `No ${options.contract || "USDTq"} deployment registered for ${chain}`
+        );
+    }
+    return deployment.contractAddress;
+}
+
+module.exports = {
+    REGISTRY_VERSION,
+    REGISTRY_FILE,
+    readRegistry,
+    writeRegistry,
+    hashAbi,
+    hashBytecode,
+    recordDeployment,
+    updateDeployment,
+    getDeployment,
+    getAddress,
+};
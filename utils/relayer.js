@@ -0,0 +1,537 @@
+/**
+ * @title EIP-3009 Authorization Relayer
+ * @notice Accepts signed USDTq authorizations over HTTP and submits them
+ * @dev Payers sign a TransferWithAuthorization (or a CancelAuthorization)
+ *      with the SDK and POST it here; the relayer key pays the gas:
+ *
+ *        POST /authorizations          submit a signed authorization
+ *        GET  /authorizations/:from/:nonce
+ *                                      on-chain state and relayed tx hash
+ *        GET  /health                  relayer address, chain and contract
+ *
+ *      Request body (amounts and timestamps as decimal strings, amounts in
+ *      6-decimal base units; `signature` or `v`/`r`/`s`):
+ *
+ *        { "type": "TransferWithAuthorization", "from": "0x..",
+ *          "to": "0x..", "value": "25000000", "validAfter": "0",
+ *          "validBefore": "1767225600", "nonce": "0x..32 bytes..",
+ *          "signature": "0x.." }
+ *
+ *      Nothing is sent unless the signature recovers to the payer, the nonce
+ *      is unused and a staticCall of the exact call succeeds, so blacklisted
+ *      parties, expired windows and short balances are answered with 422 and
+ *      the decoded contract error instead of a reverted transaction.
+ *      ReceiveWithAuthorization is refused: only the payee can submit it.
+ *      Submissions go out one at a time so the relayer key's nonces never
+ *      collide. An authorization is answered with 409 while it is being
+ *      checked or its transaction is unmined, since authorizationState()
+ *      only flips once the transaction is in a block.
+ *
+ *      Every relayed authorization costs the relayer gas, so the relayer
+ *      also applies its own policy and answers 403 or 429 without sending
+ *      anything: a minimum transfer value (1 USDTq by default), optional
+ *      allowlists of payers and payees, and an optional per-payer limit on
+ *      submissions within a time window. With only a payee allowlist,
+ *      cancellations are refused, since anyone can sign one for a fresh key.
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const {
+    USDTqError,
+    authorizationTypedData,
+    decodeError,
+    formatAmount,
+    recoverAuthorizationSigner,
+} = require("../sdk/src");
+
+const DEFAULT_PORT = 8090;
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 16 * 1024;
+const DEFAULT_MIN_VALUE = 1_000_000n; // 1 USDTq
+
+// Authorization types the relayer submits, and the contract method for each
+const RELAYED_TYPES = {
+    TransferWithAuthorization: "transferWithAuthorization",
+    CancelAuthorization: "cancelAuthorization",
+};
+
+/**
+ * A request the relayer refuses, with the HTTP status to answer
+ */
+class RelayError extends Error {
+    /**
+     * @param {number} status HTTP status code
+     * @param {string} message Error message
+     * @param {object} [details] Extra fields for the response body
+     */
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = "RelayError";
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function parseUint(field, value) {
+    const text = typeof value === "number" ? value.toString() : value;
+    if (typeof text !== "string" || !/^[0-9]+$/.test(text)) {
+        throw new RelayError(
+            400,
+            `${field} must be a non-negative integer string`
+        );
+    }
+    return BigInt(text);
+}
+
+function parseAddress(field, value) {
+    try {
+        return ethers.getAddress(value);
+    } catch {
+        throw new RelayError(400, `${field} is not a valid address`);
+    }
+}
+
+/**
+ * Validate a request body and convert it to a signed authorization
+ * @param {object} body Parsed JSON body
+ * @returns {object} Authorization with bigint fields and v/r/s
+ */
+function parseAuthorization(body) {
+    if (!body || typeof body !== "object") {
+        throw new RelayError(400, "Request body must be a JSON object");
+    }
+
+    if (body.type === "ReceiveWithAuthorization") {
+        throw new RelayError(
+            400,
+            "ReceiveWithAuthorization can only be submitted by the payee"
+        );
+    }
+    if (!(body.type in RELAYED_TYPES)) {
+        throw new RelayError(
+            400,
+            `type must be one of: ${Object.keys(RELAYED_TYPES).join(", ")}`
+        );
+    }
+
+    if (!ethers.isHexString(body.nonce, 32)) {
+        throw new RelayError(400, "nonce must be a 32-byte hex string");
+    }
+
+    let signature;
+    try {
+        signature = ethers.Signature.from(
+            body.signature ?? { v: body.v, r: body.r, s: body.s }
+        );
+    } catch {
+        throw new RelayError(400, "signature is missing or malformed");
+    }
+    const { v, r, s } = signature;
+
+    const nonce = body.nonce.toLowerCase();
+    if (body.type === "CancelAuthorization") {
+        return {
+            type: body.type,
+            authorizer: parseAddress("authorizer", body.authorizer),
+            nonce,
+            v,
+            r,
+            s,
+            signature: signature.serialized,
+        };
+    }
+
+    return {
+        type: body.type,
+        from: parseAddress("from", body.from),
+        to: parseAddress("to", body.to),
+        value: parseUint("value", body.value),
+        validAfter: parseUint("validAfter", body.validAfter ?? "0"),
+        validBefore: parseUint("validBefore", body.validBefore),
+        nonce,
+        v,
+        r,
+        s,
+        signature: signature.serialized,
+    };
+}
+
+function callArgs(authorization) {
+    if (authorization.type === "CancelAuthorization") {
+        return [
+            authorization.authorizer,
+            authorization.nonce,
+            authorization.v,
+            authorization.r,
+            authorization.s,
+        ];
+    }
+    return [
+        authorization.from,
+        authorization.to,
+        authorization.value,
+        authorization.validAfter,
+        authorization.validBefore,
+        authorization.nonce,
+        authorization.v,
+        authorization.r,
+        authorization.s,
+    ];
+}
+
+class AuthorizationRelayer {
+    /**
+     * @param {object} options Relayer options
+     * @param {object} options.usdtq USDTq contract connected to the relayer signer
+     * @param {bigint} [options.minValue] Smallest transfer relayed (base
+     *        units, default 1 USDTq)
+     * @param {string[]} [options.senders] Payers whose authorizations are
+     *        relayed (default: any)
+     * @param {string[]} [options.recipients] Payees transfers may go to
+     *        (default: any)
+     * @param {object} [options.rateLimit] { count, windowSeconds }: most
+     *        submissions per payer within the window
+     * @param {Function} [options.log] Logger (default console.error)
+     */
+    constructor(options) {
+        this.usdtq = options.usdtq;
+        this.minValue = BigInt(options.minValue ?? DEFAULT_MIN_VALUE);
+        this.senders = addressSet(options.senders);
+        this.recipients = addressSet(options.recipients);
+        this.rateLimit = options.rateLimit;
+        this.log = options.log || console.error;
+        // "<authorizer>" → times (ms) of submissions within the rate limit window
+        this.recentSubmissions = new Map();
+        // "<authorizer>:<nonce>" → { transactionHash, submittedAt }
+        this.submitted = new Map();
+        this.pending = new Set();
+        // "<authorizer>:<nonce>" → receipt promise of a transaction not yet mined
+        this.unconfirmed = new Map();
+        this.queue = Promise.resolve();
+        this.server = null;
+    }
+
+    /**
+     * EIP-712 domain of the token (read once)
+     * @returns {Promise<object>}
+     */
+    async domain() {
+        if (!this._domain) {
+            const domain = await this.usdtq.eip712Domain();
+            this._domain = {
+                name: domain.name,
+                version: domain.version,
+                chainId: domain.chainId,
+                verifyingContract: domain.verifyingContract,
+            };
+        }
+        return this._domain;
+    }
+
+    /**
+     * Check and submit a signed authorization
+     * @param {object} body Request body (see the module header)
+     * @returns {Promise<object>} { type, authorizer, nonce, transactionHash }
+     * @throws {RelayError} When the authorization is refused
+     */
+    async relay(body) {
+        const authorization = parseAuthorization(body);
+        const authorizer = authorization.from ?? authorization.authorizer;
+        const key = `${authorizer}:${authorization.nonce}`;
+
+        const signer = recoverAuthorizationSigner(
+            authorizationTypedData(authorization, await this.domain()),
+            authorization.signature
+        );
+        if (signer !== authorizer) {
+            throw new RelayError(
+                400,
+                `Signature is from ${signer}, not from ${authorizer}`
+            );
+        }
+        this._checkPolicy(authorization, authorizer);
+
+        if (this.pending.has(key) || this.unconfirmed.has(key)) {
+            throw new RelayError(
+                409,
+                `Authorization ${authorization.nonce} of ${authorizer} is already being relayed`,
+                this.submitted.get(key) || {}
+            );
+        }
+
+        this.pending.add(key);
+        try {
+            if (
+                await this.usdtq.authorizationState(
+                    authorizer,
+                    authorization.nonce
+                )
+            ) {
+                throw new RelayError(
+                    409,
+                    `Authorization ${authorization.nonce} of ${authorizer} was already used or canceled`,
+                    this.submitted.get(key) || {}
+                );
+            }
+
+            const tx = await this._enqueue(() => this._submit(authorization));
+            const record = {
+                type: authorization.type,
+                authorizer,
+                nonce: authorization.nonce,
+                transactionHash: tx.hash,
+                submittedAt: new Date().toISOString(),
+            };
+            this.submitted.set(key, record);
+            this.unconfirmed.set(
+                key,
+                tx
+                    .wait()
+                    .catch((error) =>
+                        this.log(
+                            `Relayed ${authorization.type} ${authorization.nonce} of ${authorizer} failed: ${error.shortMessage || error.message}`
+                        )
+                    )
+                    .finally(() => this.unconfirmed.delete(key))
+            );
+            this.log(
+                `Relayed ${authorization.type} ${authorization.nonce} of ${authorizer}: ${tx.hash}`
+            );
+            return record;
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    /**
+     * On-chain state of an authorization and the transaction that relayed it
+     * @param {string} authorizer Payer address
+     * @param {string} nonce Authorization nonce
+     * @returns {Promise<object>} { authorizer, nonce, used, transactionHash? }
+     */
+    async status(authorizer, nonce) {
+        const address = parseAddress("authorizer", authorizer);
+        if (!ethers.isHexString(nonce, 32)) {
+            throw new RelayError(400, "nonce must be a 32-byte hex string");
+        }
+        const key = `${address}:${nonce.toLowerCase()}`;
+        return {
+            authorizer: address,
+            nonce: nonce.toLowerCase(),
+            used: await this.usdtq.authorizationState(address, nonce),
+            ...this.submitted.get(key),
+        };
+    }
+
+    /**
+     * Relayer address, chain and contract
+     * @returns {Promise<object>}
+     */
+    async health() {
+        const { chainId, verifyingContract } = await this.domain();
+        const relayer = await this.usdtq.runner.getAddress();
+        const provider = this.usdtq.runner.provider;
+        return {
+            relayer,
+            balance: (await provider.getBalance(relayer)).toString(),
+            chainId: Number(chainId),
+            contract: verifyingContract,
+        };
+    }
+
+    /**
+     * Serve the HTTP API
+     * @param {object} [options] Options
+     * @param {number} [options.port] Port (default 8090, 0 for any free port)
+     * @param {string} [options.host] Interface (default 127.0.0.1)
+     * @returns {Promise<{host: string, port: number, url: string}>}
+     */
+    async listen(options = {}) {
+        const host = options.host ?? DEFAULT_HOST;
+        this.server = http.createServer((req, res) => {
+            this._handle(req, res).catch((error) =>
+                this.log(`Relayer request failed: ${error.message}`)
+            );
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(options.port ?? DEFAULT_PORT, host, resolve);
+        });
+        const { port } = this.server.address();
+        return { host, port, url: `http://${host}:${port}` };
+    }
+
+    /**
+     * Stop serving and wait for queued submissions
+     */
+    async close() {
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+        await this.queue;
+    }
+
+    _checkPolicy(authorization, authorizer) {
+        if (this.senders && !this.senders.has(authorizer)) {
+            throw new RelayError(403, `${authorizer} is not an allowed sender`);
+        }
+        if (authorization.type === "CancelAuthorization") {
+            if (this.recipients && !this.senders) {
+                throw new RelayError(
+                    403,
+                    "Cancellations are only relayed for allowed senders"
+                );
+            }
+            return;
+        }
+        if (this.recipients && !this.recipients.has(authorization.to)) {
+            throw new RelayError(
+                403,
+                `${authorization.to} is not an allowed recipient`
+            );
+        }
+        if (authorization.value < this.minValue) {
+            throw new RelayError(
+                403,
+                `Transfers below ${formatAmount(this.minValue)} USDTq are not relayed`
+            );
+        }
+    }
+
+    // Runs inside the submission queue, so concurrent requests from one
+    // payer cannot both pass the check
+    _checkRateLimit(authorizer) {
+        if (!this.rateLimit) {
+            return;
+        }
+        const { count, windowSeconds } = this.rateLimit;
+        const now = Date.now();
+        const recent = (this.recentSubmissions.get(authorizer) || []).filter(
+            (time) => time > now - windowSeconds * 1000
+        );
+        this.recentSubmissions.set(authorizer, recent);
+        if (recent.length >= count) {
+            throw new RelayError(
+                429,
+                `${authorizer} already has ${recent.length} relayed authorization(s) within ${windowSeconds}s`,
+                {
+                    retryAfterSeconds: Math.ceil(
+                        (recent[0] + windowSeconds * 1000 - now) / 1000
+                    ),
+                }
+            );
+        }
+    }
+
+    async _submit(authorization) {
+        const method = RELAYED_TYPES[authorization.type];
+        const args = callArgs(authorization);
+        const authorizer = authorization.from ?? authorization.authorizer;
+        this._checkRateLimit(authorizer);
+
+        try {
+            await this.usdtq[method].staticCall(...args);
+        } catch (error) {
+            const decoded = decodeError(error);
+            if (decoded instanceof USDTqError) {
+                throw new RelayError(422, decoded.message, {
+                    errorName: decoded.errorName,
+                });
+            }
+            throw decoded;
+        }
+
+        const tx = await this.usdtq[method](...args);
+        if (this.rateLimit) {
+            this.recentSubmissions.get(authorizer).push(Date.now());
+        }
+        return tx;
+    }
+
+    _enqueue(job) {
+        const result = this.queue.then(job);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async _handle(req, res) {
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+
+        try {
+            const url = new URL(req.url, "http://relayer");
+            const parts = url.pathname.split("/").filter(Boolean);
+
+            if (req.method === "GET" && url.pathname === "/health") {
+                return send(200, await this.health());
+            }
+            if (
+                req.method === "GET" &&
+                parts.length === 3 &&
+                parts[0] === "authorizations"
+            ) {
+                return send(200, await this.status(parts[1], parts[2]));
+            }
+            if (req.method === "POST" && url.pathname === "/authorizations") {
+                return send(202, await this.relay(await readJson(req)));
+            }
+            return send(404, {
+                error: `No route for ${req.method} ${url.pathname}`,
+            });
+        } catch (error) {
+            if (error instanceof RelayError) {
+                return send(error.status, {
+                    error: error.message,
+                    ...error.details,
+                });
+            }
+            this.log(`Relayer error: ${error.message}`);
+            return send(500, { error: error.message });
+        }
+    }
+}
+
+function addressSet(addresses) {
+    if (!addresses) {
+        return undefined;
+    }
+    return new Set(addresses.map((address) => ethers.getAddress(address)));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        let size = 0;
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) {
+                body += chunk;
+            }
+        });
+        req.on("end", () => {
+            if (size > MAX_BODY_BYTES) {
+                return reject(new RelayError(413, "Request body too large"));
+            }
+            try {
+                resolve(JSON.parse(body));
+            } catch {
+                reject(new RelayError(400, "Request body is not valid JSON"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    DEFAULT_MIN_VALUE,
+    RELAYED_TYPES,
+    RelayError,
+    AuthorizationRelayer,
+    parseAuthorization,
+};
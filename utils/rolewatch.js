@@ -0,0 +1,519 @@
+/**
+ * @title Role Watcher
+ * @notice Alerts on unexpected USDTq role changes and serves current role
+ *         membership over HTTP
+ * @dev Membership is rebuilt from RoleGranted/RoleRevoked events since the
+ *      deployment block and then followed block by block. Each role has an
+ *      allowlist of expected holders (the manifest plus any extra entries).
+ *      Alerts, all critical:
+ *
+ *        role.unexpected_holder    a current holder is not on the allowlist
+ *                                  (found when the watcher starts)
+ *        role.unexpected_grant     a role was granted to an address not on
+ *                                  the allowlist
+ *        role.admin_change         ADMIN_ROLE or DEFAULT_ADMIN_ROLE was
+ *                                  granted or revoked, allowlisted or not
+ *        role.unverified_contract  a role holder has contract code whose
+ *                                  source the explorer has not verified
+ *
+ *      HTTP API (read-only):
+ *
+ *        GET /roles                role name → holders
+ *        GET /roles/:role          holders of one role (name or hash)
+ *        GET /accounts/:address    roles held by an address
+ *        GET /health               contract, chain and last synced block
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { dispatchAlert } = require("./alerts");
+const { DEFAULT_BLOCK_RANGE, queryRoleEvents } = require("./audit");
+const { ROLES, resolveRole, roleName } = require("./usdtq");
+
+const DEFAULT_PORT = 8091;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_POLL_INTERVAL_MS = 15_000;
+
+const ADMIN_ROLES = [ROLES.DEFAULT_ADMIN_ROLE, ROLES.ADMIN_ROLE];
+
+/**
+ * A request the API refuses, with the HTTP status to answer
+ */
+class RoleQueryError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "RoleQueryError";
+        this.status = status;
+    }
+}
+
+/**
+ * Normalize an allowlist keyed by role name or hash
+ * @param {object} allowlist { MINTER_ROLE: ["0x.."], minter: [...], "0x..": [...] }
+ * @returns {Map<string, Set<string>>} Role hash → checksummed addresses
+ */
+function normalizeAllowlist(allowlist = {}) {
+    const normalized = new Map();
+    for (const [role, accounts] of Object.entries(allowlist)) {
+        const { hash } = resolveRole(role);
+        const set = normalized.get(hash) || new Set();
+        for (const account of accounts || []) {
+            set.add(ethers.getAddress(account));
+        }
+        normalized.set(hash, set);
+    }
+    return normalized;
+}
+
+/**
+ * Check source verification with an Etherscan-compatible API (BscScan)
+ * @param {object} options Options
+ * @param {string} options.url API endpoint (e.g. https://api.bscscan.com/api)
+ * @param {string} [options.apiKey] API key
+ * @param {number} [options.timeoutMs] Request timeout (default 10s)
+ * @returns {Function} async (address) => boolean
+ */
+function explorerVerifier(options) {
+    return async (address) => {
+        const url = new URL(options.url);
+        url.searchParams.set("module", "contract");
+        url.searchParams.set("action", "getsourcecode");
+        url.searchParams.set("address", address);
+        if (options.apiKey) {
+            url.searchParams.set("apikey", options.apiKey);
+        }
+
+        const response = await fetch(url, {
+            signal: AbortSignal.timeout(options.timeoutMs || 10_000),
+        });
+        if (!response.ok) {
+            throw new Error(
+                `Explorer ${url.host} responded ${response.status}`
+            );
+        }
+        const body = await response.json();
+        if (body.status !== "1" || !Array.isArray(body.result)) {
+            throw new Error(
+                `Explorer ${url.host}: ${typeof body.result === "string" ? body.result : body.message}`
+            );
+        }
+        return body.result.some((entry) => Boolean(entry.SourceCode));
+    };
+}
+
+class RoleWatcher {
+    /**
+     * @param {object} options Watcher options
+     * @param {object} options.usdtq USDTq contract (ethers, read-only is fine)
+     * @param {object[]} options.sinks Alert sinks (see ./alerts)
+     * @param {object} options.allowlist Expected holders per role (see
+     *        normalizeAllowlist)
+     * @param {Function} [options.verifier] async (address) => boolean; without
+     *        one every contract holder counts as unverified
+     * @param {string} [options.network] Network name included in alerts
+     * @param {number} [options.fromBlock] Deployment block (default 0)
+     * @param {number} [options.blockRange] Blocks per log query
+     * @param {Function} [options.log] Logger for sink and explorer failures
+     */
+    constructor(options) {
+        this.usdtq = options.usdtq;
+        this.provider = options.usdtq.runner.provider || options.usdtq.runner;
+        this.sinks = options.sinks;
+        this.allowlist = normalizeAllowlist(options.allowlist);
+        this.verifier = options.verifier;
+        this.network = options.network;
+        this.fromBlock = options.fromBlock ?? 0;
+        this.blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+        this.log = options.log || console.error;
+        // Role hash → account → { account, grantedBy, blockNumber, transactionHash }
+        this.members = new Map();
+        this.codeChecks = new Map();
+        this.nextBlock = null;
+        this.server = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Read new role events, update membership and dispatch alerts
+     * @dev The first check rebuilds membership from fromBlock and alerts on
+     *      current holders that are not expected; later checks alert on each
+     *      new event. If building an alert fails (getBlock, getCode), the
+     *      membership changes are undone and the next check reads the same
+     *      blocks again.
+     * @returns {Promise<object[]>} Alerts raised by this check
+     */
+    async check() {
+        const block = await this.provider.getBlock("latest");
+        this.context = this.context || {
+            network: this.network,
+            chainId: Number((await this.provider.getNetwork()).chainId),
+            contract: await this.usdtq.getAddress(),
+        };
+
+        const initial = this.nextBlock === null;
+        const fromBlock = initial ? this.fromBlock : this.nextBlock;
+        if (fromBlock > block.number) {
+            return [];
+        }
+        const events = await queryRoleEvents(this.usdtq, {
+            fromBlock,
+            toBlock: block.number,
+            blockRange: this.blockRange,
+        });
+
+        const previous = new Map(
+            [...this.members].map(([role, members]) => [role, new Map(members)])
+        );
+        const alerts = [];
+        try {
+            for (const event of events) {
+                const eventAlerts = this._apply(event);
+                if (!initial) {
+                    alerts.push(...(await eventAlerts()));
+                }
+            }
+            if (initial) {
+                alerts.push(...(await this._checkHolders(block)));
+            }
+        } catch (error) {
+            this.members = previous;
+            throw error;
+        }
+        this.nextBlock = block.number + 1;
+        this.syncedBlock = block.number;
+
+        for (const alert of alerts) {
+            const failures = await dispatchAlert(this.sinks, alert);
+            for (const { sink, error } of failures) {
+                this.log(`Alert sink ${sink} failed: ${error.message}`);
+            }
+        }
+        return alerts;
+    }
+
+    /**
+     * Check repeatedly until stop() is called
+     * @param {object} [options] Options
+     * @param {number} [options.pollIntervalMs] Delay between checks
+     */
+    async run(options = {}) {
+        const pollIntervalMs =
+            options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+        this.stopped = false;
+        while (!this.stopped) {
+            try {
+                await this.check();
+            } catch (error) {
+                this.log(`Role check failed: ${error.message}`);
+            }
+            if (this.stopped) {
+                break;
+            }
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, pollIntervalMs);
+                this._wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        }
+    }
+
+    /** Stop run() after the current check */
+    stop() {
+        this.stopped = true;
+        if (this._wake) {
+            this._wake();
+        }
+    }
+
+    /**
+     * Current membership of every role that has or had holders
+     * @returns {object} Role name → holders (see holders())
+     */
+    roles() {
+        const roles = {};
+        for (const role of new Set([
+            ...Object.values(ROLES),
+            ...this.members.keys(),
+        ])) {
+            roles[roleName(role)] = this.holders(role);
+        }
+        return roles;
+    }
+
+    /**
+     * Current holders of one role
+     * @param {string} role Role name or hash
+     * @returns {object[]} { account, expected, grantedBy, blockNumber,
+     *          transactionHash, isContract?, verified? }
+     */
+    holders(role) {
+        const { hash } = resolveRole(role);
+        const expected = this.allowlist.get(hash) || new Set();
+        return [...(this.members.get(hash)?.values() || [])].map((member) => ({
+            ...member,
+            expected: expected.has(member.account),
+            ...this.codeChecks.get(member.account),
+        }));
+    }
+
+    /**
+     * Roles held by an address
+     * @param {string} account Address
+     * @returns {object} { account, roles: [role names] }
+     */
+    accountRoles(account) {
+        const address = ethers.getAddress(account);
+        const roles = [];
+        for (const [role, members] of this.members) {
+            if (members.has(address)) {
+                roles.push(roleName(role));
+            }
+        }
+        return { account: address, roles };
+    }
+
+    /**
+     * Serve the HTTP API
+     * @param {object} [options] Options
+     * @param {number} [options.port] Port (default 8091, 0 for any free port)
+     * @param {string} [options.host] Interface (default 127.0.0.1)
+     * @returns {Promise<{host: string, port: number, url: string}>}
+     */
+    async listen(options = {}) {
+        const host = options.host ?? DEFAULT_HOST;
+        this.server = http.createServer((req, res) => this._handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(options.port ?? DEFAULT_PORT, host, resolve);
+        });
+        const { port } = this.server.address();
+        return { host, port, url: `http://${host}:${port}` };
+    }
+
+    /** Stop serving */
+    async close() {
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    // ============ Internal ============
+
+    /**
+     * Update membership for one event; returns a function producing its
+     * alerts, so the initial rebuild can skip them
+     */
+    _apply(event) {
+        const { role, account, sender } = event.args;
+        const members = this.members.get(role) || new Map();
+        this.members.set(role, members);
+
+        if (event.eventName === "RoleRevoked") {
+            members.delete(account);
+            return async () =>
+                ADMIN_ROLES.includes(role)
+                    ? [
+                          await this._eventAlert(event, "role.admin_change", {
+                              message: `${roleName(role)} revoked from ${account} by ${sender}`,
+                          }),
+                      ]
+                    : [];
+        }
+
+        members.set(account, {
+            account,
+            grantedBy: sender,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+        });
+        return async () => {
+            const alerts = [];
+            if (ADMIN_ROLES.includes(role)) {
+                alerts.push(
+                    await this._eventAlert(event, "role.admin_change", {
+                        message: `${roleName(role)} granted to ${account} by ${sender}`,
+                    })
+                );
+            }
+            if (!this.allowlist.get(role)?.has(account)) {
+                alerts.push(
+                    await this._eventAlert(event, "role.unexpected_grant", {
+                        message: `${roleName(role)} granted to ${account}, which is not an expected holder`,
+                    })
+                );
+            }
+            const check = await this._checkCode(account);
+            if (check.isContract && !check.verified) {
+                alerts.push(
+                    await this._eventAlert(event, "role.unverified_contract", {
+                        message: `${roleName(role)} granted to contract ${account}, whose source is not verified`,
+                        details: check,
+                    })
+                );
+            }
+            return alerts;
+        };
+    }
+
+    async _checkHolders(block) {
+        const alerts = [];
+        for (const [role, members] of this.members) {
+            for (const member of members.values()) {
+                const details = {
+                    role: roleName(role),
+                    account: member.account,
+                    grantedBy: member.grantedBy,
+                    grantedInBlock: member.blockNumber,
+                    transactionHash: member.transactionHash,
+                };
+                if (!this.allowlist.get(role)?.has(member.account)) {
+                    alerts.push(
+                        this._alert("role.unexpected_holder", block, {
+                            message: `${roleName(role)} is held by ${member.account}, which is not an expected holder`,
+                            details,
+                        })
+                    );
+                }
+                const check = await this._checkCode(member.account);
+                if (check.isContract && !check.verified) {
+                    alerts.push(
+                        this._alert("role.unverified_contract", block, {
+                            message: `${roleName(role)} is held by contract ${member.account}, whose source is not verified`,
+                            details: { ...details, ...check },
+                        })
+                    );
+                }
+            }
+        }
+        return alerts;
+    }
+
+    /**
+     * Whether an address has code and, if so, verified source (cached)
+     */
+    async _checkCode(account) {
+        if (this.codeChecks.has(account)) {
+            return this.codeChecks.get(account);
+        }
+
+        const code = await this.provider.getCode(account);
+        const check = { isContract: code !== "0x" };
+        if (check.isContract) {
+            if (!this.verifier) {
+                check.verified = false;
+            } else {
+                try {
+                    check.verified = await this.verifier(account);
+                } catch (error) {
+                    // Not cached: ask the explorer again next time
+                    this.log(
+                        `Verification check for ${account} failed: ${error.message}`
+                    );
+                    return {
+                        ...check,
+                        verified: false,
+                        verificationError: error.message,
+                    };
+                }
+            }
+        }
+        this.codeChecks.set(account, check);
+        return check;
+    }
+
+    async _eventAlert(event, type, { message, details }) {
+        const block = await this.provider.getBlock(event.blockNumber);
+        const { role, account, sender } = event.args;
+        return this._alert(type, block, {
+            message,
+            details: {
+                event: event.eventName,
+                role: roleName(role),
+                account,
+                sender,
+                transactionHash: event.transactionHash,
+                ...details,
+            },
+        });
+    }
+
+    _alert(type, block, { message, details }) {
+        return {
+            type,
+            severity: "critical",
+            message,
+            ...this.context,
+            blockNumber: block.number,
+            timestamp: new Date(block.timestamp * 1000).toISOString(),
+            details,
+        };
+    }
+
+    _handle(req, res) {
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+
+        try {
+            const url = new URL(req.url, "http://roles");
+            const parts = url.pathname.split("/").filter(Boolean);
+            if (req.method !== "GET") {
+                throw new RoleQueryError(405, "Only GET is supported");
+            }
+
+            if (url.pathname === "/health") {
+                return send(200, {
+                    ...this.context,
+                    syncedBlock: this.syncedBlock ?? null,
+                });
+            }
+            if (url.pathname === "/roles") {
+                return send(200, this.roles());
+            }
+            if (parts.length === 2 && parts[0] === "roles") {
+                let role;
+                try {
+                    role = resolveRole(decodeURIComponent(parts[1]));
+                } catch (error) {
+                    throw new RoleQueryError(400, error.message);
+                }
+                return send(200, {
+                    role: role.name,
+                    holders: this.holders(role.hash),
+                });
+            }
+            if (parts.length === 2 && parts[0] === "accounts") {
+                if (!ethers.isAddress(parts[1])) {
+                    throw new RoleQueryError(
+                        400,
+                        `${parts[1]} is not a valid address`
+                    );
+                }
+                return send(200, this.accountRoles(parts[1]));
+            }
+            throw new RoleQueryError(
+                404,
+                `No route for ${req.method} ${url.pathname}`
+            );
+        } catch (error) {
+            if (error instanceof RoleQueryError) {
+                return send(error.status, { error: error.message });
+            }
+            this.log(`Role API error: ${error.message}`);
+            return send(500, { error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    DEFAULT_POLL_INTERVAL_MS,
+    RoleWatcher,
+    explorerVerifier,
+    normalizeAllowlist,
+};
@@ -0,0 +1,334 @@
+/**
+ * @title Gnosis Safe Transaction Helpers
+ * @notice Builds Safe Transaction Builder batches and Safe tx hashes for USDTq calls
+ * @dev All privileged USDTq functions are held by the Gnosis Safe, so every
+ *      admin action has to be proposed and signed as a Safe transaction.
+ *
+ *      Batch files follow the Safe{Wallet} Transaction Builder JSON format and
+ *      can be imported directly through "Transaction Builder > Load".
+ *
+ *      The Safe tx hash is the EIP-712 digest signers see on their hardware
+ *      wallet. Batches with more than one call are wrapped in a delegatecall to
+ *      MultiSendCallOnly, exactly as the Transaction Builder does, so the hash
+ *      computed here matches the one shown in the Safe UI.
+ *
+ *      Only Safe contracts >= 1.3.0 are supported (chainId in the domain).
+ */
+
+const { ethers } = require("ethers");
+
+// Canonical MultiSendCallOnly deployments (same address on every chain)
+const MULTISEND_CALL_ONLY = {
+    "1.3.0": "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D",
+    "1.4.1": "0x9641d764fc13c8B624c04430C7356C1C7C8102e2",
+};
+
+const DEFAULT_SAFE_VERSION = "1.3.0";
+
+const OPERATION = {
+    CALL: 0,
+    DELEGATE_CALL: 1,
+};
+
+const SAFE_TX_TYPES = {
+    SafeTx: [
+        { type: "address", name: "to" },
+        { type: "uint256", name: "value" },
+        { type: "bytes", name: "data" },
+        { type: "uint8", name: "operation" },
+        { type: "uint256", name: "safeTxGas" },
+        { type: "uint256", name: "baseGas" },
+        { type: "uint256", name: "gasPrice" },
+        { type: "address", name: "gasToken" },
+        { type: "address", name: "refundReceiver" },
+        { type: "uint256", name: "nonce" },
+    ],
+};
+
+const SAFE_ABI = [
+    "function nonce() view returns (uint256)",
+    "function getThreshold() view returns (uint256)",
+    "function getOwners() view returns (address[])",
+    "function VERSION() view returns (string)",
+];
+
+const MULTISEND_ABI = ["function multiSend(bytes transactions)"];
+
+/**
+ * Encode a contract call as a Transaction Builder entry
+ * @param {ethers.Interface} iface Interface of the target contract
+ * @param {string} to Target contract address
+ * @param {string} method Function name (or full signature)
+ * @param {Array} args Function arguments
+ * @returns {object} Transaction Builder transaction
+ */
+function encodeCall(iface, to, method, args = []) {
+    const fragment = iface.getFunction(method);
+    if (!fragment) {
+        throw new Error(`Unknown function: ${method}`);
+    }
+
+    const contractInputsValues = {};
+    fragment.inputs.forEach((input, i) => {
+        contractInputsValues[input.name] = stringifyValue(args[i]);
+    });
+
+    return {
+        to: ethers.getAddress(to),
+        value: "0",
+        data: iface.encodeFunctionData(fragment, args),
+        contractMethod: {
+            inputs: fragment.inputs.map((input) => ({
+                internalType: input.type,
+                name: input.name,
+                type: input.type,
+            })),
+            name: fragment.name,
+            payable: fragment.payable,
+        },
+        contractInputsValues:
+            fragment.inputs.length > 0 ? contractInputsValues : null,
+    };
+}
+
+/**
+ * Build a Transaction Builder batch file
+ * @param {object} options Batch options
+ * @param {bigint|number|string} options.chainId Target chain id
+ * @param {string} options.safeAddress Gnosis Safe that will execute the batch
+ * @param {Array<object>} options.transactions Entries built with encodeCall
+ * @param {string} [options.name] Batch name shown in the Safe UI
+ * @param {string} [options.description] Free-form description for signers
+ * @returns {object} Batch JSON (with checksum)
+ */
+function buildBatch({
+    chainId,
+    safeAddress,
+    transactions,
+    name = "USDTq batch",
+    description = "",
+}) {
+    if (!transactions || transactions.length === 0) {
+        throw new Error("A Safe batch needs at least one transaction");
+    }
+
+    const batch = {
+        version: "1.0",
+        chainId: chainId.toString(),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            description,
+            txBuilderVersion: "1.16.5",
+            createdFromSafeAddress: ethers.getAddress(safeAddress),
+            createdFromOwnerAddress: "",
+        },
+        transactions,
+    };
+
+    batch.meta.checksum = calculateChecksum(batch);
+    return batch;
+}
+
+/**
+ * Checksum used by the Transaction Builder to detect edited batch files
+ * @dev Keys are serialized in sorted order and the batch name is ignored,
+ *      mirroring the Safe{Wallet} implementation.
+ */
+function calculateChecksum(batch) {
+    const { checksum: _checksum, ...meta } = batch.meta;
+    const serialized = serializeJSONObject({
+        ...batch,
+        meta: { ...meta, name: null },
+    });
+    return ethers.keccak256(ethers.toUtf8Bytes(serialized));
+}
+
+function serializeJSONObject(json) {
+    if (Array.isArray(json)) {
+        return `[${json.map((el) => serializeJSONObject(el)).join(",")}]`;
+    }
+
+    if (typeof json === "object" && json !== null) {
+        const keys = Object.keys(json).sort();
+        let acc = `{${JSON.stringify(keys)}`;
+        for (const key of keys) {
+            acc += `${serializeJSONObject(json[key])},`;
+        }
+        return `${acc}}`;
+    }
+
+    return JSON.stringify(json);
+}
+
+/**
+ * Pack calls into MultiSend `transactions` bytes
+ * @param {Array<object>} transactions Entries with to/value/data
+ * @returns {string} Packed bytes
+ */
+function encodeMultiSend(transactions) {
+    return ethers.concat(
+        transactions.map((tx) => {
+            const data = ethers.getBytes(tx.data);
+            return ethers.solidityPacked(
+                ["uint8", "address", "uint256", "uint256", "bytes"],
+                [OPERATION.CALL, tx.to, BigInt(tx.value), data.length, data]
+            );
+        })
+    );
+}
+
+/**
+ * Reduce a batch to the single Safe transaction that will be signed
+ * @param {Array<object>} transactions Batch transactions
+ * @param {object} [options] Options
+ * @param {string} [options.safeVersion] Safe version (selects MultiSendCallOnly)
+ * @param {string} [options.multiSendAddress] Override MultiSendCallOnly address
+ * @returns {{to: string, value: string, data: string, operation: number}}
+ */
+function toSafeTransaction(transactions, options = {}) {
+    if (transactions.length === 1) {
+        const [tx] = transactions;
+        return {
+            to: tx.to,
+            value: tx.value,
+            data: tx.data,
+            operation: OPERATION.CALL,
+        };
+    }
+
+    const safeVersion = options.safeVersion || DEFAULT_SAFE_VERSION;
+    const multiSendAddress =
+        options.multiSendAddress || MULTISEND_CALL_ONLY[safeVersion];
+    if (!multiSendAddress) {
+        throw new Error(`No MultiSendCallOnly known for Safe ${safeVersion}`);
+    }
+
+    const multiSend = new ethers.Interface(MULTISEND_ABI);
+    return {
+        to: ethers.getAddress(multiSendAddress),
+        value: "0",
+        data: multiSend.encodeFunctionData("multiSend", [
+            encodeMultiSend(transactions),
+        ]),
+        operation: OPERATION.DELEGATE_CALL,
+    };
+}
+
+/**
+ * Compute the EIP-712 Safe transaction hash signers must confirm
+ * @param {object} options Hash options
+ * @param {bigint|number|string} options.chainId Chain id of the Safe
+ * @param {string} options.safeAddress Gnosis Safe address
+ * @param {object} options.safeTx Result of toSafeTransaction
+ * @param {bigint|number|string} options.nonce Safe nonce the tx will use
+ * @returns {string} Safe tx hash
+ */
+function computeSafeTxHash({ chainId, safeAddress, safeTx, nonce }) {
+    const domain = {
+        chainId: BigInt(chainId),
+        verifyingContract: ethers.getAddress(safeAddress),
+    };
+
+    const message = {
+        to: safeTx.to,
+        value: BigInt(safeTx.value),
+        data: safeTx.data,
+        operation: safeTx.operation,
+        safeTxGas: 0n,
+        baseGas: 0n,
+        gasPrice: 0n,
+        gasToken: ethers.ZeroAddress,
+        refundReceiver: ethers.ZeroAddress,
+        nonce: BigInt(nonce),
+    };
+
+    return ethers.TypedDataEncoder.hash(domain, SAFE_TX_TYPES, message);
+}
+
+/**
+ * Encode calls and produce the batch, Safe transaction and Safe tx hash
+ * @param {object} options Batch options
+ * @param {object} options.provider Provider connected to the Safe's chain
+ * @param {string} options.safeAddress Gnosis Safe address
+ * @param {Array<object>} options.transactions Entries built with encodeCall
+ * @param {bigint|number|string} [options.nonce] Safe nonce (read on-chain if omitted)
+ * @param {string} [options.safeVersion] Safe version (read on-chain if omitted)
+ * @param {string} [options.name] Batch name
+ * @param {string} [options.description] Batch description
+ * @returns {Promise<object>} { batch, safeTx, safeTxHash, nonce, chainId, safeVersion }
+ */
+async function prepareSafeBatch({
+    provider,
+    safeAddress,
+    transactions,
+    nonce,
+    safeVersion,
+    name,
+    description,
+}) {
+    const { chainId } = await provider.getNetwork();
+    const safe = new ethers.Contract(safeAddress, SAFE_ABI, provider);
+    const hasCode = (await provider.getCode(safeAddress)) !== "0x";
+
+    if (nonce === undefined || nonce === null) {
+        if (!hasCode) {
+            throw new Error(
+                `No Safe deployed at ${safeAddress}; pass the nonce explicitly`
+            );
+        }
+        nonce = await safe.nonce();
+    }
+
+    if (!safeVersion) {
+        safeVersion = hasCode
+            ? await safe.VERSION().catch(() => DEFAULT_SAFE_VERSION)
+            : DEFAULT_SAFE_VERSION;
+    }
+
+    const batch = buildBatch({
+        chainId,
+        safeAddress,
+        transactions,
+        name,
+        description,
+    });
+    const safeTx = toSafeTransaction(transactions, { safeVersion });
+    const safeTxHash = computeSafeTxHash({
+        chainId,
+        safeAddress,
+        safeTx,
+        nonce,
+    });
+
+    return {
+        batch,
+        safeTx,
+        safeTxHash,
+        nonce: BigInt(nonce),
+        chainId,
+        safeVersion,
+    };
+}
+
+function stringifyValue(value) {
+    if (Array.isArray(value)) {
+        return JSON.stringify(value.map((v) => stringifyValue(v)));
+    }
+    return value === undefined || value === null ? "" : value.toString();
+}
+
+module.exports = {
+    MULTISEND_CALL_ONLY,
+    DEFAULT_SAFE_VERSION,
+    OPERATION,
+    SAFE_TX_TYPES,
+    SAFE_ABI,
+    encodeCall,
+    buildBatch,
+    calculateChecksum,
+    encodeMultiSend,
+    toSafeTransaction,
+    computeSafeTxHash,
+    prepareSafeBatch,
+};
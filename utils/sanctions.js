@@ -0,0 +1,300 @@
+/**
+ * @title Sanctions List Sync
+ * @notice Diffs a sanctions/denylist file against the USDTq blacklist
+ * @dev Two list formats are read:
+ *
+ *        - CSV with a header row and at least an `address` column; the
+ *          optional `reason` column becomes the on-chain reason
+ *        - OFAC SDN XML (SDN.XML). Every "Digital Currency Address - *" id
+ *          that is an EVM address is taken, with the SDN uid, name and
+ *          programs as the reason
+ *
+ *      On-chain reasons written by a sync are prefixed with the list name,
+ *      e.g. "[OFAC SDN] uid 12345: LAZARUS GROUP (DPRK3)". Only addresses
+ *      carrying that prefix are unblacklisted when they drop off the list,
+ *      so manual blacklistings (court orders, exploits) are never undone by
+ *      a sync.
+ *
+ *      Blacklisted accounts are enumerated from Blacklisted events and then
+ *      confirmed with isBlacklisted/blacklistReason, which are authoritative.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { XMLParser } = require("fast-xml-parser");
+const { ethers } = require("ethers");
+
+const OFAC_SDN_URL =
+    "https://sanctionslistservice.ofac.treas.gov/api/PublicationPreview/exports/SDN.XML";
+
+// SDN id types listing digital currency addresses
+const DIGITAL_CURRENCY_ID = /^Digital Currency Address - /;
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+const DEFAULT_BLOCK_RANGE = 5000;
+
+// Longest reason stored on-chain; the reason is calldata and storage
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line CSV line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            fields.push(field.trim());
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parse a CSV denylist
+ * @param {string} content CSV content (header row required; # starts a comment)
+ * @returns {Array<{address: string, reason: string}>}
+ */
+function parseCsvList(content) {
+    const lines = content
+        .split(/\r?\n/)
+        .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+        .filter(({ line }) => line && !line.startsWith("#"));
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const header = splitCsvLine(lines[0].line).map((name) =>
+        name.toLowerCase()
+    );
+    const addressColumn = header.indexOf("address");
+    const reasonColumn = header.indexOf("reason");
+    if (addressColumn === -1) {
+        throw new Error('CSV list needs a header row with an "address" column');
+    }
+
+    return lines.slice(1).map(({ line, number }) => {
+        const fields = splitCsvLine(line);
+        const address = fields[addressColumn] || "";
+        if (!EVM_ADDRESS.test(address)) {
+            throw new Error(`Line ${number}: invalid address "${address}"`);
+        }
+        return {
+            address: ethers.getAddress(address.toLowerCase()),
+            reason: (reasonColumn === -1 ? "" : fields[reasonColumn]) || "",
+        };
+    });
+}
+
+/**
+ * Parse the OFAC SDN XML list, keeping EVM digital currency addresses
+ * @param {string} content SDN.XML content
+ * @returns {Array<{address: string, reason: string}>}
+ */
+function parseOfacSdnXml(content) {
+    const parser = new XMLParser({
+        removeNSPrefix: true,
+        parseTagValue: false,
+        isArray: (name) => ["sdnEntry", "program", "id"].includes(name),
+    });
+    const document = parser.parse(content);
+    if (!document.sdnList) {
+        throw new Error("Not an OFAC SDN list (no <sdnList> element)");
+    }
+
+    const entries = [];
+    for (const sdn of document.sdnList.sdnEntry || []) {
+        const name = [sdn.firstName, sdn.lastName].filter(Boolean).join(" ");
+        const programs = (sdn.programList?.program || []).join(", ");
+        for (const id of sdn.idList?.id || []) {
+            const value = String(id.idNumber || "").trim();
+            if (
+                !DIGITAL_CURRENCY_ID.test(id.idType) ||
+                !EVM_ADDRESS.test(value)
+            ) {
+                continue;
+            }
+            entries.push({
+                address: ethers.getAddress(value.toLowerCase()),
+                reason: `uid ${sdn.uid}: ${name}${programs ? ` (${programs})` : ""}`,
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Parse a list file, choosing the format from the extension
+ * @param {string} content File content
+ * @param {string} format "csv" or "ofac"
+ * @returns {Array<{address: string, reason: string}>}
+ */
+function parseSanctionsList(content, format) {
+    if (format === "csv") {
+        return parseCsvList(content);
+    }
+    if (format === "ofac") {
+        return parseOfacSdnXml(content);
+    }
+    throw new Error(`Unknown list format "${format}"; use csv or ofac`);
+}
+
+/**
+ * Format of a list file
+ * @param {string} file Path to a .csv or SDN .xml file
+ * @param {string} [format] Explicit format, returned as is
+ * @returns {string} "csv" or "ofac"
+ */
+function sanctionsListFormat(file, format) {
+    return (
+        format || (path.extname(file).toLowerCase() === ".xml" ? "ofac" : "csv")
+    );
+}
+
+/**
+ * Read a list file
+ * @param {string} file Path to a .csv or SDN .xml file
+ * @param {string} [format] "csv" or "ofac" (default: from the extension)
+ * @returns {Array<{address: string, reason: string}>}
+ */
+function readSanctionsList(file, format) {
+    return parseSanctionsList(
+        fs.readFileSync(file, "utf8"),
+        sanctionsListFormat(file, format)
+    );
+}
+
+/**
+ * On-chain reason for a list entry
+ * @param {string} list List name used as the prefix
+ * @param {string} reason Entry reason
+ * @returns {string}
+ */
+function formatReason(list, reason) {
+    const full = reason ? `[${list}] ${reason}` : `[${list}]`;
+    return full.length > MAX_REASON_LENGTH
+        ? `${full.slice(0, MAX_REASON_LENGTH - 3)}...`
+        : full;
+}
+
+/**
+ * Accounts blacklisted on-chain, with their reasons
+ * @param {object} usdtq USDTq contract (ethers)
+ * @param {object} [options] Options
+ * @param {number} [options.fromBlock] First block to read events from
+ * @param {number} [options.toBlock] Last block (default: latest)
+ * @param {number} [options.blockRange] Blocks per event query
+ * @returns {Promise<Map<string, string>>} address → reason
+ */
+async function collectBlacklisted(usdtq, options = {}) {
+    const fromBlock = options.fromBlock ?? 0;
+    const toBlock =
+        options.toBlock ?? (await usdtq.runner.provider.getBlockNumber());
+    const blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+
+    const candidates = new Set();
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, toBlock);
+        const events = await usdtq.queryFilter(
+            usdtq.filters.Blacklisted(),
+            start,
+            end
+        );
+        events.forEach((event) => candidates.add(event.args.account));
+    }
+
+    const blacklisted = new Map();
+    for (const account of candidates) {
+        if (await usdtq.isBlacklisted(account)) {
+            blacklisted.set(account, await usdtq.blacklistReason(account));
+        }
+    }
+    return blacklisted;
+}
+
+/**
+ * Minimal blacklist/unBlacklist calls that bring the contract in line with a list
+ * @param {object} usdtq USDTq contract (ethers)
+ * @param {Array<{address: string, reason: string}>} entries Parsed list
+ * @param {object} options Options
+ * @param {string} options.list List name (on-chain reason prefix)
+ * @param {number} [options.fromBlock] First block to read Blacklisted events from
+ * @param {number} [options.toBlock] Last block
+ * @param {number} [options.blockRange] Blocks per event query
+ * @returns {Promise<object>} { blacklist, unBlacklist, unchanged }, where
+ *          blacklist and unBlacklist are [{ address, reason }] and unchanged
+ *          counts list entries that are already blacklisted
+ */
+async function diffSanctions(usdtq, entries, options) {
+    const prefix = `[${options.list}]`;
+
+    // One entry per address; an address listed twice keeps both reasons
+    const listed = new Map();
+    for (const { address, reason } of entries) {
+        const previous = listed.get(address);
+        listed.set(
+            address,
+            previous && reason && previous !== reason
+                ? `${previous}; ${reason}`
+                : previous || reason
+        );
+    }
+
+    const blacklisted = await collectBlacklisted(usdtq, options);
+    const blacklist = [];
+    let unchanged = 0;
+    for (const [address, reason] of listed) {
+        // Also covers addresses blacklisted before --from-block
+        if (blacklisted.has(address) || (await usdtq.isBlacklisted(address))) {
+            unchanged++;
+        } else {
+            blacklist.push({
+                address,
+                reason: formatReason(options.list, reason),
+            });
+        }
+    }
+
+    const unBlacklist = [...blacklisted]
+        .filter(
+            ([address, reason]) =>
+                reason.startsWith(prefix) && !listed.has(address)
+        )
+        .map(([address, reason]) => ({ address, reason }));
+
+    return { blacklist, unBlacklist, unchanged };
+}
+
+module.exports = {
+    OFAC_SDN_URL,
+    DEFAULT_BLOCK_RANGE,
+    MAX_REASON_LENGTH,
+    parseCsvList,
+    parseOfacSdnXml,
+    parseSanctionsList,
+    sanctionsListFormat,
+    readSanctionsList,
+    formatReason,
+    collectBlacklisted,
+    diffSanctions,
+};
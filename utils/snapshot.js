@@ -0,0 +1,225 @@
+/**
+ * @title Holder Snapshots
+ * @notice Rebuilds every USDTq balance at a block from Transfer events
+ * @dev Transfer, Blacklisted and UnBlacklisted events are replayed in log
+ *      order from the deployment block to the target block, so the snapshot
+ *      needs no archive state except for the final totalSupply() cross-check.
+ *      Mints and burns (including compliance burns) are transfers from and
+ *      to the zero address, which is left out of the holder list.
+ *
+ *      A blacklisted holder carries the reason from its last Blacklisted
+ *      event up to the target block, i.e. blacklistReason() at that block.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { formatAmount } = require("./usdtq");
+
+const DEFAULT_BLOCK_RANGE = 5000;
+const SNAPSHOT_DIR = path.join(__dirname, "..", "snapshots");
+
+// Share of supply is reported as a percentage with 4 decimals
+const SHARE_DECIMALS = 4;
+
+const CSV_COLUMNS = [
+    "address",
+    "balance",
+    "balance_usdtq",
+    "share",
+    "blacklisted",
+    "blacklist_reason",
+];
+
+/**
+ * Replay events and rebuild holder balances at a block
+ * @param {object} usdtq USDTq contract (ethers)
+ * @param {object} options Options
+ * @param {number} options.toBlock Snapshot block
+ * @param {number} [options.fromBlock] Deployment block (default 0)
+ * @param {number} [options.blockRange] Blocks per event query
+ * @returns {Promise<{balances: Map<string, bigint>,
+ *          blacklisted: Map<string, string>, events: number}>}
+ */
+async function replayBalances(usdtq, options) {
+    const fromBlock = options.fromBlock ?? 0;
+    const toBlock = options.toBlock;
+    const blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+
+    const balances = new Map();
+    const blacklisted = new Map();
+    let count = 0;
+
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, toBlock);
+        const events = [
+            ...(await usdtq.queryFilter(usdtq.filters.Transfer(), start, end)),
+            ...(await usdtq.queryFilter(
+                usdtq.filters.Blacklisted(),
+                start,
+                end
+            )),
+            ...(await usdtq.queryFilter(
+                usdtq.filters.UnBlacklisted(),
+                start,
+                end
+            )),
+        ];
+        events.sort(
+            (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+        );
+
+        for (const event of events) {
+            count++;
+            if (event.eventName === "Transfer") {
+                const { from, to, value } = event.args;
+                if (from !== ethers.ZeroAddress) {
+                    balances.set(from, (balances.get(from) ?? 0n) - value);
+                }
+                if (to !== ethers.ZeroAddress) {
+                    balances.set(to, (balances.get(to) ?? 0n) + value);
+                }
+            } else if (event.eventName === "Blacklisted") {
+                blacklisted.set(event.args.account, event.args.reason);
+            } else {
+                blacklisted.delete(event.args.account);
+            }
+        }
+    }
+
+    return { balances, blacklisted, events: count };
+}
+
+/**
+ * Build a holder snapshot and check it against totalSupply() at the block
+ * @param {object} usdtq USDTq contract (ethers)
+ * @param {object} options Same options as replayBalances
+ * @returns {Promise<object>} Snapshot document (amounts as decimal strings)
+ */
+async function takeSnapshot(usdtq, options) {
+    const provider = usdtq.runner.provider;
+    const { balances, blacklisted, events } = await replayBalances(
+        usdtq,
+        options
+    );
+
+    const totalSupply = [...balances.values()].reduce(
+        (sum, balance) => sum + balance,
+        0n
+    );
+    const onChainSupply = await usdtq.totalSupply({
+        blockTag: options.toBlock,
+    });
+    if (totalSupply !== onChainSupply) {
+        throw new Error(
+            `Replayed balances sum to ${formatAmount(totalSupply)} USDTq but totalSupply() at block ${options.toBlock} is ${formatAmount(onChainSupply)} USDTq; is --from-block the deployment block?`
+        );
+    }
+
+    const negative = [...balances].find(([, balance]) => balance < 0n);
+    if (negative) {
+        throw new Error(
+            `Replayed balance of ${negative[0]} is negative; events before --from-block are missing`
+        );
+    }
+
+    const holders = [...balances]
+        .filter(([, balance]) => balance > 0n)
+        .sort(([a, x], [b, y]) =>
+            x === y ? a.localeCompare(b) : x > y ? -1 : 1
+        )
+        .map(([address, balance]) => ({
+            address,
+            balance: balance.toString(),
+            balanceFormatted: formatAmount(balance),
+            share: formatShare(balance, totalSupply),
+            blacklisted: blacklisted.has(address),
+            blacklistReason: blacklisted.get(address) ?? null,
+        }));
+
+    const block = await provider.getBlock(options.toBlock);
+    const { chainId } = await provider.getNetwork();
+    return {
+        chainId: Number(chainId),
+        contract: await usdtq.getAddress(),
+        blockNumber: block.number,
+        blockHash: block.hash,
+        timestamp: new Date(block.timestamp * 1000).toISOString(),
+        fromBlock: options.fromBlock ?? 0,
+        events,
+        totalSupply: totalSupply.toString(),
+        totalSupplyFormatted: formatAmount(totalSupply),
+        holderCount: holders.length,
+        blacklistedCount: holders.filter((holder) => holder.blacklisted).length,
+        holders,
+    };
+}
+
+function formatShare(balance, totalSupply) {
+    if (totalSupply === 0n) {
+        return "0%";
+    }
+    const scaled =
+        (balance * 100n * 10n ** BigInt(SHARE_DECIMALS)) / totalSupply;
+    return `${ethers.formatUnits(scaled, SHARE_DECIMALS)}%`;
+}
+
+// Blacklist reasons are free text from the chain: a leading =, +, - or @
+// would run as a formula when the export is opened in a spreadsheet
+function csvField(value) {
+    let text = value === null ? "" : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the holders of a snapshot as CSV
+ * @param {object} snapshot Snapshot from takeSnapshot
+ * @returns {string}
+ */
+function toCsv(snapshot) {
+    const rows = snapshot.holders.map((holder) =>
+        [
+            holder.address,
+            holder.balance,
+            holder.balanceFormatted,
+            holder.share,
+            holder.blacklisted,
+            holder.blacklistReason,
+        ]
+            .map(csvField)
+            .join(",")
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Write a snapshot as JSON or CSV
+ * @param {string} file Output path
+ * @param {object} snapshot Snapshot from takeSnapshot
+ * @param {string} format "json" or "csv"
+ */
+function writeSnapshot(file, snapshot, format) {
+    let content;
+    if (format === "json") {
+        content = JSON.stringify(snapshot, null, 2) + "\n";
+    } else if (format === "csv") {
+        content = toCsv(snapshot);
+    } else {
+        throw new Error(`Unknown format "${format}"; use csv or json`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+module.exports = {
+    DEFAULT_BLOCK_RANGE,
+    SNAPSHOT_DIR,
+    CSV_COLUMNS,
+    replayBalances,
+    takeSnapshot,
+    toCsv,
+    writeSnapshot,
+};
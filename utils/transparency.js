@@ -0,0 +1,489 @@
+/**
+ * @title Transparency Reports
+ * @notice Monthly supply-versus-reserves reports from the indexed event log
+ * @dev Reads the database written by `index-events` (see utils/indexer.js).
+ *      Supply follows Transfer events from and to the zero address, so mints,
+ *      burnFrom, holder burns and compliance burns all count. Reserves
+ *      follow ReservesUpdated, which every reserve change emits, including
+ *      the constructor's initial attestation.
+ *
+ *      State is sampled after each transaction, not after each log, so the
+ *      constructor (mint, then ReservesUpdated) or a compliance burn never
+ *      shows a deficit that existed only halfway through a transaction. A
+ *      deficit period runs from the first transaction that left reserves
+ *      below supply to the first one that restored them, which is what
+ *      getReserveHealth() would have reported in between.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { RATIO_BASIS_POINTS, formatRatio } = require("../sdk/src");
+const { formatAmount } = require("./usdtq");
+
+const DEFAULT_TOP = 5;
+const REPORT_EVENTS = [
+    "Transfer",
+    "ReservesUpdated",
+    "TokensMinted",
+    "TokensBurned",
+    "ComplianceBurn",
+];
+
+const MONTHLY_CSV_COLUMNS = [
+    "month",
+    "opening_supply",
+    "closing_supply",
+    "minted",
+    "burned",
+    "mints",
+    "burns",
+    "opening_reserves",
+    "closing_reserves",
+    "closing_ratio_bps",
+    "min_ratio_bps",
+    "attestations",
+    "deficit_periods",
+    "max_deficit",
+];
+
+const SERIES_CSV_COLUMNS = [
+    "block_number",
+    "timestamp",
+    "transaction_hash",
+    "supply",
+    "reserves",
+    "ratio_bps",
+];
+
+// Same formula as the contract: 100% while there is no supply
+function ratioOf(reserves, supply) {
+    return supply === 0n
+        ? RATIO_BASIS_POINTS
+        : (reserves * RATIO_BASIS_POINTS) / supply;
+}
+
+function monthOf(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 7);
+}
+
+function nextMonth(month) {
+    const [year, m] = month.split("-").map(Number);
+    return m === 12
+        ? `${year + 1}-01`
+        : `${year}-${String(m + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Replay indexed events into per-transaction state and supply movements
+ * @param {Array<object>} events Events from getEvents, in chain order
+ * @returns {{points: object[], movements: object[], attestations: object[]}}
+ *          points: { blockNumber, timestamp, transactionHash, supply,
+ *          reserves, ratio } after each transaction that changed either;
+ *          movements: mints and burns ({ type, amount, account, method, ... })
+ */
+function replaySupplyAndReserves(events) {
+    const points = [];
+    const movements = [];
+    const attestations = [];
+    let supply = 0n;
+    let reserves = 0n;
+
+    // Group logs by transaction; events are already in chain order
+    const transactions = [];
+    for (const event of events) {
+        const last = transactions[transactions.length - 1];
+        if (last && last.transactionHash === event.transactionHash) {
+            last.events.push(event);
+        } else {
+            transactions.push({
+                transactionHash: event.transactionHash,
+                blockNumber: event.blockNumber,
+                timestamp: event.timestamp,
+                events: [event],
+            });
+        }
+    }
+
+    for (const tx of transactions) {
+        const names = tx.events.map((event) => event.event);
+        const complianceBurn = tx.events.find(
+            (event) => event.event === "ComplianceBurn"
+        );
+        let changed = false;
+
+        for (const event of tx.events) {
+            const base = {
+                blockNumber: tx.blockNumber,
+                timestamp: tx.timestamp,
+                transactionHash: tx.transactionHash,
+            };
+
+            if (event.event === "Transfer") {
+                const amount = BigInt(event.args.value);
+                if (event.args.from === ethers.ZeroAddress) {
+                    supply += amount;
+                    changed = true;
+                    movements.push({
+                        ...base,
+                        type: "mint",
+                        amount,
+                        account: event.args.to,
+                        method: "mint",
+                    });
+                } else if (event.args.to === ethers.ZeroAddress) {
+                    supply -= amount;
+                    changed = true;
+                    movements.push({
+                        ...base,
+                        type: "burn",
+                        amount,
+                        account: event.args.from,
+                        method: complianceBurn
+                            ? "complianceBurn"
+                            : names.includes("TokensBurned")
+                              ? "burnFrom"
+                              : "burn",
+                        ...(complianceBurn && {
+                            caseReference: complianceBurn.args.caseReference,
+                        }),
+                    });
+                }
+            } else if (event.event === "ReservesUpdated") {
+                reserves = BigInt(event.args.totalReserves);
+                changed = true;
+                // A compliance burn adjusts reserves but is not an attestation
+                if (!complianceBurn) {
+                    attestations.push({ ...base, totalReserves: reserves });
+                }
+            }
+        }
+
+        if (changed) {
+            points.push({
+                blockNumber: tx.blockNumber,
+                timestamp: tx.timestamp,
+                transactionHash: tx.transactionHash,
+                supply,
+                reserves,
+                ratio: ratioOf(reserves, supply),
+            });
+        }
+    }
+
+    return { points, movements, attestations };
+}
+
+/**
+ * Periods in which reserves were below supply
+ * @param {object[]} points Points from replaySupplyAndReserves
+ * @returns {object[]} { start, end, maxDeficit } where start and end are
+ *          points (end is null while the deficit lasts)
+ */
+function findDeficitPeriods(points) {
+    const periods = [];
+    let current = null;
+    for (const point of points) {
+        if (point.reserves < point.supply) {
+            const deficit = point.supply - point.reserves;
+            if (!current) {
+                current = { start: point, end: null, maxDeficit: deficit };
+                periods.push(current);
+            } else if (deficit > current.maxDeficit) {
+                current.maxDeficit = deficit;
+            }
+        } else if (current) {
+            current.end = point;
+            current = null;
+        }
+    }
+    return periods;
+}
+
+/**
+ * Build monthly reports from indexed events
+ * @param {Array<object>} events Events from getEvents, in chain order
+ * @param {object} [options] Options
+ * @param {number} [options.top] Largest mints and burns to list (default 5)
+ * @param {string} [options.through] Last month (YYYY-MM) to report, even
+ *        without events (default: month of the last event)
+ * @returns {{months: object[], points: object[]}}
+ */
+function buildMonthlyReports(events, options = {}) {
+    const top = options.top ?? DEFAULT_TOP;
+    const { points, movements, attestations } = replaySupplyAndReserves(events);
+    if (points.length === 0) {
+        return { months: [], points };
+    }
+
+    const periods = findDeficitPeriods(points);
+    const lastMonth = [
+        monthOf(points[points.length - 1].timestamp),
+        options.through,
+    ]
+        .filter(Boolean)
+        .sort()
+        .pop();
+
+    const months = [];
+    let opening = { supply: 0n, reserves: 0n };
+    let index = 0;
+    for (
+        let month = monthOf(points[0].timestamp);
+        month <= lastMonth;
+        month = nextMonth(month)
+    ) {
+        const inMonth = [];
+        while (
+            index < points.length &&
+            monthOf(points[index].timestamp) === month
+        ) {
+            inMonth.push(points[index++]);
+        }
+        const closing =
+            inMonth.length > 0 ? inMonth[inMonth.length - 1] : opening;
+        const openingRatio = ratioOf(opening.reserves, opening.supply);
+        const ofMonth = (item) => monthOf(item.timestamp) === month;
+        const mints = movements.filter((m) => m.type === "mint" && ofMonth(m));
+        const burns = movements.filter((m) => m.type === "burn" && ofMonth(m));
+        const largest = (list) =>
+            [...list]
+                .sort((a, b) =>
+                    a.amount === b.amount
+                        ? a.blockNumber - b.blockNumber
+                        : a.amount > b.amount
+                          ? -1
+                          : 1
+                )
+                .slice(0, top);
+        const sum = (list) => list.reduce((total, m) => total + m.amount, 0n);
+
+        // Deficits that overlap the month, including one carried in
+        const deficits = periods.filter(
+            (period) =>
+                monthOf(period.start.timestamp) <= month &&
+                (period.end === null || monthOf(period.end.timestamp) >= month)
+        );
+
+        months.push({
+            month,
+            openingSupply: opening.supply,
+            closingSupply: closing.supply,
+            minted: sum(mints),
+            burned: sum(burns),
+            mintCount: mints.length,
+            burnCount: burns.length,
+            openingReserves: opening.reserves,
+            closingReserves: closing.reserves,
+            openingRatio,
+            closingRatio: ratioOf(closing.reserves, closing.supply),
+            minRatio: inMonth.reduce(
+                (min, point) => (point.ratio < min ? point.ratio : min),
+                openingRatio
+            ),
+            attestations: attestations.filter(ofMonth).length,
+            largestMints: largest(mints),
+            largestBurns: largest(burns),
+            deficits,
+        });
+        opening = { supply: closing.supply, reserves: closing.reserves };
+    }
+
+    return { months, points };
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return (
+        [days && `${days}d`, hours && `${hours}h`, minutes && `${minutes}m`]
+            .filter(Boolean)
+            .join(" ") || "< 1m"
+    );
+}
+
+function monthTitle(month) {
+    return new Date(`${month}-01T00:00:00Z`).toLocaleString("en-US", {
+        month: "long",
+        year: "numeric",
+        timeZone: "UTC",
+    });
+}
+
+/**
+ * Render one month as Markdown (GitHub tables, no HTML)
+ * @param {object} report Month from buildMonthlyReports
+ * @param {object} context { network, chainId, contract, throughBlock }
+ * @returns {string}
+ */
+function toMarkdown(report, context) {
+    const change = (from, to) => {
+        const delta = to - from;
+        return `${delta < 0n ? "-" : "+"}${formatAmount(delta < 0n ? -delta : delta)}`;
+    };
+    const lines = [
+        `# USDTq Supply and Reserves: ${monthTitle(report.month)}`,
+        "",
+        `Network: ${context.network} (chain ${context.chainId})  `,
+        `Contract: \`${context.contract}\`  `,
+        `Source: on-chain events through block ${context.throughBlock}`,
+        "",
+        "## Summary",
+        "",
+        "| | Opening | Closing | Change |",
+        "|---|---:|---:|---:|",
+        `| Supply (USDTq) | ${formatAmount(report.openingSupply)} | ${formatAmount(report.closingSupply)} | ${change(report.openingSupply, report.closingSupply)} |`,
+        `| Reserves (USD) | ${formatAmount(report.openingReserves)} | ${formatAmount(report.closingReserves)} | ${change(report.openingReserves, report.closingReserves)} |`,
+        `| Collateralization | ${formatRatio(report.openingRatio)} | ${formatRatio(report.closingRatio)} | |`,
+        "",
+        `- Minted: ${formatAmount(report.minted)} USDTq in ${report.mintCount} mint(s)`,
+        `- Burned: ${formatAmount(report.burned)} USDTq in ${report.burnCount} burn(s)`,
+        `- Reserve attestations: ${report.attestations}`,
+        `- Lowest collateralization: ${formatRatio(report.minRatio)}`,
+        "",
+        "## Largest Mints",
+        "",
+    ];
+
+    if (report.largestMints.length === 0) {
+        lines.push("No mints this month.");
+    } else {
+        lines.push(
+            "| Date | Amount (USDTq) | Recipient | Transaction |",
+            "|---|---:|---|---|",
+            ...report.largestMints.map(
+                (m) =>
+                    `| ${formatDate(m.timestamp)} | ${formatAmount(m.amount)} | \`${m.account}\` | \`${m.transactionHash}\` |`
+            )
+        );
+    }
+
+    lines.push("", "## Largest Burns", "");
+    if (report.largestBurns.length === 0) {
+        lines.push("No burns this month.");
+    } else {
+        lines.push(
+            "| Date | Amount (USDTq) | Holder | Method | Transaction |",
+            "|---|---:|---|---|---|",
+            ...report.largestBurns.map(
+                (m) =>
+                    `| ${formatDate(m.timestamp)} | ${formatAmount(m.amount)} | \`${m.account}\` | ${m.method}${m.caseReference ? ` (${m.caseReference})` : ""} | \`${m.transactionHash}\` |`
+            )
+        );
+    }
+
+    lines.push("", "## Reserve Deficits", "");
+    if (report.deficits.length === 0) {
+        lines.push("None: reserves covered supply throughout the month.");
+    } else {
+        lines.push(
+            "| From | To | Duration | Largest deficit (USD) |",
+            "|---|---|---|---:|",
+            ...report.deficits.map(
+                (period) =>
+                    `| ${formatDate(period.start.timestamp)} | ${period.end ? formatDate(period.end.timestamp) : "ongoing"} | ${period.end ? formatDuration(period.end.timestamp - period.start.timestamp) : ""} | ${formatAmount(period.maxDeficit)} |`
+            )
+        );
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Render the monthly time series as CSV (amounts in whole USDTq)
+ * @param {object[]} months Months from buildMonthlyReports
+ * @returns {string}
+ */
+function monthlyCsv(months) {
+    const rows = months.map((report) =>
+        [
+            report.month,
+            formatAmount(report.openingSupply),
+            formatAmount(report.closingSupply),
+            formatAmount(report.minted),
+            formatAmount(report.burned),
+            report.mintCount,
+            report.burnCount,
+            formatAmount(report.openingReserves),
+            formatAmount(report.closingReserves),
+            report.closingRatio,
+            report.minRatio,
+            report.attestations,
+            report.deficits.length,
+            formatAmount(
+                report.deficits.reduce(
+                    (max, period) =>
+                        period.maxDeficit > max ? period.maxDeficit : max,
+                    0n
+                )
+            ),
+        ].join(",")
+    );
+    return [MONTHLY_CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Render every supply or reserve change as CSV, for charting
+ * @param {object[]} points Points from replaySupplyAndReserves
+ * @returns {string}
+ */
+function seriesCsv(points) {
+    const rows = points.map((point) =>
+        [
+            point.blockNumber,
+            formatDate(point.timestamp),
+            point.transactionHash,
+            formatAmount(point.supply),
+            formatAmount(point.reserves),
+            point.ratio,
+        ].join(",")
+    );
+    return [SERIES_CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Write Markdown reports and CSV series to a directory
+ * @param {string} dir Output directory
+ * @param {object} result Result of buildMonthlyReports
+ * @param {object} context Markdown context (see toMarkdown)
+ * @param {object} [options] Options
+ * @param {string[]} [options.months] Months to write Markdown for (default all)
+ * @returns {string[]} Written files
+ */
+function writeReports(dir, { months, points }, context, options = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const files = [];
+    const write = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        files.push(file);
+    };
+
+    for (const report of months) {
+        if (!options.months || options.months.includes(report.month)) {
+            write(`${report.month}.md`, toMarkdown(report, context));
+        }
+    }
+    write("monthly.csv", monthlyCsv(months));
+    write("series.csv", seriesCsv(points));
+    return files;
+}
+
+module.exports = {
+    DEFAULT_TOP,
+    REPORT_EVENTS,
+    MONTHLY_CSV_COLUMNS,
+    SERIES_CSV_COLUMNS,
+    replaySupplyAndReserves,
+    findDeficitPeriods,
+    buildMonthlyReports,
+    toMarkdown,
+    monthlyCsv,
+    seriesCsv,
+    writeReports,
+};
@@ -0,0 +1,190 @@
+/**
+ * @title USDTq Shared Constants and Helpers
+ * @notice Role hashes, amount formatting and contract resolution used by tasks
+ * @dev Kept free of Hardhat globals so it can be required from plain Node
+ *      scripts as well as from tasks (pass `hre` where it is needed). Roles
+ *      and amount helpers come from the SDK and are re-exported here.
+ */
+
+const { ethers } = require("ethers");
+const {
+    DECIMALS,
+    ROLES,
+    capParameter,
+    formatAmount,
+    parseAmount,
+    roleName,
+} = require("../sdk/src");
+const { getDeployment } = require("./registry");
+
+// Privileged USDTq functions, the role each one requires (an array when any
+// of several roles will do) and how to read human-supplied arguments ("amount"
+// values are whole USDTq, "role" values are role names or hashes, "bytes32"
+// values are 0x-prefixed 32-byte hex, "capParameter" values are timelocked
+// setting names such as "MaxTotalSupply", "seconds" values are durations in
+// seconds or with an s/m/h/d suffix)
+const PRIVILEGED_CALLS = {
+    mint: { role: "MINTER_ROLE", args: ["address", "amount"] },
+    burnFrom: { role: "MINTER_ROLE", args: ["address", "amount"] },
+    proposeMaxMintPerTransaction: { role: "ADMIN_ROLE", args: ["amount"] },
+    proposeMaxTotalSupply: { role: "ADMIN_ROLE", args: ["amount"] },
+    proposeCapChangeDelay: { role: "ADMIN_ROLE", args: ["seconds"] },
+    executeCapChange: { role: "ADMIN_ROLE", args: ["capParameter"] },
+    cancelCapChange: { role: "ADMIN_ROLE", args: ["capParameter"] },
+    setMinterAllowance: { role: "ADMIN_ROLE", args: ["address", "amount"] },
+    setMinterRateLimit: {
+        role: "ADMIN_ROLE",
+        args: ["address", "amount", "seconds"],
+    },
+    blacklist: { role: "BLACKLISTER_ROLE", args: ["address", "string"] },
+    unBlacklist: { role: "BLACKLISTER_ROLE", args: ["address"] },
+    complianceBurn: {
+        role: ["BLACKLISTER_ROLE", "ADMIN_ROLE"],
+        args: ["address", "amount", "string"],
+    },
+    grantRole: { role: "DEFAULT_ADMIN_ROLE", args: ["role", "address"] },
+    revokeRole: { role: "DEFAULT_ADMIN_ROLE", args: ["role", "address"] },
+    pause: { role: "PAUSER_ROLE", args: [] },
+    unpause: { role: "PAUSER_ROLE", args: [] },
+    updateReserves: { role: "RESERVE_MANAGER_ROLE", args: ["amount"] },
+    updateReservesWithRoot: {
+        role: "RESERVE_MANAGER_ROLE",
+        args: ["amount", "bytes32"],
+    },
+    addReserves: { role: "RESERVE_MANAGER_ROLE", args: ["amount", "string"] },
+    removeReserves: {
+        role: "RESERVE_MANAGER_ROLE",
+        args: ["amount", "string"],
+    },
+};
+
+/**
+ * Resolve a role by name ("minter", "MINTER_ROLE", ...) or bytes32 hash
+ * @param {string} role Role name or hash
+ * @returns {{name: string, hash: string}}
+ */
+function resolveRole(role) {
+    if (ethers.isHexString(role, 32)) {
+        const name = Object.keys(ROLES).find(
+            (key) => ROLES[key] === role.toLowerCase()
+        );
+        return { name: name || role, hash: role.toLowerCase() };
+    }
+
+    let name = role.toUpperCase().replace(/-/g, "_");
+    if (!name.endsWith("_ROLE")) {
+        name = `${name}_ROLE`;
+    }
+    if (!(name in ROLES)) {
+        throw new Error(
+            `Unknown role "${role}". Expected one of: ${Object.keys(ROLES).join(", ")}`
+        );
+    }
+    return { name, hash: ROLES[name] };
+}
+
+const DURATION_UNITS = { s: 1n, m: 60n, h: 3600n, d: 86400n };
+
+/**
+ * Parse a duration ("172800", "48h", "2d") into seconds
+ * @param {string|number|bigint} duration Seconds, or a number with s/m/h/d
+ * @returns {bigint}
+ */
+function parseDuration(duration) {
+    if (typeof duration === "bigint") {
+        return duration;
+    }
+    const match = /^(\d+)\s*([smhd]?)$/.exec(duration.toString().trim());
+    if (!match) {
+        throw new Error(
+            `Invalid duration "${duration}"; expected seconds or e.g. 48h, 2d`
+        );
+    }
+    return BigInt(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+/**
+ * Convert human-supplied arguments for a privileged call into ABI values
+ * @param {string} method Privileged USDTq function name
+ * @param {Array} args Raw arguments (amounts in whole USDTq, role names)
+ * @returns {Array} Arguments ready for encodeFunctionData
+ */
+function normalizeCallArgs(method, args = []) {
+    const spec = PRIVILEGED_CALLS[method];
+    if (!spec) {
+        throw new Error(
+            `${method} is not a privileged USDTq call. Expected one of: ${Object.keys(PRIVILEGED_CALLS).join(", ")}`
+        );
+    }
+    if (args.length !== spec.args.length) {
+        throw new Error(
+            `${method} expects ${spec.args.length} argument(s), got ${args.length}`
+        );
+    }
+
+    return spec.args.map((kind, i) => {
+        const value = args[i];
+        switch (kind) {
+            case "address":
+                return ethers.getAddress(value);
+            case "amount":
+                return parseAmount(value);
+            case "role":
+                return resolveRole(value).hash;
+            case "capParameter":
+                return capParameter(value);
+            case "seconds":
+                return parseDuration(value);
+            case "bytes32":
+                if (!ethers.isHexString(value, 32)) {
+                    throw new Error(
+                        `${method} argument ${i + 1} must be a 32-byte hex string, got ${value}`
+                    );
+                }
+                return value;
+            default:
+                return value.toString();
+        }
+    });
+}
+
+/**
+ * Resolve the USDTq address for the current network
+ * @dev Order: explicit address, hardhat-deploy deployment, registry entry
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [explicit] Address passed on the command line
+ * @returns {Promise<string>}
+ */
+async function resolveUsdtqAddress(hre, explicit) {
+    if (explicit) {
+        return ethers.getAddress(explicit);
+    }
+
+    const deployment = await hre.deployments.getOrNull("USDTq");
+    if (deployment) {
+        return deployment.address;
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const registered = getDeployment(chainId);
+    if (registered) {
+        return registered.contractAddress;
+    }
+
+    throw new Error(
+        `No USDTq deployment found for network ${hre.network.name}; pass --contract`
+    );
+}
+
+module.exports = {
+    DECIMALS,
+    ROLES,
+    PRIVILEGED_CALLS,
+    resolveRole,
+    roleName,
+    parseAmount,
+    formatAmount,
+    parseDuration,
+    normalizeCallArgs,
+    resolveUsdtqAddress,
+};
@@ -0,0 +1,135 @@
+/**
+ * @title Explorer Source Verification
+ * @notice Runs `hardhat verify` for a deployment, retrying while the explorer indexes
+ * @dev Right after deployment BscScan often answers "Unable to locate
+ *      ContractCode" because it has not indexed the new contract yet. Those
+ *      responses (and network errors) are retried; anything else, such as a
+ *      bytecode mismatch, fails immediately.
+ */
+
+// hardhat-verify error messages that mean "try again later"
+const RETRIABLE_ERRORS = [
+    /does not have bytecode/i,
+    /Unable to locate ContractCode/i,
+    /hasn't propagated/i,
+    /Network request failed/i,
+    /Max rate limit reached/i,
+];
+
+const ALREADY_VERIFIED = /already (been )?verified/i;
+
+// Networks without a block explorer
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const DEFAULT_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 20_000;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function oneLine(message) {
+    return message.replace(/\s*\n\s*/g, " ").trim();
+}
+
+/**
+ * Convert the recorded constructorArgs object to the positional array
+ * @param {object} constructorArgs Deployment artifact constructorArgs
+ * @returns {Array}
+ */
+function toConstructorArguments(constructorArgs) {
+    return [
+        constructorArgs.gnosisSafe,
+        constructorArgs.minterSigners,
+        constructorArgs.blacklisterSigners,
+        constructorArgs.pauserSigners,
+        constructorArgs.reserveManagerSigners,
+    ];
+}
+
+/**
+ * Verify a contract on the network's block explorer
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} options Verification options
+ * @param {string} options.address Deployed contract address
+ * @param {Array} options.constructorArguments Constructor arguments
+ * @param {string} [options.contract] Fully qualified contract name
+ * @param {number} [options.attempts] Maximum attempts (default 5)
+ * @param {number} [options.retryDelayMs] Delay between attempts (default 20s)
+ * @param {boolean} [options.includeLocal] Also verify on hardhat/localhost
+ *        (only useful against a mocked explorer)
+ * @param {Function} [options.log] Logger (default console.log)
+ * @returns {Promise<object>} { status, attempts, timestamp, error? }
+ *          status is "verified", "skipped" or "failed"
+ */
+async function verifyContract(hre, options) {
+    const attempts = options.attempts ?? DEFAULT_ATTEMPTS;
+    const retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+    const log = options.log || console.log;
+
+    if (LOCAL_NETWORKS.includes(hre.network.name) && !options.includeLocal) {
+        return {
+            status: "skipped",
+            attempts: 0,
+            timestamp: new Date().toISOString(),
+            reason: `no explorer for ${hre.network.name}`,
+        };
+    }
+
+    let lastError;
+    let attempt = 0;
+    while (attempt < attempts) {
+        attempt++;
+        try {
+            log(
+                `Verifying ${options.address} (attempt ${attempt}/${attempts})...`
+            );
+            await hre.run("verify:verify", {
+                address: options.address,
+                constructorArguments: options.constructorArguments,
+                contract: options.contract,
+            });
+            return {
+                status: "verified",
+                attempts: attempt,
+                timestamp: new Date().toISOString(),
+            };
+        } catch (error) {
+            if (ALREADY_VERIFIED.test(error.message)) {
+                return {
+                    status: "verified",
+                    attempts: attempt,
+                    timestamp: new Date().toISOString(),
+                };
+            }
+
+            lastError = error;
+            const retriable = RETRIABLE_ERRORS.some((pattern) =>
+                pattern.test(error.message)
+            );
+            if (!retriable || attempt >= attempts) {
+                break;
+            }
+
+            log(
+                `Explorer not ready, retrying in ${retryDelayMs / 1000}s: ${oneLine(error.message)}`
+            );
+            await sleep(retryDelayMs);
+        }
+    }
+
+    return {
+        status: "failed",
+        attempts: attempt,
+        timestamp: new Date().toISOString(),
+        error: oneLine(lastError.message),
+    };
+}
+
+module.exports = {
+    LOCAL_NETWORKS,
+    DEFAULT_ATTEMPTS,
+    DEFAULT_RETRY_DELAY_MS,
+    toConstructorArguments,
+    verifyContract,
+};